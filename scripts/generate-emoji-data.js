@@ -0,0 +1,87 @@
+/**
+ * generate-emoji-data.js - CamTech v1.7
+ * Builds src/utils/emojiData.js from the Unicode emoji-test.txt
+ *
+ * Usage: npm run emoji-data [-- path/to/emoji-test.txt]
+ * Without a path the file is downloaded from unicode.org (EMOJI_VERSION below)
+ *
+ * Kept: fully-qualified emojis, in Unicode order, grouped by Unicode group
+ * Dropped: the Component group and skin tone forms - emojiVariants.js
+ * builds those, so the picker shows one entry per person emoji
+ */
+
+import { readFile, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+
+const EMOJI_VERSION = '15.1'
+const SOURCE_URL = `https://unicode.org/Public/emoji/${EMOJI_VERSION}/emoji-test.txt`
+const OUTPUT = fileURLToPath(new URL('../src/utils/emojiData.js', import.meta.url))
+
+const SKIPPED_GROUPS = new Set(['Component'])
+const SKIN_TONE = /[\u{1F3FB}-\u{1F3FF}]/u
+
+// "1F600 ; fully-qualified # 😀 E1.0 grinning face"
+const LINE = /^([0-9A-F ]+?)\s*;\s*([\w-]+)\s*#\s*\S+\s+E(\d+\.\d+)\s+(.+)$/
+
+async function readSource(path) {
+    if (path) return readFile(path, 'utf8')
+    const response = await fetch(SOURCE_URL)
+    if (!response.ok) throw new Error(`${SOURCE_URL}: HTTP ${response.status}`)
+    return response.text()
+}
+
+function parse(text) {
+    const groups = new Map()
+    let group = null
+
+    text.split('\n').forEach((line) => {
+        const heading = line.match(/^# group: (.+)$/)
+        if (heading) {
+            group = SKIPPED_GROUPS.has(heading[1]) ? null : heading[1]
+            if (group) groups.set(group, [])
+            return
+        }
+
+        const match = line.match(LINE)
+        if (!match || !group || match[2] !== 'fully-qualified') return
+        const emoji = String.fromCodePoint(...match[1].split(' ').map(hex => parseInt(hex, 16)))
+        if (SKIN_TONE.test(emoji)) return
+        groups.get(group).push([emoji, match[4].trim(), Number(match[3])])
+    })
+    return groups
+}
+
+const quote = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+
+function render(groups) {
+    const lines = [
+        '/**',
+        ' * emojiData.js - CamTech v1.7',
+        ` * GENERATED by scripts/generate-emoji-data.js from Unicode emoji-test.txt ${EMOJI_VERSION} - do not edit`,
+        ' * Fully-qualified emojis in Unicode order, keyed by Unicode group',
+        ' * Skin tone forms are left out (emojiVariants.js builds them)',
+        ' * Entry: [emoji, CLDR name, Unicode emoji version it first appeared in]',
+        ' */',
+        '',
+        `export const EMOJI_DATA_VERSION = ${EMOJI_VERSION}`,
+        '',
+        'export const EMOJI_GROUPS = {'
+    ]
+    const entries = [...groups]
+    entries.forEach(([group, emojis], i) => {
+        lines.push(`    ${quote(group)}: [`)
+        emojis.forEach(([emoji, name, version], j) => {
+            const comma = j < emojis.length - 1 ? ',' : ''
+            lines.push(`        [${quote(emoji)}, ${quote(name)}, ${version}]${comma}`)
+        })
+        lines.push(`    ]${i < entries.length - 1 ? ',' : ''}`)
+    })
+    lines.push('}', '')
+    return lines.join('\n')
+}
+
+const groups = parse(await readSource(process.argv[2]))
+await writeFile(OUTPUT, render(groups))
+
+const total = [...groups.values()].reduce((sum, emojis) => sum + emojis.length, 0)
+console.log(`Wrote ${total} emojis in ${groups.size} groups to ${OUTPUT}`)
@@ -1,13 +1,16 @@
-import { useState } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import CameraLayer from './components/CameraLayer.jsx'
 import EditorLayer from './components/EditorLayer.jsx'
 import SettingsSheet from './components/SettingsSheet.jsx'
+import DraftsSheet from './components/DraftsSheet.jsx'
+import { listDrafts, getDraft, deleteDraft, draftToCapture, subscribeDrafts, isDraftStorageSupported } from './utils/drafts.js'
 import './App.css'
 
 /**
  * CamTech v1.7
  * Production release - Manual pixel filters, no ctx.filter
  * Modes: CAMERA | EDITOR | SETTINGS
+ * Preferences live in SettingsProvider (hooks/useSettings.jsx), not here
  */
 export const VERSION = 'CamTech v1.7'
 
@@ -15,11 +18,47 @@ function App() {
     const [mode, setMode] = useState('CAMERA')
     const [capturedImage, setCapturedImage] = useState(null)
     const [showSettings, setShowSettings] = useState(false)
-    const [toolPosition, setToolPosition] = useState('right')
+    const [drafts, setDrafts] = useState([])
+    const [showDrafts, setShowDrafts] = useState(false)
 
-    const handleCapture = (imageData) => {
-        if (!imageData) return
-        setCapturedImage(imageData)
+    const refreshDrafts = useCallback(() => {
+        if (!isDraftStorageSupported()) return Promise.resolve([])
+        return listDrafts()
+            .then((list) => {
+                setDrafts(list)
+                return list
+            })
+            .catch((e) => {
+                console.warn('Drafts unavailable:', e)
+                return []
+            })
+    }, [])
+
+    // Re-read only the draft that changed (autosave fires every few edits)
+    const updateDraft = useCallback((id) => {
+        getDraft(id)
+            .then((draft) => {
+                setDrafts((prev) => {
+                    const others = prev.filter(d => d.id !== id)
+                    if (!draft) return others
+                    return [...others, draft].sort((a, b) => b.updatedAt - a.updatedAt)
+                })
+            })
+            .catch(e => console.warn('Draft refresh failed:', e))
+    }, [])
+
+    // Offer to resume on launch; keep the list fresh as the editor autosaves
+    useEffect(() => {
+        refreshDrafts().then((list) => {
+            if (list.length > 0) setShowDrafts(true)
+        })
+        return subscribeDrafts(updateDraft)
+    }, [refreshDrafts, updateDraft])
+
+    // capture: { dataUrl, filterId, filterStrength } from useCamera (dataUrl is unfiltered)
+    const handleCapture = (capture) => {
+        if (!capture) return
+        setCapturedImage(capture)
         setMode('EDITOR')
     }
 
@@ -32,13 +71,26 @@ function App() {
     // Does NOT reset to camera - only Retake does that
     const handleDone = () => {
         // After successful share, stay in editor or show confirmation
-        // The actual sharing happens in EditorLayer via exportAndShare
+        // The actual saving happens in EditorLayer via SaveSheet
         // This callback is called after share completes
         // For now, just return to camera as there's no dedicated share screen
         setCapturedImage(null)
         setMode('CAMERA')
     }
 
+    const handleResumeDraft = async (draft) => {
+        setShowDrafts(false)
+        try {
+            handleCapture(await draftToCapture(draft))
+        } catch (e) {
+            console.error('Draft restore failed:', e)
+        }
+    }
+
+    const handleDeleteDraft = (id) => {
+        deleteDraft(id).catch(e => console.warn('Draft delete failed:', e))
+    }
+
     const handleOpenSettings = () => {
         setShowSettings(true)
     }
@@ -47,10 +99,6 @@ function App() {
         setShowSettings(false)
     }
 
-    const handleToolPositionChange = (position) => {
-        setToolPosition(position)
-    }
-
     return (
         <div className="app-root">
             <div className="app-frame">
@@ -59,26 +107,31 @@ function App() {
                         <CameraLayer
                             onCapture={handleCapture}
                             onOpenSettings={handleOpenSettings}
-                            toolPosition={toolPosition}
+                            onOpenDrafts={() => setShowDrafts(true)}
+                            draftCount={drafts.length}
                         />
                     )}
 
                     {mode === 'EDITOR' && capturedImage && (
                         <EditorLayer
-                            imageData={capturedImage}
+                            capture={capturedImage}
                             onRetake={handleRetake}
                             onDone={handleDone}
-                            toolPosition={toolPosition}
                         />
                     )}
 
-                    {showSettings && (
-                        <SettingsSheet
-                            toolPosition={toolPosition}
-                            onToolPositionChange={handleToolPositionChange}
-                            onClose={handleCloseSettings}
+                    {showDrafts && mode === 'CAMERA' && (
+                        <DraftsSheet
+                            drafts={drafts}
+                            onResume={handleResumeDraft}
+                            onDelete={handleDeleteDraft}
+                            onClose={() => setShowDrafts(false)}
                         />
                     )}
+
+                    {showSettings && (
+                        <SettingsSheet onClose={handleCloseSettings} />
+                    )}
                 </div>
             </div>
         </div>
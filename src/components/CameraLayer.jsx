@@ -1,5 +1,12 @@
-import { useState, useEffect, useRef } from 'react'
-import { useCamera, FILTER_STYLES } from '../hooks/useCamera.js'
+import { Fragment, useState, useEffect, useRef } from 'react'
+import { useCamera } from '../hooks/useCamera.js'
+import { useLUTFilters } from '../hooks/useLUTFilters.js'
+import { useSettings } from '../hooks/useSettings.jsx'
+import WebGLPreview from './WebGLPreview.jsx'
+import Toolbar from './Toolbar.jsx'
+import { importImageFile, isImageFile } from '../utils/importImage.js'
+import { DEFAULT_FILTER_STRENGTH } from '../utils/filters.js'
+import { getToolbarTools } from '../utils/toolbarLayout.js'
 import './CameraLayer.css'
 
 /**
@@ -7,20 +14,6 @@ import './CameraLayer.css'
  * Fullscreen camera with filters, flip, flash, shutter
  */
 
-// 10 filter definitions
-const FILTERS = [
-    { id: 'original', label: 'Original', color: '#888' },
-    { id: 'warm', label: 'Warm', color: '#e8a87c' },
-    { id: 'cool', label: 'Cool', color: '#7ec8e8' },
-    { id: 'vibrant', label: 'Vibrant', color: '#c77dff' },
-    { id: 'vintage', label: 'Vintage', color: '#d4a574' },
-    { id: 'pastel', label: 'Pastel', color: '#f8c8dc' },
-    { id: 'mono', label: 'Mono', color: '#666' },
-    { id: 'soft', label: 'Soft', color: '#d4c8b8' },
-    { id: 'crisp', label: 'Crisp', color: '#94b8d4' },
-    { id: 'fade', label: 'Fade', color: '#a8a0b4' }
-]
-
 // Flash icon states
 const FLASH_ICONS = {
     off: (
@@ -48,25 +41,42 @@ const FLASH_ICONS = {
     )
 }
 
-export default function CameraLayer({ onCapture, onOpenSettings, toolPosition }) {
+export default function CameraLayer({ onCapture, onOpenSettings, onOpenDrafts, draftCount = 0 }) {
+    const { settings } = useSettings()
+    const { toolbarLayout } = settings
+
     const {
         videoRef,
+        filterVideoRef,
         canvasRef,
         isReady,
         error,
-        facingMode,
+        isMirrored,
         flipCamera,
         flashMode,
         flashSupported,
         cycleFlash,
         selectedFilter,
         setFilter,
+        filterStrength,
+        setFilterStrength,
         getFilterStyle,
+        previewMode,
+        disableWebGLPreview,
         captureFrame,
         zoomLevel,
         setZoom,
         zoomSupported
-    } = useCamera()
+    } = useCamera({ defaultFilter: settings.defaultFilter, mirrorFrontCamera: settings.mirrorFrontCamera })
+
+    // Built-in filters + imported .cube LUTs
+    const { filters, lutFilters, importLUT } = useLUTFilters()
+    const lutInputRef = useRef(null)
+
+    // Gallery import (file picker + desktop drag-and-drop)
+    const galleryInputRef = useRef(null)
+    const [isImporting, setIsImporting] = useState(false)
+    const [isDragOver, setIsDragOver] = useState(false)
 
     // Filter toast state
     const [showFilterToast, setShowFilterToast] = useState(false)
@@ -118,10 +128,10 @@ export default function CameraLayer({ onCapture, onOpenSettings, toolPosition })
         setIsCapturing(true)
 
         try {
-            const imageData = await captureFrame()
-            if (imageData) {
-                playShutterSound()
-                onCapture(imageData)
+            const capture = await captureFrame()
+            if (capture) {
+                if (settings.shutterSound) playShutterSound()
+                onCapture(capture)
             }
         } finally {
             setIsCapturing(false)
@@ -151,6 +161,86 @@ export default function CameraLayer({ onCapture, onOpenSettings, toolPosition })
         }
     }
 
+    // Show a short toast above the shutter
+    const showToast = (text) => {
+        setFilterToastName(text)
+        setShowFilterToast(true)
+        if (toastTimeoutRef.current) clearTimeout(toastTimeoutRef.current)
+        toastTimeoutRef.current = setTimeout(() => setShowFilterToast(false), 600)
+    }
+
+    // Import a .cube LUT and switch to it
+    const handleLUTFile = async (e) => {
+        const file = e.target.files && e.target.files[0]
+        e.target.value = ''
+        if (!file) return
+
+        try {
+            const filterId = await importLUT(file)
+            handleFilterSelect(filterId)
+            showToast('LUT imported')
+        } catch (err) {
+            console.warn('LUT import failed:', err)
+            showToast(err.name === 'QuotaExceededError' ? 'Storage full - only one large (64³) LUT fits' : 'Invalid LUT file')
+        }
+    }
+
+    // Import a gallery photo and open it in the editor like a capture
+    const importPhoto = async (file) => {
+        if (isImporting) return
+        if (!isImageFile(file)) {
+            showToast('Not an image')
+            return
+        }
+
+        setIsImporting(true)
+        try {
+            const dataUrl = await importImageFile(file)
+            // Gallery photos open unfiltered - the viewfinder filter was
+            // never seen on them, the editor can add one
+            onCapture({
+                dataUrl,
+                filterId: 'original',
+                filterStrength: DEFAULT_FILTER_STRENGTH
+            })
+        } catch (err) {
+            console.warn('Photo import failed:', err)
+            showToast('Could not open photo')
+        } finally {
+            setIsImporting(false)
+        }
+    }
+
+    const handleGalleryFile = (e) => {
+        const file = e.target.files && e.target.files[0]
+        e.target.value = ''
+        if (file) importPhoto(file)
+    }
+
+    // Desktop drag-and-drop - only react to file drags
+    const isFileDrag = (e) => Array.from(e.dataTransfer.types || []).includes('Files')
+
+    const handleDragOver = (e) => {
+        if (!isFileDrag(e)) return
+        e.preventDefault()
+        e.dataTransfer.dropEffect = 'copy'
+        setIsDragOver(true)
+    }
+
+    const handleDragLeave = (e) => {
+        // Ignore leaves into child elements
+        if (e.currentTarget.contains(e.relatedTarget)) return
+        setIsDragOver(false)
+    }
+
+    const handleDrop = (e) => {
+        if (!isFileDrag(e)) return
+        e.preventDefault()
+        setIsDragOver(false)
+        const file = Array.from(e.dataTransfer.files).find(isImageFile) || e.dataTransfer.files[0]
+        if (file) importPhoto(file)
+    }
+
     // Handle settings gear tap
     const handleSettingsClick = () => {
         if (onOpenSettings) {
@@ -173,27 +263,137 @@ export default function CameraLayer({ onCapture, onOpenSettings, toolPosition })
         cycleFlash()
     }
 
+    // Toolbar buttons by tool id (toolbarLayout.js) - false when unavailable
+    const toolButtons = {
+        // Flip camera - functional
+        flip: (
+            <button className="toolbar-button" onClick={handleFlip} aria-label="Flip Camera">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M11 19H4a2 2 0 0 1-2-2V7a2 2 0 0 1 2-2h5" />
+                    <path d="M13 5h7a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2h-5" />
+                    <circle cx="12" cy="12" r="3" />
+                    <path d="m18 22-3-3 3-3" />
+                    <path d="m6 2 3 3-3 3" />
+                </svg>
+            </button>
+        ),
+        // Flash - cycles through modes
+        flash: (
+            <button
+                className={`toolbar-button ${flashMode !== 'off' ? 'toolbar-button-active' : ''}`}
+                onClick={handleFlashCycle}
+                aria-label={`Flash: ${flashMode}`}
+                title={flashSupported ? `Flash: ${flashMode}` : 'Flash not supported'}
+            >
+                {FLASH_ICONS[flashMode]}
+            </button>
+        ),
+        // Import .cube LUT as a custom filter
+        lut: (
+            <button
+                className="toolbar-button"
+                onClick={() => lutInputRef.current && lutInputRef.current.click()}
+                aria-label="Import LUT"
+            >
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round">
+                    <path d="M12 2l9 5v10l-9 5-9-5V7z" />
+                    <path d="M12 12l9-5M12 12v10M12 12L3 7" />
+                </svg>
+            </button>
+        ),
+        // Drafts - in-progress edits saved by the editor
+        drafts: draftCount > 0 && (
+            <button
+                className="toolbar-button toolbar-button-badged"
+                onClick={onOpenDrafts}
+                aria-label={`Drafts (${draftCount})`}
+            >
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+                    <path d="M14 2v6h6M8 13h8M8 17h5" />
+                </svg>
+                <span className="toolbar-badge">{draftCount}</span>
+            </button>
+        )
+    }
+
+    // Visible and available - with none left the bar isn't rendered at all
+    const toolbarTools = getToolbarTools(toolbarLayout, 'camera').filter(id => toolButtons[id])
+
     return (
-        <div className="camera-layer">
+        <div
+            className="camera-layer"
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+        >
             {/* Hidden canvas for capture */}
             <canvas ref={canvasRef} className="capture-canvas" />
 
-            {/* Live camera preview with filter applied */}
+            {/* LUT preview approximations - referenced by url(#lut-filter-<id>) */}
+            {lutFilters.length > 0 && (
+                <svg width="0" height="0" style={{ position: 'absolute' }} aria-hidden="true">
+                    <defs>
+                        {lutFilters.map((filter) => (
+                            <filter key={filter.id} id={`lut-filter-${filter.id}`} colorInterpolationFilters="sRGB">
+                                <feColorMatrix type="matrix" values={filter.matrix} />
+                            </filter>
+                        ))}
+                    </defs>
+                </svg>
+            )}
+
+            {/* Live camera preview - unfiltered base */}
             <video
                 ref={videoRef}
                 className="camera-preview"
                 style={{
-                    filter: getFilterStyle(),
-                    transform: facingMode === 'user' ? 'scaleX(-1)' : undefined
+                    transform: isMirrored ? 'scaleX(-1)' : undefined
                 }}
                 autoPlay
                 playsInline
                 muted
-                onTouchStart={handlePinchStart}
-                onTouchMove={handlePinchMove}
-                onTouchEnd={handlePinchEnd}
             />
 
+            {previewMode === 'webgl' ? (
+                /* WebGL viewfinder - shaders run the exact capture math */
+                <WebGLPreview
+                    videoRef={videoRef}
+                    filterId={selectedFilter}
+                    strength={filterStrength}
+                    mirrored={isMirrored}
+                    onError={disableWebGLPreview}
+                    onTouchStart={handlePinchStart}
+                    onTouchMove={handlePinchMove}
+                    onTouchEnd={handlePinchEnd}
+                />
+            ) : (
+                /* CSS fallback - filtered layer on top, opacity = strength matches the baked blend */
+                <video
+                    ref={filterVideoRef}
+                    className="camera-preview"
+                    style={{
+                        filter: getFilterStyle(),
+                        opacity: selectedFilter === 'original' ? 0 : filterStrength,
+                        transform: isMirrored ? 'scaleX(-1)' : undefined
+                    }}
+                    autoPlay
+                    playsInline
+                    muted
+                    aria-hidden="true"
+                    onTouchStart={handlePinchStart}
+                    onTouchMove={handlePinchMove}
+                    onTouchEnd={handlePinchEnd}
+                />
+            )}
+
+            {/* Rule-of-thirds grid */}
+            {settings.grid && (
+                <div className="camera-grid" aria-hidden="true">
+                    <span /><span /><span /><span />
+                </div>
+            )}
+
             {/* Error state */}
             {error && (
                 <div className="camera-error">
@@ -214,29 +414,21 @@ export default function CameraLayer({ onCapture, onOpenSettings, toolPosition })
                 </svg>
             </button>
 
-            {/* Right toolbar */}
-            <div className={`toolbar toolbar-${toolPosition === 'left' ? 'right' : 'left'}-side`}>
-                {/* Flip camera - functional */}
-                <button className="toolbar-button" onClick={handleFlip} aria-label="Flip Camera">
-                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <path d="M11 19H4a2 2 0 0 1-2-2V7a2 2 0 0 1 2-2h5" />
-                        <path d="M13 5h7a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2h-5" />
-                        <circle cx="12" cy="12" r="3" />
-                        <path d="m18 22-3-3 3-3" />
-                        <path d="m6 2 3 3-3 3" />
-                    </svg>
-                </button>
-                {/* Flash - cycles through modes */}
-                <button
-                    className={`toolbar-button ${flashMode !== 'off' ? 'toolbar-button-active' : ''}`}
-                    onClick={handleFlashCycle}
-                    aria-label={`Flash: ${flashMode}`}
-                    title={flashSupported ? `Flash: ${flashMode}` : 'Flash not supported'}
-                >
-                    {FLASH_ICONS[flashMode]}
-                </button>
-
-            </div>
+            {/* Toolbar - placement, order and visible tools from settings */}
+            {toolbarTools.length > 0 && (
+                <Toolbar position={toolbarLayout.position} className="camera-toolbar">
+                    {toolbarTools.map(id => (
+                        <Fragment key={id}>{toolButtons[id]}</Fragment>
+                    ))}
+                </Toolbar>
+            )}
+            <input
+                ref={lutInputRef}
+                type="file"
+                accept=".cube"
+                onChange={handleLUTFile}
+                style={{ display: 'none' }}
+            />
 
             {/* Bottom Control Bar - Instagram style */}
             <div style={{
@@ -251,8 +443,39 @@ export default function CameraLayer({ onCapture, onOpenSettings, toolPosition })
                 zIndex: 100,
                 padding: '0 24px'
             }}>
-                {/* Left spacer (for gallery in future) */}
-                <div style={{ width: '48px' }} />
+                {/* Gallery button - LEFT - SECONDARY */}
+                <button
+                    onClick={() => galleryInputRef.current && galleryInputRef.current.click()}
+                    disabled={isImporting}
+                    aria-label="Import from Gallery"
+                    style={{
+                        width: '48px',
+                        height: '48px',
+                        background: 'rgba(255, 255, 255, 0.15)',
+                        backdropFilter: 'blur(10px)',
+                        border: 'none',
+                        borderRadius: '50%',
+                        cursor: 'pointer',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        color: '#fff',
+                        opacity: isImporting ? 0.5 : 1
+                    }}
+                >
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round">
+                        <rect x="3" y="3" width="18" height="18" rx="2" />
+                        <circle cx="8.5" cy="8.5" r="1.5" />
+                        <path d="M21 15l-5-5L5 21" />
+                    </svg>
+                </button>
+                <input
+                    ref={galleryInputRef}
+                    type="file"
+                    accept="image/*"
+                    onChange={handleGalleryFile}
+                    style={{ display: 'none' }}
+                />
 
                 {/* Shutter button - CENTER - PRIMARY */}
                 <button
@@ -282,17 +505,14 @@ export default function CameraLayer({ onCapture, onOpenSettings, toolPosition })
                 {/* Filter button - RIGHT - SECONDARY */}
                 <button
                     onClick={() => {
-                        // Cycle through filters
-                        const currentIndex = FILTERS.findIndex(f => f.id === selectedFilter)
-                        const nextIndex = (currentIndex + 1) % FILTERS.length
-                        const nextFilter = FILTERS[nextIndex]
+                        // Cycle through filters (built-ins then imported LUTs)
+                        const currentIndex = filters.findIndex(f => f.id === selectedFilter)
+                        const nextIndex = (currentIndex + 1) % filters.length
+                        const nextFilter = filters[nextIndex]
                         handleFilterSelect(nextFilter.id)
 
                         // Show filter name toast
-                        setFilterToastName(nextFilter.label)
-                        setShowFilterToast(true)
-                        if (toastTimeoutRef.current) clearTimeout(toastTimeoutRef.current)
-                        toastTimeoutRef.current = setTimeout(() => setShowFilterToast(false), 600)
+                        showToast(nextFilter.label)
                     }}
                     aria-label="Filters"
                     style={{
@@ -316,11 +536,33 @@ export default function CameraLayer({ onCapture, onOpenSettings, toolPosition })
                 </button>
             </div>
 
+            {/* Filter strength slider - hidden for Original */}
+            {selectedFilter !== 'original' && (
+                <div className="slider-pill camera-filter-strength">
+                    <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={Math.round(filterStrength * 100)}
+                        onChange={(e) => setFilterStrength(Number(e.target.value) / 100)}
+                        aria-label="Filter strength"
+                    />
+                    <span className="slider-pill-value">{Math.round(filterStrength * 100)}%</span>
+                </div>
+            )}
+
+            {/* Drop target highlight while a file is dragged over */}
+            {isDragOver && (
+                <div className="camera-drop-overlay">
+                    <p>Drop photo to edit</p>
+                </div>
+            )}
+
             {/* Filter name toast */}
             {showFilterToast && (
                 <div style={{
                     position: 'absolute',
-                    bottom: '150px',
+                    bottom: '200px',
                     left: '50%',
                     transform: 'translateX(-50%)',
                     background: 'rgba(0, 0, 0, 0.7)',
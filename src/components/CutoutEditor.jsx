@@ -0,0 +1,313 @@
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { importImageFile } from '../utils/importImage.js'
+import { createCutoutImage, saveCutout } from '../utils/cutouts.js'
+import './CutoutEditor.css'
+
+// Selection modes - freehand lasso or an oval dragged corner to corner
+const MODES = [
+    { id: 'lasso', label: 'Lasso' },
+    { id: 'oval', label: 'Oval' }
+]
+
+// Edge softness slider (0-100) → feather as a fraction of the image's long edge
+const MAX_FEATHER = 0.02
+const DEFAULT_SOFTNESS = 30
+
+// Lasso points closer than this (display px) are skipped
+const MIN_POINT_DISTANCE = 3
+
+// Ellipse inscribed in a box, as a closed polygon
+function ovalPoints(x0, y0, x1, y1, segments = 64) {
+    const cx = (x0 + x1) / 2
+    const cy = (y0 + y1) / 2
+    const rx = Math.abs(x1 - x0) / 2
+    const ry = Math.abs(y1 - y0) / 2
+    return Array.from({ length: segments }, (_, i) => {
+        const angle = (i / segments) * Math.PI * 2
+        return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) }
+    })
+}
+
+/**
+ * CutoutEditor Component - CamTech v1.7
+ * Fullscreen overlay that turns part of a photo into a "My stickers" cutout
+ * Trace a lasso (or drag an oval), soften the edge, save as a transparent PNG
+ * z-index: 250 (above the sticker drawer)
+ */
+export default function CutoutEditor({ photoSrc, onSave, onClose }) {
+    const stageRef = useRef(null)
+    const canvasRef = useRef(null)
+    const fileInputRef = useRef(null)
+
+    const [image, setImage] = useState(null)
+    const [stageSize, setStageSize] = useState({ width: 0, height: 0 })
+    const [mode, setMode] = useState('lasso')
+    const [points, setPoints] = useState([])
+    const [isTracing, setIsTracing] = useState(false)
+    const [softness, setSoftness] = useState(DEFAULT_SOFTNESS)
+    const [previewUrl, setPreviewUrl] = useState(null)
+    const [isSaving, setIsSaving] = useState(false)
+    const [status, setStatus] = useState(null)
+    const traceStartRef = useRef(null)
+
+    const hasSelection = points.length >= 3 && !isTracing
+    const feather = image
+        ? (softness / 100) * MAX_FEATHER * Math.max(image.naturalWidth, image.naturalHeight)
+        : 0
+
+    // Load the source photo (the edited photo first, the gallery on request)
+    const loadSource = useCallback((src) => {
+        const img = new Image()
+        img.onload = () => {
+            setImage(img)
+            setPoints([])
+            setStatus(null)
+        }
+        img.onerror = () => setStatus('Could not open photo')
+        img.src = src
+    }, [])
+
+    useEffect(() => {
+        if (photoSrc) loadSource(photoSrc)
+    }, [photoSrc, loadSource])
+
+    const handleChoosePhoto = async (e) => {
+        const file = e.target.files && e.target.files[0]
+        e.target.value = ''
+        if (!file) return
+        try {
+            loadSource(await importImageFile(file))
+        } catch (err) {
+            console.warn('Cutout photo import failed:', err)
+            setStatus('Could not open photo')
+        }
+    }
+
+    // Fit the photo inside the stage
+    useEffect(() => {
+        if (!image || !stageRef.current) return
+
+        const fit = () => {
+            const stage = stageRef.current
+            if (!stage) return
+            const scale = Math.min(
+                stage.clientWidth / image.naturalWidth,
+                stage.clientHeight / image.naturalHeight
+            )
+            setStageSize({
+                width: Math.round(image.naturalWidth * scale),
+                height: Math.round(image.naturalHeight * scale)
+            })
+        }
+        fit()
+        window.addEventListener('resize', fit)
+        return () => window.removeEventListener('resize', fit)
+    }, [image])
+
+    // Redraw photo, dimmed outside the selection
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!canvas || !image || !stageSize.width) return
+
+        const dpr = window.devicePixelRatio || 1
+        canvas.width = stageSize.width * dpr
+        canvas.height = stageSize.height * dpr
+        const ctx = canvas.getContext('2d')
+        ctx.scale(dpr, dpr)
+        ctx.drawImage(image, 0, 0, stageSize.width, stageSize.height)
+        if (points.length < 2) return
+
+        const toStage = stageSize.width / image.naturalWidth
+        const tracePath = () => {
+            points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x * toStage, p.y * toStage)
+                else ctx.lineTo(p.x * toStage, p.y * toStage)
+            })
+        }
+
+        if (hasSelection) {
+            ctx.beginPath()
+            ctx.rect(0, 0, stageSize.width, stageSize.height)
+            tracePath()
+            ctx.closePath()
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)'
+            ctx.fill('evenodd')
+        }
+
+        ctx.beginPath()
+        tracePath()
+        if (hasSelection) ctx.closePath()
+        ctx.strokeStyle = '#fff'
+        ctx.lineWidth = 2
+        ctx.setLineDash([6, 4])
+        ctx.stroke()
+    }, [image, stageSize, points, hasSelection])
+
+    // Live preview of the finished cutout
+    useEffect(() => {
+        if (!image || !hasSelection) {
+            setPreviewUrl(null)
+            return
+        }
+
+        let url = null
+        let cancelled = false
+        createCutoutImage(image, points, { feather })
+            .then((blob) => {
+                if (cancelled) return
+                url = URL.createObjectURL(blob)
+                setPreviewUrl(url)
+            })
+            .catch(() => {
+                if (!cancelled) setPreviewUrl(null)
+            })
+        return () => {
+            cancelled = true
+            if (url) URL.revokeObjectURL(url)
+        }
+    }, [image, points, hasSelection, feather])
+
+    // Pointer position in photo pixels
+    const getImagePoint = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect()
+        const toImage = image.naturalWidth / rect.width
+        return {
+            x: Math.max(0, Math.min(image.naturalWidth, (e.clientX - rect.left) * toImage)),
+            y: Math.max(0, Math.min(image.naturalHeight, (e.clientY - rect.top) * toImage))
+        }
+    }
+
+    const handlePointerDown = (e) => {
+        if (!image || isSaving) return
+        e.preventDefault()
+        e.currentTarget.setPointerCapture(e.pointerId)
+
+        const point = getImagePoint(e)
+        traceStartRef.current = point
+        setIsTracing(true)
+        setPoints(mode === 'oval' ? [] : [point])
+    }
+
+    const handlePointerMove = (e) => {
+        if (!isTracing) return
+        const point = getImagePoint(e)
+
+        if (mode === 'oval') {
+            const start = traceStartRef.current
+            setPoints(ovalPoints(start.x, start.y, point.x, point.y))
+            return
+        }
+
+        setPoints((prev) => {
+            const last = prev[prev.length - 1]
+            const minDistance = MIN_POINT_DISTANCE * (image.naturalWidth / stageSize.width)
+            if (last && Math.hypot(point.x - last.x, point.y - last.y) < minDistance) return prev
+            return [...prev, point]
+        })
+    }
+
+    const handlePointerUp = () => {
+        if (!isTracing) return
+        setIsTracing(false)
+        // A tap is not a selection
+        setPoints(prev => prev.length >= 3 ? prev : [])
+    }
+
+    const handleSave = async () => {
+        if (!hasSelection || isSaving) return
+        setIsSaving(true)
+        setStatus(null)
+        try {
+            const blob = await createCutoutImage(image, points, { feather })
+            onSave(await saveCutout(blob))
+        } catch (err) {
+            console.warn('Cutout save failed:', err)
+            setStatus(err.name === 'QuotaExceededError' ? 'Storage full' : 'Could not save sticker')
+            setIsSaving(false)
+        }
+    }
+
+    return (
+        <div className="cutout-overlay">
+            {/* Header - Cancel / title / Save */}
+            <div className="cutout-header">
+                <button className="cutout-header-button" onClick={onClose}>Cancel</button>
+                <span className="cutout-title">New Sticker</span>
+                <button
+                    className="cutout-header-button cutout-header-primary"
+                    onClick={handleSave}
+                    disabled={!hasSelection || isSaving}
+                >
+                    {isSaving ? 'Saving…' : 'Save'}
+                </button>
+            </div>
+
+            {/* Stage - trace on the photo */}
+            <div className="cutout-stage" ref={stageRef}>
+                {image && (
+                    <canvas
+                        ref={canvasRef}
+                        className="cutout-canvas"
+                        style={{ width: stageSize.width, height: stageSize.height }}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                    />
+                )}
+                {!hasSelection && !isTracing && image && (
+                    <div className="cutout-hint">
+                        {mode === 'lasso' ? 'Trace around what you want to keep' : 'Drag to place the oval'}
+                    </div>
+                )}
+                {previewUrl && (
+                    <div className="cutout-preview">
+                        <img src={previewUrl} alt="Sticker preview" />
+                    </div>
+                )}
+            </div>
+
+            {status && <p className="cutout-status">{status}</p>}
+
+            {/* Controls - selection mode, edge softness, source photo */}
+            <div className="cutout-controls">
+                <div className="slider-pill">
+                    <span className="cutout-slider-label">Edge</span>
+                    <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={softness}
+                        onChange={(e) => setSoftness(Number(e.target.value))}
+                        aria-label="Edge softness"
+                    />
+                    <span className="slider-pill-value">{softness}</span>
+                </div>
+                <div className="cutout-control-row">
+                    {MODES.map(({ id, label }) => (
+                        <button
+                            key={id}
+                            className={`cutout-chip ${mode === id ? 'cutout-chip-active' : ''}`}
+                            onClick={() => {
+                                setMode(id)
+                                setPoints([])
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                    <button className="cutout-chip" onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+                        Choose Photo
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="image/*"
+                        onChange={handleChoosePhoto}
+                        style={{ display: 'none' }}
+                    />
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,90 @@
+import { useEffect, useMemo } from 'react'
+import './DraftsSheet.css'
+
+// "5 min ago" style label for a draft timestamp
+function formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000)
+    if (minutes < 1) return 'Just now'
+    if (minutes < 60) return `${minutes} min ago`
+    const hours = Math.round(minutes / 60)
+    if (hours < 24) return `${hours} h ago`
+    return new Date(timestamp).toLocaleDateString()
+}
+
+/**
+ * DraftsSheet Component - Hikari CamTech Engine v3.1
+ * Resume prompt on launch + list of in-progress edits
+ * Newest draft is featured, older ones are listed below it
+ * z-index: 30 (same layer as SettingsSheet)
+ */
+export default function DraftsSheet({ drafts, onResume, onDelete, onClose }) {
+    // Thumbnails from the stored image blobs
+    const thumbnails = useMemo(
+        () => Object.fromEntries(drafts.map(draft => [draft.id, URL.createObjectURL(draft.image)])),
+        [drafts]
+    )
+
+    useEffect(() => () => {
+        Object.values(thumbnails).forEach(url => URL.revokeObjectURL(url))
+    }, [thumbnails])
+
+    if (drafts.length === 0) return null
+
+    const [latest, ...older] = drafts
+
+    return (
+        <div className="drafts-overlay" onClick={onClose}>
+            <div className="drafts-sheet" onClick={(e) => e.stopPropagation()}>
+                {/* Handle */}
+                <div className="drafts-handle">
+                    <div className="drafts-handle-bar" />
+                </div>
+
+                <h2 className="drafts-title">Resume draft?</h2>
+
+                {/* Latest draft */}
+                <div className="drafts-latest">
+                    <img className="drafts-latest-image" src={thumbnails[latest.id]} alt="Latest draft" />
+                    <span className="drafts-age">{formatAge(latest.updatedAt)}</span>
+                    <div className="drafts-actions">
+                        <button className="drafts-discard" onClick={() => onDelete(latest.id)}>
+                            Discard
+                        </button>
+                        <button className="drafts-resume" onClick={() => onResume(latest)}>
+                            Resume
+                        </button>
+                    </div>
+                </div>
+
+                {/* Older drafts */}
+                {older.length > 0 && (
+                    <div className="drafts-list">
+                        {older.map(draft => (
+                            <div key={draft.id} className="drafts-item">
+                                <button
+                                    className="drafts-item-open"
+                                    onClick={() => onResume(draft)}
+                                    aria-label="Resume draft"
+                                >
+                                    <img src={thumbnails[draft.id]} alt="" />
+                                </button>
+                                <span className="drafts-age">{formatAge(draft.updatedAt)}</span>
+                                <button
+                                    className="drafts-item-delete"
+                                    onClick={() => onDelete(draft.id)}
+                                    aria-label="Delete draft"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <button className="drafts-close" onClick={onClose}>
+                    New Photo
+                </button>
+            </div>
+        </div>
+    )
+}
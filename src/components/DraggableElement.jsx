@@ -1,4 +1,6 @@
 import { useRef, useState, useCallback, useEffect, memo } from 'react'
+import { getSticker, findSticker, loadStickerAnimation } from '../utils/stickers.js'
+import { frameAt } from '../utils/animatedImage.js'
 import './DraggableElement.css'
 
 /**
@@ -6,7 +8,76 @@ import './DraggableElement.css'
  * Handles drag, pinch-to-scale, and rotation for text, stickers, emoji
  * Memoized for performance per PATCH 12
  */
-function DraggableElement({ element, onUpdate, onRemove, onTap, disabled }) {
+/**
+ * Sticker artwork - remote pack stickers in a restored draft resolve once
+ * their pack has loaded; until then (or if the pack is gone) show the fallback
+ */
+function StickerArt({ stickerId, fallback }) {
+    const [sticker, setSticker] = useState(() => getSticker(stickerId))
+
+    useEffect(() => {
+        if (sticker && sticker.id === stickerId) return
+        let cancelled = false
+        findSticker(stickerId).then((found) => {
+            if (!cancelled) setSticker(found)
+        })
+        return () => { cancelled = true }
+    }, [stickerId, sticker])
+
+    if (!sticker) return fallback
+    if (sticker.animated) return <AnimatedStickerArt sticker={sticker} />
+    return <img src={sticker.src} alt={sticker.label} draggable={false} />
+}
+
+/**
+ * Animated sticker - plays the decoded frames ExportEngine encodes, on the
+ * page clock so every copy stays in step. Shows the artwork until decoded
+ */
+function AnimatedStickerArt({ sticker }) {
+    const canvasRef = useRef(null)
+    const [animation, setAnimation] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        loadStickerAnimation(sticker.id).then((loaded) => {
+            if (!cancelled) setAnimation(loaded)
+        })
+        return () => { cancelled = true }
+    }, [sticker.id])
+
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!animation || !canvas) return
+
+        const ctx = canvas.getContext('2d')
+        let shown = null
+        let rafId = 0
+        const tick = (now) => {
+            const frame = frameAt(animation, now)
+            if (frame !== shown) {
+                ctx.clearRect(0, 0, canvas.width, canvas.height)
+                ctx.drawImage(frame.image, 0, 0)
+                shown = frame
+            }
+            rafId = requestAnimationFrame(tick)
+        }
+        rafId = requestAnimationFrame(tick)
+        return () => cancelAnimationFrame(rafId)
+    }, [animation])
+
+    if (!animation) return <img src={sticker.src} alt={sticker.label} draggable={false} />
+    return (
+        <canvas
+            ref={canvasRef}
+            width={animation.width}
+            height={animation.height}
+            role="img"
+            aria-label={sticker.label}
+        />
+    )
+}
+
+function DraggableElement({ element, onUpdate, onCommit, onRemove, onTap, disabled }) {
     // Hook declarations must come before any conditional returns (React rules)
     const elementRef = useRef(null)
     const [isDragging, setIsDragging] = useState(false)
@@ -19,6 +90,8 @@ function DraggableElement({ element, onUpdate, onRemove, onTap, disabled }) {
     const initialScaleRef = useRef(1)
     const initialAngleRef = useRef(0)
     const initialRotationRef = useRef(0)
+    // Transform at gesture start - handed to onCommit/onRemove for undo
+    const gestureStartRef = useRef(null)
 
     // Calculate distance between two touch points
     const getTouchDistance = (touches) => {
@@ -42,6 +115,16 @@ function DraggableElement({ element, onUpdate, onRemove, onTap, disabled }) {
         e.preventDefault()
         e.stopPropagation()
 
+        // A second finger turns a drag into a pinch - keep the original start
+        if (!isDragging && !isScaling) {
+            gestureStartRef.current = {
+                x: element.x,
+                y: element.y,
+                scale: element.scale,
+                rotation: element.rotation
+            }
+        }
+
         // Check for pinch gesture (2 fingers)
         if (e.touches && e.touches.length === 2) {
             setIsScaling(true)
@@ -63,7 +146,7 @@ function DraggableElement({ element, onUpdate, onRemove, onTap, disabled }) {
 
         dragStartRef.current = { x: clientX, y: clientY }
         elementStartRef.current = { x: element.x, y: element.y }
-    }, [element.x, element.y, element.scale, element.rotation, disabled])
+    }, [element.x, element.y, element.scale, element.rotation, disabled, isDragging, isScaling])
 
     // Handle touch/mouse move
     const handleDragMove = useCallback((e) => {
@@ -118,17 +201,20 @@ function DraggableElement({ element, onUpdate, onRemove, onTap, disabled }) {
     const handleDragEnd = useCallback(() => {
         if (isScaling) {
             setIsScaling(false)
+            if (onCommit) onCommit(gestureStartRef.current)
             return
         }
         if (isOverDelete) {
-            onRemove()
-        } else if (!hasDraggedRef.current && onTap) {
+            onRemove(gestureStartRef.current)
+        } else if (hasDraggedRef.current) {
+            if (onCommit) onCommit(gestureStartRef.current)
+        } else if (onTap) {
             // It was a tap, not a drag - call onTap for re-edit
             onTap()
         }
         setIsDragging(false)
         setIsOverDelete(false)
-    }, [isScaling, isOverDelete, onRemove, onTap])
+    }, [isScaling, isOverDelete, onCommit, onRemove, onTap])
 
     // Add global event listeners when dragging or scaling
     useEffect(() => {
@@ -195,15 +281,19 @@ function DraggableElement({ element, onUpdate, onRemove, onTap, disabled }) {
                 )
             }
             case 'sticker':
+                // Same artwork ExportEngine composites
                 return (
                     <div className="draggable-sticker">
-                        {element.data?.content || '📷'}
+                        <StickerArt
+                            stickerId={element.data?.stickerId}
+                            fallback={element.data?.content || '📷'}
+                        />
                     </div>
                 )
             case 'emoji':
                 return (
                     <div className="draggable-emoji">
-                        {element.data?.emoji || '😊'}
+                        {element.data?.emojiChar || '😊'}
                     </div>
                 )
             default:
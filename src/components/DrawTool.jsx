@@ -1,4 +1,5 @@
 import { useRef, useEffect, useCallback, useState } from 'react'
+import { BRUSH_SIZES } from '../utils/scene.js'
 import './DrawTool.css'
 
 /**
@@ -13,18 +14,14 @@ const DRAW_COLORS = [
     '#00C7BE', '#007AFF', '#5856D6', '#AF52DE', '#FF2D55', '#A2845E'
 ]
 
-// Brush sizes - increased difference for visibility
-const BRUSH_SIZES = {
-    small: 4,
-    medium: 16
-}
-
 export default function DrawTool({
     isActive,
     canvasWidth,
     canvasHeight,
     strokes,
     onStrokesChange,
+    onUndo,
+    canUndo,
     onExit
 }) {
     const canvasRef = useRef(null)
@@ -65,7 +62,7 @@ export default function DrawTool({
 
             ctx.beginPath()
             ctx.strokeStyle = stroke.color
-            ctx.lineWidth = BRUSH_SIZES[stroke.size] || BRUSH_SIZES.small
+            ctx.lineWidth = stroke.width || BRUSH_SIZES[stroke.size] || BRUSH_SIZES.small
             ctx.lineCap = 'round'
             ctx.lineJoin = 'round'
 
@@ -80,7 +77,7 @@ export default function DrawTool({
         if (currentStroke && currentStroke.points.length >= 2) {
             ctx.beginPath()
             ctx.strokeStyle = currentStroke.color
-            ctx.lineWidth = BRUSH_SIZES[currentStroke.size] || BRUSH_SIZES.small
+            ctx.lineWidth = currentStroke.width
             ctx.lineCap = 'round'
             ctx.lineJoin = 'round'
 
@@ -148,6 +145,8 @@ export default function DrawTool({
             id: `stroke-${Date.now()}`,
             color: strokeColor,
             size: brushSize,
+            // Pixel width - restored scenes rescale this to the display size
+            width: BRUSH_SIZES[brushSize],
             points: [pos]
         }
         setCurrentStroke(newStroke)
@@ -195,13 +194,6 @@ export default function DrawTool({
         lastPointRef.current = null
     }, [isDrawing, currentStroke, strokes, onStrokesChange])
 
-    // Undo last stroke
-    const handleUndo = useCallback(() => {
-        if (strokes.length > 0) {
-            onStrokesChange(strokes.slice(0, -1))
-        }
-    }, [strokes, onStrokesChange])
-
     // Clear all strokes
     const handleClear = useCallback(() => {
         onStrokesChange([])
@@ -318,11 +310,11 @@ export default function DrawTool({
                             />
                         </button>
 
-                        {/* Undo */}
+                        {/* Undo - strokes only; other edits undo from the editor's top bar */}
                         <button
                             className="draw-action-button"
-                            onClick={handleUndo}
-                            disabled={strokes.length === 0}
+                            onClick={onUndo}
+                            disabled={!canUndo}
                             aria-label="Undo"
                         >
                             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -1,29 +1,85 @@
-import { useState, useRef, useEffect, useCallback, useMemo } from 'react'
+import { Fragment, useState, useRef, useEffect, useCallback, useMemo } from 'react'
 import DraggableElement from './DraggableElement.jsx'
 import TextEditor from './TextEditor.jsx'
 import StickerDrawer from './StickerDrawer.jsx'
 import EmojiPicker from './EmojiPicker.jsx'
 import DrawTool from './DrawTool.jsx'
-import { exportAndShare } from '../utils/ExportEngine.js'
+import SaveSheet from './SaveSheet.jsx'
+import CutoutEditor from './CutoutEditor.jsx'
+import Toolbar from './Toolbar.jsx'
+import { exportImage, exportAnimation } from '../utils/ExportEngine.js'
+import { isAnimatedSticker } from '../utils/stickers.js'
+import { processPixels } from '../utils/processPixels.js'
+import { useLUTFilters } from '../hooks/useLUTFilters.js'
+import { useEditHistory } from '../hooks/useEditHistory.js'
+import { useSettings } from '../hooks/useSettings.jsx'
+import { serializeScene, loadScene, migrateScene } from '../utils/scene.js'
+import { saveDraft, deleteDraft, isDraftStorageSupported } from '../utils/drafts.js'
+import { ADJUSTMENTS, DEFAULT_ADJUSTMENTS, hasAdjustments } from '../utils/adjustments.js'
+import { getToolbarTools } from '../utils/toolbarLayout.js'
 import './EditorLayer.css'
 
 /**
  * EditorLayer Component - CamTech v1.7
  * Structure: Base Canvas → Draw Layer → Elements Layer → UI Layer
  */
-export default function EditorLayer({ imageData, onRetake, onDone, toolPosition }) {
+export default function EditorLayer({ capture, onRetake, onDone }) {
+    // Toolbar layout + export format/quality/size from settings
+    const { settings: { toolbarLayout, exportOptions } } = useSettings()
+
     // Canvas refs for layer architecture
     const containerRef = useRef(null)
     const baseCanvasRef = useRef(null)
     const drawCanvasRef = useRef(null)
     const canvasContainerRef = useRef(null)
 
+    // Unfiltered source frame - filter stays editable until export
+    const sourceImageRef = useRef(null)
+    const sourcePixelsRef = useRef(null)
+    const renderJobRef = useRef(0)
+    // Restored drafts start from the saved filter + adjustments (size-independent)
+    const [restoredScene] = useState(() => {
+        try {
+            return capture.scene ? migrateScene(capture.scene) : null
+        } catch (e) {
+            return null
+        }
+    })
+    const [filterId, setFilterId] = useState(restoredScene?.filter.id ?? capture.filterId)
+    const [filterStrength, setFilterStrength] = useState(restoredScene?.filter.strength ?? capture.filterStrength)
+    const { filters } = useLUTFilters()
+
+    // Manual adjustments - stacked on top of the filter
+    const [adjustments, setAdjustments] = useState(restoredScene?.adjustments || DEFAULT_ADJUSTMENTS)
+    const [activeAdjustment, setActiveAdjustment] = useState(ADJUSTMENTS[0].id)
+
     // Canvas dimensions state
     const [canvasDimensions, setCanvasDimensions] = useState({ width: 0, height: 0 })
     const [canvasOffset, setCanvasOffset] = useState({ x: 0, y: 0 })
 
     // Placed elements state - persists across drawer open/close
-    const [placedElements, setPlacedElements] = useState([])
+    // Strokes + elements live in the undo/redo history
+    const {
+        strokes,
+        elements: placedElements,
+        execute,
+        preview,
+        commit,
+        remove,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        canUndoStroke,
+        load
+    } = useEditHistory()
+
+    // Draft autosave - resumed drafts keep their id
+    const draftIdRef = useRef(capture.draftId || `draft-${Date.now().toString(36)}`)
+    const draftImageRef = useRef(null)
+    const pendingDraftRef = useRef(null)
+    // Set once the photo is saved and the draft deleted - no save may bring it back
+    const draftDoneRef = useRef(false)
 
     // Active tool state
     const [activeTool, setActiveTool] = useState(null)
@@ -31,6 +87,7 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
     // Drawer states
     const [isStickerDrawerOpen, setIsStickerDrawerOpen] = useState(false)
     const [isEmojiPickerOpen, setIsEmojiPickerOpen] = useState(false)
+    const [isCutoutEditorOpen, setIsCutoutEditorOpen] = useState(false)
 
     // Text editing state (IG-style)
     const [isEditingText, setIsEditingText] = useState(false)
@@ -41,20 +98,25 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
 
     // Draw mode state
     const [isDrawMode, setIsDrawMode] = useState(false)
-    const [strokes, setStrokes] = useState([])
 
     // Export state
     const [isExporting, setIsExporting] = useState(false)
     const [exportResult, setExportResult] = useState(null)
 
+    // Animated stickers on the photo - the save sheet offers an animated export
+    const hasAnimation = useMemo(() =>
+        placedElements.some(element => element.type === 'sticker' && isAnimatedSticker(element.data?.stickerId)),
+        [placedElements]
+    )
+
     // PATCH 15: Rapid action protection
     const lastActionRef = useRef(0)
     const ACTION_DEBOUNCE_MS = 150
 
     // PATCH 15: Computed gesture state - determines if editor interactions are blocked
     const isAnyModalOpen = useMemo(() =>
-        isStickerDrawerOpen || isEmojiPickerOpen || isEditingText,
-        [isStickerDrawerOpen, isEmojiPickerOpen, isEditingText]
+        isStickerDrawerOpen || isEmojiPickerOpen || isCutoutEditorOpen || isEditingText || !!exportResult,
+        [isStickerDrawerOpen, isEmojiPickerOpen, isCutoutEditorOpen, isEditingText, exportResult]
     )
 
     // PATCH 15: Determine if draggable elements should be interactive
@@ -63,12 +125,11 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
         [isDrawMode, isAnyModalOpen, isExporting]
     )
 
-    // Render frozen frame to base canvas - <50ms mount
+    // Load frozen frame and size canvases - <50ms mount
     useEffect(() => {
-        if (!imageData || !baseCanvasRef.current || !containerRef.current) return
+        if (!capture || !baseCanvasRef.current || !containerRef.current) return
 
         const canvas = baseCanvasRef.current
-        const ctx = canvas.getContext('2d')
         const container = containerRef.current
 
         const img = new Image()
@@ -101,6 +162,20 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                 drawCanvasRef.current.height = renderHeight
             }
 
+            // Keep display-size raw pixels - every re-filter starts from a copy
+            canvas.getContext('2d').drawImage(img, 0, 0, renderWidth, renderHeight)
+            sourceImageRef.current = img
+            sourcePixelsRef.current = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+
+            // Restored draft: scene coordinates are normalized, load at this display size
+            if (capture.scene) {
+                try {
+                    load(loadScene(capture.scene, { width: renderWidth, height: renderHeight }))
+                } catch (e) {
+                    console.warn('Draft scene unreadable:', e)
+                }
+            }
+
             // Store dimensions and calculate offset for element positioning
             setCanvasDimensions({ width: renderWidth, height: renderHeight })
 
@@ -112,12 +187,80 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                     y: rect.top + (rect.height - renderHeight) / 2
                 })
             }
+        }
+        img.src = capture.dataUrl
+    }, [capture, load])
 
-            // Draw image maintaining aspect ratio
-            ctx.drawImage(img, 0, 0, renderWidth, renderHeight)
+    // Autosave the draft (debounced) once the photo has been edited
+    useEffect(() => {
+        if (!isDraftStorageSupported() || !canvasDimensions.width || draftDoneRef.current) return
+
+        const isPristine = strokes.length === 0 && placedElements.length === 0 &&
+            !hasAdjustments(adjustments) && filterId === capture.filterId &&
+            filterStrength === capture.filterStrength
+        if (isPristine && !capture.draftId) return
+
+        const save = async () => {
+            pendingDraftRef.current = null
+            if (draftDoneRef.current) return
+            try {
+                if (!draftImageRef.current) {
+                    draftImageRef.current = await (await fetch(capture.dataUrl)).blob()
+                }
+                if (draftDoneRef.current) return
+                await saveDraft({
+                    id: draftIdRef.current,
+                    image: draftImageRef.current,
+                    capture: { filterId: capture.filterId, filterStrength: capture.filterStrength },
+                    scene: serializeScene({
+                        strokes,
+                        elements: placedElements,
+                        filterId,
+                        filterStrength,
+                        adjustments,
+                        width: canvasDimensions.width,
+                        height: canvasDimensions.height
+                    })
+                })
+            } catch (e) {
+                console.warn('Draft save failed:', e)
+            }
         }
-        img.src = imageData
-    }, [imageData])
+
+        pendingDraftRef.current = save
+        const timer = setTimeout(save, 600)
+        return () => clearTimeout(timer)
+    }, [capture, strokes, placedElements, filterId, filterStrength, adjustments, canvasDimensions])
+
+    // Flush an unsaved draft when the editor closes (Retake right after an edit)
+    useEffect(() => () => {
+        if (pendingDraftRef.current) pendingDraftRef.current()
+    }, [])
+
+    // Re-render base canvas from the raw frame with filter + adjustments (preview only)
+    // Runs in the pixel worker; only the latest job is drawn
+    useEffect(() => {
+        const source = sourcePixelsRef.current
+        const canvas = baseCanvasRef.current
+        if (!source || !canvas || !canvasDimensions.width) return
+
+        const job = ++renderJobRef.current
+        const pixels = new ImageData(new Uint8ClampedArray(source.data), source.width, source.height)
+
+        processPixels(pixels, { filterId, filterStrength, adjustments })
+            .then((result) => {
+                if (job !== renderJobRef.current) return
+                canvas.getContext('2d').putImageData(result, 0, 0)
+            })
+            .catch((e) => {
+                console.warn('Pixel filter failed:', e)
+            })
+    }, [filterId, filterStrength, adjustments, canvasDimensions])
+
+    // Update the active adjustment slider value
+    const handleAdjustmentChange = useCallback((value) => {
+        setAdjustments(prev => ({ ...prev, [activeAdjustment]: value }))
+    }, [activeAdjustment])
 
     // APPROACH 3: Unified text entry - tap only triggers mode, position is fixed
     // Text input always appears at safe zone (35% from top, centered)
@@ -167,13 +310,15 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
 
     // Save text from editor with style
     const handleTextSave = useCallback((text, style) => {
-        if (activeTextId) {
+        const existing = activeTextId && placedElements.find(el => el.id === activeTextId)
+        if (existing) {
             // Update existing text element
-            setPlacedElements(prev => prev.map(el =>
-                el.id === activeTextId
-                    ? { ...el, data: { ...el.data, text, style } }
-                    : el
-            ))
+            execute({
+                type: 'update',
+                id: activeTextId,
+                before: { data: existing.data },
+                after: { data: { ...existing.data, text, style } }
+            })
         } else {
             // Create new text element - centered in canvas
             const newElement = {
@@ -185,7 +330,7 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                 rotation: 0,
                 data: { text, style }
             }
-            setPlacedElements(prev => [...prev, newElement])
+            execute({ type: 'add', element: newElement })
         }
 
         // Close editor
@@ -193,7 +338,7 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
         setActiveTextId(null)
         setInitialTextValue('')
         setInitialTextStyle(null)
-    }, [activeTextId, textInputPosition, canvasOffset])
+    }, [activeTextId, placedElements, canvasDimensions, execute])
 
     // Cancel text editing
     const handleTextCancel = useCallback(() => {
@@ -203,17 +348,25 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
         setInitialTextStyle(null)
     }, [])
 
-    // Update element position/transform
-    const updateElement = useCallback((id, updates) => {
-        setPlacedElements(prev => prev.map(el =>
-            el.id === id ? { ...el, ...updates } : el
-        ))
-    }, [])
+    // Record stroke changes from DrawTool (added stroke or clear)
+    const handleStrokesChange = useCallback((nextStrokes) => {
+        execute({ type: 'strokes', before: strokes, after: nextStrokes })
+    }, [strokes, execute])
 
-    // Remove element
-    const removeElement = useCallback((id) => {
-        setPlacedElements(prev => prev.filter(el => el.id !== id))
-    }, [])
+    // Undo/redo shortcuts: Ctrl/Cmd+Z, Shift+Ctrl/Cmd+Z (text inputs keep native undo)
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return
+            if (isEditingText || e.target.closest?.('input, textarea, [contenteditable="true"]')) return
+
+            e.preventDefault()
+            if (e.shiftKey) redo()
+            else undo()
+        }
+
+        window.addEventListener('keydown', handleKeyDown)
+        return () => window.removeEventListener('keydown', handleKeyDown)
+    }, [isEditingText, undo, redo])
 
     // Handle tool button press with gesture guards
     // PATCH 15: Added rapid action debouncing
@@ -263,10 +416,16 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
             y: canvasDimensions.height / 2,
             scale: 1,
             rotation: 0,
-            data: { stickerId: sticker.id, content: sticker.icon }
+            data: { stickerId: sticker.id }
         }
-        setPlacedElements(prev => [...prev, newElement])
-    }, [canvasDimensions])
+        execute({ type: 'add', element: newElement })
+    }, [canvasDimensions, execute])
+
+    // New cutout sticker - placed right away, and kept in "My stickers"
+    const handleCutoutSaved = useCallback((sticker) => {
+        setIsCutoutEditorOpen(false)
+        handleAddSticker(sticker)
+    }, [handleAddSticker])
 
     // Add emoji to placed elements
     const handleAddEmoji = useCallback((emojiChar) => {
@@ -279,44 +438,211 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
             rotation: 0,
             data: { emojiChar }
         }
-        setPlacedElements(prev => [...prev, newElement])
-    }, [canvasDimensions])
+        execute({ type: 'add', element: newElement })
+    }, [canvasDimensions, execute])
 
     // Handle Done button - export and share
     const handleDone = useCallback(async () => {
-        if (!baseCanvasRef.current) return
+        if (!sourceImageRef.current) return
 
         setIsExporting(true)
 
         try {
-            const result = await exportAndShare({
-                baseCanvas: baseCanvasRef.current,
-                strokes,
-                elements: placedElements,
-                displayWidth: canvasDimensions.width,
-                displayHeight: canvasDimensions.height
+            const result = await exportImage({
+                sourceImage: sourceImageRef.current,
+                scene: serializeScene({
+                    strokes,
+                    elements: placedElements,
+                    filterId,
+                    filterStrength,
+                    adjustments,
+                    width: canvasDimensions.width,
+                    height: canvasDimensions.height
+                }),
+                exportOptions
             })
 
+            // Save sheet picks share/download/copy from what the device supports
             setExportResult(result)
-
-            // Handle share result
-            if (result.notSupported) {
-                // Web Share not supported - show message, don't exit
-                alert('Sharing is not supported on this device')
-                return
-            }
-
-            // Exit editor after successful share or user cancel
-            if (onDone && (result.shared || result.cancelled)) {
-                onDone()
-            }
         } catch (error) {
             // Only log actual errors, show fallback message
             console.error('Export failed:', error)
         } finally {
             setIsExporting(false)
         }
-    }, [strokes, placedElements, canvasDimensions, onDone])
+    }, [strokes, placedElements, canvasDimensions, filterId, filterStrength, adjustments, exportOptions])
+
+    // Animated export - run from the save sheet, only when asked for (it's slow)
+    const handleExportAnimation = useCallback((onProgress) => exportAnimation({
+        sourceImage: sourceImageRef.current,
+        scene: serializeScene({
+            strokes,
+            elements: placedElements,
+            filterId,
+            filterStrength,
+            adjustments,
+            width: canvasDimensions.width,
+            height: canvasDimensions.height
+        }),
+        onProgress
+    }), [strokes, placedElements, canvasDimensions, filterId, filterStrength, adjustments])
+
+    // Exit editor once the photo has been shared or downloaded - the draft is done
+    const handleSaved = useCallback(() => {
+        setExportResult(null)
+        pendingDraftRef.current = null
+        draftDoneRef.current = true
+        if (isDraftStorageSupported()) {
+            deleteDraft(draftIdRef.current).catch(e => console.warn('Draft delete failed:', e))
+        }
+        if (onDone) onDone()
+    }, [onDone])
+
+    // Action bar tools by id (toolbarLayout.js)
+    const toolButtons = {
+        text: (
+            <button
+                onClick={() => handleToolPress('text')}
+                aria-label="Add Text"
+                style={{
+                    width: '44px',
+                    height: '44px',
+                    background: 'rgba(255, 255, 255, 0.15)',
+                    border: 'none',
+                    borderRadius: '50%',
+                    cursor: 'pointer',
+                    color: '#fff',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '18px',
+                    fontWeight: '600'
+                }}
+            >Aa</button>
+        ),
+        stickers: (
+            <button
+                onClick={() => handleToolPress('stickers')}
+                aria-label="Add Stickers"
+                style={{
+                    width: '44px',
+                    height: '44px',
+                    background: 'rgba(255, 255, 255, 0.15)',
+                    border: 'none',
+                    borderRadius: '50%',
+                    cursor: 'pointer',
+                    color: '#fff',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                }}
+            >
+                <svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm3.5-9c.83 0 1.5-.67 1.5-1.5S16.33 8 15.5 8 14 8.67 14 9.5s.67 1.5 1.5 1.5zm-7 0c.83 0 1.5-.67 1.5-1.5S9.33 8 8.5 8 7 8.67 7 9.5 7.67 11 8.5 11zm3.5 6.5c2.33 0 4.31-1.46 5.11-3.5H6.89c.8 2.04 2.78 3.5 5.11 3.5z" />
+                </svg>
+            </button>
+        ),
+        emoji: (
+            <button
+                onClick={() => handleToolPress('emoji')}
+                aria-label="Add Emoji"
+                style={{
+                    width: '44px',
+                    height: '44px',
+                    background: 'rgba(255, 255, 255, 0.15)',
+                    border: 'none',
+                    borderRadius: '50%',
+                    cursor: 'pointer',
+                    color: '#fff',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                }}
+            >
+                <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10" />
+                    <path d="M8 14s1.5 2 4 2 4-2 4-2" />
+                    <line x1="9" y1="9" x2="9.01" y2="9" />
+                    <line x1="15" y1="9" x2="15.01" y2="9" />
+                </svg>
+            </button>
+        ),
+        draw: (
+            <button
+                onClick={() => handleToolPress('draw')}
+                aria-label="Draw"
+                style={{
+                    width: '44px',
+                    height: '44px',
+                    background: 'rgba(255, 255, 255, 0.15)',
+                    border: 'none',
+                    borderRadius: '50%',
+                    cursor: 'pointer',
+                    color: '#fff',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                }}
+            >
+                <svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M7 14c-1.66 0-3 1.34-3 3 0 1.31-1.16 2-2 2 .92 1.22 2.49 2 4 2 2.21 0 4-1.79 4-4 0-1.66-1.34-3-3-3zm13.71-9.37l-1.34-1.34a.996.996 0 0 0-1.41 0L9 12.25 11.75 15l8.96-8.96a.996.996 0 0 0 0-1.41z" />
+                </svg>
+            </button>
+        ),
+        filters: (
+            <button
+                onClick={() => handleToolPress('filters')}
+                aria-label="Filters"
+                style={{
+                    width: '44px',
+                    height: '44px',
+                    background: activeTool === 'filters' ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.15)',
+                    border: 'none',
+                    borderRadius: '50%',
+                    cursor: 'pointer',
+                    color: '#fff',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                }}
+            >
+                <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10" />
+                    <path d="M12 2a10 10 0 0 1 0 20" fill="currentColor" opacity="0.3" />
+                </svg>
+            </button>
+        ),
+        adjust: (
+            <button
+                onClick={() => handleToolPress('adjust')}
+                aria-label="Adjust"
+                style={{
+                    width: '44px',
+                    height: '44px',
+                    background: activeTool === 'adjust' ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.15)',
+                    border: 'none',
+                    borderRadius: '50%',
+                    cursor: 'pointer',
+                    color: '#fff',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                }}
+            >
+                <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+                    <line x1="4" y1="21" x2="4" y2="14" />
+                    <line x1="4" y1="10" x2="4" y2="3" />
+                    <line x1="12" y1="21" x2="12" y2="12" />
+                    <line x1="12" y1="8" x2="12" y2="3" />
+                    <line x1="20" y1="21" x2="20" y2="16" />
+                    <line x1="20" y1="12" x2="20" y2="3" />
+                    <line x1="1" y1="14" x2="7" y2="14" />
+                    <line x1="9" y1="8" x2="15" y2="8" />
+                    <line x1="17" y1="16" x2="23" y2="16" />
+                </svg>
+            </button>
+        )
+    }
 
     return (
         <div className="editor-layer" ref={containerRef}>
@@ -347,6 +673,34 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                 </svg>
             </button>
 
+            {/* Undo / Redo - top center (DrawTool has its own undo while drawing) */}
+            {!isDrawMode && !isAnyModalOpen && (
+                <div className="editor-history">
+                    <button
+                        className="editor-history-button"
+                        onClick={undo}
+                        disabled={!canUndo}
+                        aria-label="Undo"
+                    >
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M3 7v6h6" />
+                            <path d="M21 17a9 9 0 00-9-9 9 9 0 00-6 2.3L3 13" />
+                        </svg>
+                    </button>
+                    <button
+                        className="editor-history-button"
+                        onClick={redo}
+                        disabled={!canRedo}
+                        aria-label="Redo"
+                    >
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M21 7v6h-6" />
+                            <path d="M3 17a9 9 0 019-9 9 9 0 016 2.3L21 13" />
+                        </svg>
+                    </button>
+                </div>
+            )}
+
             {/* Canvas container - tap to add text */}
             <div
                 className="canvas-container"
@@ -365,7 +719,9 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                     canvasWidth={canvasDimensions.width}
                     canvasHeight={canvasDimensions.height}
                     strokes={strokes}
-                    onStrokesChange={setStrokes}
+                    onStrokesChange={handleStrokesChange}
+                    onUndo={undo}
+                    canUndo={canUndoStroke}
                     onExit={handleExitDrawMode}
                 />
 
@@ -376,8 +732,9 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                         <DraggableElement
                             key={element.id}
                             element={element}
-                            onUpdate={(updates) => updateElement(element.id, updates)}
-                            onRemove={() => removeElement(element.id)}
+                            onUpdate={(updates) => preview(element.id, updates)}
+                            onCommit={(before) => commit(element.id, before)}
+                            onRemove={(restore) => remove(element.id, restore)}
                             onTap={element.type === 'text' ? () => handleTextElementTap(element) : undefined}
                             disabled={!elementsInteractive}
                         />
@@ -395,86 +752,16 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                 onCancel={handleTextCancel}
             />
 
-            {/* Layer 4: UI Layer - Right Action Bar (hidden in draw mode) */}
+            {/* Layer 4: UI Layer - Action Bar (hidden in draw mode) */}
+            {/* Placement, order and visible tools from settings; Retake / Done stay last */}
             {!isDrawMode && (
-                <div style={{
-                    position: 'absolute',
-                    top: '100px',
-                    right: '16px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    gap: '8px',
-                    padding: '12px 8px',
-                    background: 'rgba(0, 0, 0, 0.3)',
-                    backdropFilter: 'blur(12px)',
-                    WebkitBackdropFilter: 'blur(12px)',
-                    borderRadius: '24px',
-                    zIndex: 100
-                }}>
-                    {/* Text */}
-                    <button
-                        onClick={() => handleToolPress('text')}
-                        aria-label="Add Text"
-                        style={{
-                            width: '44px',
-                            height: '44px',
-                            background: 'rgba(255, 255, 255, 0.15)',
-                            border: 'none',
-                            borderRadius: '50%',
-                            cursor: 'pointer',
-                            color: '#fff',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            fontSize: '18px',
-                            fontWeight: '600'
-                        }}
-                    >Aa</button>
-
-                    {/* Stickers */}
-                    <button
-                        onClick={() => handleToolPress('stickers')}
-                        aria-label="Add Stickers"
-                        style={{
-                            width: '44px',
-                            height: '44px',
-                            background: 'rgba(255, 255, 255, 0.15)',
-                            border: 'none',
-                            borderRadius: '50%',
-                            cursor: 'pointer',
-                            color: '#fff',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center'
-                        }}
-                    >
-                        <svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm3.5-9c.83 0 1.5-.67 1.5-1.5S16.33 8 15.5 8 14 8.67 14 9.5s.67 1.5 1.5 1.5zm-7 0c.83 0 1.5-.67 1.5-1.5S9.33 8 8.5 8 7 8.67 7 9.5 7.67 11 8.5 11zm3.5 6.5c2.33 0 4.31-1.46 5.11-3.5H6.89c.8 2.04 2.78 3.5 5.11 3.5z" />
-                        </svg>
-                    </button>
-
-                    {/* Draw */}
-                    <button
-                        onClick={() => handleToolPress('draw')}
-                        aria-label="Draw"
-                        style={{
-                            width: '44px',
-                            height: '44px',
-                            background: 'rgba(255, 255, 255, 0.15)',
-                            border: 'none',
-                            borderRadius: '50%',
-                            cursor: 'pointer',
-                            color: '#fff',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center'
-                        }}
-                    >
-                        <svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M7 14c-1.66 0-3 1.34-3 3 0 1.31-1.16 2-2 2 .92 1.22 2.49 2 4 2 2.21 0 4-1.79 4-4 0-1.66-1.34-3-3-3zm13.71-9.37l-1.34-1.34a.996.996 0 0 0-1.41 0L9 12.25 11.75 15l8.96-8.96a.996.996 0 0 0 0-1.41z" />
-                        </svg>
-                    </button>
+                <Toolbar
+                    position={toolbarLayout.position}
+                    className={`editor-toolbar ${activeTool === 'filters' || activeTool === 'adjust' ? 'editor-toolbar-raised' : ''}`}
+                >
+                    {getToolbarTools(toolbarLayout, 'editor').map(id => (
+                        <Fragment key={id}>{toolButtons[id]}</Fragment>
+                    ))}
 
                     {/* Retake */}
                     <button
@@ -521,6 +808,76 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                             <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z" />
                         </svg>
                     </button>
+                </Toolbar>
+            )}
+
+            {/* Filter strip - non-destructive, baked at export */}
+            {activeTool === 'filters' && !isDrawMode && !isAnyModalOpen && (
+                <div className="editor-tool-panel">
+                    {filterId !== 'original' && (
+                        <div className="slider-pill">
+                            <input
+                                type="range"
+                                min="0"
+                                max="100"
+                                value={Math.round(filterStrength * 100)}
+                                onChange={(e) => setFilterStrength(Number(e.target.value) / 100)}
+                                aria-label="Filter strength"
+                            />
+                            <span className="slider-pill-value">{Math.round(filterStrength * 100)}%</span>
+                        </div>
+                    )}
+                    <div className="editor-chip-strip">
+                        {filters.map((filter) => (
+                            <button
+                                key={filter.id}
+                                className={`editor-filter-bubble ${filterId === filter.id ? 'editor-filter-bubble-active' : ''}`}
+                                onClick={() => setFilterId(filter.id)}
+                                aria-label={filter.label}
+                            >
+                                <span className="editor-filter-swatch" style={{ backgroundColor: filter.color }} />
+                                <span className="editor-filter-label">{filter.label}</span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Adjustments panel - sliders stack on top of the filter, baked at export */}
+            {activeTool === 'adjust' && !isDrawMode && !isAnyModalOpen && (
+                <div className="editor-tool-panel">
+                    <div className="slider-pill">
+                        <input
+                            type="range"
+                            min="-100"
+                            max="100"
+                            value={adjustments[activeAdjustment]}
+                            onChange={(e) => handleAdjustmentChange(Number(e.target.value))}
+                            onDoubleClick={() => handleAdjustmentChange(0)}
+                            aria-label={ADJUSTMENTS.find(a => a.id === activeAdjustment).label}
+                        />
+                        <span className="slider-pill-value">{adjustments[activeAdjustment]}</span>
+                    </div>
+                    <div className="editor-chip-strip">
+                        {ADJUSTMENTS.map((adjustment) => (
+                            <button
+                                key={adjustment.id}
+                                className={`editor-adjust-chip ${activeAdjustment === adjustment.id ? 'editor-adjust-chip-active' : ''}`}
+                                onClick={() => setActiveAdjustment(adjustment.id)}
+                            >
+                                {adjustment.label}
+                                {adjustments[adjustment.id] !== 0 && <span className="editor-adjust-dot" />}
+                            </button>
+                        ))}
+                        {hasAdjustments(adjustments) && (
+                            <button
+                                className="editor-adjust-chip"
+                                onClick={() => setAdjustments(DEFAULT_ADJUSTMENTS)}
+                            >
+                                Reset
+                            </button>
+                        )}
+                    </div>
                 </div>
             )}
 
@@ -529,14 +886,34 @@ export default function EditorLayer({ imageData, onRetake, onDone, toolPosition
                 isOpen={isStickerDrawerOpen}
                 onClose={() => setIsStickerDrawerOpen(false)}
                 onSelect={handleAddSticker}
+                onCreateCutout={() => setIsCutoutEditorOpen(true)}
             />
 
+            {/* Cutout Editor - new "My stickers" sticker from a photo */}
+            {isCutoutEditorOpen && (
+                <CutoutEditor
+                    photoSrc={capture.dataUrl}
+                    onSave={handleCutoutSaved}
+                    onClose={() => setIsCutoutEditorOpen(false)}
+                />
+            )}
+
             {/* Emoji Picker */}
             <EmojiPicker
                 isOpen={isEmojiPickerOpen}
                 onClose={() => setIsEmojiPickerOpen(false)}
                 onSelect={handleAddEmoji}
             />
+
+            {/* Save Sheet - shown after export */}
+            {exportResult && (
+                <SaveSheet
+                    result={exportResult}
+                    onExportAnimation={hasAnimation ? handleExportAnimation : null}
+                    onSaved={handleSaved}
+                    onClose={() => setExportResult(null)}
+                />
+            )}
         </div>
     )
 }
@@ -1,30 +1,62 @@
 import { useRef, useEffect, useCallback, useState, useMemo } from 'react'
-import { EMOJI_CATEGORIES, EMOJIS, getAllEmojis } from '../utils/emojis.js'
+import { EMOJI_CATEGORIES, EMOJI_DENYLIST, EMOJIS, getEmojiName, searchEmojis } from '../utils/emojis.js'
+import { isEmojiSupported } from '../utils/emojiSupport.js'
+import { getRecents, recordRecent } from '../utils/recents.js'
+import {
+    applySkinTone,
+    getEmojiVariants,
+    getPreferredSkinTone,
+    getSkinTone,
+    setPreferredSkinTone,
+    stripSkinTone,
+    supportsSkinTone
+} from '../utils/emojiVariants.js'
 import './EmojiPicker.css'
 
 /**
  * EmojiPicker Component - Hikari CamTech Engine v3.1
  * Bottom-up card per Gemini mock (Image A)
  * Search bar, category row, scrollable grid
+ * Opens on Recent once anything has been used
+ * Long-press a people emoji for skin tone / gender variants
+ * Emojis this device can't draw (tofu) are left out
  */
+
+// Hold this long to open the variant popover
+const LONG_PRESS_MS = 450
+// Finger movement that turns a press into a scroll
+const LONG_PRESS_SLOP = 10
+// Variant button size + popover padding (EmojiPicker.css)
+const VARIANT_SIZE = 44
+const VARIANT_PADDING = 6
+
 export default function EmojiPicker({ isOpen, onClose, onSelect }) {
     const pickerRef = useRef(null)
     const [searchQuery, setSearchQuery] = useState('')
     const [activeCategory, setActiveCategory] = useState('smileys')
+    // Read from recents.js each time the picker opens
+    const [recentEmojis, setRecentEmojis] = useState([])
+    const [preferredTone, setPreferredTone] = useState('none')
+    // { rows, left, top } while the long-press popover is open
+    const [variantPopover, setVariantPopover] = useState(null)
+    const longPressRef = useRef({ timer: null, x: 0, y: 0, fired: false })
     const [isDragging, setIsDragging] = useState(false)
     const [dragStartY, setDragStartY] = useState(0)
     const [dragOffsetY, setDragOffsetY] = useState(0)
 
     // Get filtered emojis based on search or category
     const displayedEmojis = useMemo(() => {
+        let emojis
         if (searchQuery.trim()) {
-            // Search across all emojis
-            const query = searchQuery.toLowerCase()
-            const all = getAllEmojis()
-            return all.filter(emoji => emoji.includes(query)).slice(0, 100)
+            // Ranked search across all emojis - names, keywords, :shortcodes:
+            emojis = searchEmojis(searchQuery, 100)
+        } else if (activeCategory === 'recent') {
+            emojis = recentEmojis
+        } else {
+            emojis = EMOJIS[activeCategory] || []
         }
-        return EMOJIS[activeCategory] || []
-    }, [searchQuery, activeCategory])
+        return emojis.filter(isEmojiSupported)
+    }, [searchQuery, activeCategory, recentEmojis])
 
     // Handle swipe to close
     const handleTouchStart = useCallback((e) => {
@@ -64,23 +96,99 @@ export default function EmojiPicker({ isOpen, onClose, onSelect }) {
 
     // Handle emoji selection
     const handleEmojiSelect = useCallback((emoji) => {
+        recordRecent('emoji', emoji)
         onSelect(emoji)
         onClose() // Auto-close on selection per PRD
     }, [onSelect, onClose])
 
+    // Grid shows untoned emojis in the preferred tone (recents keep their own)
+    const displayEmoji = useCallback((emoji) => {
+        if (preferredTone === 'none' || getSkinTone(emoji) !== 'none') return emoji
+        return supportsSkinTone(emoji) ? applySkinTone(emoji, preferredTone) : emoji
+    }, [preferredTone])
+
+    const openVariants = useCallback((emoji, target) => {
+        const rows = getEmojiVariants(emoji)
+        const picker = pickerRef.current
+        if (!rows || !picker) return
+
+        const pickerRect = picker.getBoundingClientRect()
+        const itemRect = target.getBoundingClientRect()
+        const width = rows[0].length * VARIANT_SIZE + VARIANT_PADDING * 2
+        const height = rows.length * VARIANT_SIZE + VARIANT_PADDING * 2
+        const center = itemRect.left + itemRect.width / 2 - pickerRect.left
+        const left = Math.min(Math.max(center - width / 2, 8), pickerRect.width - width - 8)
+        // Above the emoji, or below it near the top of the card
+        const above = itemRect.top - pickerRect.top - height - 8 >= 0
+        const top = above
+            ? itemRect.top - pickerRect.top - height - 8
+            : itemRect.bottom - pickerRect.top + 8
+
+        setVariantPopover({ rows, left, top })
+    }, [])
+
+    const cancelLongPress = useCallback(() => {
+        clearTimeout(longPressRef.current.timer)
+        longPressRef.current.timer = null
+    }, [])
+
+    const handleItemPointerDown = useCallback((e, emoji) => {
+        if (!getEmojiVariants(emoji)) return
+        const target = e.currentTarget
+        const press = longPressRef.current
+        clearTimeout(press.timer)
+        press.x = e.clientX
+        press.y = e.clientY
+        press.fired = false
+        press.timer = setTimeout(() => {
+            press.timer = null
+            press.fired = true
+            openVariants(emoji, target)
+        }, LONG_PRESS_MS)
+    }, [openVariants])
+
+    const handleItemPointerMove = useCallback((e) => {
+        const press = longPressRef.current
+        if (!press.timer) return
+        if (Math.hypot(e.clientX - press.x, e.clientY - press.y) > LONG_PRESS_SLOP) cancelLongPress()
+    }, [cancelLongPress])
+
+    const handleItemClick = useCallback((emoji) => {
+        // The click that ends a long press doesn't select
+        if (longPressRef.current.fired) {
+            longPressRef.current.fired = false
+            return
+        }
+        handleEmojiSelect(emoji)
+    }, [handleEmojiSelect])
+
+    // Picking a toned variant makes that tone the default
+    const handleVariantSelect = useCallback((variant) => {
+        if (supportsSkinTone(variant)) setPreferredSkinTone(getSkinTone(variant))
+        setVariantPopover(null)
+        handleEmojiSelect(variant)
+    }, [handleEmojiSelect])
+
     // Handle category change
     const handleCategoryChange = (categoryId) => {
         setActiveCategory(categoryId)
         setSearchQuery('')
     }
 
-    // Reset state when closed
+    // Reset state on open - Recent first when it has anything
     useEffect(() => {
-        if (!isOpen) {
+        if (isOpen) {
+            // Recorded before an emoji was denylisted - drop it here too
+            const recent = getRecents('emoji').filter(emoji => !EMOJI_DENYLIST.has(stripSkinTone(emoji)))
+            setRecentEmojis(recent)
+            setActiveCategory(recent.length > 0 ? 'recent' : 'smileys')
+            setPreferredTone(getPreferredSkinTone())
+        } else {
             setSearchQuery('')
-            setActiveCategory('smileys')
+            setVariantPopover(null)
+            cancelLongPress()
         }
-    }, [isOpen])
+    }, [isOpen, cancelLongPress])
 
     // Prevent body scroll when picker is open
     useEffect(() => {
@@ -134,25 +242,61 @@ export default function EmojiPicker({ isOpen, onClose, onSelect }) {
                 </div>
 
                 {/* Emoji Grid */}
-                <div className="emoji-grid scrollable">
+                <div className="emoji-grid scrollable" onScroll={cancelLongPress}>
                     {displayedEmojis.length > 0 ? (
-                        displayedEmojis.map((emoji, index) => (
-                            <button
-                                key={`${emoji}-${index}`}
-                                className="emoji-item"
-                                onClick={() => handleEmojiSelect(emoji)}
-                                aria-label={emoji}
-                            >
-                                {emoji}
-                            </button>
-                        ))
+                        displayedEmojis.map((emoji, index) => {
+                            const shown = displayEmoji(emoji)
+                            return (
+                                <button
+                                    key={`${emoji}-${index}`}
+                                    className="emoji-item"
+                                    onClick={() => handleItemClick(shown)}
+                                    onPointerDown={(e) => handleItemPointerDown(e, shown)}
+                                    onPointerMove={handleItemPointerMove}
+                                    onPointerUp={cancelLongPress}
+                                    onPointerLeave={cancelLongPress}
+                                    onPointerCancel={cancelLongPress}
+                                    onContextMenu={(e) => e.preventDefault()}
+                                    aria-label={getEmojiName(emoji) || emoji}
+                                >
+                                    {shown}
+                                </button>
+                            )
+                        })
                     ) : (
                         <div className="emoji-empty">
-                            <span>No emojis found</span>
+                            <span>{!searchQuery.trim() && activeCategory === 'recent' ? 'No recent emojis' : 'No emojis found'}</span>
                         </div>
                     )}
                 </div>
 
+                {/* Variant popover - rows per gender, columns per skin tone */}
+                {variantPopover && (
+                    <>
+                        <div className="emoji-variant-backdrop" onClick={() => setVariantPopover(null)} />
+                        <div
+                            className="emoji-variant-popover"
+                            style={{ left: variantPopover.left, top: variantPopover.top }}
+                            role="menu"
+                        >
+                            {variantPopover.rows.map((row) => (
+                                <div key={row[0]} className="emoji-variant-row">
+                                    {row.map((variant) => (
+                                        <button
+                                            key={variant}
+                                            className="emoji-variant"
+                                            onClick={() => handleVariantSelect(variant)}
+                                            role="menuitem"
+                                        >
+                                            {variant}
+                                        </button>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+
                 {/* Category Row - Vector icons only */}
                 <div className="category-row">
                     {EMOJI_CATEGORIES.map((category) => (
@@ -176,6 +320,20 @@ export default function EmojiPicker({ isOpen, onClose, onSelect }) {
                                     <line x1="15" y1="9" x2="15.01" y2="9" />
                                 </svg>
                             )}
+                            {category.icon === 'people' && (
+                                <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" />
+                                    <circle cx="9" cy="7" r="4" />
+                                    <path d="M23 21v-2a4 4 0 0 0-3-3.87" />
+                                    <path d="M16 3.13a4 4 0 0 1 0 7.75" />
+                                </svg>
+                            )}
+                            {category.icon === 'nature' && (
+                                <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M11 20A7 7 0 0 1 9.8 6.1C15.5 5 17 4.48 19 2c1 2 2 4.18 2 8 0 5.5-4.78 10-10 10Z" />
+                                    <path d="M2 21c0-3 1.85-5.36 5.08-6C9.5 14.52 12 13 13 12" />
+                                </svg>
+                            )}
                             {category.icon === 'food' && (
                                 <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                     <path d="M18 8h1a4 4 0 0 1 0 8h-1" />
@@ -206,6 +364,14 @@ export default function EmojiPicker({ isOpen, onClose, onSelect }) {
                                     <path d="M15.09 14c.18-.98.65-1.74 1.41-2.5A4.65 4.65 0 0 0 18 8 6 6 0 0 0 6 8c0 1 .23 2.23 1.5 3.5A4.61 4.61 0 0 1 8.91 14" />
                                 </svg>
                             )}
+                            {category.icon === 'symbol' && (
+                                <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <line x1="4" y1="9" x2="20" y2="9" />
+                                    <line x1="4" y1="15" x2="20" y2="15" />
+                                    <line x1="10" y1="3" x2="8" y2="21" />
+                                    <line x1="16" y1="3" x2="14" y2="21" />
+                                </svg>
+                            )}
                             {category.icon === 'flag' && (
                                 <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                     <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z" />
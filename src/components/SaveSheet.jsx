@@ -0,0 +1,152 @@
+import { useState, useMemo } from 'react'
+import {
+    getSaveTargets, shareImage, downloadImage, copyImage,
+    getAnimationFormat, ANIMATION_FORMATS
+} from '../utils/ExportEngine.js'
+import './SaveSheet.css'
+
+// Action labels and icons, keyed by save target
+const SAVE_ACTIONS = {
+    share: {
+        label: 'Share',
+        icon: 'M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z'
+    },
+    download: {
+        label: 'Download',
+        icon: 'M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z'
+    },
+    copy: {
+        label: 'Copy',
+        icon: 'M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z'
+    }
+}
+
+/**
+ * SaveSheet Component - Hikari CamTech Engine v3.1
+ * Bottom slide-up sheet offering every save target the device supports
+ * Actions run from the button tap so share/clipboard keep the user gesture
+ * With onExportAnimation, a Photo / Animated switch offers the animated export,
+ * created on first selection
+ * z-index: 30 (same layer as SettingsSheet)
+ */
+export default function SaveSheet({ result, onExportAnimation, onSaved, onClose }) {
+    const [status, setStatus] = useState(null)
+    const [isBusy, setIsBusy] = useState(false)
+    const [isAnimated, setIsAnimated] = useState(false)
+    const [animatedResult, setAnimatedResult] = useState(null)
+    // Animated export progress (0-1) while it runs
+    const [progress, setProgress] = useState(null)
+
+    const activeResult = isAnimated ? animatedResult : result
+
+    const targets = useMemo(
+        () => activeResult
+            ? getSaveTargets(activeResult.blob, activeResult.extension, activeResult.animated)
+            : [],
+        [activeResult]
+    )
+
+    const handleSelectAnimated = async (animated) => {
+        if (isBusy) return
+        setIsAnimated(animated)
+        setStatus(null)
+        if (!animated || animatedResult) return
+
+        setIsBusy(true)
+        setProgress(0)
+        try {
+            setAnimatedResult(await onExportAnimation(setProgress))
+        } catch (error) {
+            console.error('Animated export failed:', error)
+            setStatus('Could not create animation')
+            setIsAnimated(false)
+        } finally {
+            setIsBusy(false)
+            setProgress(null)
+        }
+    }
+
+    const handleAction = async (target) => {
+        if (isBusy || !activeResult) return
+        setIsBusy(true)
+        setStatus(null)
+
+        try {
+            if (target === 'share') {
+                const shareResult = await shareImage(activeResult.blob, activeResult.extension)
+                if (shareResult.shared) onSaved()
+                else if (shareResult.error) setStatus('Sharing failed')
+            } else if (target === 'download') {
+                downloadImage(activeResult.blob, activeResult.extension)
+                onSaved()
+            } else if (target === 'copy') {
+                const copyResult = await copyImage(activeResult.blob)
+                setStatus(copyResult.copied ? 'Copied to clipboard' : 'Copy failed')
+            }
+        } finally {
+            setIsBusy(false)
+        }
+    }
+
+    return (
+        <div className="save-overlay" onClick={onClose}>
+            <div className="save-sheet" onClick={(e) => e.stopPropagation()}>
+                {/* Handle */}
+                <div className="save-handle">
+                    <div className="save-handle-bar" />
+                </div>
+
+                <h2 className="save-title">{isAnimated ? 'Save Animation' : 'Save Photo'}</h2>
+
+                {/* Photo / Animated switch - only for scenes with animated stickers */}
+                {onExportAnimation && (
+                    <div className="save-modes" role="radiogroup">
+                        {[false, true].map(animated => (
+                            <button
+                                key={String(animated)}
+                                className={`save-mode ${isAnimated === animated ? 'save-mode-active' : ''}`}
+                                onClick={() => handleSelectAnimated(animated)}
+                                role="radio"
+                                aria-checked={isAnimated === animated}
+                                disabled={isBusy}
+                            >
+                                {animated ? `Animated (${ANIMATION_FORMATS[getAnimationFormat()].label})` : 'Photo'}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {progress !== null ? (
+                    <div className="save-progress">
+                        Creating animation… {Math.round(progress * 100)}%
+                    </div>
+                ) : targets.length > 0 ? (
+                    <div className="save-actions">
+                        {targets.map(target => (
+                            <button
+                                key={target}
+                                className="save-action"
+                                onClick={() => handleAction(target)}
+                                disabled={isBusy}
+                            >
+                                <svg width="26" height="26" viewBox="0 0 24 24" fill="currentColor">
+                                    <path d={SAVE_ACTIONS[target].icon} />
+                                </svg>
+                                <span>{SAVE_ACTIONS[target].label}</span>
+                            </button>
+                        ))}
+                    </div>
+                ) : (
+                    // Nothing supported - long-press/right-click the preview still works
+                    <img className="save-preview" src={activeResult.dataURL} alt="Exported photo" />
+                )}
+
+                {status && <div className="save-status">{status}</div>}
+
+                <button className="save-close" onClick={onClose}>
+                    Cancel
+                </button>
+            </div>
+        </div>
+    )
+}
@@ -1,11 +1,58 @@
+import { useMemo, useState } from 'react'
+import { useSettings } from '../hooks/useSettings.jsx'
+import { EXPORT_FORMATS, isExportFormatSupported } from '../utils/exportOptions.js'
+import { getFilters } from '../utils/filters.js'
+import { TOOL_POSITIONS, TOOLBAR_TOOLS, moveToolbarTool, setToolbarToolHidden } from '../utils/toolbarLayout.js'
 import './SettingsSheet.css'
 
+// Export quality presets (lossy formats only)
+const QUALITY_PRESETS = [
+    { label: 'High', value: 0.92 },
+    { label: 'Medium', value: 0.8 },
+    { label: 'Small', value: 0.6 }
+]
+
+// Longest-edge caps - null keeps the full capture resolution
+const SIZE_PRESETS = [
+    { label: 'Full', value: null },
+    { label: '2048', value: 2048 },
+    { label: '1080', value: 1080 }
+]
+
+// On / off camera preferences (settings.js)
+const CAMERA_SWITCHES = [
+    { key: 'shutterSound', label: 'Shutter Sound' },
+    { key: 'grid', label: 'Grid' },
+    { key: 'mirrorFrontCamera', label: 'Mirror Front Camera' }
+]
+
+// Screens whose toolbar can be rearranged (toolbarLayout.js)
+const TOOLBAR_SURFACES = [
+    { id: 'camera', label: 'Camera' },
+    { id: 'editor', label: 'Editor' }
+]
+
 /**
  * SettingsSheet Component - Hikari CamTech Engine v3.1
  * Bottom slide-up settings panel per Gemini mock
+ * Reads and writes preferences through useSettings (persisted)
  * z-index: 30 per PATCH 11 z-index audit
  */
-export default function SettingsSheet({ toolPosition, onToolPositionChange, onClose }) {
+export default function SettingsSheet({ onClose }) {
+    const { settings, updateSettings } = useSettings()
+    const { exportOptions } = settings
+    const layout = settings.toolbarLayout
+    const [toolbarSurface, setToolbarSurface] = useState('camera')
+    const filters = useMemo(getFilters, [])
+
+    const handleToolbarLayoutChange = (toolbarLayout) => {
+        updateSettings({ toolbarLayout })
+    }
+
+    const handleExportOptionsChange = (changes) => {
+        updateSettings({ exportOptions: { ...exportOptions, ...changes } })
+    }
+
     return (
         <div className="settings-overlay" onClick={onClose}>
             <div className="settings-sheet" onClick={(e) => e.stopPropagation()}>
@@ -17,22 +64,163 @@ export default function SettingsSheet({ toolPosition, onToolPositionChange, onCl
                 {/* Title */}
                 <h2 className="settings-title">Settings</h2>
 
-                {/* Tool Position Toggle */}
+                {/* Tool Position - same placement on camera and editor */}
                 <div className="settings-option">
                     <span className="option-label">Tool Position</span>
                     <div className="option-toggle">
-                        <button
-                            className={`toggle-button ${toolPosition === 'left' ? 'toggle-active' : ''}`}
-                            onClick={() => onToolPositionChange('left')}
-                        >
-                            Left
-                        </button>
-                        <button
-                            className={`toggle-button ${toolPosition === 'right' ? 'toggle-active' : ''}`}
-                            onClick={() => onToolPositionChange('right')}
-                        >
-                            Right
-                        </button>
+                        {TOOL_POSITIONS.map(({ id, label }) => (
+                            <button
+                                key={id}
+                                className={`toggle-button ${layout.position === id ? 'toggle-active' : ''}`}
+                                onClick={() => handleToolbarLayoutChange({ ...layout, position: id })}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Toolbar Buttons - order and visibility per screen */}
+                <div className="settings-option settings-option-stacked">
+                    <div className="settings-option-row">
+                        <span className="option-label">Toolbar Buttons</span>
+                        <div className="option-toggle">
+                            {TOOLBAR_SURFACES.map(({ id, label }) => (
+                                <button
+                                    key={id}
+                                    className={`toggle-button ${toolbarSurface === id ? 'toggle-active' : ''}`}
+                                    onClick={() => setToolbarSurface(id)}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <ul className="settings-tool-list">
+                        {layout[toolbarSurface].order.map((id, index, order) => {
+                            const label = TOOLBAR_TOOLS[toolbarSurface].find(tool => tool.id === id).label
+                            const hidden = layout[toolbarSurface].hidden.includes(id)
+                            return (
+                                <li key={id} className={`settings-tool ${hidden ? 'settings-tool-hidden' : ''}`}>
+                                    <span className="settings-tool-label">{label}</span>
+                                    <button
+                                        className="settings-tool-move"
+                                        onClick={() => handleToolbarLayoutChange(moveToolbarTool(layout, toolbarSurface, id, -1))}
+                                        disabled={index === 0}
+                                        aria-label={`Move ${label} earlier`}
+                                    >
+                                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <path d="M18 15l-6-6-6 6" />
+                                        </svg>
+                                    </button>
+                                    <button
+                                        className="settings-tool-move"
+                                        onClick={() => handleToolbarLayoutChange(moveToolbarTool(layout, toolbarSurface, id, 1))}
+                                        disabled={index === order.length - 1}
+                                        aria-label={`Move ${label} later`}
+                                    >
+                                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <path d="M6 9l6 6 6-6" />
+                                        </svg>
+                                    </button>
+                                    <button
+                                        className={`toggle-button ${hidden ? '' : 'toggle-active'}`}
+                                        onClick={() => handleToolbarLayoutChange(setToolbarToolHidden(layout, toolbarSurface, id, !hidden))}
+                                        aria-pressed={!hidden}
+                                    >
+                                        {hidden ? 'Hidden' : 'Shown'}
+                                    </button>
+                                </li>
+                            )
+                        })}
+                    </ul>
+                </div>
+
+                {/* Default Filter - what the camera opens with */}
+                <div className="settings-option">
+                    <span className="option-label">Default Filter</span>
+                    <select
+                        className="settings-select"
+                        value={filters.some(f => f.id === settings.defaultFilter) ? settings.defaultFilter : 'original'}
+                        onChange={(e) => updateSettings({ defaultFilter: e.target.value })}
+                        aria-label="Default Filter"
+                    >
+                        {filters.map(filter => (
+                            <option key={filter.id} value={filter.id}>{filter.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Camera switches */}
+                {CAMERA_SWITCHES.map(({ key, label }) => (
+                    <div key={key} className="settings-option">
+                        <span className="option-label">{label}</span>
+                        <div className="option-toggle">
+                            <button
+                                className={`toggle-button ${settings[key] ? 'toggle-active' : ''}`}
+                                onClick={() => updateSettings({ [key]: true })}
+                            >
+                                On
+                            </button>
+                            <button
+                                className={`toggle-button ${!settings[key] ? 'toggle-active' : ''}`}
+                                onClick={() => updateSettings({ [key]: false })}
+                            >
+                                Off
+                            </button>
+                        </div>
+                    </div>
+                ))}
+
+                {/* Export Format - WebP hidden where the browser can't encode it */}
+                <div className="settings-option">
+                    <span className="option-label">Export Format</span>
+                    <div className="option-toggle">
+                        {Object.entries(EXPORT_FORMATS)
+                            .filter(([format]) => isExportFormatSupported(format))
+                            .map(([format, { label }]) => (
+                                <button
+                                    key={format}
+                                    className={`toggle-button ${exportOptions.format === format ? 'toggle-active' : ''}`}
+                                    onClick={() => handleExportOptionsChange({ format })}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                    </div>
+                </div>
+
+                {/* Export Quality - PNG is lossless */}
+                {EXPORT_FORMATS[exportOptions.format]?.lossy && (
+                    <div className="settings-option">
+                        <span className="option-label">Quality</span>
+                        <div className="option-toggle">
+                            {QUALITY_PRESETS.map(({ label, value }) => (
+                                <button
+                                    key={label}
+                                    className={`toggle-button ${exportOptions.quality === value ? 'toggle-active' : ''}`}
+                                    onClick={() => handleExportOptionsChange({ quality: value })}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {/* Export Size */}
+                <div className="settings-option">
+                    <span className="option-label">Max Size</span>
+                    <div className="option-toggle">
+                        {SIZE_PRESETS.map(({ label, value }) => (
+                            <button
+                                key={label}
+                                className={`toggle-button ${exportOptions.maxDimension === value ? 'toggle-active' : ''}`}
+                                onClick={() => handleExportOptionsChange({ maxDimension: value })}
+                            >
+                                {label}
+                            </button>
+                        ))}
                     </div>
                 </div>
 
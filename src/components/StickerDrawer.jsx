@@ -1,46 +1,41 @@
-import { useRef, useEffect, useCallback, useState } from 'react'
+import { useRef, useEffect, useCallback, useState, useMemo } from 'react'
+import { useStickerPacks } from '../hooks/useStickerPacks.js'
+import { CUTOUT_PACK_ID, deleteCutout } from '../utils/cutouts.js'
+import { getSticker } from '../utils/stickers.js'
+import { getRecents, recordRecent, removeRecent } from '../utils/recents.js'
 import './StickerDrawer.css'
 
 /**
  * StickerDrawer Component - Hikari CamTech Engine v3.1
  * Right-side slide-out drawer per Gemini mock (Image A)
- * NO categories - single scrollable grid per PRD
+ * One tab per installed sticker pack, scrollable grid of the active pack
+ * Recently used stickers come first (and open by default) once there are any;
+ * the last tab holds the user's photo cutouts ("My stickers")
  */
 
-// 24 stickers with inline SVG icons
-const STICKERS = [
-    { id: 'sticker_01', icon: '⭐' },
-    { id: 'sticker_02', icon: '❤️' },
-    { id: 'sticker_03', icon: '🔥' },
-    { id: 'sticker_04', icon: '✨' },
-    { id: 'sticker_05', icon: '💯' },
-    { id: 'sticker_06', icon: '🎉' },
-    { id: 'sticker_07', icon: '👍' },
-    { id: 'sticker_08', icon: '🎵' },
-    { id: 'sticker_09', icon: '💎' },
-    { id: 'sticker_10', icon: '🌟' },
-    { id: 'sticker_11', icon: '💫' },
-    { id: 'sticker_12', icon: '🎯' },
-    { id: 'sticker_13', icon: '⚡' },
-    { id: 'sticker_14', icon: '🌈' },
-    { id: 'sticker_15', icon: '☀️' },
-    { id: 'sticker_16', icon: '🌙' },
-    { id: 'sticker_17', icon: '💜' },
-    { id: 'sticker_18', icon: '💙' },
-    { id: 'sticker_19', icon: '💚' },
-    { id: 'sticker_20', icon: '🧡' },
-    { id: 'sticker_21', icon: '🖤' },
-    { id: 'sticker_22', icon: '🤍' },
-    { id: 'sticker_23', icon: '✅' },
-    { id: 'sticker_24', icon: '💬' }
-]
-
-export default function StickerDrawer({ isOpen, onClose, onSelect }) {
+// Tab id of the recently used stickers
+const RECENT_PACK_ID = 'recent'
+
+export default function StickerDrawer({ isOpen, onClose, onSelect, onCreateCutout }) {
     const drawerRef = useRef(null)
     const [isDragging, setIsDragging] = useState(false)
     const [dragStartX, setDragStartX] = useState(0)
     const [dragOffsetX, setDragOffsetX] = useState(0)
 
+    // Installed packs - remote packs appear once cached
+    const { packs } = useStickerPacks()
+
+    // Recents are read on open; stickers from packs that aren't loaded (or gone) are skipped
+    const tabs = useMemo(() => {
+        const recent = isOpen ? getRecents('sticker').map(getSticker).filter(Boolean) : []
+        return recent.length > 0
+            ? [{ id: RECENT_PACK_ID, name: 'Recent', thumbnail: null, stickers: recent }, ...packs]
+            : packs
+    }, [isOpen, packs])
+
+    const [activePackId, setActivePackId] = useState(null)
+    const activePack = tabs.find(pack => pack.id === activePackId) || tabs[0]
+
     // Handle swipe to close
     const handleTouchStart = useCallback((e) => {
         setIsDragging(true)
@@ -78,16 +73,32 @@ export default function StickerDrawer({ isOpen, onClose, onSelect }) {
 
     // Handle sticker selection
     const handleStickerSelect = useCallback((sticker) => {
+        recordRecent('sticker', sticker.id)
         onSelect(sticker)
         onClose() // Auto-close on selection per PRD
     }, [onSelect, onClose])
 
+    // Open the cutout editor (drawer closes underneath it)
+    const handleCreateCutout = useCallback(() => {
+        onClose()
+        if (onCreateCutout) onCreateCutout()
+    }, [onClose, onCreateCutout])
+
+    const handleDeleteCutout = useCallback((id) => {
+        removeRecent('sticker', id)
+        deleteCutout(id).catch(e => console.warn('Cutout delete failed:', e))
+    }, [])
+
+    const isCutoutPack = activePack.id === CUTOUT_PACK_ID
+
     // Prevent body scroll when drawer is open
     useEffect(() => {
         if (isOpen) {
             document.body.style.overflow = 'hidden'
         } else {
             document.body.style.overflow = ''
+            // Reopen on the default tab (Recent when there is one)
+            setActivePackId(null)
         }
         return () => {
             document.body.style.overflow = ''
@@ -117,17 +128,73 @@ export default function StickerDrawer({ isOpen, onClose, onSelect }) {
                     <span className="drawer-title">Stickers</span>
                 </div>
 
-                {/* Sticker Grid - Single scrollable grid, NO categories */}
+                {/* Pack tabs - hidden while there is only one */}
+                {tabs.length > 1 && (
+                    <div className="sticker-pack-tabs scrollable" role="tablist">
+                        {tabs.map((pack) => (
+                            <button
+                                key={pack.id}
+                                className={`sticker-pack-tab ${pack.id === activePack.id ? 'sticker-pack-tab-active' : ''}`}
+                                onClick={() => setActivePackId(pack.id)}
+                                role="tab"
+                                aria-selected={pack.id === activePack.id}
+                                aria-label={pack.name}
+                                title={pack.name}
+                            >
+                                {pack.thumbnail ? (
+                                    <img src={pack.thumbnail} alt="" draggable={false} />
+                                ) : pack.id === RECENT_PACK_ID ? (
+                                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <circle cx="12" cy="12" r="10" />
+                                        <polyline points="12 6 12 12 16 14" />
+                                    </svg>
+                                ) : (
+                                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+                                        <circle cx="6" cy="6" r="3" />
+                                        <circle cx="6" cy="18" r="3" />
+                                        <path d="M20 4L8.12 15.88M14.47 14.48L20 20M8.12 8.12L12 12" />
+                                    </svg>
+                                )}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {/* Sticker Grid - active pack */}
                 <div className="sticker-grid scrollable">
-                    {STICKERS.map((sticker) => (
+                    {/* My stickers - new cutout tile first */}
+                    {isCutoutPack && onCreateCutout && (
                         <button
-                            key={sticker.id}
-                            className="sticker-item"
-                            onClick={() => handleStickerSelect(sticker)}
-                            aria-label={sticker.id}
+                            className="sticker-item sticker-item-create"
+                            onClick={handleCreateCutout}
+                            aria-label="New sticker from photo"
                         >
-                            <span style={{ fontSize: '32px' }}>{sticker.icon}</span>
+                            <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+                                <path d="M12 5v14M5 12h14" />
+                            </svg>
                         </button>
+                    )}
+                    {activePack.stickers.map((sticker) => (
+                        <div key={sticker.id} className="sticker-item-wrap">
+                            <button
+                                className="sticker-item"
+                                onClick={() => handleStickerSelect(sticker)}
+                                aria-label={sticker.label}
+                            >
+                                <img className="sticker-item-art" src={sticker.src} alt="" draggable={false} />
+                            </button>
+                            {isCutoutPack && (
+                                <button
+                                    className="sticker-item-delete"
+                                    onClick={() => handleDeleteCutout(sticker.id)}
+                                    aria-label="Delete sticker"
+                                >
+                                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round">
+                                        <path d="M18 6L6 18M6 6l12 12" />
+                                    </svg>
+                                </button>
+                            )}
+                        </div>
                     ))}
                 </div>
             </div>
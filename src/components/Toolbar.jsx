@@ -0,0 +1,15 @@
+import './Toolbar.css'
+
+/**
+ * Toolbar Component - CamTech v1.7
+ * Floating tool pill shared by CameraLayer and EditorLayer
+ * position: 'left' | 'right' (vertical) or 'bottom' (horizontal row)
+ * Each layer adds its own class to place the bottom row above its controls
+ */
+export default function Toolbar({ position = 'right', className = '', children }) {
+    return (
+        <div className={`toolbar toolbar-${position} ${className}`}>
+            {children}
+        </div>
+    )
+}
@@ -0,0 +1,61 @@
+import { useRef, useEffect } from 'react'
+import { createWebGLPreview } from '../utils/webglPreview.js'
+
+/**
+ * WebGLPreview Component - CamTech v1.7
+ * Renders the live video through shaders that match applyPixelFilter
+ * Calls onError so the camera can fall back to CSS filters
+ */
+export default function WebGLPreview({ videoRef, filterId, strength, mirrored, onError, ...touchHandlers }) {
+    const canvasRef = useRef(null)
+
+    // Latest filter settings for the render loop (avoids restarting it)
+    const settingsRef = useRef({ filterId, strength })
+    settingsRef.current = { filterId, strength }
+
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!canvas) return
+
+        let renderer
+        try {
+            renderer = createWebGLPreview(canvas)
+        } catch (e) {
+            console.warn('WebGL preview failed:', e)
+            onError()
+            return
+        }
+
+        let frameId = 0
+        const loop = () => {
+            const video = videoRef.current
+            if (video && video.readyState >= 2) {
+                renderer.render(video, settingsRef.current.filterId, settingsRef.current.strength)
+            }
+            frameId = requestAnimationFrame(loop)
+        }
+        frameId = requestAnimationFrame(loop)
+
+        const handleContextLost = (e) => {
+            e.preventDefault()
+            cancelAnimationFrame(frameId)
+            onError()
+        }
+        canvas.addEventListener('webglcontextlost', handleContextLost)
+
+        return () => {
+            cancelAnimationFrame(frameId)
+            canvas.removeEventListener('webglcontextlost', handleContextLost)
+            renderer.destroy()
+        }
+    }, [videoRef, onError])
+
+    return (
+        <canvas
+            ref={canvasRef}
+            className="camera-preview"
+            style={{ transform: mirrored ? 'scaleX(-1)' : undefined }}
+            {...touchHandlers}
+        />
+    )
+}
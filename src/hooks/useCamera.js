@@ -1,30 +1,26 @@
 import { useState, useRef, useCallback, useEffect } from 'react'
+import { FILTER_STYLES, DEFAULT_FILTER_STRENGTH, isFilter, getFilterCSS } from '../utils/filters.js'
+import { isWebGLPreviewSupported } from '../utils/webglPreview.js'
 
 /**
  * useCamera Hook - CamTech v1.7
  * Handles camera stream, filters, flip, flash, and capture
- * Uses MANUAL pixel manipulation for 100% reliable filter baking
+ * Captures the raw frame; filters are baked later with MANUAL pixel math
  */
 
-// CSS Filter definitions for preview (pixel math used for capture)
-export const FILTER_STYLES = {
-    original: 'none',
-    warm: 'sepia(0.3) saturate(1.4) brightness(1.1)',
-    cool: 'saturate(0.9) hue-rotate(10deg) brightness(1.05)',
-    vibrant: 'saturate(1.6) contrast(1.1) brightness(1.05)',
-    vintage: 'sepia(0.4) contrast(0.9) brightness(0.95) saturate(0.8)',
-    pastel: 'saturate(0.7) brightness(1.15) contrast(0.9)',
-    mono: 'grayscale(1) contrast(1.1)',
-    soft: 'brightness(1.08) contrast(0.92) saturate(0.95)',
-    crisp: 'contrast(1.15) saturate(1.1) brightness(1.02)',
-    fade: 'contrast(0.85) saturate(0.75) brightness(1.1)'
-}
+export { FILTER_STYLES }
 
 // Flash modes cycle
 const FLASH_MODES = ['off', 'on', 'auto', 'torch']
 
-export function useCamera() {
+/**
+ * @param {Object} [options] - From settings
+ * @param {string} [options.defaultFilter='original'] - Filter the camera starts with
+ * @param {boolean} [options.mirrorFrontCamera=true] - Mirror front camera preview + capture
+ */
+export function useCamera({ defaultFilter = 'original', mirrorFrontCamera = true } = {}) {
     const videoRef = useRef(null)
+    const filterVideoRef = useRef(null)
     const canvasRef = useRef(null)
     const streamRef = useRef(null)
     const trackRef = useRef(null)
@@ -34,7 +30,10 @@ export function useCamera() {
     const [error, setError] = useState(null)
     const [flashMode, setFlashMode] = useState('off')
     const [flashSupported, setFlashSupported] = useState(false)
-    const [selectedFilter, setSelectedFilter] = useState('original')
+    const [selectedFilter, setSelectedFilter] = useState(() => isFilter(defaultFilter) ? defaultFilter : 'original')
+    const [filterStrength, setFilterStrengthState] = useState(DEFAULT_FILTER_STRENGTH)
+    // Viewfinder renderer: 'webgl' (exact capture math) or 'css' (filter approximation)
+    const [previewMode, setPreviewMode] = useState(() => isWebGLPreviewSupported() ? 'webgl' : 'css')
     const [zoomLevel, setZoomLevel] = useState(1)
     const [zoomSupported, setZoomSupported] = useState(false)
     const zoomRangeRef = useRef({ min: 1, max: 1 })
@@ -94,6 +93,13 @@ export function useCamera() {
             if (videoRef.current) {
                 videoRef.current.srcObject = stream
                 await videoRef.current.play()
+
+                // Filtered overlay shares the stream (blended by opacity = strength)
+                if (filterVideoRef.current) {
+                    filterVideoRef.current.srcObject = stream
+                    filterVideoRef.current.play().catch(() => {})
+                }
+
                 setIsReady(true)
                 setError(null)
             }
@@ -167,183 +173,46 @@ export function useCamera() {
 
     // Set filter
     const setFilter = useCallback((filterId) => {
-        if (FILTER_STYLES[filterId]) {
+        if (isFilter(filterId)) {
             setSelectedFilter(filterId)
         }
     }, [])
 
-    // Get current filter CSS
-    const getFilterStyle = useCallback(() => {
-        return FILTER_STYLES[selectedFilter] || 'none'
-    }, [selectedFilter])
-
-    /**
-     * Apply filter using MANUAL pixel manipulation
-     * 100% deterministic, works on ALL browsers including iOS Safari
-     * No ctx.filter, no CSS filters, no GPU dependencies
-     */
-    const applyPixelFilter = useCallback((imageData, filterName) => {
-        const data = imageData.data
-        const len = data.length
-
-        // Helper: clamp value to 0-255
-        const clamp = (v) => v < 0 ? 0 : v > 255 ? 255 : v
-
-        switch (filterName) {
-            case 'mono': {
-                // Luminance grayscale: 0.299R + 0.587G + 0.114B
-                // With slight contrast boost (multiply by 1.1, centered at 128)
-                for (let i = 0; i < len; i += 4) {
-                    const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114
-                    // Apply contrast: (gray - 128) * 1.1 + 128
-                    const contrasted = (gray - 128) * 1.1 + 128
-                    const final = clamp(contrasted)
-                    data[i] = final
-                    data[i + 1] = final
-                    data[i + 2] = final
-                }
-                break
-            }
+    // A new default filter (changed in settings) applies right away
+    useEffect(() => {
+        setFilter(defaultFilter)
+    }, [defaultFilter, setFilter])
 
-            case 'warm': {
-                // Warm: boost red/yellow, reduce blue
-                // R +15, G +5, B -20, slight saturation boost
-                for (let i = 0; i < len; i += 4) {
-                    let r = data[i]
-                    let g = data[i + 1]
-                    let b = data[i + 2]
-
-                    // Slight saturation boost (increase distance from gray)
-                    const gray = (r + g + b) / 3
-                    r = gray + (r - gray) * 1.15
-                    g = gray + (g - gray) * 1.1
-                    b = gray + (b - gray) * 0.9
-
-                    // Color shift
-                    r += 15
-                    g += 8
-                    b -= 20
-
-                    // Brightness boost
-                    r *= 1.08
-                    g *= 1.05
-                    b *= 1.0
-
-                    data[i] = clamp(r)
-                    data[i + 1] = clamp(g)
-                    data[i + 2] = clamp(b)
-                }
-                break
-            }
+    // Selfie view like a mirror - preview and capture agree
+    const isMirrored = facingMode === 'user' && mirrorFrontCamera
 
-            case 'cool': {
-                // Cool: boost blue/cyan, reduce red
-                // R -10, G +5, B +20
-                for (let i = 0; i < len; i += 4) {
-                    let r = data[i]
-                    let g = data[i + 1]
-                    let b = data[i + 2]
-
-                    // Slight desaturation for cooler feel
-                    const gray = (r + g + b) / 3
-                    r = gray + (r - gray) * 0.9
-                    g = gray + (g - gray) * 1.0
-                    b = gray + (b - gray) * 1.1
-
-                    // Color shift
-                    r -= 10
-                    g += 5
-                    b += 20
-
-                    // Slight brightness boost
-                    r *= 1.02
-                    g *= 1.05
-                    b *= 1.08
-
-                    data[i] = clamp(r)
-                    data[i + 1] = clamp(g)
-                    data[i + 2] = clamp(b)
-                }
-                break
-            }
-
-            case 'vibrant': {
-                // Vibrant: high saturation, slight contrast
-                // Increase distance from gray by 1.5x
-                for (let i = 0; i < len; i += 4) {
-                    let r = data[i]
-                    let g = data[i + 1]
-                    let b = data[i + 2]
-
-                    // High saturation boost
-                    const gray = (r + g + b) / 3
-                    r = gray + (r - gray) * 1.5
-                    g = gray + (g - gray) * 1.5
-                    b = gray + (b - gray) * 1.5
-
-                    // Slight contrast
-                    r = (r - 128) * 1.1 + 128
-                    g = (g - 128) * 1.1 + 128
-                    b = (b - 128) * 1.1 + 128
-
-                    // Brightness
-                    r *= 1.03
-                    g *= 1.03
-                    b *= 1.03
-
-                    data[i] = clamp(r)
-                    data[i + 1] = clamp(g)
-                    data[i + 2] = clamp(b)
-                }
-                break
-            }
+    // Set filter strength (clamped 0-1)
+    const setFilterStrength = useCallback((strength) => {
+        setFilterStrengthState(Math.max(0, Math.min(1, strength)))
+    }, [])
 
-            case 'vintage': {
-                // Vintage: desaturate, sepia tint, lower contrast, lift blacks
-                for (let i = 0; i < len; i += 4) {
-                    let r = data[i]
-                    let g = data[i + 1]
-                    let b = data[i + 2]
-
-                    // Desaturate (move toward gray)
-                    const gray = (r + g + b) / 3
-                    r = gray + (r - gray) * 0.7
-                    g = gray + (g - gray) * 0.7
-                    b = gray + (b - gray) * 0.7
-
-                    // Sepia/yellow-brown tint
-                    r = r * 1.1 + 10
-                    g = g * 1.0 + 5
-                    b = b * 0.85 - 5
-
-                    // Lower contrast (compress toward middle)
-                    r = (r - 128) * 0.85 + 128
-                    g = (g - 128) * 0.85 + 128
-                    b = (b - 128) * 0.85 + 128
-
-                    // Lift blacks (add base brightness to shadows)
-                    r += 15
-                    g += 10
-                    b += 5
-
-                    data[i] = clamp(r)
-                    data[i + 1] = clamp(g)
-                    data[i + 2] = clamp(b)
-                }
-                break
-            }
+    // Drop to CSS filter preview (e.g. WebGL context lost or shader failure)
+    const disableWebGLPreview = useCallback(() => {
+        setPreviewMode('css')
+    }, [])
 
-            default:
-                // No filter or unknown - leave pixels unchanged
-                break
+    // CSS fallback mounts the filtered overlay after the stream started - attach it
+    useEffect(() => {
+        if (previewMode !== 'css' || !filterVideoRef.current || !streamRef.current) return
+        if (filterVideoRef.current.srcObject !== streamRef.current) {
+            filterVideoRef.current.srcObject = streamRef.current
+            filterVideoRef.current.play().catch(() => {})
         }
+    }, [previewMode])
 
-        return imageData
-    }, [])
+    // Get current filter CSS
+    const getFilterStyle = useCallback(() => {
+        return getFilterCSS(selectedFilter)
+    }, [selectedFilter])
 
-    // Capture frame - 100% MANUAL PIXEL FILTERS
-    // No ctx.filter, no CSS filters, no GPU dependencies
-    // Guaranteed deterministic on iOS Safari, Android Chrome, all browsers
+    // Capture frame - raw pixels, filter applied NON-DESTRUCTIVELY later
+    // The editor preview and ExportEngine bake it via processPixels (Web Worker)
+    // Returns { dataUrl, filterId, filterStrength } - dataUrl is unfiltered
     const captureFrame = useCallback(async () => {
         if (!videoRef.current || !canvasRef.current) return null
 
@@ -365,7 +234,7 @@ export function useCamera() {
         ctx.save()
 
         // Mirror horizontally for front camera to match preview
-        if (facingMode === 'user') {
+        if (isMirrored) {
             ctx.translate(canvas.width, 0)
             ctx.scale(-1, 1)
         }
@@ -373,25 +242,7 @@ export function useCamera() {
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
         ctx.restore()
 
-        // Step 2: Apply filter using MANUAL pixel manipulation
-        // Skip if filter is 'original' (none)
-        if (selectedFilter !== 'original') {
-            try {
-                // Get pixel data
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
-
-                // Apply filter (modifies imageData in place)
-                applyPixelFilter(imageData, selectedFilter)
-
-                // Write filtered pixels back to canvas
-                ctx.putImageData(imageData, 0, 0)
-            } catch (e) {
-                console.warn('Pixel filter failed:', e)
-                // Continue with unfiltered image on error
-            }
-        }
-
-        // Step 3: Convert to data URL (pixels are now FINAL)
+        // Step 2: Convert to data URL - filter travels as metadata
         const dataUrl = canvas.toDataURL('image/jpeg', 0.92)
 
         // Turn off flash after capture
@@ -399,8 +250,12 @@ export function useCamera() {
             setTimeout(() => applyFlash('off'), 100)
         }
 
-        return dataUrl
-    }, [flashMode, applyFlash, facingMode, selectedFilter, applyPixelFilter])
+        return {
+            dataUrl,
+            filterId: selectedFilter,
+            filterStrength
+        }
+    }, [flashMode, applyFlash, isMirrored, selectedFilter, filterStrength])
 
     // Cleanup on unmount
     useEffect(() => {
@@ -418,17 +273,23 @@ export function useCamera() {
 
     return {
         videoRef,
+        filterVideoRef,
         canvasRef,
         isReady,
         error,
         facingMode,
+        isMirrored,
         flipCamera,
         flashMode,
         flashSupported,
         cycleFlash,
         selectedFilter,
         setFilter,
+        filterStrength,
+        setFilterStrength,
         getFilterStyle,
+        previewMode,
+        disableWebGLPreview,
         captureFrame,
         initCamera,
         zoomLevel,
@@ -0,0 +1,179 @@
+import { useReducer, useCallback } from 'react'
+
+/**
+ * useEditHistory Hook - CamTech v1.7
+ * One command-history stack for everything placed on the photo
+ * Owns strokes + elements so every change goes through a recorded command
+ *
+ * Commands:
+ *   { type: 'strokes', before, after }        - stroke added / cleared
+ *   { type: 'add', element }                  - sticker, emoji or text placed
+ *   { type: 'remove', element, index }        - element deleted
+ *   { type: 'update', id, before, after }     - move/scale/rotate or text edit
+ */
+
+// Oldest commands are dropped past this depth
+const MAX_HISTORY = 100
+
+export const INITIAL_STATE = {
+    strokes: [],
+    elements: [],
+    past: [],
+    future: []
+}
+
+// Patch one element by id
+function patchElement(elements, id, updates) {
+    return elements.map(el => el.id === id ? { ...el, ...updates } : el)
+}
+
+function applyCommand(state, command) {
+    switch (command.type) {
+        case 'strokes':
+            return { ...state, strokes: command.after }
+        case 'add':
+            return { ...state, elements: [...state.elements, command.element] }
+        case 'remove':
+            return { ...state, elements: state.elements.filter(el => el.id !== command.element.id) }
+        case 'update':
+            return { ...state, elements: patchElement(state.elements, command.id, command.after) }
+        default:
+            return state
+    }
+}
+
+function revertCommand(state, command) {
+    switch (command.type) {
+        case 'strokes':
+            return { ...state, strokes: command.before }
+        case 'add':
+            return { ...state, elements: state.elements.filter(el => el.id !== command.element.id) }
+        case 'remove': {
+            // Restore at its original stacking position
+            const elements = [...state.elements]
+            elements.splice(command.index, 0, command.element)
+            return { ...state, elements }
+        }
+        case 'update':
+            return { ...state, elements: patchElement(state.elements, command.id, command.before) }
+        default:
+            return state
+    }
+}
+
+// Apply a command and push it onto the undo stack
+function record(state, command) {
+    return {
+        ...applyCommand(state, command),
+        past: [...state.past, command].slice(-MAX_HISTORY),
+        future: []
+    }
+}
+
+// Pure reducer behind useEditHistory (also driven directly by tests)
+export function historyReducer(state, action) {
+    switch (action.type) {
+        case 'execute':
+            return record(state, action.command)
+        case 'preview':
+            // Live gesture feedback - recorded later as one 'update' command
+            return { ...state, elements: patchElement(state.elements, action.id, action.updates) }
+        case 'commit': {
+            // Gesture ended - record start → current as a single update
+            const element = state.elements.find(el => el.id === action.id)
+            if (!element || !action.before) return state
+            const after = {}
+            Object.keys(action.before).forEach(key => { after[key] = element[key] })
+            if (Object.keys(after).every(key => after[key] === action.before[key])) return state
+            return record(state, { type: 'update', id: action.id, before: action.before, after })
+        }
+        case 'remove': {
+            // Restore overrides the drag position so undo puts it back where it started
+            const index = state.elements.findIndex(el => el.id === action.id)
+            if (index === -1) return state
+            const element = { ...state.elements[index], ...action.restore }
+            return record(state, { type: 'remove', element, index })
+        }
+        case 'load':
+            // Restored draft - starts a fresh history
+            return { ...INITIAL_STATE, strokes: action.strokes, elements: action.elements }
+        case 'undo': {
+            if (state.past.length === 0) return state
+            const command = state.past[state.past.length - 1]
+            return {
+                ...revertCommand(state, command),
+                past: state.past.slice(0, -1),
+                future: [command, ...state.future]
+            }
+        }
+        case 'redo': {
+            if (state.future.length === 0) return state
+            const [command, ...future] = state.future
+            return {
+                ...applyCommand(state, command),
+                past: [...state.past, command],
+                future
+            }
+        }
+        default:
+            return state
+    }
+}
+
+export function useEditHistory() {
+    const [state, dispatch] = useReducer(historyReducer, INITIAL_STATE)
+
+    /**
+     * Record and apply a command (clears the redo stack)
+     */
+    const execute = useCallback((command) => {
+        dispatch({ type: 'execute', command })
+    }, [])
+
+    /**
+     * Update an element without recording (in-progress drag/pinch)
+     */
+    const preview = useCallback((id, updates) => {
+        dispatch({ type: 'preview', id, updates })
+    }, [])
+
+    /**
+     * Record a finished gesture started from `before` (already previewed)
+     */
+    const commit = useCallback((id, before) => {
+        dispatch({ type: 'commit', id, before })
+    }, [])
+
+    /**
+     * Delete an element; `restore` is the transform undo brings it back with
+     */
+    const remove = useCallback((id, restore = {}) => {
+        dispatch({ type: 'remove', id, restore })
+    }, [])
+
+    /**
+     * Replace strokes + elements (draft restore) and clear undo/redo
+     */
+    const load = useCallback(({ strokes, elements }) => {
+        dispatch({ type: 'load', strokes, elements })
+    }, [])
+
+    const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+    const redo = useCallback(() => dispatch({ type: 'redo' }), [])
+
+    return {
+        strokes: state.strokes,
+        elements: state.elements,
+        execute,
+        preview,
+        commit,
+        remove,
+        load,
+        undo,
+        redo,
+        canUndo: state.past.length > 0,
+        canRedo: state.future.length > 0,
+        // Next undo only touches strokes (DrawTool's own undo button)
+        canUndoStroke: state.past[state.past.length - 1]?.type === 'strokes'
+    }
+}
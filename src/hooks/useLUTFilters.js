@@ -0,0 +1,39 @@
+import { useState, useCallback } from 'react'
+import { getFilters, getLUTFilters, registerLUTFilter } from '../utils/filters.js'
+import { parseCubeLUT, loadStoredLUTs, storeLUTs } from '../utils/lut.js'
+
+/**
+ * useLUTFilters Hook - CamTech v1.7
+ * Imports .cube LUTs as custom filters and keeps them in localStorage
+ * Stored LUTs are registered once, before any component renders a filter list
+ */
+
+let storedEntries = loadStoredLUTs()
+storedEntries.forEach(registerLUTFilter)
+
+export function useLUTFilters() {
+    const [filters, setFilters] = useState(getFilters)
+    const [lutFilters, setLUTFilters] = useState(getLUTFilters)
+
+    /**
+     * Parse a .cube file, register it and persist it
+     * @returns {Promise<string>} New filter id
+     * @throws {Error} Parse errors or storage quota errors
+     */
+    const importLUT = useCallback(async (file) => {
+        const lut = parseCubeLUT(await file.text())
+        const label = (lut.title || file.name.replace(/\.cube$/i, '')).slice(0, 16)
+        const entry = { id: `lut-${Date.now().toString(36)}`, label, lut }
+
+        // Persist first so a full quota doesn't leave an unsaved filter behind
+        storeLUTs([...storedEntries, entry])
+        storedEntries = [...storedEntries, entry]
+
+        registerLUTFilter(entry)
+        setFilters(getFilters())
+        setLUTFilters(getLUTFilters())
+        return entry.id
+    }, [])
+
+    return { filters, lutFilters, importLUT }
+}
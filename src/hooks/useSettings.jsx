@@ -0,0 +1,54 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import { loadSettings, saveSettings, subscribeSettings } from '../utils/settings.js'
+
+/**
+ * useSettings Hook - CamTech v1.7
+ * App-wide preferences from utils/settings.js - SettingsProvider loads them
+ * once and saves every change; any component below it reads and updates
+ * through useSettings()
+ */
+
+const SettingsContext = createContext(null)
+
+export function SettingsProvider({ children }) {
+    const [settings, setSettings] = useState(loadSettings)
+    // Last settings loaded or saved - not written back
+    const persistedRef = useRef(settings)
+
+    /**
+     * Merge changes into the settings and persist them
+     * @param {Object} changes - e.g. { grid: true } or { exportOptions: {...} }
+     */
+    const updateSettings = useCallback((changes) => {
+        setSettings(prev => ({ ...prev, ...changes }))
+    }, [])
+
+    useEffect(() => {
+        if (settings === persistedRef.current) return
+        persistedRef.current = settings
+        saveSettings(settings)
+    }, [settings])
+
+    // Changed in another tab
+    useEffect(() => subscribeSettings((loaded) => {
+        persistedRef.current = loaded
+        setSettings(loaded)
+    }), [])
+
+    const value = useMemo(() => ({ settings, updateSettings }), [settings, updateSettings])
+
+    return (
+        <SettingsContext.Provider value={value}>
+            {children}
+        </SettingsContext.Provider>
+    )
+}
+
+/**
+ * @returns {{ settings: Object, updateSettings: Function }}
+ */
+export function useSettings() {
+    const context = useContext(SettingsContext)
+    if (!context) throw new Error('useSettings must be used inside SettingsProvider')
+    return context
+}
@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react'
+import { BUNDLED_PACKS } from '../utils/stickerPacks.js'
+import { getStickerPacks } from '../utils/stickers.js'
+import {
+    CUTOUT_PACK_ID,
+    isCutoutStorageSupported,
+    listCutoutStickers,
+    subscribeCutouts
+} from '../utils/cutouts.js'
+
+/**
+ * useStickerPacks Hook - CamTech v1.7
+ * Installed sticker packs - bundled packs right away, remote packs once
+ * their manifests and artwork are cached, then the user's "My stickers"
+ */
+export function useStickerPacks() {
+    const [packs, setPacks] = useState(BUNDLED_PACKS)
+    const [cutouts, setCutouts] = useState([])
+
+    useEffect(() => {
+        let cancelled = false
+        getStickerPacks().then((loaded) => {
+            if (!cancelled) setPacks(loaded)
+        })
+        return () => { cancelled = true }
+    }, [])
+
+    // Cutouts are saved and deleted from the drawer - keep the tab in sync
+    useEffect(() => {
+        if (!isCutoutStorageSupported()) return
+
+        let cancelled = false
+        const refresh = () => {
+            listCutoutStickers()
+                .then((stickers) => {
+                    if (!cancelled) setCutouts(stickers)
+                })
+                .catch(e => console.warn('Cutout list failed:', e))
+        }
+        refresh()
+        const unsubscribe = subscribeCutouts(refresh)
+        return () => {
+            cancelled = true
+            unsubscribe()
+        }
+    }, [])
+
+    const allPacks = isCutoutStorageSupported()
+        ? [...packs, { id: CUTOUT_PACK_ID, name: 'My stickers', thumbnail: null, stickers: cutouts }]
+        : packs
+
+    return { packs: allPacks }
+}
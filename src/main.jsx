@@ -1,10 +1,13 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { SettingsProvider } from './hooks/useSettings.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
-        <App />
+        <SettingsProvider>
+            <App />
+        </SettingsProvider>
     </React.StrictMode>,
 )
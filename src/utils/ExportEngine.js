@@ -1,13 +1,46 @@
 /**
  * ExportEngine.js - CamTech v1.7
  * Full layer compositing for final image export
+ * Saving: Web Share, download link or clipboard, whichever the device supports
  * Order: photo → strokes → stickers → emojis → text
+ * Scenes with animated stickers can also export as animated WebP/GIF
  */
 
-// Brush sizes (must match DrawTool.jsx)
-const BRUSH_SIZES = {
-    small: 4,
-    medium: 8
+import { needsEditPipeline } from './filters.js'
+import { BRUSH_SIZES, loadScene, migrateScene, SCENE_REFERENCE_WIDTH } from './scene.js'
+import { processPixels } from './processPixels.js'
+import { loadStickerImage, loadStickerAnimation, STICKER_SIZE } from './stickers.js'
+import { frameAt } from './animatedImage.js'
+import { createAnimationEncoder } from './animationEncoder.js'
+import { EMOJI_FONT } from './emojis.js'
+import { DEFAULT_EXPORT_OPTIONS, EXPORT_FORMATS, isExportFormatSupported } from './exportOptions.js'
+
+// Animated export - a short loop sized for sharing
+export const ANIMATION_OPTIONS = {
+    maxDimension: 720,
+    frameDelay: 50, // ms per frame (20fps) - a whole number of GIF delay units
+    maxDuration: 6000, // ms - longer loops are cut here
+    quality: 0.9
+}
+
+// Animated formats - GIF where the browser can't encode WebP frames
+export const ANIMATION_FORMATS = {
+    webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp' },
+    gif: { label: 'GIF', mimeType: 'image/gif', extension: 'gif' }
+}
+
+export function getAnimationFormat() {
+    return isExportFormatSupported('webp') ? 'webp' : 'gif'
+}
+
+/**
+ * Resolve options to an encodable format - unsupported formats fall back to JPEG
+ */
+export function resolveExportOptions(options = {}) {
+    const merged = { ...DEFAULT_EXPORT_OPTIONS, ...options }
+    const format = isExportFormatSupported(merged.format) ? merged.format : 'jpeg'
+    const quality = Math.max(0.1, Math.min(1, merged.quality))
+    return { ...merged, format, quality, ...EXPORT_FORMATS[format] }
 }
 
 // Font definitions (must match TextEditor.jsx)
@@ -29,7 +62,7 @@ function drawStrokes(ctx, strokes, scale = 1) {
 
         ctx.beginPath()
         ctx.strokeStyle = stroke.color
-        ctx.lineWidth = (BRUSH_SIZES[stroke.size] || BRUSH_SIZES.small) * scale
+        ctx.lineWidth = (stroke.width || BRUSH_SIZES[stroke.size] || BRUSH_SIZES.small) * scale
         ctx.lineCap = 'round'
         ctx.lineJoin = 'round'
 
@@ -43,31 +76,59 @@ function drawStrokes(ctx, strokes, scale = 1) {
 
 /**
  * Draw a sticker element onto canvas
+ * Artwork is fit inside the STICKER_SIZE box like the on-screen <img>
  */
-function drawSticker(ctx, element, scale = 1) {
+function drawSticker(ctx, element, image, scale = 1) {
     const x = element.x * scale
     const y = element.y * scale
-    const size = 80 * element.scale * scale
+    const size = STICKER_SIZE * element.scale * scale
+    // <img> artwork or a decoded animation frame (canvas)
+    const imageWidth = image.naturalWidth || image.width || 1
+    const imageHeight = image.naturalHeight || image.height || 1
+    const fit = size / Math.max(imageWidth, imageHeight)
+    const drawWidth = imageWidth * fit
+    const drawHeight = imageHeight * fit
 
     ctx.save()
     ctx.translate(x, y)
     ctx.rotate((element.rotation * Math.PI) / 180)
+    // SVG artwork rasterizes at the destination size - sharp at full resolution
+    ctx.drawImage(image, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight)
+    ctx.restore()
+}
 
-    // Draw placeholder square with label
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)'
-    ctx.fillRect(-size / 2, -size / 2, size, size)
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)'
-    ctx.lineWidth = 2 * scale
-    ctx.strokeRect(-size / 2, -size / 2, size, size)
+function placedStickerIds(elements) {
+    return [...new Set(elements
+        .filter(element => element.type === 'sticker')
+        .map(element => element.data?.stickerId))]
+}
 
-    // Draw sticker label
-    ctx.fillStyle = '#fff'
-    ctx.font = `${12 * scale}px -apple-system, sans-serif`
-    ctx.textAlign = 'center'
-    ctx.textBaseline = 'middle'
-    ctx.fillText(element.data?.stickerId || 'sticker', 0, 0)
+/**
+ * Load artwork for every placed sticker, keyed by sticker id
+ * Missing artwork is logged and that sticker skipped rather than failing the export
+ */
+async function loadStickerImages(elements) {
+    const images = new Map()
+    await Promise.all(placedStickerIds(elements).map(async (id) => {
+        try {
+            images.set(id, await loadStickerImage(id))
+        } catch (e) {
+            console.warn('Sticker artwork unavailable:', e)
+        }
+    }))
+    return images
+}
 
-    ctx.restore()
+/**
+ * Decoded frames for every placed animated sticker, keyed by sticker id
+ */
+async function loadStickerAnimations(elements) {
+    const animations = new Map()
+    await Promise.all(placedStickerIds(elements).map(async (id) => {
+        const animation = await loadStickerAnimation(id)
+        if (animation) animations.set(id, animation)
+    }))
+    return animations
 }
 
 /**
@@ -82,7 +143,7 @@ function drawEmoji(ctx, element, scale = 1) {
     ctx.translate(x, y)
     ctx.rotate((element.rotation * Math.PI) / 180)
 
-    ctx.font = `${fontSize}px -apple-system, sans-serif`
+    ctx.font = `${fontSize}px ${EMOJI_FONT}`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
     ctx.fillText(element.data?.emojiChar || '😊', 0, 0)
@@ -170,40 +231,40 @@ function drawText(ctx, element, scale = 1) {
 }
 
 /**
- * Main export function - composites all layers into final image
- * Order: frozen frame → strokes → stickers → emojis → text
- * @param {Object} params
- * @param {HTMLCanvasElement} params.baseCanvas - Frozen frame canvas
- * @param {Array} params.strokes - Array of stroke objects
- * @param {Array} params.elements - Array of placed elements
- * @param {number} params.displayWidth - Display width of canvas
- * @param {number} params.displayHeight - Display height of canvas
- * @returns {Promise<{dataURL: string, blob: Blob}>}
+ * Draw the photo layers: frozen frame (filter + adjustments baked) and strokes
+ * @returns {Promise<{elements: Array, scale: number}>} Elements scaled by `scale`
  */
-export async function exportImage({ baseCanvas, strokes, elements, displayWidth, displayHeight }) {
-    // Get actual canvas dimensions (includes DPR)
-    const width = baseCanvas.width
-    const height = baseCanvas.height
-    const dpr = width / displayWidth || 1
-
-    // Create export canvas at full resolution
-    const exportCanvas = document.createElement('canvas')
-    exportCanvas.width = width
-    exportCanvas.height = height
-    const ctx = exportCanvas.getContext('2d')
-
-    // Scale for high DPI
-    const scale = dpr
-
-    // Layer 1: Draw frozen frame
-    ctx.drawImage(baseCanvas, 0, 0)
+async function drawBase(ctx, sourceImage, scene, width, height) {
+    // Load the scene at its reference width, then scale every layer to the export size
+    const { aspectRatio } = migrateScene(scene)
+    const { filterId, filterStrength, adjustments, strokes, elements } = loadScene(scene, {
+        width: SCENE_REFERENCE_WIDTH,
+        height: SCENE_REFERENCE_WIDTH / aspectRatio
+    })
+    const scale = width / SCENE_REFERENCE_WIDTH
+
+    // Layer 1: Draw frozen frame from the raw source, then bake filter + adjustments
+    ctx.drawImage(sourceImage, 0, 0, width, height)
+    // Pixel loops run in the worker (main-thread fallback), output is identical
+    const pipeline = { filterId, filterStrength, adjustments }
+    if (needsEditPipeline(pipeline)) {
+        const pixels = ctx.getImageData(0, 0, width, height)
+        ctx.putImageData(await processPixels(pixels, pipeline), 0, 0)
+    }
 
     // Layer 2: Draw strokes
     if (strokes.length > 0) {
         drawStrokes(ctx, strokes, scale)
     }
 
-    // Layer 3 & 4: Draw elements in order (stickers, emojis, then text)
+    return { elements, scale }
+}
+
+/**
+ * Layer 3 & 4: Draw elements in order (stickers, emojis, then text)
+ * @param {Function} stickerImage - Sticker id → artwork to draw (or undefined to skip)
+ */
+function drawElements(ctx, elements, scale, stickerImage) {
     // Sort by type to ensure correct z-order
     const sortedElements = [...elements].sort((a, b) => {
         const order = { sticker: 0, emoji: 1, text: 2 }
@@ -212,38 +273,194 @@ export async function exportImage({ baseCanvas, strokes, elements, displayWidth,
 
     sortedElements.forEach(element => {
         if (element.type === 'sticker') {
-            drawSticker(ctx, element, scale)
+            const image = stickerImage(element.data?.stickerId)
+            if (image) drawSticker(ctx, element, image, scale)
         } else if (element.type === 'emoji') {
             drawEmoji(ctx, element, scale)
         } else if (element.type === 'text') {
             drawText(ctx, element, scale)
         }
     })
+}
+
+// Output size for a source image, capped to maxDimension on the longest edge
+function getExportSize(sourceImage, maxDimension) {
+    const sourceWidth = sourceImage.naturalWidth || sourceImage.width
+    const sourceHeight = sourceImage.naturalHeight || sourceImage.height
+    const downscale = maxDimension
+        ? Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight))
+        : 1
+    return {
+        width: Math.round(sourceWidth * downscale),
+        height: Math.round(sourceHeight * downscale)
+    }
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+/**
+ * Main export function - composites all layers into final image
+ * Order: frozen frame → strokes → stickers → emojis → text
+ * Animated stickers are drawn at their first frame
+ * @param {Object} params
+ * @param {HTMLImageElement} params.sourceImage - Unfiltered captured frame (sets export size)
+ * @param {Object} params.scene - Scene document (scene.js) - filter, adjustments, strokes, elements
+ * @param {Object} [params.exportOptions] - { format, quality, maxDimension }
+ * @returns {Promise<{dataURL: string, blob: Blob, mimeType: string, extension: string}>}
+ */
+export async function exportImage({ sourceImage, scene, exportOptions }) {
+    const output = resolveExportOptions(exportOptions)
+
+    // Export at the capture's native resolution, not the on-screen size
+    // Optionally capped to maxDimension on the longest edge
+    const { width, height } = getExportSize(sourceImage, output.maxDimension)
+
+    // Create export canvas at full resolution
+    const exportCanvas = createCanvas(width, height)
+    const ctx = exportCanvas.getContext('2d')
+
+    const { elements, scale } = await drawBase(ctx, sourceImage, scene, width, height)
+    const [stickerImages, animations] = await Promise.all([
+        loadStickerImages(elements),
+        loadStickerAnimations(elements)
+    ])
+    drawElements(ctx, elements, scale, id =>
+        animations.has(id) ? animations.get(id).frames[0].image : stickerImages.get(id))
 
-    // Generate output
-    const dataURL = exportCanvas.toDataURL('image/png', 1.0)
+    // Generate output (quality is ignored for PNG)
+    const { mimeType, extension, quality } = output
+    const dataURL = exportCanvas.toDataURL(mimeType, quality)
 
     // Convert to blob
     return new Promise((resolve, reject) => {
         exportCanvas.toBlob((blob) => {
             if (blob) {
-                resolve({ dataURL, blob })
+                resolve({ dataURL, blob, mimeType, extension })
             } else {
                 reject(new Error('Failed to create image blob'))
             }
-        }, 'image/png', 1.0)
+        }, mimeType, quality)
+    })
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a)
+
+/**
+ * Length of the exported loop - one where every animation loops cleanly if
+ * it fits in maxDuration, otherwise the longest animation (capped)
+ */
+function getLoopDuration(animations) {
+    const { frameDelay, maxDuration } = ANIMATION_OPTIONS
+    const durations = animations.map(animation => Math.max(frameDelay, Math.round(animation.duration / 10) * 10))
+    const common = durations.reduce((lcm, duration) => (lcm * duration) / gcd(lcm, duration))
+    return Math.min(maxDuration, common <= maxDuration ? common : Math.max(...durations))
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(reader.result)
+        reader.onerror = () => reject(reader.error)
+        reader.readAsDataURL(blob)
     })
 }
 
 /**
- * Share the exported image using Web Share API
- * No download fallback - Web Share only
+ * Animated export - the photo, strokes and text composited on every frame
+ * of the placed animated stickers, encoded on-device as animated WebP or GIF
+ * @param {Object} params
+ * @param {HTMLImageElement} params.sourceImage - Unfiltered captured frame
+ * @param {Object} params.scene - Scene document (scene.js)
+ * @param {Function} [params.onProgress] - Called with 0-1 as frames are encoded
+ * @returns {Promise<{dataURL: string, blob: Blob, mimeType: string, extension: string, animated: true}>}
+ * @throws {Error} If the scene has no animated stickers
+ */
+export async function exportAnimation({ sourceImage, scene, onProgress }) {
+    const format = getAnimationFormat()
+    const { mimeType, extension } = ANIMATION_FORMATS[format]
+    const { width, height } = getExportSize(sourceImage, ANIMATION_OPTIONS.maxDimension)
+
+    // Photo layers don't move - render them once, reuse as each frame's background
+    const background = createCanvas(width, height)
+    const { elements, scale } = await drawBase(background.getContext('2d'), sourceImage, scene, width, height)
+
+    const [stickerImages, animations] = await Promise.all([
+        loadStickerImages(elements),
+        loadStickerAnimations(elements)
+    ])
+    if (animations.size === 0) throw new Error('Scene has no animated stickers')
+
+    const duration = getLoopDuration([...animations.values()])
+    const { frameDelay } = ANIMATION_OPTIONS
+    const frameCount = Math.ceil(duration / frameDelay)
+
+    const frameCanvas = createCanvas(width, height)
+    const ctx = frameCanvas.getContext('2d')
+    const encoder = await createAnimationEncoder(format, width, height, { quality: ANIMATION_OPTIONS.quality })
+
+    try {
+        for (let i = 0; i < frameCount; i++) {
+            const time = i * frameDelay
+            ctx.drawImage(background, 0, 0)
+            drawElements(ctx, elements, scale, id =>
+                animations.has(id) ? frameAt(animations.get(id), time).image : stickerImages.get(id))
+
+            await encoder.addFrame(frameCanvas, Math.min(frameDelay, duration - time))
+            if (onProgress) onProgress((i + 1) / frameCount)
+        }
+
+        const blob = await encoder.finish()
+        return { dataURL: await blobToDataURL(blob), blob, mimeType, extension, animated: true }
+    } catch (error) {
+        encoder.cancel()
+        throw error
+    }
+}
+
+// Base name for saved and shared files
+const FILE_NAME = 'hikari-camtech'
+
+/**
+ * Save targets available on this device, in display order
+ * Share needs file support in the Web Share API, Copy needs async clipboard images
+ * @param {boolean} [animated] - Animations skip Copy (the clipboard would keep one frame)
+ * @returns {Array<'share'|'download'|'copy'>}
  */
-export async function shareImage(blob, dataURL) {
+export function getSaveTargets(blob, extension = 'png', animated = false) {
+    const targets = []
+
+    const file = new File([blob], `${FILE_NAME}.${extension}`, { type: blob.type })
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        targets.push('share')
+    }
+
+    if ('download' in HTMLAnchorElement.prototype) {
+        targets.push('download')
+    }
+
+    // Clipboard images are PNG-only in every browser - copyImage converts
+    if (!animated && navigator.clipboard?.write && typeof ClipboardItem !== 'undefined' &&
+        (!ClipboardItem.supports || ClipboardItem.supports('image/png'))) {
+        targets.push('copy')
+    }
+
+    return targets
+}
+
+/**
+ * Share via the Web Share API
+ */
+export async function shareImage(blob, extension = 'png') {
+    const file = new File([blob], `${FILE_NAME}.${extension}`, { type: blob.type })
+
     // Check if Web Share API with files is supported
-    if (navigator.canShare && navigator.canShare({ files: [new File([blob], 'image.png', { type: 'image/png' })] })) {
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
         try {
-            const file = new File([blob], 'hikari-camtech.png', { type: 'image/png' })
             await navigator.share({
                 files: [file],
                 title: 'Hikari CamTech',
@@ -260,29 +477,54 @@ export async function shareImage(blob, dataURL) {
         }
     }
 
-    // Web Share not supported - no download fallback
     return { shared: false, notSupported: true }
 }
 
 /**
- * Full export and share flow
+ * Save through a temporary <a download> link
  */
-export async function exportAndShare({ baseCanvas, strokes, elements, displayWidth, displayHeight }) {
-    // Export image
-    const { dataURL, blob } = await exportImage({
-        baseCanvas,
-        strokes,
-        elements,
-        displayWidth,
-        displayHeight
-    })
+export function downloadImage(blob, extension = 'png') {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${FILE_NAME}-${Date.now()}.${extension}`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+    return { saved: true }
+}
 
-    // Share
-    const result = await shareImage(blob, dataURL)
+// Re-encode any export blob as PNG for the clipboard
+async function toPNGBlob(blob) {
+    if (blob.type === 'image/png') return blob
 
-    return {
-        ...result,
-        dataURL
-    }
+    const bitmap = await createImageBitmap(blob)
+    const canvas = document.createElement('canvas')
+    canvas.width = bitmap.width
+    canvas.height = bitmap.height
+    canvas.getContext('2d').drawImage(bitmap, 0, 0)
+    bitmap.close()
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(png => png ? resolve(png) : reject(new Error('PNG encode failed')), 'image/png')
+    })
 }
 
+/**
+ * Copy to the clipboard as PNG
+ * The ClipboardItem is built synchronously (with a promised blob) so Safari
+ * still sees the user gesture
+ */
+export async function copyImage(blob) {
+    try {
+        const item = new ClipboardItem({ 'image/png': toPNGBlob(blob) })
+        await navigator.clipboard.write([item])
+        return { copied: true }
+    } catch (error) {
+        console.warn('Clipboard write failed:', error)
+        return { copied: false, error: true }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * adjustments.js - CamTech v1.7
+ * Manual photo adjustments applied with MANUAL pixel math (like applyPixelFilter)
+ * Stacked on top of the selected filter in the editor and at export
+ */
+
+// Slider definitions - every value is -100..100, 0 = unchanged
+export const ADJUSTMENTS = [
+    { id: 'exposure', label: 'Exposure' },
+    { id: 'contrast', label: 'Contrast' },
+    { id: 'saturation', label: 'Saturation' },
+    { id: 'temperature', label: 'Temperature' },
+    { id: 'tint', label: 'Tint' },
+    { id: 'highlights', label: 'Highlights' },
+    { id: 'shadows', label: 'Shadows' }
+]
+
+export const DEFAULT_ADJUSTMENTS = {
+    exposure: 0,
+    contrast: 0,
+    saturation: 0,
+    temperature: 0,
+    tint: 0,
+    highlights: 0,
+    shadows: 0
+}
+
+/**
+ * True if any adjustment differs from its neutral value
+ */
+export function hasAdjustments(adjustments) {
+    if (!adjustments) return false
+    return ADJUSTMENTS.some(({ id }) => (adjustments[id] || 0) !== 0)
+}
+
+/**
+ * Apply adjustments using MANUAL pixel manipulation
+ * Order: exposure → temperature/tint → highlights/shadows → contrast → saturation
+ * @param {ImageData} imageData - Modified in place
+ * @param {Object} adjustments - Values -100..100 keyed by ADJUSTMENTS id
+ */
+export function applyAdjustments(imageData, adjustments) {
+    if (!hasAdjustments(adjustments)) return imageData
+
+    const data = imageData.data
+    const len = data.length
+
+    // Helper: clamp value to 0-255
+    const clamp = (v) => v < 0 ? 0 : v > 255 ? 255 : v
+
+    // Normalize to -1..1 and precompute per-adjustment factors
+    const exposure = Math.pow(2, (adjustments.exposure || 0) / 100) // ±1 stop
+    const contrast = 1 + ((adjustments.contrast || 0) / 100) * 0.5 // 0.5x-1.5x
+    const saturation = 1 + (adjustments.saturation || 0) / 100 // 0x-2x
+    const temperature = ((adjustments.temperature || 0) / 100) * 30 // warm = +R -B
+    const tint = ((adjustments.tint || 0) / 100) * 30 // magenta = -G
+    const highlights = ((adjustments.highlights || 0) / 100) * 64
+    const shadows = ((adjustments.shadows || 0) / 100) * 64
+
+    for (let i = 0; i < len; i += 4) {
+        // Exposure
+        let r = data[i] * exposure
+        let g = data[i + 1] * exposure
+        let b = data[i + 2] * exposure
+
+        // White balance
+        r += temperature
+        b -= temperature
+        g -= tint
+
+        // Tone: weight by luminance so highlights/shadows only touch their range
+        if (highlights !== 0 || shadows !== 0) {
+            const lum = clamp(r * 0.299 + g * 0.587 + b * 0.114)
+            const highWeight = lum > 128 ? ((lum - 128) / 127) ** 2 : 0
+            const shadowWeight = lum < 128 ? ((128 - lum) / 128) ** 2 : 0
+            const lift = highlights * highWeight + shadows * shadowWeight
+            r += lift
+            g += lift
+            b += lift
+        }
+
+        // Contrast (centered at mid-gray)
+        r = (r - 127.5) * contrast + 127.5
+        g = (g - 127.5) * contrast + 127.5
+        b = (b - 127.5) * contrast + 127.5
+
+        // Saturation (distance from luminance)
+        const gray = r * 0.299 + g * 0.587 + b * 0.114
+        r = gray + (r - gray) * saturation
+        g = gray + (g - gray) * saturation
+        b = gray + (b - gray) * saturation
+
+        data[i] = clamp(r)
+        data[i + 1] = clamp(g)
+        data[i + 2] = clamp(b)
+    }
+
+    return imageData
+}
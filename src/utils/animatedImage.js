@@ -0,0 +1,446 @@
+/**
+ * animatedImage.js - CamTech v1.7
+ * Frame-by-frame decoding of animated GIF and APNG stickers
+ * Frames are fully composited (disposal + blending applied) canvases, so the
+ * editor and ExportEngine draw the exact same frame for a given time
+ *
+ * Animation: { width, height, duration, frames: [{ image: HTMLCanvasElement, start, delay }] }
+ */
+
+// Decoding stops here - keeps a runaway GIF from exhausting memory
+const MAX_FRAMES = 200
+
+// Browsers play 0-10ms GIF delays at 100ms; we match them
+const MIN_DELAY_MS = 20
+const DEFAULT_DELAY_MS = 100
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+// Snapshot a compositing canvas as a standalone frame
+function copyCanvas(source) {
+    const canvas = createCanvas(source.width, source.height)
+    canvas.getContext('2d').drawImage(source, 0, 0)
+    return canvas
+}
+
+function buildAnimation(width, height, frames) {
+    let start = 0
+    const timed = frames.map(({ image, delay }) => {
+        const frame = { image, start, delay }
+        start += delay
+        return frame
+    })
+    return { width, height, duration: start, frames: timed }
+}
+
+/* ---------- GIF ---------- */
+
+/**
+ * Decode GIF LZW data into color indices
+ */
+function decodeLZW(minCodeSize, data, pixelCount) {
+    const output = new Uint8Array(pixelCount)
+    const clearCode = 1 << minCodeSize
+    const endCode = clearCode + 1
+
+    // Dictionary as prefix/suffix chains
+    const prefix = new Int16Array(4096)
+    const suffix = new Uint8Array(4096)
+    const stack = new Uint8Array(4097)
+
+    let codeSize = minCodeSize + 1
+    let codeMask = (1 << codeSize) - 1
+    let nextCode = endCode + 1
+    let oldCode = -1
+    let first = 0
+
+    let bits = 0
+    let datum = 0
+    let outPos = 0
+
+    for (let i = 0; i < clearCode; i++) suffix[i] = i
+
+    for (let pos = 0; pos < data.length && outPos < pixelCount;) {
+        // Pull the next code off the bit stream (LSB first)
+        while (bits < codeSize && pos < data.length) {
+            datum |= data[pos++] << bits
+            bits += 8
+        }
+        if (bits < codeSize) break
+        const code = datum & codeMask
+        datum >>= codeSize
+        bits -= codeSize
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1
+            codeMask = (1 << codeSize) - 1
+            nextCode = endCode + 1
+            oldCode = -1
+            continue
+        }
+        if (code === endCode) break
+
+        if (oldCode === -1) {
+            output[outPos++] = suffix[code]
+            oldCode = code
+            first = code
+            continue
+        }
+
+        let top = 0
+        let current = code
+        if (code >= nextCode) {
+            // KwKwK case - code not in the table yet
+            stack[top++] = first
+            current = oldCode
+        }
+        while (current > clearCode) {
+            stack[top++] = suffix[current]
+            current = prefix[current]
+        }
+        first = suffix[current]
+        stack[top++] = first
+
+        if (nextCode < 4096) {
+            prefix[nextCode] = oldCode
+            suffix[nextCode] = first
+            nextCode++
+            if ((nextCode & codeMask) === 0 && nextCode < 4096) {
+                codeSize++
+                codeMask = (1 << codeSize) - 1
+            }
+        }
+        oldCode = code
+
+        while (top > 0 && outPos < pixelCount) output[outPos++] = stack[--top]
+    }
+
+    return output
+}
+
+// Interlaced GIF rows arrive in 4 passes
+function deinterlace(indices, width, height) {
+    const output = new Uint8Array(indices.length)
+    const passes = [[0, 8], [4, 8], [2, 4], [1, 2]]
+    let row = 0
+    for (const [start, step] of passes) {
+        for (let y = start; y < height; y += step) {
+            output.set(indices.subarray(row * width, (row + 1) * width), y * width)
+            row++
+        }
+    }
+    return output
+}
+
+/**
+ * Decode every frame of a GIF
+ * @param {Uint8Array} bytes
+ * @returns {Object} Animation
+ * @throws {Error} If the data is not a readable GIF
+ */
+export function decodeGIF(bytes) {
+    let pos = 0
+    const u8 = () => bytes[pos++]
+    const u16 = () => { const v = bytes[pos] | (bytes[pos + 1] << 8); pos += 2; return v }
+    const readColorTable = (size) => {
+        const table = bytes.subarray(pos, pos + size * 3)
+        pos += size * 3
+        return table
+    }
+    const readSubBlocks = () => {
+        const blocks = []
+        let length = 0
+        for (let size = u8(); size > 0; size = u8()) {
+            blocks.push(bytes.subarray(pos, pos + size))
+            length += size
+            pos += size
+        }
+        const data = new Uint8Array(length)
+        let offset = 0
+        blocks.forEach(block => { data.set(block, offset); offset += block.length })
+        return data
+    }
+
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'GIF8') throw new Error('Not a GIF')
+    pos = 6
+    const width = u16()
+    const height = u16()
+    const packed = u8()
+    pos += 2 // background index, aspect ratio
+    const globalTable = packed & 0x80 ? readColorTable(1 << ((packed & 0x07) + 1)) : null
+
+    // Compositing buffer - the "screen" frames are drawn onto
+    const screen = new Uint8ClampedArray(width * height * 4)
+    const frames = []
+    let control = { disposal: 0, delay: 0, transparent: -1 }
+
+    while (pos < bytes.length && frames.length < MAX_FRAMES) {
+        const block = u8()
+
+        if (block === 0x21) {
+            const label = u8()
+            if (label === 0xF9) {
+                // Graphic control extension - applies to the next image
+                pos++ // block size (4)
+                const flags = u8()
+                const delay = u16() * 10
+                const transparentIndex = u8()
+                pos++ // terminator
+                control = {
+                    disposal: (flags >> 2) & 0x07,
+                    delay,
+                    transparent: flags & 0x01 ? transparentIndex : -1
+                }
+            } else {
+                readSubBlocks()
+            }
+        } else if (block === 0x2C) {
+            const left = u16()
+            const top = u16()
+            const frameWidth = u16()
+            const frameHeight = u16()
+            const flags = u8()
+            const table = flags & 0x80 ? readColorTable(1 << ((flags & 0x07) + 1)) : globalTable
+            const minCodeSize = u8()
+            let indices = decodeLZW(minCodeSize, readSubBlocks(), frameWidth * frameHeight)
+            if (flags & 0x40) indices = deinterlace(indices, frameWidth, frameHeight)
+            if (!table) throw new Error('GIF frame without a color table')
+
+            // Disposal 3 restores what was under the frame afterwards
+            const previous = control.disposal === 3 ? screen.slice() : null
+
+            for (let y = 0; y < frameHeight; y++) {
+                const screenY = top + y
+                if (screenY >= height) break
+                for (let x = 0; x < frameWidth; x++) {
+                    const screenX = left + x
+                    if (screenX >= width) break
+                    const index = indices[y * frameWidth + x]
+                    if (index === control.transparent) continue
+                    const out = (screenY * width + screenX) * 4
+                    screen[out] = table[index * 3]
+                    screen[out + 1] = table[index * 3 + 1]
+                    screen[out + 2] = table[index * 3 + 2]
+                    screen[out + 3] = 255
+                }
+            }
+
+            const image = createCanvas(width, height)
+            image.getContext('2d').putImageData(new ImageData(screen.slice(), width, height), 0, 0)
+            frames.push({
+                image,
+                delay: control.delay <= 10 ? DEFAULT_DELAY_MS : Math.max(MIN_DELAY_MS, control.delay)
+            })
+
+            if (control.disposal === 2) {
+                // Restore to background (transparent) under this frame
+                for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                    screen.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + frameWidth)) * 4)
+                }
+            } else if (previous) {
+                screen.set(previous)
+            }
+            control = { disposal: 0, delay: 0, transparent: -1 }
+        } else {
+            // 0x3B trailer (or garbage) - done
+            break
+        }
+    }
+
+    if (frames.length === 0) throw new Error('GIF has no frames')
+    return buildAnimation(width, height, frames)
+}
+
+/* ---------- APNG ---------- */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+        let c = n
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+        table[n] = c >>> 0
+    }
+    return table
+})()
+
+export function crc32(bytes, crc = 0xFFFFFFFF) {
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+    return crc
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length)
+    const view = new DataView(chunk.buffer)
+    view.setUint32(0, data.length)
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i)
+    chunk.set(data, 8)
+    view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xFFFFFFFF) >>> 0)
+    return chunk
+}
+
+function readPNGChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const chunks = []
+    for (let pos = 8; pos + 8 <= bytes.length;) {
+        const length = view.getUint32(pos)
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8))
+        chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) })
+        pos += 12 + length
+        if (type === 'IEND') break
+    }
+    return chunks
+}
+
+async function decodePNGFrame(ihdr, shared, data, width, height) {
+    const header = ihdr.slice()
+    const view = new DataView(header.buffer)
+    view.setUint32(0, width)
+    view.setUint32(4, height)
+
+    const parts = [
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        ...shared.map(chunk => pngChunk(chunk.type, chunk.data)),
+        ...data.map(chunk => pngChunk('IDAT', chunk)),
+        pngChunk('IEND', new Uint8Array(0))
+    ]
+    const blob = new Blob(parts, { type: 'image/png' })
+
+    if (typeof createImageBitmap === 'function') return createImageBitmap(blob)
+    const url = URL.createObjectURL(blob)
+    try {
+        const img = new Image()
+        img.src = url
+        await img.decode()
+        return img
+    } finally {
+        URL.revokeObjectURL(url)
+    }
+}
+
+/**
+ * Decode every frame of an APNG - each frame is rebuilt as a standalone PNG
+ * and decoded by the browser, then composited per its dispose/blend ops
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Object|null>} Animation, or null for a plain (static) PNG
+ */
+export async function decodeAPNG(bytes) {
+    const chunks = readPNGChunks(bytes)
+    const ihdrChunk = chunks.find(chunk => chunk.type === 'IHDR')
+    if (!ihdrChunk || !chunks.some(chunk => chunk.type === 'acTL')) return null
+
+    const ihdrView = new DataView(ihdrChunk.data.buffer, ihdrChunk.data.byteOffset)
+    const width = ihdrView.getUint32(0)
+    const height = ihdrView.getUint32(4)
+
+    // Collect frames: fcTL followed by IDAT (frame 0 only) or fdAT data
+    const shared = []
+    const pending = []
+    let current = null
+    let seenImageData = false
+    for (const { type, data } of chunks) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+        if (type === 'fcTL') {
+            current = {
+                width: view.getUint32(4),
+                height: view.getUint32(8),
+                x: view.getUint32(12),
+                y: view.getUint32(16),
+                delay: (view.getUint16(20) / (view.getUint16(22) || 100)) * 1000,
+                dispose: data[24],
+                blend: data[25],
+                data: []
+            }
+            pending.push(current)
+        } else if (type === 'IDAT') {
+            seenImageData = true
+            // IDAT without a preceding fcTL is a default image outside the animation
+            if (current) current.data.push(data)
+        } else if (type === 'fdAT') {
+            if (current) current.data.push(data.subarray(4))
+        } else if (!seenImageData && !['IHDR', 'acTL', 'IEND'].includes(type)) {
+            // PLTE, tRNS, color profile chunks apply to every frame
+            shared.push({ type, data })
+        }
+    }
+
+    const screen = createCanvas(width, height)
+    const ctx = screen.getContext('2d')
+    const frames = []
+
+    for (const frame of pending.slice(0, MAX_FRAMES)) {
+        if (frame.data.length === 0) continue
+        const image = await decodePNGFrame(ihdrChunk.data, shared, frame.data, frame.width, frame.height)
+
+        // Dispose op 2 restores the region afterwards
+        const previous = frame.dispose === 2
+            ? ctx.getImageData(frame.x, frame.y, frame.width, frame.height)
+            : null
+
+        // Blend op 0 replaces the region, 1 draws over it
+        if (frame.blend === 0) ctx.clearRect(frame.x, frame.y, frame.width, frame.height)
+        ctx.drawImage(image, frame.x, frame.y)
+        if (image.close) image.close()
+
+        frames.push({ image: copyCanvas(screen), delay: Math.max(MIN_DELAY_MS, frame.delay) })
+
+        if (frame.dispose === 1) ctx.clearRect(frame.x, frame.y, frame.width, frame.height)
+        else if (previous) ctx.putImageData(previous, frame.x, frame.y)
+    }
+
+    if (frames.length === 0) return null
+    return buildAnimation(width, height, frames)
+}
+
+/* ---------- Loading ---------- */
+
+// Decoded animations by URL
+const animationCache = new Map()
+
+/**
+ * Fetch and decode an animated sticker
+ * @returns {Promise<Object|null>} Animation, or null if the image is not animated
+ * @throws {Error} If the image can't be fetched or decoded
+ */
+export function loadAnimation(src) {
+    if (!animationCache.has(src)) {
+        const promise = (async () => {
+            const response = await fetch(src)
+            if (!response.ok) throw new Error(`Animation request failed: ${response.status}`)
+            const bytes = new Uint8Array(await response.arrayBuffer())
+
+            if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+                const animation = decodeGIF(bytes)
+                return animation.frames.length > 1 ? animation : null
+            }
+            if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+                const animation = await decodeAPNG(bytes)
+                return animation && animation.frames.length > 1 ? animation : null
+            }
+            return null
+        })()
+        // Allow a retry after a failed load
+        promise.catch(() => animationCache.delete(src))
+        animationCache.set(src, promise)
+    }
+    return animationCache.get(src)
+}
+
+/**
+ * Frame showing at a time (ms) - animations loop forever
+ */
+export function frameAt(animation, time) {
+    const t = ((time % animation.duration) + animation.duration) % animation.duration
+    const { frames } = animation
+    for (let i = frames.length - 1; i >= 0; i--) {
+        if (frames[i].start <= t) return frames[i]
+    }
+    return frames[0]
+}
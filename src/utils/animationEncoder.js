@@ -0,0 +1,255 @@
+/**
+ * animationEncoder.js - CamTech v1.7
+ * Animated export encoders - everything runs on-device
+ * WebP: each frame is encoded by the browser (canvas.toBlob) and muxed into
+ *       an animated WebP container here
+ * GIF:  gifEncoder.js in a Web Worker, main-thread fallback (identical output)
+ * Both only store the region that changed since the previous frame
+ */
+
+import { createGIFEncoder, changedRect } from './gifEncoder.js'
+
+// Give up on the worker if it hasn't loaded by then
+const WORKER_READY_TIMEOUT_MS = 2000
+
+/* ---------- GIF ---------- */
+
+/**
+ * Start a GIF worker - resolves to null where workers are unavailable
+ */
+function startGIFWorker() {
+    return new Promise((resolve) => {
+        if (typeof Worker === 'undefined') {
+            resolve(null)
+            return
+        }
+
+        let worker
+        try {
+            worker = new Worker(new URL('./gifWorker.js', import.meta.url), { type: 'module' })
+        } catch (e) {
+            resolve(null)
+            return
+        }
+
+        const fail = (reason) => {
+            console.warn('GIF worker unavailable, encoding on main thread:', reason)
+            worker.terminate()
+            resolve(null)
+        }
+        const timeout = setTimeout(() => fail('timeout'), WORKER_READY_TIMEOUT_MS)
+
+        worker.onerror = (e) => {
+            clearTimeout(timeout)
+            fail(e.message || 'error')
+        }
+        worker.onmessage = (e) => {
+            if (e.data.type !== 'ready') return
+            clearTimeout(timeout)
+            resolve(worker)
+        }
+    })
+}
+
+async function createGIFWriter(width, height) {
+    const worker = await startGIFWorker()
+
+    if (!worker) {
+        const encoder = createGIFEncoder(width, height)
+        return {
+            addFrame: async (pixels, delay) => encoder.addFrame(pixels, delay),
+            finish: async () => new Blob([encoder.finish()], { type: 'image/gif' }),
+            cancel: () => {}
+        }
+    }
+
+    // One message in flight - every message is acknowledged
+    let pending = null
+    worker.onmessage = (e) => {
+        const job = pending
+        pending = null
+        if (!job) return
+        if (e.data.error) job.reject(new Error(e.data.error))
+        else job.resolve(e.data)
+    }
+    worker.onerror = (e) => {
+        if (pending) pending.reject(new Error(e.message || 'GIF worker crashed'))
+        pending = null
+    }
+    const send = (message, transfer = []) => new Promise((resolve, reject) => {
+        pending = { resolve, reject }
+        worker.postMessage(message, transfer)
+    })
+
+    await send({ type: 'start', width, height })
+
+    return {
+        // The pixel buffer is TRANSFERRED to the worker
+        addFrame: (pixels, delay) => send({ type: 'frame', buffer: pixels.buffer, delay }, [pixels.buffer]),
+        finish: async () => {
+            try {
+                const { bytes } = await send({ type: 'finish' })
+                return new Blob([bytes], { type: 'image/gif' })
+            } finally {
+                worker.terminate()
+            }
+        },
+        cancel: () => worker.terminate()
+    }
+}
+
+/* ---------- WebP ---------- */
+
+function fourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3])
+}
+
+function riffChunk(type, payload) {
+    const padded = payload.length + (payload.length & 1)
+    const chunk = new Uint8Array(8 + padded)
+    for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i)
+    new DataView(chunk.buffer).setUint32(4, payload.length, true)
+    chunk.set(payload, 8)
+    return chunk
+}
+
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+    let offset = 0
+    parts.forEach((part) => {
+        result.set(part, offset)
+        offset += part.length
+    })
+    return result
+}
+
+// Little-endian 24-bit field
+function setUint24(bytes, offset, value) {
+    bytes[offset] = value & 0xFF
+    bytes[offset + 1] = (value >> 8) & 0xFF
+    bytes[offset + 2] = (value >> 16) & 0xFF
+}
+
+/**
+ * Image chunks (ALPH + VP8, or VP8L) of a still WebP, ready to go in an ANMF frame
+ */
+function readWebPImageChunks(bytes) {
+    if (fourCC(bytes, 0) !== 'RIFF' || fourCC(bytes, 8) !== 'WEBP') {
+        throw new Error('Browser did not encode WebP')
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const chunks = []
+    for (let pos = 12; pos + 8 <= bytes.length;) {
+        const type = fourCC(bytes, pos)
+        const length = view.getUint32(pos + 4, true)
+        if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+            chunks.push({ type, bytes: bytes.subarray(pos, pos + 8 + length + (length & 1)) })
+        }
+        pos += 8 + length + (length & 1)
+    }
+    return chunks
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob)
+            else reject(new Error('Failed to encode frame'))
+        }, mimeType, quality)
+    })
+}
+
+function createWebPWriter(width, height, quality) {
+    // { x, y, width, height, duration, chunks }
+    const frames = []
+    const regionCanvas = document.createElement('canvas')
+    let previous = null
+
+    return {
+        async addFrame(pixels, delay, canvas) {
+            let rect = previous
+                ? changedRect(previous, pixels, width, height)
+                : { x: 0, y: 0, width, height }
+            if (!rect) {
+                frames[frames.length - 1].duration += delay
+                return
+            }
+            previous = pixels
+
+            // Frame offsets are stored halved - start on even pixels
+            const x = rect.x & ~1
+            const y = rect.y & ~1
+            rect = { x, y, width: rect.width + rect.x - x, height: rect.height + rect.y - y }
+
+            regionCanvas.width = rect.width
+            regionCanvas.height = rect.height
+            regionCanvas.getContext('2d').drawImage(
+                canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height
+            )
+            const blob = await canvasToBlob(regionCanvas, 'image/webp', quality)
+            const chunks = readWebPImageChunks(new Uint8Array(await blob.arrayBuffer()))
+            frames.push({ ...rect, duration: delay, chunks })
+        },
+
+        async finish() {
+            const hasAlpha = frames.some(frame => frame.chunks.some(chunk => chunk.type !== 'VP8 '))
+
+            // VP8X: animation (+ alpha) flags, canvas size minus one
+            const vp8x = new Uint8Array(10)
+            vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0)
+            setUint24(vp8x, 4, width - 1)
+            setUint24(vp8x, 7, height - 1)
+
+            // ANIM: transparent background, loop forever
+            const anim = new Uint8Array(6)
+
+            const anmf = frames.map((frame) => {
+                const header = new Uint8Array(16)
+                setUint24(header, 0, frame.x / 2)
+                setUint24(header, 3, frame.y / 2)
+                setUint24(header, 6, frame.width - 1)
+                setUint24(header, 9, frame.height - 1)
+                setUint24(header, 12, Math.min(0xFFFFFF, Math.round(frame.duration)))
+                // Replace the region (no blending), keep it for the next frame
+                header[15] = 0x02
+                return riffChunk('ANMF', concat([header, ...frame.chunks.map(chunk => chunk.bytes)]))
+            })
+
+            const body = concat([
+                new Uint8Array([0x57, 0x45, 0x42, 0x50]), // WEBP
+                riffChunk('VP8X', vp8x),
+                riffChunk('ANIM', anim),
+                ...anmf
+            ])
+            return new Blob([riffChunk('RIFF', body)], { type: 'image/webp' })
+        },
+
+        cancel() {}
+    }
+}
+
+/**
+ * Streaming animation encoder
+ * @param {'webp'|'gif'} format - Caller checks WebP encoding support
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {number} [options.quality=0.9] - WebP frame quality
+ * @returns {Promise<{addFrame: Function, finish: Function, cancel: Function}>}
+ *   addFrame(canvas, delayMs) reads the canvas as the next frame,
+ *   finish() resolves to the encoded Blob, cancel() releases a worker
+ */
+export async function createAnimationEncoder(format, width, height, { quality = 0.9 } = {}) {
+    const writer = format === 'webp'
+        ? createWebPWriter(width, height, quality)
+        : await createGIFWriter(width, height)
+
+    return {
+        addFrame(canvas, delay) {
+            const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data
+            return writer.addFrame(pixels, delay, canvas)
+        },
+        finish: () => writer.finish(),
+        cancel: () => writer.cancel()
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * cutouts.js - CamTech v1.7
+ * "My stickers" - regions cut out of the user's photos, saved locally as
+ * transparent PNGs and placed like any other sticker (stickers.js)
+ * Everything runs on-device - no segmentation service
+ *
+ * Cutout record: { id, createdAt, image: Blob (PNG) }
+ */
+
+import { createStore, isIndexedDBSupported } from './idb.js'
+
+const run = createStore('camtech-cutouts', 'cutouts')
+
+// Pack id of the "My stickers" tab
+export const CUTOUT_PACK_ID = 'mine'
+
+// Cutout ids share the sticker id space - the prefix routes lookups here
+const ID_PREFIX = 'cutout-'
+
+// Longest edge of a saved cutout - plenty for a sticker at full export size
+const MAX_CUTOUT_SIZE = 1024
+
+// Change listeners (the sticker drawer keeps "My stickers" fresh)
+const listeners = new Set()
+
+function notify() {
+    listeners.forEach(fn => fn())
+}
+
+/**
+ * Call fn after any cutout is saved or deleted
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeCutouts(fn) {
+    listeners.add(fn)
+    return () => listeners.delete(fn)
+}
+
+export function isCutoutStorageSupported() {
+    return isIndexedDBSupported()
+}
+
+export function isCutoutId(id) {
+    return typeof id === 'string' && id.startsWith(ID_PREFIX)
+}
+
+// Sticker entries (with object URLs) for cutouts read this session
+const stickers = new Map()
+
+/**
+ * Sticker entry for a stored cutout - same shape as pack stickers
+ */
+export function cutoutToSticker(record) {
+    if (!stickers.has(record.id)) {
+        stickers.set(record.id, {
+            id: record.id,
+            label: 'My sticker',
+            src: URL.createObjectURL(record.image),
+            packId: CUTOUT_PACK_ID
+        })
+    }
+    return stickers.get(record.id)
+}
+
+/**
+ * Sticker entry for a cutout already read this session, or null
+ */
+export function getCutoutSticker(id) {
+    return stickers.get(id) || null
+}
+
+/**
+ * Sticker entry for a cutout, read from storage if needed
+ * @returns {Promise<Object|null>} null if the cutout was deleted
+ */
+export async function loadCutoutSticker(id) {
+    if (stickers.has(id)) return stickers.get(id)
+    if (!isCutoutStorageSupported()) return null
+    const record = await run('readonly', store => store.get(id))
+    return record ? cutoutToSticker(record) : null
+}
+
+/**
+ * All cutouts as sticker entries, newest first
+ */
+export async function listCutoutStickers() {
+    const records = await run('readonly', store => store.getAll())
+    return records
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(cutoutToSticker)
+}
+
+/**
+ * Store a cutout PNG
+ * @returns {Promise<Object>} Its sticker entry
+ */
+export async function saveCutout(image) {
+    const record = { id: `${ID_PREFIX}${Date.now().toString(36)}`, createdAt: Date.now(), image }
+    await run('readwrite', store => store.put(record))
+    notify()
+    return cutoutToSticker(record)
+}
+
+/**
+ * Delete a cutout - its session entry is kept so copies already placed on
+ * the open photo still render and export
+ */
+export async function deleteCutout(id) {
+    await run('readwrite', store => store.delete(id))
+    notify()
+}
+
+/**
+ * Cut a lasso region out of an image as a transparent PNG
+ * The mask is the blurred shadow of the lasso path, drawn with the path itself
+ * offscreen - a feathered edge without ctx.filter (unsupported in Safari)
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Source, already upright
+ * @param {Array<{x: number, y: number}>} points - Closed lasso in image pixels
+ * @param {Object} [options]
+ * @param {number} [options.feather=0] - Edge softness in image pixels
+ * @returns {Promise<Blob>} PNG cropped to the selection
+ * @throws {Error} If the selection is too small
+ */
+export function createCutoutImage(image, points, { feather = 0 } = {}) {
+    const imageWidth = image.naturalWidth || image.width
+    const imageHeight = image.naturalHeight || image.height
+
+    // Crop to the selection plus room for the feathered edge
+    const xs = points.map(p => p.x)
+    const ys = points.map(p => p.y)
+    const pad = Math.ceil(feather)
+    const sx = Math.max(0, Math.floor(Math.min(...xs) - pad))
+    const sy = Math.max(0, Math.floor(Math.min(...ys) - pad))
+    const sw = Math.min(imageWidth, Math.ceil(Math.max(...xs) + pad)) - sx
+    const sh = Math.min(imageHeight, Math.ceil(Math.max(...ys) + pad)) - sy
+    if (points.length < 3 || sw < 8 || sh < 8) {
+        return Promise.reject(new Error('Selection too small'))
+    }
+
+    const scale = Math.min(1, MAX_CUTOUT_SIZE / Math.max(sw, sh))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(sw * scale)
+    canvas.height = Math.round(sh * scale)
+    const ctx = canvas.getContext('2d')
+
+    // Mask: shadow offset brings the blurred copy back on canvas, the path stays off it
+    const offset = feather > 0 ? canvas.width + canvas.height : 0
+    if (feather > 0) {
+        ctx.shadowColor = '#000'
+        ctx.shadowBlur = feather * scale
+        ctx.shadowOffsetX = offset
+    }
+    ctx.beginPath()
+    points.forEach((p, i) => {
+        const x = (p.x - sx) * scale - offset
+        const y = (p.y - sy) * scale
+        if (i === 0) ctx.moveTo(x, y)
+        else ctx.lineTo(x, y)
+    })
+    ctx.closePath()
+    ctx.fill()
+
+    // Keep the photo only where the mask is
+    ctx.shadowColor = 'transparent'
+    ctx.globalCompositeOperation = 'source-in'
+    ctx.drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height)
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob)
+            else reject(new Error('Failed to create cutout'))
+        }, 'image/png')
+    })
+}
@@ -0,0 +1,88 @@
+/**
+ * drafts.js - CamTech v1.7
+ * In-progress edits saved to IndexedDB so a killed tab or accidental Retake
+ * doesn't lose them
+ *
+ * Draft record:
+ *   { id, updatedAt, image: Blob (unfiltered capture), capture: { filterId, filterStrength },
+ *     scene: scene document (scene.js) }
+ */
+
+import { createStore, isIndexedDBSupported } from './idb.js'
+
+const run = createStore('camtech-drafts', 'drafts')
+
+// Oldest drafts are pruned past this count
+const MAX_DRAFTS = 10
+
+// Change listeners (App keeps its draft list fresh)
+const listeners = new Set()
+
+function notify(id) {
+    listeners.forEach(fn => fn(id))
+}
+
+/**
+ * Call fn(id) after a draft is saved or deleted - getDraft(id) tells which
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeDrafts(fn) {
+    listeners.add(fn)
+    return () => listeners.delete(fn)
+}
+
+export function isDraftStorageSupported() {
+    return isIndexedDBSupported()
+}
+
+/**
+ * All drafts, newest first
+ */
+export async function listDrafts() {
+    const drafts = await run('readonly', store => store.getAll())
+    return drafts.sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export function getDraft(id) {
+    return run('readonly', store => store.get(id))
+}
+
+/**
+ * Insert or replace a draft, then prune the oldest beyond MAX_DRAFTS
+ * (autosave runs this often - the full list is only read when pruning)
+ */
+export async function saveDraft(draft) {
+    await run('readwrite', store => store.put({ ...draft, updatedAt: Date.now() }))
+
+    if (await run('readonly', store => store.count()) > MAX_DRAFTS) {
+        const drafts = await listDrafts()
+        for (const stale of drafts.slice(MAX_DRAFTS)) {
+            await deleteDraft(stale.id)
+        }
+    }
+    notify(draft.id)
+}
+
+export async function deleteDraft(id) {
+    await run('readwrite', store => store.delete(id))
+    notify(id)
+}
+
+/**
+ * Rebuild an App capture object from a stored draft
+ * @returns {Promise<{dataUrl: string, filterId: string, filterStrength: number, draftId: string, scene: Object}>}
+ */
+export function draftToCapture(draft) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = () => resolve({
+            dataUrl: reader.result,
+            filterId: draft.capture.filterId,
+            filterStrength: draft.capture.filterStrength,
+            draftId: draft.id,
+            scene: draft.scene
+        })
+        reader.onerror = () => reject(reader.error)
+        reader.readAsDataURL(draft.image)
+    })
+}
@@ -0,0 +1,1928 @@
+/**
+ * emojiData.js - CamTech v1.7
+ * GENERATED by scripts/generate-emoji-data.js from Unicode emoji-test.txt 15.1 - do not edit
+ * Fully-qualified emojis in Unicode order, keyed by Unicode group
+ * Skin tone forms are left out (emojiVariants.js builds them)
+ * Entry: [emoji, CLDR name, Unicode emoji version it first appeared in]
+ */
+
+export const EMOJI_DATA_VERSION = 15.1
+
+export const EMOJI_GROUPS = {
+    'Smileys & Emotion': [
+        ['😀', 'grinning face', 1],
+        ['😃', 'grinning face with big eyes', 0.6],
+        ['😄', 'grinning face with smiling eyes', 0.6],
+        ['😁', 'beaming face with smiling eyes', 0.6],
+        ['😆', 'grinning squinting face', 0.6],
+        ['😅', 'grinning face with sweat', 0.6],
+        ['🤣', 'rolling on the floor laughing', 3],
+        ['😂', 'face with tears of joy', 0.6],
+        ['🙂', 'slightly smiling face', 1],
+        ['🙃', 'upside-down face', 1],
+        ['🫠', 'melting face', 14],
+        ['😉', 'winking face', 0.6],
+        ['😊', 'smiling face with smiling eyes', 0.6],
+        ['😇', 'smiling face with halo', 1],
+        ['🥰', 'smiling face with hearts', 11],
+        ['😍', 'smiling face with heart-eyes', 0.6],
+        ['🤩', 'star-struck', 5],
+        ['😘', 'face blowing a kiss', 0.6],
+        ['😗', 'kissing face', 1],
+        ['☺️', 'smiling face', 0.6],
+        ['😚', 'kissing face with closed eyes', 0.6],
+        ['😙', 'kissing face with smiling eyes', 1],
+        ['🥲', 'smiling face with tear', 13],
+        ['😋', 'face savoring food', 0.6],
+        ['😛', 'face with tongue', 1],
+        ['😜', 'winking face with tongue', 0.6],
+        ['🤪', 'zany face', 5],
+        ['😝', 'squinting face with tongue', 0.6],
+        ['🤑', 'money-mouth face', 1],
+        ['🤗', 'smiling face with open hands', 1],
+        ['🤭', 'face with hand over mouth', 5],
+        ['🫢', 'face with open eyes and hand over mouth', 14],
+        ['🫣', 'face with peeking eye', 14],
+        ['🤫', 'shushing face', 5],
+        ['🤔', 'thinking face', 1],
+        ['🫡', 'saluting face', 14],
+        ['🤐', 'zipper-mouth face', 1],
+        ['🤨', 'face with raised eyebrow', 5],
+        ['😐', 'neutral face', 0.7],
+        ['😑', 'expressionless face', 1],
+        ['😶', 'face without mouth', 1],
+        ['🫥', 'dotted line face', 14],
+        ['😶‍🌫️', 'face in clouds', 13.1],
+        ['😏', 'smirking face', 0.6],
+        ['😒', 'unamused face', 0.6],
+        ['🙄', 'face with rolling eyes', 1],
+        ['😬', 'grimacing face', 1],
+        ['😮‍💨', 'face exhaling', 13.1],
+        ['🤥', 'lying face', 3],
+        ['🫨', 'shaking face', 15],
+        ['🙂‍↔️', 'head shaking horizontally', 15.1],
+        ['🙂‍↕️', 'head shaking vertically', 15.1],
+        ['😌', 'relieved face', 0.6],
+        ['😔', 'pensive face', 0.6],
+        ['😪', 'sleepy face', 0.6],
+        ['🤤', 'drooling face', 3],
+        ['😴', 'sleeping face', 1],
+        ['😷', 'face with medical mask', 0.6],
+        ['🤒', 'face with thermometer', 1],
+        ['🤕', 'face with head-bandage', 1],
+        ['🤢', 'nauseated face', 3],
+        ['🤮', 'face vomiting', 5],
+        ['🤧', 'sneezing face', 3],
+        ['🥵', 'hot face', 11],
+        ['🥶', 'cold face', 11],
+        ['🥴', 'woozy face', 11],
+        ['😵', 'face with crossed-out eyes', 0.6],
+        ['😵‍💫', 'face with spiral eyes', 13.1],
+        ['🤯', 'exploding head', 5],
+        ['🤠', 'cowboy hat face', 3],
+        ['🥳', 'partying face', 11],
+        ['🥸', 'disguised face', 13],
+        ['😎', 'smiling face with sunglasses', 1],
+        ['🤓', 'nerd face', 1],
+        ['🧐', 'face with monocle', 5],
+        ['😕', 'confused face', 1],
+        ['🫤', 'face with diagonal mouth', 14],
+        ['😟', 'worried face', 1],
+        ['🙁', 'slightly frowning face', 1],
+        ['☹️', 'frowning face', 0.7],
+        ['😮', 'face with open mouth', 1],
+        ['😯', 'hushed face', 1],
+        ['😲', 'astonished face', 0.6],
+        ['😳', 'flushed face', 0.6],
+        ['🥺', 'pleading face', 11],
+        ['🥹', 'face holding back tears', 14],
+        ['😦', 'frowning face with open mouth', 1],
+        ['😧', 'anguished face', 1],
+        ['😨', 'fearful face', 0.6],
+        ['😰', 'anxious face with sweat', 0.6],
+        ['😥', 'sad but relieved face', 0.6],
+        ['😢', 'crying face', 0.6],
+        ['😭', 'loudly crying face', 0.6],
+        ['😱', 'face screaming in fear', 0.6],
+        ['😖', 'confounded face', 0.6],
+        ['😣', 'persevering face', 0.6],
+        ['😞', 'disappointed face', 0.6],
+        ['😓', 'downcast face with sweat', 0.6],
+        ['😩', 'weary face', 0.6],
+        ['😫', 'tired face', 0.6],
+        ['🥱', 'yawning face', 12],
+        ['😤', 'face with steam from nose', 0.6],
+        ['😡', 'enraged face', 0.6],
+        ['😠', 'angry face', 0.6],
+        ['🤬', 'face with symbols on mouth', 5],
+        ['😈', 'smiling face with horns', 1],
+        ['👿', 'angry face with horns', 0.6],
+        ['💀', 'skull', 0.6],
+        ['☠️', 'skull and crossbones', 1],
+        ['💩', 'pile of poo', 0.6],
+        ['🤡', 'clown face', 3],
+        ['👹', 'ogre', 0.6],
+        ['👺', 'goblin', 0.6],
+        ['👻', 'ghost', 0.6],
+        ['👽', 'alien', 0.6],
+        ['👾', 'alien monster', 0.6],
+        ['🤖', 'robot', 1],
+        ['😺', 'grinning cat', 0.6],
+        ['😸', 'grinning cat with smiling eyes', 0.6],
+        ['😹', 'cat with tears of joy', 0.6],
+        ['😻', 'smiling cat with heart-eyes', 0.6],
+        ['😼', 'cat with wry smile', 0.6],
+        ['😽', 'kissing cat', 0.6],
+        ['🙀', 'weary cat', 0.6],
+        ['😿', 'crying cat', 0.6],
+        ['😾', 'pouting cat', 0.6],
+        ['🙈', 'see-no-evil monkey', 0.6],
+        ['🙉', 'hear-no-evil monkey', 0.6],
+        ['🙊', 'speak-no-evil monkey', 0.6],
+        ['💌', 'love letter', 0.6],
+        ['💘', 'heart with arrow', 0.6],
+        ['💝', 'heart with ribbon', 0.6],
+        ['💖', 'sparkling heart', 0.6],
+        ['💗', 'growing heart', 0.6],
+        ['💓', 'beating heart', 0.6],
+        ['💞', 'revolving hearts', 0.6],
+        ['💕', 'two hearts', 0.6],
+        ['💟', 'heart decoration', 0.6],
+        ['❣️', 'heart exclamation', 1],
+        ['💔', 'broken heart', 0.6],
+        ['❤️‍🔥', 'heart on fire', 13.1],
+        ['❤️‍🩹', 'mending heart', 13.1],
+        ['❤️', 'red heart', 0.6],
+        ['🩷', 'pink heart', 15],
+        ['🧡', 'orange heart', 5],
+        ['💛', 'yellow heart', 0.6],
+        ['💚', 'green heart', 0.6],
+        ['💙', 'blue heart', 0.6],
+        ['🩵', 'light blue heart', 15],
+        ['💜', 'purple heart', 0.6],
+        ['🤎', 'brown heart', 12],
+        ['🖤', 'black heart', 3],
+        ['🩶', 'grey heart', 15],
+        ['🤍', 'white heart', 12],
+        ['💋', 'kiss mark', 0.6],
+        ['💯', 'hundred points', 0.6],
+        ['💢', 'anger symbol', 0.6],
+        ['💥', 'collision', 0.6],
+        ['💫', 'dizzy', 0.6],
+        ['💦', 'sweat droplets', 0.6],
+        ['💨', 'dashing away', 0.6],
+        ['🕳️', 'hole', 0.7],
+        ['💬', 'speech balloon', 0.6],
+        ['👁️‍🗨️', 'eye in speech bubble', 2],
+        ['🗨️', 'left speech bubble', 2],
+        ['🗯️', 'right anger bubble', 0.7],
+        ['💭', 'thought balloon', 1],
+        ['💤', 'ZZZ', 0.6]
+    ],
+    'People & Body': [
+        ['👋', 'waving hand', 0.6],
+        ['🤚', 'raised back of hand', 3],
+        ['🖐️', 'hand with fingers splayed', 0.7],
+        ['✋', 'raised hand', 0.6],
+        ['🖖', 'vulcan salute', 1],
+        ['🫱', 'rightwards hand', 14],
+        ['🫲', 'leftwards hand', 14],
+        ['🫳', 'palm down hand', 14],
+        ['🫴', 'palm up hand', 14],
+        ['🫷', 'leftwards pushing hand', 15],
+        ['🫸', 'rightwards pushing hand', 15],
+        ['👌', 'OK hand', 0.6],
+        ['🤌', 'pinched fingers', 13],
+        ['🤏', 'pinching hand', 12],
+        ['✌️', 'victory hand', 0.6],
+        ['🤞', 'crossed fingers', 3],
+        ['🫰', 'hand with index finger and thumb crossed', 14],
+        ['🤟', 'love-you gesture', 5],
+        ['🤘', 'sign of the horns', 1],
+        ['🤙', 'call me hand', 3],
+        ['👈', 'backhand index pointing left', 0.6],
+        ['👉', 'backhand index pointing right', 0.6],
+        ['👆', 'backhand index pointing up', 0.6],
+        ['🖕', 'middle finger', 1],
+        ['👇', 'backhand index pointing down', 0.6],
+        ['☝️', 'index pointing up', 0.6],
+        ['🫵', 'index pointing at the viewer', 14],
+        ['👍', 'thumbs up', 0.6],
+        ['👎', 'thumbs down', 0.6],
+        ['✊', 'raised fist', 0.6],
+        ['👊', 'oncoming fist', 0.6],
+        ['🤛', 'left-facing fist', 3],
+        ['🤜', 'right-facing fist', 3],
+        ['👏', 'clapping hands', 0.6],
+        ['🙌', 'raising hands', 0.6],
+        ['🫶', 'heart hands', 14],
+        ['👐', 'open hands', 0.6],
+        ['🤲', 'palms up together', 5],
+        ['🤝', 'handshake', 3],
+        ['🙏', 'folded hands', 0.6],
+        ['✍️', 'writing hand', 0.7],
+        ['💅', 'nail polish', 0.6],
+        ['🤳', 'selfie', 3],
+        ['💪', 'flexed biceps', 0.6],
+        ['🦾', 'mechanical arm', 12],
+        ['🦿', 'mechanical leg', 12],
+        ['🦵', 'leg', 11],
+        ['🦶', 'foot', 11],
+        ['👂', 'ear', 0.6],
+        ['🦻', 'ear with hearing aid', 12],
+        ['👃', 'nose', 0.6],
+        ['🧠', 'brain', 5],
+        ['🫀', 'anatomical heart', 13],
+        ['🫁', 'lungs', 13],
+        ['🦷', 'tooth', 11],
+        ['🦴', 'bone', 11],
+        ['👀', 'eyes', 0.6],
+        ['👁️', 'eye', 0.7],
+        ['👅', 'tongue', 0.6],
+        ['👄', 'mouth', 0.6],
+        ['🫦', 'biting lip', 14],
+        ['👶', 'baby', 0.6],
+        ['🧒', 'child', 5],
+        ['👦', 'boy', 0.6],
+        ['👧', 'girl', 0.6],
+        ['🧑', 'person', 5],
+        ['👱', 'person: blond hair', 0.6],
+        ['👨', 'man', 0.6],
+        ['🧔', 'person: beard', 5],
+        ['🧔‍♂️', 'man: beard', 13.1],
+        ['🧔‍♀️', 'woman: beard', 13.1],
+        ['👨‍🦰', 'man: red hair', 11],
+        ['👨‍🦱', 'man: curly hair', 11],
+        ['👨‍🦳', 'man: white hair', 11],
+        ['👨‍🦲', 'man: bald', 11],
+        ['👩', 'woman', 0.6],
+        ['👩‍🦰', 'woman: red hair', 11],
+        ['🧑‍🦰', 'person: red hair', 12.1],
+        ['👩‍🦱', 'woman: curly hair', 11],
+        ['🧑‍🦱', 'person: curly hair', 12.1],
+        ['👩‍🦳', 'woman: white hair', 11],
+        ['🧑‍🦳', 'person: white hair', 12.1],
+        ['👩‍🦲', 'woman: bald', 11],
+        ['🧑‍🦲', 'person: bald', 12.1],
+        ['👱‍♀️', 'woman: blond hair', 4],
+        ['👱‍♂️', 'man: blond hair', 4],
+        ['🧓', 'older person', 5],
+        ['👴', 'old man', 0.6],
+        ['👵', 'old woman', 0.6],
+        ['🙍', 'person frowning', 0.6],
+        ['🙍‍♂️', 'man frowning', 4],
+        ['🙍‍♀️', 'woman frowning', 4],
+        ['🙎', 'person pouting', 0.6],
+        ['🙎‍♂️', 'man pouting', 4],
+        ['🙎‍♀️', 'woman pouting', 4],
+        ['🙅', 'person gesturing NO', 0.6],
+        ['🙅‍♂️', 'man gesturing NO', 4],
+        ['🙅‍♀️', 'woman gesturing NO', 4],
+        ['🙆', 'person gesturing OK', 0.6],
+        ['🙆‍♂️', 'man gesturing OK', 4],
+        ['🙆‍♀️', 'woman gesturing OK', 4],
+        ['💁', 'person tipping hand', 0.6],
+        ['💁‍♂️', 'man tipping hand', 4],
+        ['💁‍♀️', 'woman tipping hand', 4],
+        ['🙋', 'person raising hand', 0.6],
+        ['🙋‍♂️', 'man raising hand', 4],
+        ['🙋‍♀️', 'woman raising hand', 4],
+        ['🧏', 'deaf person', 12],
+        ['🧏‍♂️', 'deaf man', 12],
+        ['🧏‍♀️', 'deaf woman', 12],
+        ['🙇', 'person bowing', 0.6],
+        ['🙇‍♂️', 'man bowing', 4],
+        ['🙇‍♀️', 'woman bowing', 4],
+        ['🤦', 'person facepalming', 3],
+        ['🤦‍♂️', 'man facepalming', 4],
+        ['🤦‍♀️', 'woman facepalming', 4],
+        ['🤷', 'person shrugging', 3],
+        ['🤷‍♂️', 'man shrugging', 4],
+        ['🤷‍♀️', 'woman shrugging', 4],
+        ['🧑‍⚕️', 'health worker', 12.1],
+        ['👨‍⚕️', 'man health worker', 4],
+        ['👩‍⚕️', 'woman health worker', 4],
+        ['🧑‍🎓', 'student', 12.1],
+        ['👨‍🎓', 'man student', 4],
+        ['👩‍🎓', 'woman student', 4],
+        ['🧑‍🏫', 'teacher', 12.1],
+        ['👨‍🏫', 'man teacher', 4],
+        ['👩‍🏫', 'woman teacher', 4],
+        ['🧑‍⚖️', 'judge', 12.1],
+        ['👨‍⚖️', 'man judge', 4],
+        ['👩‍⚖️', 'woman judge', 4],
+        ['🧑‍🌾', 'farmer', 12.1],
+        ['👨‍🌾', 'man farmer', 4],
+        ['👩‍🌾', 'woman farmer', 4],
+        ['🧑‍🍳', 'cook', 12.1],
+        ['👨‍🍳', 'man cook', 4],
+        ['👩‍🍳', 'woman cook', 4],
+        ['🧑‍🔧', 'mechanic', 12.1],
+        ['👨‍🔧', 'man mechanic', 4],
+        ['👩‍🔧', 'woman mechanic', 4],
+        ['🧑‍🏭', 'factory worker', 12.1],
+        ['👨‍🏭', 'man factory worker', 4],
+        ['👩‍🏭', 'woman factory worker', 4],
+        ['🧑‍💼', 'office worker', 12.1],
+        ['👨‍💼', 'man office worker', 4],
+        ['👩‍💼', 'woman office worker', 4],
+        ['🧑‍🔬', 'scientist', 12.1],
+        ['👨‍🔬', 'man scientist', 4],
+        ['👩‍🔬', 'woman scientist', 4],
+        ['🧑‍💻', 'technologist', 12.1],
+        ['👨‍💻', 'man technologist', 4],
+        ['👩‍💻', 'woman technologist', 4],
+        ['🧑‍🎤', 'singer', 12.1],
+        ['👨‍🎤', 'man singer', 4],
+        ['👩‍🎤', 'woman singer', 4],
+        ['🧑‍🎨', 'artist', 12.1],
+        ['👨‍🎨', 'man artist', 4],
+        ['👩‍🎨', 'woman artist', 4],
+        ['🧑‍✈️', 'pilot', 12.1],
+        ['👨‍✈️', 'man pilot', 4],
+        ['👩‍✈️', 'woman pilot', 4],
+        ['🧑‍🚀', 'astronaut', 12.1],
+        ['👨‍🚀', 'man astronaut', 4],
+        ['👩‍🚀', 'woman astronaut', 4],
+        ['🧑‍🚒', 'firefighter', 12.1],
+        ['👨‍🚒', 'man firefighter', 4],
+        ['👩‍🚒', 'woman firefighter', 4],
+        ['👮', 'police officer', 0.6],
+        ['👮‍♂️', 'man police officer', 4],
+        ['👮‍♀️', 'woman police officer', 4],
+        ['🕵️', 'detective', 0.7],
+        ['🕵️‍♂️', 'man detective', 4],
+        ['🕵️‍♀️', 'woman detective', 4],
+        ['💂', 'guard', 0.6],
+        ['💂‍♂️', 'man guard', 4],
+        ['💂‍♀️', 'woman guard', 4],
+        ['🥷', 'ninja', 13],
+        ['👷', 'construction worker', 0.6],
+        ['👷‍♂️', 'man construction worker', 4],
+        ['👷‍♀️', 'woman construction worker', 4],
+        ['🫅', 'person with crown', 14],
+        ['🤴', 'prince', 3],
+        ['👸', 'princess', 0.6],
+        ['👳', 'person wearing turban', 0.6],
+        ['👳‍♂️', 'man wearing turban', 4],
+        ['👳‍♀️', 'woman wearing turban', 4],
+        ['👲', 'person with skullcap', 0.6],
+        ['🧕', 'woman with headscarf', 5],
+        ['🤵', 'person in tuxedo', 3],
+        ['🤵‍♂️', 'man in tuxedo', 13],
+        ['🤵‍♀️', 'woman in tuxedo', 13],
+        ['👰', 'person with veil', 0.6],
+        ['👰‍♂️', 'man with veil', 13],
+        ['👰‍♀️', 'woman with veil', 13],
+        ['🤰', 'pregnant woman', 3],
+        ['🫃', 'pregnant man', 14],
+        ['🫄', 'pregnant person', 14],
+        ['🤱', 'breast-feeding', 5],
+        ['👩‍🍼', 'woman feeding baby', 13],
+        ['👨‍🍼', 'man feeding baby', 13],
+        ['🧑‍🍼', 'person feeding baby', 13],
+        ['👼', 'baby angel', 0.6],
+        ['🎅', 'Santa Claus', 0.6],
+        ['🤶', 'Mrs. Claus', 3],
+        ['🧑‍🎄', 'mx claus', 13],
+        ['🦸', 'superhero', 11],
+        ['🦸‍♂️', 'man superhero', 11],
+        ['🦸‍♀️', 'woman superhero', 11],
+        ['🦹', 'supervillain', 11],
+        ['🦹‍♂️', 'man supervillain', 11],
+        ['🦹‍♀️', 'woman supervillain', 11],
+        ['🧙', 'mage', 5],
+        ['🧙‍♂️', 'man mage', 5],
+        ['🧙‍♀️', 'woman mage', 5],
+        ['🧚', 'fairy', 5],
+        ['🧚‍♂️', 'man fairy', 5],
+        ['🧚‍♀️', 'woman fairy', 5],
+        ['🧛', 'vampire', 5],
+        ['🧛‍♂️', 'man vampire', 5],
+        ['🧛‍♀️', 'woman vampire', 5],
+        ['🧜', 'merperson', 5],
+        ['🧜‍♂️', 'merman', 5],
+        ['🧜‍♀️', 'mermaid', 5],
+        ['🧝', 'elf', 5],
+        ['🧝‍♂️', 'man elf', 5],
+        ['🧝‍♀️', 'woman elf', 5],
+        ['🧞', 'genie', 5],
+        ['🧞‍♂️', 'man genie', 5],
+        ['🧞‍♀️', 'woman genie', 5],
+        ['🧟', 'zombie', 5],
+        ['🧟‍♂️', 'man zombie', 5],
+        ['🧟‍♀️', 'woman zombie', 5],
+        ['🧌', 'troll', 14],
+        ['💆', 'person getting massage', 0.6],
+        ['💆‍♂️', 'man getting massage', 4],
+        ['💆‍♀️', 'woman getting massage', 4],
+        ['💇', 'person getting haircut', 0.6],
+        ['💇‍♂️', 'man getting haircut', 4],
+        ['💇‍♀️', 'woman getting haircut', 4],
+        ['🚶', 'person walking', 0.6],
+        ['🚶‍♂️', 'man walking', 4],
+        ['🚶‍♀️', 'woman walking', 4],
+        ['🚶‍➡️', 'person walking facing right', 15.1],
+        ['🚶‍♀️‍➡️', 'woman walking facing right', 15.1],
+        ['🚶‍♂️‍➡️', 'man walking facing right', 15.1],
+        ['🧍', 'person standing', 12],
+        ['🧍‍♂️', 'man standing', 12],
+        ['🧍‍♀️', 'woman standing', 12],
+        ['🧎', 'person kneeling', 12],
+        ['🧎‍♂️', 'man kneeling', 12],
+        ['🧎‍♀️', 'woman kneeling', 12],
+        ['🧎‍➡️', 'person kneeling facing right', 15.1],
+        ['🧎‍♀️‍➡️', 'woman kneeling facing right', 15.1],
+        ['🧎‍♂️‍➡️', 'man kneeling facing right', 15.1],
+        ['🧑‍🦯', 'person with white cane', 12.1],
+        ['🧑‍🦯‍➡️', 'person with white cane facing right', 15.1],
+        ['👨‍🦯', 'man with white cane', 12],
+        ['👨‍🦯‍➡️', 'man with white cane facing right', 15.1],
+        ['👩‍🦯', 'woman with white cane', 12],
+        ['👩‍🦯‍➡️', 'woman with white cane facing right', 15.1],
+        ['🧑‍🦼', 'person in motorized wheelchair', 12.1],
+        ['🧑‍🦼‍➡️', 'person in motorized wheelchair facing right', 15.1],
+        ['👨‍🦼', 'man in motorized wheelchair', 12],
+        ['👨‍🦼‍➡️', 'man in motorized wheelchair facing right', 15.1],
+        ['👩‍🦼', 'woman in motorized wheelchair', 12],
+        ['👩‍🦼‍➡️', 'woman in motorized wheelchair facing right', 15.1],
+        ['🧑‍🦽', 'person in manual wheelchair', 12.1],
+        ['🧑‍🦽‍➡️', 'person in manual wheelchair facing right', 15.1],
+        ['👨‍🦽', 'man in manual wheelchair', 12],
+        ['👨‍🦽‍➡️', 'man in manual wheelchair facing right', 15.1],
+        ['👩‍🦽', 'woman in manual wheelchair', 12],
+        ['👩‍🦽‍➡️', 'woman in manual wheelchair facing right', 15.1],
+        ['🏃', 'person running', 0.6],
+        ['🏃‍♂️', 'man running', 4],
+        ['🏃‍♀️', 'woman running', 4],
+        ['🏃‍➡️', 'person running facing right', 15.1],
+        ['🏃‍♀️‍➡️', 'woman running facing right', 15.1],
+        ['🏃‍♂️‍➡️', 'man running facing right', 15.1],
+        ['💃', 'woman dancing', 0.6],
+        ['🕺', 'man dancing', 3],
+        ['🕴️', 'person in suit levitating', 0.7],
+        ['👯', 'people with bunny ears', 0.6],
+        ['👯‍♂️', 'men with bunny ears', 4],
+        ['👯‍♀️', 'women with bunny ears', 4],
+        ['🧖', 'person in steamy room', 5],
+        ['🧖‍♂️', 'man in steamy room', 5],
+        ['🧖‍♀️', 'woman in steamy room', 5],
+        ['🧗', 'person climbing', 5],
+        ['🧗‍♂️', 'man climbing', 5],
+        ['🧗‍♀️', 'woman climbing', 5],
+        ['🤺', 'person fencing', 3],
+        ['🏇', 'horse racing', 1],
+        ['⛷️', 'skier', 0.7],
+        ['🏂', 'snowboarder', 0.6],
+        ['🏌️', 'person golfing', 0.7],
+        ['🏌️‍♂️', 'man golfing', 4],
+        ['🏌️‍♀️', 'woman golfing', 4],
+        ['🏄', 'person surfing', 0.6],
+        ['🏄‍♂️', 'man surfing', 4],
+        ['🏄‍♀️', 'woman surfing', 4],
+        ['🚣', 'person rowing boat', 1],
+        ['🚣‍♂️', 'man rowing boat', 4],
+        ['🚣‍♀️', 'woman rowing boat', 4],
+        ['🏊', 'person swimming', 0.6],
+        ['🏊‍♂️', 'man swimming', 4],
+        ['🏊‍♀️', 'woman swimming', 4],
+        ['⛹️', 'person bouncing ball', 0.7],
+        ['⛹️‍♂️', 'man bouncing ball', 4],
+        ['⛹️‍♀️', 'woman bouncing ball', 4],
+        ['🏋️', 'person lifting weights', 0.7],
+        ['🏋️‍♂️', 'man lifting weights', 4],
+        ['🏋️‍♀️', 'woman lifting weights', 4],
+        ['🚴', 'person biking', 1],
+        ['🚴‍♂️', 'man biking', 4],
+        ['🚴‍♀️', 'woman biking', 4],
+        ['🚵', 'person mountain biking', 1],
+        ['🚵‍♂️', 'man mountain biking', 4],
+        ['🚵‍♀️', 'woman mountain biking', 4],
+        ['🤸', 'person cartwheeling', 3],
+        ['🤸‍♂️', 'man cartwheeling', 4],
+        ['🤸‍♀️', 'woman cartwheeling', 4],
+        ['🤼', 'people wrestling', 3],
+        ['🤼‍♂️', 'men wrestling', 4],
+        ['🤼‍♀️', 'women wrestling', 4],
+        ['🤽', 'person playing water polo', 3],
+        ['🤽‍♂️', 'man playing water polo', 4],
+        ['🤽‍♀️', 'woman playing water polo', 4],
+        ['🤾', 'person playing handball', 3],
+        ['🤾‍♂️', 'man playing handball', 4],
+        ['🤾‍♀️', 'woman playing handball', 4],
+        ['🤹', 'person juggling', 3],
+        ['🤹‍♂️', 'man juggling', 4],
+        ['🤹‍♀️', 'woman juggling', 4],
+        ['🧘', 'person in lotus position', 5],
+        ['🧘‍♂️', 'man in lotus position', 5],
+        ['🧘‍♀️', 'woman in lotus position', 5],
+        ['🛀', 'person taking bath', 0.6],
+        ['🛌', 'person in bed', 1],
+        ['🧑‍🤝‍🧑', 'people holding hands', 12],
+        ['👭', 'women holding hands', 1],
+        ['👫', 'woman and man holding hands', 0.6],
+        ['👬', 'men holding hands', 1],
+        ['💏', 'kiss', 0.6],
+        ['👩‍❤️‍💋‍👨', 'kiss: woman, man', 2],
+        ['👨‍❤️‍💋‍👨', 'kiss: man, man', 2],
+        ['👩‍❤️‍💋‍👩', 'kiss: woman, woman', 2],
+        ['💑', 'couple with heart', 0.6],
+        ['👩‍❤️‍👨', 'couple with heart: woman, man', 2],
+        ['👨‍❤️‍👨', 'couple with heart: man, man', 2],
+        ['👩‍❤️‍👩', 'couple with heart: woman, woman', 2],
+        ['👨‍👩‍👦', 'family: man, woman, boy', 2],
+        ['👨‍👩‍👧', 'family: man, woman, girl', 2],
+        ['👨‍👩‍👧‍👦', 'family: man, woman, girl, boy', 2],
+        ['👨‍👩‍👦‍👦', 'family: man, woman, boy, boy', 2],
+        ['👨‍👩‍👧‍👧', 'family: man, woman, girl, girl', 2],
+        ['👨‍👨‍👦', 'family: man, man, boy', 2],
+        ['👨‍👨‍👧', 'family: man, man, girl', 2],
+        ['👨‍👨‍👧‍👦', 'family: man, man, girl, boy', 2],
+        ['👨‍👨‍👦‍👦', 'family: man, man, boy, boy', 2],
+        ['👨‍👨‍👧‍👧', 'family: man, man, girl, girl', 2],
+        ['👩‍👩‍👦', 'family: woman, woman, boy', 2],
+        ['👩‍👩‍👧', 'family: woman, woman, girl', 2],
+        ['👩‍👩‍👧‍👦', 'family: woman, woman, girl, boy', 2],
+        ['👩‍👩‍👦‍👦', 'family: woman, woman, boy, boy', 2],
+        ['👩‍👩‍👧‍👧', 'family: woman, woman, girl, girl', 2],
+        ['👨‍👦', 'family: man, boy', 4],
+        ['👨‍👦‍👦', 'family: man, boy, boy', 4],
+        ['👨‍👧', 'family: man, girl', 4],
+        ['👨‍👧‍👦', 'family: man, girl, boy', 4],
+        ['👨‍👧‍👧', 'family: man, girl, girl', 4],
+        ['👩‍👦', 'family: woman, boy', 4],
+        ['👩‍👦‍👦', 'family: woman, boy, boy', 4],
+        ['👩‍👧', 'family: woman, girl', 4],
+        ['👩‍👧‍👦', 'family: woman, girl, boy', 4],
+        ['👩‍👧‍👧', 'family: woman, girl, girl', 4],
+        ['🗣️', 'speaking head', 0.7],
+        ['👤', 'bust in silhouette', 0.6],
+        ['👥', 'busts in silhouette', 1],
+        ['🫂', 'people hugging', 13],
+        ['👪', 'family', 0.6],
+        ['🧑‍🧑‍🧒', 'family: adult, adult, child', 15.1],
+        ['🧑‍🧑‍🧒‍🧒', 'family: adult, adult, child, child', 15.1],
+        ['🧑‍🧒', 'family: adult, child', 15.1],
+        ['🧑‍🧒‍🧒', 'family: adult, child, child', 15.1],
+        ['👣', 'footprints', 0.6]
+    ],
+    'Animals & Nature': [
+        ['🐵', 'monkey face', 0.6],
+        ['🐒', 'monkey', 0.6],
+        ['🦍', 'gorilla', 3],
+        ['🦧', 'orangutan', 12],
+        ['🐶', 'dog face', 0.6],
+        ['🐕', 'dog', 0.7],
+        ['🦮', 'guide dog', 12],
+        ['🐕‍🦺', 'service dog', 12],
+        ['🐩', 'poodle', 0.6],
+        ['🐺', 'wolf', 0.6],
+        ['🦊', 'fox', 3],
+        ['🦝', 'raccoon', 11],
+        ['🐱', 'cat face', 0.6],
+        ['🐈', 'cat', 0.7],
+        ['🐈‍⬛', 'black cat', 13],
+        ['🦁', 'lion', 1],
+        ['🐯', 'tiger face', 0.6],
+        ['🐅', 'tiger', 1],
+        ['🐆', 'leopard', 1],
+        ['🐴', 'horse face', 0.6],
+        ['🫎', 'moose', 15],
+        ['🫏', 'donkey', 15],
+        ['🐎', 'horse', 0.6],
+        ['🦄', 'unicorn', 1],
+        ['🦓', 'zebra', 5],
+        ['🦌', 'deer', 3],
+        ['🦬', 'bison', 13],
+        ['🐮', 'cow face', 0.6],
+        ['🐂', 'ox', 1],
+        ['🐃', 'water buffalo', 1],
+        ['🐄', 'cow', 1],
+        ['🐷', 'pig face', 0.6],
+        ['🐖', 'pig', 1],
+        ['🐗', 'boar', 0.6],
+        ['🐽', 'pig nose', 0.6],
+        ['🐏', 'ram', 1],
+        ['🐑', 'ewe', 0.6],
+        ['🐐', 'goat', 1],
+        ['🐪', 'camel', 1],
+        ['🐫', 'two-hump camel', 0.6],
+        ['🦙', 'llama', 11],
+        ['🦒', 'giraffe', 5],
+        ['🐘', 'elephant', 0.6],
+        ['🦣', 'mammoth', 13],
+        ['🦏', 'rhinoceros', 3],
+        ['🦛', 'hippopotamus', 11],
+        ['🐭', 'mouse face', 0.6],
+        ['🐁', 'mouse', 1],
+        ['🐀', 'rat', 1],
+        ['🐹', 'hamster', 0.6],
+        ['🐰', 'rabbit face', 0.6],
+        ['🐇', 'rabbit', 1],
+        ['🐿️', 'chipmunk', 0.7],
+        ['🦫', 'beaver', 13],
+        ['🦔', 'hedgehog', 5],
+        ['🦇', 'bat', 3],
+        ['🐻', 'bear', 0.6],
+        ['🐻‍❄️', 'polar bear', 13],
+        ['🐨', 'koala', 0.6],
+        ['🐼', 'panda', 0.6],
+        ['🦥', 'sloth', 12],
+        ['🦦', 'otter', 12],
+        ['🦨', 'skunk', 12],
+        ['🦘', 'kangaroo', 11],
+        ['🦡', 'badger', 11],
+        ['🐾', 'paw prints', 0.6],
+        ['🦃', 'turkey', 1],
+        ['🐔', 'chicken', 0.6],
+        ['🐓', 'rooster', 1],
+        ['🐣', 'hatching chick', 0.6],
+        ['🐤', 'baby chick', 0.6],
+        ['🐥', 'front-facing baby chick', 0.6],
+        ['🐦', 'bird', 0.6],
+        ['🐧', 'penguin', 0.6],
+        ['🕊️', 'dove', 0.7],
+        ['🦅', 'eagle', 3],
+        ['🦆', 'duck', 3],
+        ['🦢', 'swan', 11],
+        ['🦉', 'owl', 3],
+        ['🦤', 'dodo', 13],
+        ['🪶', 'feather', 13],
+        ['🦩', 'flamingo', 12],
+        ['🦚', 'peacock', 11],
+        ['🦜', 'parrot', 11],
+        ['🪽', 'wing', 15],
+        ['🐦‍⬛', 'black bird', 15],
+        ['🪿', 'goose', 15],
+        ['🐦‍🔥', 'phoenix', 15.1],
+        ['🐸', 'frog', 0.6],
+        ['🐊', 'crocodile', 1],
+        ['🐢', 'turtle', 0.6],
+        ['🦎', 'lizard', 3],
+        ['🐍', 'snake', 0.6],
+        ['🐲', 'dragon face', 0.6],
+        ['🐉', 'dragon', 1],
+        ['🦕', 'sauropod', 5],
+        ['🦖', 'T-Rex', 5],
+        ['🐳', 'spouting whale', 0.6],
+        ['🐋', 'whale', 1],
+        ['🐬', 'dolphin', 0.6],
+        ['🦭', 'seal', 13],
+        ['🐟', 'fish', 0.6],
+        ['🐠', 'tropical fish', 0.6],
+        ['🐡', 'blowfish', 0.6],
+        ['🦈', 'shark', 3],
+        ['🐙', 'octopus', 0.6],
+        ['🐚', 'spiral shell', 0.6],
+        ['🪸', 'coral', 14],
+        ['🪼', 'jellyfish', 15],
+        ['🐌', 'snail', 0.6],
+        ['🦋', 'butterfly', 3],
+        ['🐛', 'bug', 0.6],
+        ['🐜', 'ant', 0.6],
+        ['🐝', 'honeybee', 0.6],
+        ['🪲', 'beetle', 13],
+        ['🐞', 'lady beetle', 0.6],
+        ['🦗', 'cricket', 5],
+        ['🪳', 'cockroach', 13],
+        ['🕷️', 'spider', 0.7],
+        ['🕸️', 'spider web', 0.7],
+        ['🦂', 'scorpion', 1],
+        ['🦟', 'mosquito', 11],
+        ['🪰', 'fly', 13],
+        ['🪱', 'worm', 13],
+        ['🦠', 'microbe', 11],
+        ['💐', 'bouquet', 0.6],
+        ['🌸', 'cherry blossom', 0.6],
+        ['💮', 'white flower', 0.6],
+        ['🪷', 'lotus', 14],
+        ['🏵️', 'rosette', 0.7],
+        ['🌹', 'rose', 0.6],
+        ['🥀', 'wilted flower', 3],
+        ['🌺', 'hibiscus', 0.6],
+        ['🌻', 'sunflower', 0.6],
+        ['🌼', 'blossom', 0.6],
+        ['🌷', 'tulip', 0.6],
+        ['🪻', 'hyacinth', 15],
+        ['🌱', 'seedling', 0.6],
+        ['🪴', 'potted plant', 13],
+        ['🌲', 'evergreen tree', 1],
+        ['🌳', 'deciduous tree', 1],
+        ['🌴', 'palm tree', 0.6],
+        ['🌵', 'cactus', 0.6],
+        ['🌾', 'sheaf of rice', 0.6],
+        ['🌿', 'herb', 0.6],
+        ['☘️', 'shamrock', 1],
+        ['🍀', 'four leaf clover', 0.6],
+        ['🍁', 'maple leaf', 0.6],
+        ['🍂', 'fallen leaf', 0.6],
+        ['🍃', 'leaf fluttering in wind', 0.6],
+        ['🪹', 'empty nest', 14],
+        ['🪺', 'nest with eggs', 14],
+        ['🍄', 'mushroom', 0.6]
+    ],
+    'Food & Drink': [
+        ['🍇', 'grapes', 0.6],
+        ['🍈', 'melon', 0.6],
+        ['🍉', 'watermelon', 0.6],
+        ['🍊', 'tangerine', 0.6],
+        ['🍋', 'lemon', 1],
+        ['🍋‍🟩', 'lime', 15.1],
+        ['🍌', 'banana', 0.6],
+        ['🍍', 'pineapple', 0.6],
+        ['🥭', 'mango', 11],
+        ['🍎', 'red apple', 0.6],
+        ['🍏', 'green apple', 0.6],
+        ['🍐', 'pear', 1],
+        ['🍑', 'peach', 0.6],
+        ['🍒', 'cherries', 0.6],
+        ['🍓', 'strawberry', 0.6],
+        ['🫐', 'blueberries', 13],
+        ['🥝', 'kiwi fruit', 3],
+        ['🍅', 'tomato', 0.6],
+        ['🫒', 'olive', 13],
+        ['🥥', 'coconut', 5],
+        ['🥑', 'avocado', 3],
+        ['🍆', 'eggplant', 0.6],
+        ['🥔', 'potato', 3],
+        ['🥕', 'carrot', 3],
+        ['🌽', 'ear of corn', 0.6],
+        ['🌶️', 'hot pepper', 0.7],
+        ['🫑', 'bell pepper', 13],
+        ['🥒', 'cucumber', 3],
+        ['🥬', 'leafy green', 11],
+        ['🥦', 'broccoli', 5],
+        ['🧄', 'garlic', 12],
+        ['🧅', 'onion', 12],
+        ['🥜', 'peanuts', 3],
+        ['🫘', 'beans', 14],
+        ['🌰', 'chestnut', 0.6],
+        ['🫚', 'ginger root', 15],
+        ['🫛', 'pea pod', 15],
+        ['🍄‍🟫', 'brown mushroom', 15.1],
+        ['🍞', 'bread', 0.6],
+        ['🥐', 'croissant', 3],
+        ['🥖', 'baguette bread', 3],
+        ['🫓', 'flatbread', 13],
+        ['🥨', 'pretzel', 5],
+        ['🥯', 'bagel', 11],
+        ['🥞', 'pancakes', 3],
+        ['🧇', 'waffle', 12],
+        ['🧀', 'cheese wedge', 1],
+        ['🍖', 'meat on bone', 0.6],
+        ['🍗', 'poultry leg', 0.6],
+        ['🥩', 'cut of meat', 5],
+        ['🥓', 'bacon', 3],
+        ['🍔', 'hamburger', 0.6],
+        ['🍟', 'french fries', 0.6],
+        ['🍕', 'pizza', 0.6],
+        ['🌭', 'hot dog', 1],
+        ['🥪', 'sandwich', 5],
+        ['🌮', 'taco', 1],
+        ['🌯', 'burrito', 1],
+        ['🫔', 'tamale', 13],
+        ['🥙', 'stuffed flatbread', 3],
+        ['🧆', 'falafel', 12],
+        ['🥚', 'egg', 3],
+        ['🍳', 'cooking', 0.6],
+        ['🥘', 'shallow pan of food', 3],
+        ['🍲', 'pot of food', 0.6],
+        ['🫕', 'fondue', 13],
+        ['🥣', 'bowl with spoon', 5],
+        ['🥗', 'green salad', 3],
+        ['🍿', 'popcorn', 1],
+        ['🧈', 'butter', 12],
+        ['🧂', 'salt', 11],
+        ['🥫', 'canned food', 5],
+        ['🍱', 'bento box', 0.6],
+        ['🍘', 'rice cracker', 0.6],
+        ['🍙', 'rice ball', 0.6],
+        ['🍚', 'cooked rice', 0.6],
+        ['🍛', 'curry rice', 0.6],
+        ['🍜', 'steaming bowl', 0.6],
+        ['🍝', 'spaghetti', 0.6],
+        ['🍠', 'roasted sweet potato', 0.6],
+        ['🍢', 'oden', 0.6],
+        ['🍣', 'sushi', 0.6],
+        ['🍤', 'fried shrimp', 0.6],
+        ['🍥', 'fish cake with swirl', 0.6],
+        ['🥮', 'moon cake', 11],
+        ['🍡', 'dango', 0.6],
+        ['🥟', 'dumpling', 5],
+        ['🥠', 'fortune cookie', 5],
+        ['🥡', 'takeout box', 5],
+        ['🦀', 'crab', 1],
+        ['🦞', 'lobster', 11],
+        ['🦐', 'shrimp', 3],
+        ['🦑', 'squid', 3],
+        ['🦪', 'oyster', 12],
+        ['🍦', 'soft ice cream', 0.6],
+        ['🍧', 'shaved ice', 0.6],
+        ['🍨', 'ice cream', 0.6],
+        ['🍩', 'doughnut', 0.6],
+        ['🍪', 'cookie', 0.6],
+        ['🎂', 'birthday cake', 0.6],
+        ['🍰', 'shortcake', 0.6],
+        ['🧁', 'cupcake', 11],
+        ['🥧', 'pie', 5],
+        ['🍫', 'chocolate bar', 0.6],
+        ['🍬', 'candy', 0.6],
+        ['🍭', 'lollipop', 0.6],
+        ['🍮', 'custard', 0.6],
+        ['🍯', 'honey pot', 0.6],
+        ['🍼', 'baby bottle', 1],
+        ['🥛', 'glass of milk', 3],
+        ['☕', 'hot beverage', 0.6],
+        ['🫖', 'teapot', 13],
+        ['🍵', 'teacup without handle', 0.6],
+        ['🍶', 'sake', 0.6],
+        ['🍾', 'bottle with popping cork', 1],
+        ['🍷', 'wine glass', 0.6],
+        ['🍸', 'cocktail glass', 0.6],
+        ['🍹', 'tropical drink', 0.6],
+        ['🍺', 'beer mug', 0.6],
+        ['🍻', 'clinking beer mugs', 0.6],
+        ['🥂', 'clinking glasses', 3],
+        ['🥃', 'tumbler glass', 3],
+        ['🫗', 'pouring liquid', 14],
+        ['🥤', 'cup with straw', 5],
+        ['🧋', 'bubble tea', 13],
+        ['🧃', 'beverage box', 12],
+        ['🧉', 'mate', 12],
+        ['🧊', 'ice', 12],
+        ['🥢', 'chopsticks', 5],
+        ['🍽️', 'fork and knife with plate', 0.7],
+        ['🍴', 'fork and knife', 0.6],
+        ['🥄', 'spoon', 3],
+        ['🔪', 'kitchen knife', 0.6],
+        ['🫙', 'jar', 14],
+        ['🏺', 'amphora', 1]
+    ],
+    'Travel & Places': [
+        ['🌍', 'globe showing Europe-Africa', 0.7],
+        ['🌎', 'globe showing Americas', 0.7],
+        ['🌏', 'globe showing Asia-Australia', 0.6],
+        ['🌐', 'globe with meridians', 1],
+        ['🗺️', 'world map', 0.7],
+        ['🗾', 'map of Japan', 0.6],
+        ['🧭', 'compass', 11],
+        ['🏔️', 'snow-capped mountain', 0.7],
+        ['⛰️', 'mountain', 0.7],
+        ['🌋', 'volcano', 0.6],
+        ['🗻', 'mount fuji', 0.6],
+        ['🏕️', 'camping', 0.7],
+        ['🏖️', 'beach with umbrella', 0.7],
+        ['🏜️', 'desert', 0.7],
+        ['🏝️', 'desert island', 0.7],
+        ['🏞️', 'national park', 0.7],
+        ['🏟️', 'stadium', 0.7],
+        ['🏛️', 'classical building', 0.7],
+        ['🏗️', 'building construction', 0.7],
+        ['🧱', 'brick', 11],
+        ['🪨', 'rock', 13],
+        ['🪵', 'wood', 13],
+        ['🛖', 'hut', 13],
+        ['🏘️', 'houses', 0.7],
+        ['🏚️', 'derelict house', 0.7],
+        ['🏠', 'house', 0.6],
+        ['🏡', 'house with garden', 0.6],
+        ['🏢', 'office building', 0.6],
+        ['🏣', 'Japanese post office', 0.6],
+        ['🏤', 'post office', 1],
+        ['🏥', 'hospital', 0.6],
+        ['🏦', 'bank', 0.6],
+        ['🏨', 'hotel', 0.6],
+        ['🏩', 'love hotel', 0.6],
+        ['🏪', 'convenience store', 0.6],
+        ['🏫', 'school', 0.6],
+        ['🏬', 'department store', 0.6],
+        ['🏭', 'factory', 0.6],
+        ['🏯', 'Japanese castle', 0.6],
+        ['🏰', 'castle', 0.6],
+        ['💒', 'wedding', 0.6],
+        ['🗼', 'Tokyo tower', 0.6],
+        ['🗽', 'Statue of Liberty', 0.6],
+        ['⛪', 'church', 0.6],
+        ['🕌', 'mosque', 1],
+        ['🛕', 'hindu temple', 12],
+        ['🕍', 'synagogue', 1],
+        ['⛩️', 'shinto shrine', 0.7],
+        ['🕋', 'kaaba', 1],
+        ['⛲', 'fountain', 0.6],
+        ['⛺', 'tent', 0.6],
+        ['🌁', 'foggy', 0.6],
+        ['🌃', 'night with stars', 0.6],
+        ['🏙️', 'cityscape', 0.7],
+        ['🌄', 'sunrise over mountains', 0.6],
+        ['🌅', 'sunrise', 0.6],
+        ['🌆', 'cityscape at dusk', 0.6],
+        ['🌇', 'sunset', 0.6],
+        ['🌉', 'bridge at night', 0.6],
+        ['♨️', 'hot springs', 0.6],
+        ['🎠', 'carousel horse', 0.6],
+        ['🛝', 'playground slide', 14],
+        ['🎡', 'ferris wheel', 0.6],
+        ['🎢', 'roller coaster', 0.6],
+        ['💈', 'barber pole', 0.6],
+        ['🎪', 'circus tent', 0.6],
+        ['🚂', 'locomotive', 1],
+        ['🚃', 'railway car', 0.6],
+        ['🚄', 'high-speed train', 0.6],
+        ['🚅', 'bullet train', 0.6],
+        ['🚆', 'train', 1],
+        ['🚇', 'metro', 0.6],
+        ['🚈', 'light rail', 1],
+        ['🚉', 'station', 0.6],
+        ['🚊', 'tram', 1],
+        ['🚝', 'monorail', 1],
+        ['🚞', 'mountain railway', 1],
+        ['🚋', 'tram car', 1],
+        ['🚌', 'bus', 0.6],
+        ['🚍', 'oncoming bus', 0.7],
+        ['🚎', 'trolleybus', 1],
+        ['🚐', 'minibus', 1],
+        ['🚑', 'ambulance', 0.6],
+        ['🚒', 'fire engine', 0.6],
+        ['🚓', 'police car', 0.6],
+        ['🚔', 'oncoming police car', 0.7],
+        ['🚕', 'taxi', 0.6],
+        ['🚖', 'oncoming taxi', 1],
+        ['🚗', 'automobile', 0.6],
+        ['🚘', 'oncoming automobile', 0.7],
+        ['🚙', 'sport utility vehicle', 0.6],
+        ['🛻', 'pickup truck', 13],
+        ['🚚', 'delivery truck', 0.6],
+        ['🚛', 'articulated lorry', 1],
+        ['🚜', 'tractor', 1],
+        ['🏎️', 'racing car', 0.7],
+        ['🏍️', 'motorcycle', 0.7],
+        ['🛵', 'motor scooter', 3],
+        ['🦽', 'manual wheelchair', 12],
+        ['🦼', 'motorized wheelchair', 12],
+        ['🛺', 'auto rickshaw', 12],
+        ['🚲', 'bicycle', 0.6],
+        ['🛴', 'kick scooter', 3],
+        ['🛹', 'skateboard', 11],
+        ['🛼', 'roller skate', 13],
+        ['🚏', 'bus stop', 0.6],
+        ['🛣️', 'motorway', 0.7],
+        ['🛤️', 'railway track', 0.7],
+        ['🛢️', 'oil drum', 0.7],
+        ['⛽', 'fuel pump', 0.6],
+        ['🛞', 'wheel', 14],
+        ['🚨', 'police car light', 0.6],
+        ['🚥', 'horizontal traffic light', 0.6],
+        ['🚦', 'vertical traffic light', 1],
+        ['🛑', 'stop sign', 3],
+        ['🚧', 'construction', 0.6],
+        ['⚓', 'anchor', 0.6],
+        ['🛟', 'ring buoy', 14],
+        ['⛵', 'sailboat', 0.6],
+        ['🛶', 'canoe', 3],
+        ['🚤', 'speedboat', 0.6],
+        ['🛳️', 'passenger ship', 0.7],
+        ['⛴️', 'ferry', 0.7],
+        ['🛥️', 'motor boat', 0.7],
+        ['🚢', 'ship', 0.6],
+        ['✈️', 'airplane', 0.6],
+        ['🛩️', 'small airplane', 0.7],
+        ['🛫', 'airplane departure', 1],
+        ['🛬', 'airplane arrival', 1],
+        ['🪂', 'parachute', 12],
+        ['💺', 'seat', 0.6],
+        ['🚁', 'helicopter', 1],
+        ['🚟', 'suspension railway', 1],
+        ['🚠', 'mountain cableway', 1],
+        ['🚡', 'aerial tramway', 1],
+        ['🛰️', 'satellite', 0.7],
+        ['🚀', 'rocket', 0.6],
+        ['🛸', 'flying saucer', 5],
+        ['🛎️', 'bellhop bell', 0.7],
+        ['🧳', 'luggage', 11],
+        ['⌛', 'hourglass done', 0.6],
+        ['⏳', 'hourglass not done', 0.6],
+        ['⌚', 'watch', 0.6],
+        ['⏰', 'alarm clock', 0.6],
+        ['⏱️', 'stopwatch', 1],
+        ['⏲️', 'timer clock', 1],
+        ['🕰️', 'mantelpiece clock', 0.7],
+        ['🕛', 'twelve o’clock', 0.6],
+        ['🕧', 'twelve-thirty', 0.7],
+        ['🕐', 'one o’clock', 0.6],
+        ['🕜', 'one-thirty', 0.7],
+        ['🕑', 'two o’clock', 0.6],
+        ['🕝', 'two-thirty', 0.7],
+        ['🕒', 'three o’clock', 0.6],
+        ['🕞', 'three-thirty', 0.7],
+        ['🕓', 'four o’clock', 0.6],
+        ['🕟', 'four-thirty', 0.7],
+        ['🕔', 'five o’clock', 0.6],
+        ['🕠', 'five-thirty', 0.7],
+        ['🕕', 'six o’clock', 0.6],
+        ['🕡', 'six-thirty', 0.7],
+        ['🕖', 'seven o’clock', 0.6],
+        ['🕢', 'seven-thirty', 0.7],
+        ['🕗', 'eight o’clock', 0.6],
+        ['🕣', 'eight-thirty', 0.7],
+        ['🕘', 'nine o’clock', 0.6],
+        ['🕤', 'nine-thirty', 0.7],
+        ['🕙', 'ten o’clock', 0.6],
+        ['🕥', 'ten-thirty', 0.7],
+        ['🕚', 'eleven o’clock', 0.6],
+        ['🕦', 'eleven-thirty', 0.7],
+        ['🌑', 'new moon', 0.6],
+        ['🌒', 'waxing crescent moon', 1],
+        ['🌓', 'first quarter moon', 0.6],
+        ['🌔', 'waxing gibbous moon', 0.6],
+        ['🌕', 'full moon', 0.6],
+        ['🌖', 'waning gibbous moon', 1],
+        ['🌗', 'last quarter moon', 1],
+        ['🌘', 'waning crescent moon', 1],
+        ['🌙', 'crescent moon', 0.6],
+        ['🌚', 'new moon face', 1],
+        ['🌛', 'first quarter moon face', 0.6],
+        ['🌜', 'last quarter moon face', 0.7],
+        ['🌡️', 'thermometer', 0.7],
+        ['☀️', 'sun', 0.6],
+        ['🌝', 'full moon face', 1],
+        ['🌞', 'sun with face', 1],
+        ['🪐', 'ringed planet', 12],
+        ['⭐', 'star', 0.6],
+        ['🌟', 'glowing star', 0.6],
+        ['🌠', 'shooting star', 0.6],
+        ['🌌', 'milky way', 0.6],
+        ['☁️', 'cloud', 0.6],
+        ['⛅', 'sun behind cloud', 0.6],
+        ['⛈️', 'cloud with lightning and rain', 0.7],
+        ['🌤️', 'sun behind small cloud', 0.7],
+        ['🌥️', 'sun behind large cloud', 0.7],
+        ['🌦️', 'sun behind rain cloud', 0.7],
+        ['🌧️', 'cloud with rain', 0.7],
+        ['🌨️', 'cloud with snow', 0.7],
+        ['🌩️', 'cloud with lightning', 0.7],
+        ['🌪️', 'tornado', 0.7],
+        ['🌫️', 'fog', 0.7],
+        ['🌬️', 'wind face', 0.7],
+        ['🌀', 'cyclone', 0.6],
+        ['🌈', 'rainbow', 0.6],
+        ['🌂', 'closed umbrella', 0.6],
+        ['☂️', 'umbrella', 0.7],
+        ['☔', 'umbrella with rain drops', 0.6],
+        ['⛱️', 'umbrella on ground', 0.7],
+        ['⚡', 'high voltage', 0.6],
+        ['❄️', 'snowflake', 0.6],
+        ['☃️', 'snowman', 0.7],
+        ['⛄', 'snowman without snow', 0.6],
+        ['☄️', 'comet', 1],
+        ['🔥', 'fire', 0.6],
+        ['💧', 'droplet', 0.6],
+        ['🌊', 'water wave', 0.6]
+    ],
+    'Activities': [
+        ['🎃', 'jack-o-lantern', 0.6],
+        ['🎄', 'Christmas tree', 0.6],
+        ['🎆', 'fireworks', 0.6],
+        ['🎇', 'sparkler', 0.6],
+        ['🧨', 'firecracker', 11],
+        ['✨', 'sparkles', 0.6],
+        ['🎈', 'balloon', 0.6],
+        ['🎉', 'party popper', 0.6],
+        ['🎊', 'confetti ball', 0.6],
+        ['🎋', 'tanabata tree', 0.6],
+        ['🎍', 'pine decoration', 0.6],
+        ['🎎', 'Japanese dolls', 0.6],
+        ['🎏', 'carp streamer', 0.6],
+        ['🎐', 'wind chime', 0.6],
+        ['🎑', 'moon viewing ceremony', 0.6],
+        ['🧧', 'red envelope', 11],
+        ['🎀', 'ribbon', 0.6],
+        ['🎁', 'wrapped gift', 0.6],
+        ['🎗️', 'reminder ribbon', 0.7],
+        ['🎟️', 'admission tickets', 0.7],
+        ['🎫', 'ticket', 0.6],
+        ['🎖️', 'military medal', 0.7],
+        ['🏆', 'trophy', 0.6],
+        ['🏅', 'sports medal', 1],
+        ['🥇', '1st place medal', 3],
+        ['🥈', '2nd place medal', 3],
+        ['🥉', '3rd place medal', 3],
+        ['⚽', 'soccer ball', 0.6],
+        ['⚾', 'baseball', 0.6],
+        ['🥎', 'softball', 11],
+        ['🏀', 'basketball', 0.6],
+        ['🏐', 'volleyball', 1],
+        ['🏈', 'american football', 0.6],
+        ['🏉', 'rugby football', 1],
+        ['🎾', 'tennis', 0.6],
+        ['🥏', 'flying disc', 11],
+        ['🎳', 'bowling', 0.6],
+        ['🏏', 'cricket game', 1],
+        ['🏑', 'field hockey', 1],
+        ['🏒', 'ice hockey', 1],
+        ['🥍', 'lacrosse', 11],
+        ['🏓', 'ping pong', 1],
+        ['🏸', 'badminton', 1],
+        ['🥊', 'boxing glove', 3],
+        ['🥋', 'martial arts uniform', 3],
+        ['🥅', 'goal net', 3],
+        ['⛳', 'flag in hole', 0.6],
+        ['⛸️', 'ice skate', 0.7],
+        ['🎣', 'fishing pole', 0.6],
+        ['🤿', 'diving mask', 12],
+        ['🎽', 'running shirt', 0.6],
+        ['🎿', 'skis', 0.6],
+        ['🛷', 'sled', 5],
+        ['🥌', 'curling stone', 5],
+        ['🎯', 'bullseye', 0.6],
+        ['🪀', 'yo-yo', 12],
+        ['🪁', 'kite', 12],
+        ['🔫', 'water pistol', 0.6],
+        ['🎱', 'pool 8 ball', 0.6],
+        ['🔮', 'crystal ball', 0.6],
+        ['🪄', 'magic wand', 13],
+        ['🎮', 'video game', 0.6],
+        ['🕹️', 'joystick', 0.7],
+        ['🎰', 'slot machine', 0.6],
+        ['🎲', 'game die', 0.6],
+        ['🧩', 'puzzle piece', 11],
+        ['🧸', 'teddy bear', 11],
+        ['🪅', 'piñata', 13],
+        ['🪩', 'mirror ball', 14],
+        ['🪆', 'nesting dolls', 13],
+        ['♠️', 'spade suit', 0.6],
+        ['♥️', 'heart suit', 0.6],
+        ['♦️', 'diamond suit', 0.6],
+        ['♣️', 'club suit', 0.6],
+        ['♟️', 'chess pawn', 11],
+        ['🃏', 'joker', 0.6],
+        ['🀄', 'mahjong red dragon', 0.6],
+        ['🎴', 'flower playing cards', 0.6],
+        ['🎭', 'performing arts', 0.6],
+        ['🖼️', 'framed picture', 0.7],
+        ['🎨', 'artist palette', 0.6],
+        ['🧵', 'thread', 11],
+        ['🪡', 'sewing needle', 13],
+        ['🧶', 'yarn', 11],
+        ['🪢', 'knot', 13]
+    ],
+    'Objects': [
+        ['👓', 'glasses', 0.6],
+        ['🕶️', 'sunglasses', 0.7],
+        ['🥽', 'goggles', 11],
+        ['🥼', 'lab coat', 11],
+        ['🦺', 'safety vest', 12],
+        ['👔', 'necktie', 0.6],
+        ['👕', 't-shirt', 0.6],
+        ['👖', 'jeans', 0.6],
+        ['🧣', 'scarf', 5],
+        ['🧤', 'gloves', 5],
+        ['🧥', 'coat', 5],
+        ['🧦', 'socks', 5],
+        ['👗', 'dress', 0.6],
+        ['👘', 'kimono', 0.6],
+        ['🥻', 'sari', 12],
+        ['🩱', 'one-piece swimsuit', 12],
+        ['🩲', 'briefs', 12],
+        ['🩳', 'shorts', 12],
+        ['👙', 'bikini', 0.6],
+        ['👚', 'woman’s clothes', 0.6],
+        ['🪭', 'folding hand fan', 15],
+        ['👛', 'purse', 0.6],
+        ['👜', 'handbag', 0.6],
+        ['👝', 'clutch bag', 0.6],
+        ['🛍️', 'shopping bags', 0.7],
+        ['🎒', 'backpack', 0.6],
+        ['🩴', 'thong sandal', 13],
+        ['👞', 'man’s shoe', 0.6],
+        ['👟', 'running shoe', 0.6],
+        ['🥾', 'hiking boot', 11],
+        ['🥿', 'flat shoe', 11],
+        ['👠', 'high-heeled shoe', 0.6],
+        ['👡', 'woman’s sandal', 0.6],
+        ['🩰', 'ballet shoes', 12],
+        ['👢', 'woman’s boot', 0.6],
+        ['🪮', 'hair pick', 15],
+        ['👑', 'crown', 0.6],
+        ['👒', 'woman’s hat', 0.6],
+        ['🎩', 'top hat', 0.6],
+        ['🎓', 'graduation cap', 0.6],
+        ['🧢', 'billed cap', 5],
+        ['🪖', 'military helmet', 13],
+        ['⛑️', 'rescue worker’s helmet', 0.7],
+        ['📿', 'prayer beads', 1],
+        ['💄', 'lipstick', 0.6],
+        ['💍', 'ring', 0.6],
+        ['💎', 'gem stone', 0.6],
+        ['🔇', 'muted speaker', 1],
+        ['🔈', 'speaker low volume', 0.7],
+        ['🔉', 'speaker medium volume', 1],
+        ['🔊', 'speaker high volume', 0.6],
+        ['📢', 'loudspeaker', 0.6],
+        ['📣', 'megaphone', 0.6],
+        ['📯', 'postal horn', 1],
+        ['🔔', 'bell', 0.6],
+        ['🔕', 'bell with slash', 1],
+        ['🎼', 'musical score', 0.6],
+        ['🎵', 'musical note', 0.6],
+        ['🎶', 'musical notes', 0.6],
+        ['🎙️', 'studio microphone', 0.7],
+        ['🎚️', 'level slider', 0.7],
+        ['🎛️', 'control knobs', 0.7],
+        ['🎤', 'microphone', 0.6],
+        ['🎧', 'headphone', 0.6],
+        ['📻', 'radio', 0.6],
+        ['🎷', 'saxophone', 0.6],
+        ['🪗', 'accordion', 13],
+        ['🎸', 'guitar', 0.6],
+        ['🎹', 'musical keyboard', 0.6],
+        ['🎺', 'trumpet', 0.6],
+        ['🎻', 'violin', 0.6],
+        ['🪕', 'banjo', 12],
+        ['🥁', 'drum', 3],
+        ['🪘', 'long drum', 13],
+        ['🪇', 'maracas', 15],
+        ['🪈', 'flute', 15],
+        ['📱', 'mobile phone', 0.6],
+        ['📲', 'mobile phone with arrow', 0.6],
+        ['☎️', 'telephone', 0.6],
+        ['📞', 'telephone receiver', 0.6],
+        ['📟', 'pager', 0.6],
+        ['📠', 'fax machine', 0.6],
+        ['🔋', 'battery', 0.6],
+        ['🪫', 'low battery', 14],
+        ['🔌', 'electric plug', 0.6],
+        ['💻', 'laptop', 0.6],
+        ['🖥️', 'desktop computer', 0.7],
+        ['🖨️', 'printer', 0.7],
+        ['⌨️', 'keyboard', 1],
+        ['🖱️', 'computer mouse', 0.7],
+        ['🖲️', 'trackball', 0.7],
+        ['💽', 'computer disk', 0.6],
+        ['💾', 'floppy disk', 0.6],
+        ['💿', 'optical disk', 0.6],
+        ['📀', 'dvd', 0.6],
+        ['🧮', 'abacus', 11],
+        ['🎥', 'movie camera', 0.6],
+        ['🎞️', 'film frames', 0.7],
+        ['📽️', 'film projector', 0.7],
+        ['🎬', 'clapper board', 0.6],
+        ['📺', 'television', 0.6],
+        ['📷', 'camera', 0.6],
+        ['📸', 'camera with flash', 1],
+        ['📹', 'video camera', 0.6],
+        ['📼', 'videocassette', 0.6],
+        ['🔍', 'magnifying glass tilted left', 0.6],
+        ['🔎', 'magnifying glass tilted right', 0.6],
+        ['🕯️', 'candle', 0.7],
+        ['💡', 'light bulb', 0.6],
+        ['🔦', 'flashlight', 0.6],
+        ['🏮', 'red paper lantern', 0.6],
+        ['🪔', 'diya lamp', 12],
+        ['📔', 'notebook with decorative cover', 0.6],
+        ['📕', 'closed book', 0.6],
+        ['📖', 'open book', 0.6],
+        ['📗', 'green book', 0.6],
+        ['📘', 'blue book', 0.6],
+        ['📙', 'orange book', 0.6],
+        ['📚', 'books', 0.6],
+        ['📓', 'notebook', 0.6],
+        ['📒', 'ledger', 0.6],
+        ['📃', 'page with curl', 0.6],
+        ['📜', 'scroll', 0.6],
+        ['📄', 'page facing up', 0.6],
+        ['📰', 'newspaper', 0.6],
+        ['🗞️', 'rolled-up newspaper', 0.7],
+        ['📑', 'bookmark tabs', 0.6],
+        ['🔖', 'bookmark', 0.6],
+        ['🏷️', 'label', 0.7],
+        ['💰', 'money bag', 0.6],
+        ['🪙', 'coin', 13],
+        ['💴', 'yen banknote', 0.6],
+        ['💵', 'dollar banknote', 0.6],
+        ['💶', 'euro banknote', 1],
+        ['💷', 'pound banknote', 1],
+        ['💸', 'money with wings', 0.6],
+        ['💳', 'credit card', 0.6],
+        ['🧾', 'receipt', 11],
+        ['💹', 'chart increasing with yen', 0.6],
+        ['✉️', 'envelope', 0.6],
+        ['📧', 'e-mail', 0.6],
+        ['📨', 'incoming envelope', 0.6],
+        ['📩', 'envelope with arrow', 0.6],
+        ['📤', 'outbox tray', 0.6],
+        ['📥', 'inbox tray', 0.6],
+        ['📦', 'package', 0.6],
+        ['📫', 'closed mailbox with raised flag', 0.6],
+        ['📪', 'closed mailbox with lowered flag', 0.6],
+        ['📬', 'open mailbox with raised flag', 0.7],
+        ['📭', 'open mailbox with lowered flag', 0.7],
+        ['📮', 'postbox', 0.6],
+        ['🗳️', 'ballot box with ballot', 0.7],
+        ['✏️', 'pencil', 0.6],
+        ['✒️', 'black nib', 0.6],
+        ['🖋️', 'fountain pen', 0.7],
+        ['🖊️', 'pen', 0.7],
+        ['🖌️', 'paintbrush', 0.7],
+        ['🖍️', 'crayon', 0.7],
+        ['📝', 'memo', 0.6],
+        ['💼', 'briefcase', 0.6],
+        ['📁', 'file folder', 0.6],
+        ['📂', 'open file folder', 0.6],
+        ['🗂️', 'card index dividers', 0.7],
+        ['📅', 'calendar', 0.6],
+        ['📆', 'tear-off calendar', 0.6],
+        ['🗒️', 'spiral notepad', 0.7],
+        ['🗓️', 'spiral calendar', 0.7],
+        ['📇', 'card index', 0.6],
+        ['📈', 'chart increasing', 0.6],
+        ['📉', 'chart decreasing', 0.6],
+        ['📊', 'bar chart', 0.6],
+        ['📋', 'clipboard', 0.6],
+        ['📌', 'pushpin', 0.6],
+        ['📍', 'round pushpin', 0.6],
+        ['📎', 'paperclip', 0.6],
+        ['🖇️', 'linked paperclips', 0.7],
+        ['📏', 'straight ruler', 0.6],
+        ['📐', 'triangular ruler', 0.6],
+        ['✂️', 'scissors', 0.6],
+        ['🗃️', 'card file box', 0.7],
+        ['🗄️', 'file cabinet', 0.7],
+        ['🗑️', 'wastebasket', 0.7],
+        ['🔒', 'locked', 0.6],
+        ['🔓', 'unlocked', 0.6],
+        ['🔏', 'locked with pen', 0.6],
+        ['🔐', 'locked with key', 0.6],
+        ['🔑', 'key', 0.6],
+        ['🗝️', 'old key', 0.7],
+        ['🔨', 'hammer', 0.6],
+        ['🪓', 'axe', 12],
+        ['⛏️', 'pick', 0.7],
+        ['⚒️', 'hammer and pick', 1],
+        ['🛠️', 'hammer and wrench', 0.7],
+        ['🗡️', 'dagger', 0.7],
+        ['⚔️', 'crossed swords', 1],
+        ['💣', 'bomb', 0.6],
+        ['🪃', 'boomerang', 13],
+        ['🏹', 'bow and arrow', 1],
+        ['🛡️', 'shield', 0.7],
+        ['🪚', 'carpentry saw', 13],
+        ['🔧', 'wrench', 0.6],
+        ['🪛', 'screwdriver', 13],
+        ['🔩', 'nut and bolt', 0.6],
+        ['⚙️', 'gear', 1],
+        ['🗜️', 'clamp', 0.7],
+        ['⚖️', 'balance scale', 1],
+        ['🦯', 'white cane', 12],
+        ['🔗', 'link', 0.6],
+        ['⛓️‍💥', 'broken chain', 15.1],
+        ['⛓️', 'chains', 0.7],
+        ['🪝', 'hook', 13],
+        ['🧰', 'toolbox', 11],
+        ['🧲', 'magnet', 11],
+        ['🪜', 'ladder', 13],
+        ['⚗️', 'alembic', 1],
+        ['🧪', 'test tube', 11],
+        ['🧫', 'petri dish', 11],
+        ['🧬', 'dna', 11],
+        ['🔬', 'microscope', 1],
+        ['🔭', 'telescope', 1],
+        ['📡', 'satellite antenna', 0.6],
+        ['💉', 'syringe', 0.6],
+        ['🩸', 'drop of blood', 12],
+        ['💊', 'pill', 0.6],
+        ['🩹', 'adhesive bandage', 12],
+        ['🩼', 'crutch', 14],
+        ['🩺', 'stethoscope', 12],
+        ['🩻', 'x-ray', 14],
+        ['🚪', 'door', 0.6],
+        ['🛗', 'elevator', 13],
+        ['🪞', 'mirror', 13],
+        ['🪟', 'window', 13],
+        ['🛏️', 'bed', 0.7],
+        ['🛋️', 'couch and lamp', 0.7],
+        ['🪑', 'chair', 12],
+        ['🚽', 'toilet', 0.6],
+        ['🪠', 'plunger', 13],
+        ['🚿', 'shower', 1],
+        ['🛁', 'bathtub', 1],
+        ['🪤', 'mouse trap', 13],
+        ['🪒', 'razor', 12],
+        ['🧴', 'lotion bottle', 11],
+        ['🧷', 'safety pin', 11],
+        ['🧹', 'broom', 11],
+        ['🧺', 'basket', 11],
+        ['🧻', 'roll of paper', 11],
+        ['🪣', 'bucket', 13],
+        ['🧼', 'soap', 11],
+        ['🫧', 'bubbles', 14],
+        ['🪥', 'toothbrush', 13],
+        ['🧽', 'sponge', 11],
+        ['🧯', 'fire extinguisher', 11],
+        ['🛒', 'shopping cart', 3],
+        ['🚬', 'cigarette', 0.6],
+        ['⚰️', 'coffin', 1],
+        ['🪦', 'headstone', 13],
+        ['⚱️', 'funeral urn', 1],
+        ['🧿', 'nazar amulet', 11],
+        ['🪬', 'hamsa', 14],
+        ['🗿', 'moai', 0.6],
+        ['🪧', 'placard', 13],
+        ['🪪', 'identification card', 14]
+    ],
+    'Symbols': [
+        ['🏧', 'ATM sign', 0.6],
+        ['🚮', 'litter in bin sign', 1],
+        ['🚰', 'potable water', 1],
+        ['♿', 'wheelchair symbol', 0.6],
+        ['🚹', 'men’s room', 0.6],
+        ['🚺', 'women’s room', 0.6],
+        ['🚻', 'restroom', 0.6],
+        ['🚼', 'baby symbol', 0.6],
+        ['🚾', 'water closet', 0.6],
+        ['🛂', 'passport control', 1],
+        ['🛃', 'customs', 1],
+        ['🛄', 'baggage claim', 1],
+        ['🛅', 'left luggage', 1],
+        ['⚠️', 'warning', 0.6],
+        ['🚸', 'children crossing', 1],
+        ['⛔', 'no entry', 0.6],
+        ['🚫', 'prohibited', 0.6],
+        ['🚳', 'no bicycles', 1],
+        ['🚭', 'no smoking', 0.6],
+        ['🚯', 'no littering', 1],
+        ['🚱', 'non-potable water', 1],
+        ['🚷', 'no pedestrians', 1],
+        ['📵', 'no mobile phones', 1],
+        ['🔞', 'no one under eighteen', 0.6],
+        ['☢️', 'radioactive', 1],
+        ['☣️', 'biohazard', 1],
+        ['⬆️', 'up arrow', 0.6],
+        ['↗️', 'up-right arrow', 0.6],
+        ['➡️', 'right arrow', 0.6],
+        ['↘️', 'down-right arrow', 0.6],
+        ['⬇️', 'down arrow', 0.6],
+        ['↙️', 'down-left arrow', 0.6],
+        ['⬅️', 'left arrow', 0.6],
+        ['↖️', 'up-left arrow', 0.6],
+        ['↕️', 'up-down arrow', 0.6],
+        ['↔️', 'left-right arrow', 0.6],
+        ['↩️', 'right arrow curving left', 0.6],
+        ['↪️', 'left arrow curving right', 0.6],
+        ['⤴️', 'right arrow curving up', 0.6],
+        ['⤵️', 'right arrow curving down', 0.6],
+        ['🔃', 'clockwise vertical arrows', 0.6],
+        ['🔄', 'counterclockwise arrows button', 1],
+        ['🔙', 'BACK arrow', 0.6],
+        ['🔚', 'END arrow', 0.6],
+        ['🔛', 'ON! arrow', 0.6],
+        ['🔜', 'SOON arrow', 0.6],
+        ['🔝', 'TOP arrow', 0.6],
+        ['🛐', 'place of worship', 1],
+        ['⚛️', 'atom symbol', 1],
+        ['🕉️', 'om', 0.7],
+        ['✡️', 'star of David', 0.7],
+        ['☸️', 'wheel of dharma', 0.7],
+        ['☯️', 'yin yang', 0.7],
+        ['✝️', 'latin cross', 0.7],
+        ['☦️', 'orthodox cross', 1],
+        ['☪️', 'star and crescent', 0.7],
+        ['☮️', 'peace symbol', 1],
+        ['🕎', 'menorah', 1],
+        ['🔯', 'dotted six-pointed star', 0.6],
+        ['🪯', 'khanda', 15],
+        ['♈', 'Aries', 0.6],
+        ['♉', 'Taurus', 0.6],
+        ['♊', 'Gemini', 0.6],
+        ['♋', 'Cancer', 0.6],
+        ['♌', 'Leo', 0.6],
+        ['♍', 'Virgo', 0.6],
+        ['♎', 'Libra', 0.6],
+        ['♏', 'Scorpio', 0.6],
+        ['♐', 'Sagittarius', 0.6],
+        ['♑', 'Capricorn', 0.6],
+        ['♒', 'Aquarius', 0.6],
+        ['♓', 'Pisces', 0.6],
+        ['⛎', 'Ophiuchus', 0.6],
+        ['🔀', 'shuffle tracks button', 1],
+        ['🔁', 'repeat button', 1],
+        ['🔂', 'repeat single button', 1],
+        ['▶️', 'play button', 0.6],
+        ['⏩', 'fast-forward button', 0.6],
+        ['⏭️', 'next track button', 0.7],
+        ['⏯️', 'play or pause button', 1],
+        ['◀️', 'reverse button', 0.6],
+        ['⏪', 'fast reverse button', 0.6],
+        ['⏮️', 'last track button', 0.7],
+        ['🔼', 'upwards button', 0.6],
+        ['⏫', 'fast up button', 0.6],
+        ['🔽', 'downwards button', 0.6],
+        ['⏬', 'fast down button', 0.6],
+        ['⏸️', 'pause button', 0.7],
+        ['⏹️', 'stop button', 0.7],
+        ['⏺️', 'record button', 0.7],
+        ['⏏️', 'eject button', 1],
+        ['🎦', 'cinema', 0.6],
+        ['🔅', 'dim button', 1],
+        ['🔆', 'bright button', 1],
+        ['📶', 'antenna bars', 0.6],
+        ['🛜', 'wireless', 15],
+        ['📳', 'vibration mode', 0.6],
+        ['📴', 'mobile phone off', 0.6],
+        ['♀️', 'female sign', 4],
+        ['♂️', 'male sign', 4],
+        ['⚧️', 'transgender symbol', 13],
+        ['✖️', 'multiply', 0.6],
+        ['➕', 'plus', 0.6],
+        ['➖', 'minus', 0.6],
+        ['➗', 'divide', 0.6],
+        ['🟰', 'heavy equals sign', 14],
+        ['♾️', 'infinity', 11],
+        ['‼️', 'double exclamation mark', 0.6],
+        ['⁉️', 'exclamation question mark', 0.6],
+        ['❓', 'red question mark', 0.6],
+        ['❔', 'white question mark', 0.6],
+        ['❕', 'white exclamation mark', 0.6],
+        ['❗', 'red exclamation mark', 0.6],
+        ['〰️', 'wavy dash', 0.6],
+        ['💱', 'currency exchange', 0.6],
+        ['💲', 'heavy dollar sign', 0.6],
+        ['⚕️', 'medical symbol', 4],
+        ['♻️', 'recycling symbol', 0.6],
+        ['⚜️', 'fleur-de-lis', 1],
+        ['🔱', 'trident emblem', 0.6],
+        ['📛', 'name badge', 0.6],
+        ['🔰', 'Japanese symbol for beginner', 0.6],
+        ['⭕', 'hollow red circle', 0.6],
+        ['✅', 'check mark button', 0.6],
+        ['☑️', 'check box with check', 0.6],
+        ['✔️', 'check mark', 0.6],
+        ['❌', 'cross mark', 0.6],
+        ['❎', 'cross mark button', 0.6],
+        ['➰', 'curly loop', 0.6],
+        ['➿', 'double curly loop', 1],
+        ['〽️', 'part alternation mark', 0.6],
+        ['✳️', 'eight-spoked asterisk', 0.6],
+        ['✴️', 'eight-pointed star', 0.6],
+        ['❇️', 'sparkle', 0.6],
+        ['©️', 'copyright', 0.6],
+        ['®️', 'registered', 0.6],
+        ['™️', 'trade mark', 0.6],
+        ['#️⃣', 'keycap: #', 0.6],
+        ['*️⃣', 'keycap: *', 2],
+        ['0️⃣', 'keycap: 0', 0.6],
+        ['1️⃣', 'keycap: 1', 0.6],
+        ['2️⃣', 'keycap: 2', 0.6],
+        ['3️⃣', 'keycap: 3', 0.6],
+        ['4️⃣', 'keycap: 4', 0.6],
+        ['5️⃣', 'keycap: 5', 0.6],
+        ['6️⃣', 'keycap: 6', 0.6],
+        ['7️⃣', 'keycap: 7', 0.6],
+        ['8️⃣', 'keycap: 8', 0.6],
+        ['9️⃣', 'keycap: 9', 0.6],
+        ['🔟', 'keycap: 10', 0.6],
+        ['🔠', 'input latin uppercase', 0.6],
+        ['🔡', 'input latin lowercase', 0.6],
+        ['🔢', 'input numbers', 0.6],
+        ['🔣', 'input symbols', 0.6],
+        ['🔤', 'input latin letters', 0.6],
+        ['🅰️', 'A button (blood type)', 0.6],
+        ['🆎', 'AB button (blood type)', 0.6],
+        ['🅱️', 'B button (blood type)', 0.6],
+        ['🆑', 'CL button', 0.6],
+        ['🆒', 'COOL button', 0.6],
+        ['🆓', 'FREE button', 0.6],
+        ['ℹ️', 'information', 0.6],
+        ['🆔', 'ID button', 0.6],
+        ['Ⓜ️', 'circled M', 0.6],
+        ['🆕', 'NEW button', 0.6],
+        ['🆖', 'NG button', 0.6],
+        ['🅾️', 'O button (blood type)', 0.6],
+        ['🆗', 'OK button', 0.6],
+        ['🅿️', 'P button', 0.6],
+        ['🆘', 'SOS button', 0.6],
+        ['🆙', 'UP! button', 0.6],
+        ['🆚', 'VS button', 0.6],
+        ['🈁', 'Japanese “here” button', 0.6],
+        ['🈂️', 'Japanese “service charge” button', 0.6],
+        ['🈷️', 'Japanese “monthly amount” button', 0.6],
+        ['🈶', 'Japanese “not free of charge” button', 0.6],
+        ['🈯', 'Japanese “reserved” button', 0.6],
+        ['🉐', 'Japanese “bargain” button', 0.6],
+        ['🈹', 'Japanese “discount” button', 0.6],
+        ['🈚', 'Japanese “free of charge” button', 0.6],
+        ['🈲', 'Japanese “prohibited” button', 0.6],
+        ['🉑', 'Japanese “acceptable” button', 0.6],
+        ['🈸', 'Japanese “application” button', 0.6],
+        ['🈴', 'Japanese “passing grade” button', 0.6],
+        ['🈳', 'Japanese “vacancy” button', 0.6],
+        ['㊗️', 'Japanese “congratulations” button', 0.6],
+        ['㊙️', 'Japanese “secret” button', 0.6],
+        ['🈺', 'Japanese “open for business” button', 0.6],
+        ['🈵', 'Japanese “no vacancy” button', 0.6],
+        ['🔴', 'red circle', 0.6],
+        ['🟠', 'orange circle', 12],
+        ['🟡', 'yellow circle', 12],
+        ['🟢', 'green circle', 12],
+        ['🔵', 'blue circle', 0.6],
+        ['🟣', 'purple circle', 12],
+        ['🟤', 'brown circle', 12],
+        ['⚫', 'black circle', 0.6],
+        ['⚪', 'white circle', 0.6],
+        ['🟥', 'red square', 12],
+        ['🟧', 'orange square', 12],
+        ['🟨', 'yellow square', 12],
+        ['🟩', 'green square', 12],
+        ['🟦', 'blue square', 12],
+        ['🟪', 'purple square', 12],
+        ['🟫', 'brown square', 12],
+        ['⬛', 'black large square', 0.6],
+        ['⬜', 'white large square', 0.6],
+        ['◼️', 'black medium square', 0.6],
+        ['◻️', 'white medium square', 0.6],
+        ['◾', 'black medium-small square', 0.6],
+        ['◽', 'white medium-small square', 0.6],
+        ['▪️', 'black small square', 0.6],
+        ['▫️', 'white small square', 0.6],
+        ['🔶', 'large orange diamond', 0.6],
+        ['🔷', 'large blue diamond', 0.6],
+        ['🔸', 'small orange diamond', 0.6],
+        ['🔹', 'small blue diamond', 0.6],
+        ['🔺', 'red triangle pointed up', 0.6],
+        ['🔻', 'red triangle pointed down', 0.6],
+        ['💠', 'diamond with a dot', 0.6],
+        ['🔘', 'radio button', 0.6],
+        ['🔳', 'white square button', 0.6],
+        ['🔲', 'black square button', 0.6]
+    ],
+    'Flags': [
+        ['🏁', 'chequered flag', 0.6],
+        ['🚩', 'triangular flag', 0.6],
+        ['🎌', 'crossed flags', 0.6],
+        ['🏴', 'black flag', 1],
+        ['🏳️', 'white flag', 0.7],
+        ['🏳️‍🌈', 'rainbow flag', 4],
+        ['🏳️‍⚧️', 'transgender flag', 13],
+        ['🏴‍☠️', 'pirate flag', 11],
+        ['🇦🇨', 'flag: Ascension Island', 2],
+        ['🇦🇩', 'flag: Andorra', 2],
+        ['🇦🇪', 'flag: United Arab Emirates', 2],
+        ['🇦🇫', 'flag: Afghanistan', 2],
+        ['🇦🇬', 'flag: Antigua & Barbuda', 2],
+        ['🇦🇮', 'flag: Anguilla', 2],
+        ['🇦🇱', 'flag: Albania', 2],
+        ['🇦🇲', 'flag: Armenia', 2],
+        ['🇦🇴', 'flag: Angola', 2],
+        ['🇦🇶', 'flag: Antarctica', 2],
+        ['🇦🇷', 'flag: Argentina', 2],
+        ['🇦🇸', 'flag: American Samoa', 2],
+        ['🇦🇹', 'flag: Austria', 2],
+        ['🇦🇺', 'flag: Australia', 2],
+        ['🇦🇼', 'flag: Aruba', 2],
+        ['🇦🇽', 'flag: Åland Islands', 2],
+        ['🇦🇿', 'flag: Azerbaijan', 2],
+        ['🇧🇦', 'flag: Bosnia & Herzegovina', 2],
+        ['🇧🇧', 'flag: Barbados', 2],
+        ['🇧🇩', 'flag: Bangladesh', 2],
+        ['🇧🇪', 'flag: Belgium', 2],
+        ['🇧🇫', 'flag: Burkina Faso', 2],
+        ['🇧🇬', 'flag: Bulgaria', 2],
+        ['🇧🇭', 'flag: Bahrain', 2],
+        ['🇧🇮', 'flag: Burundi', 2],
+        ['🇧🇯', 'flag: Benin', 2],
+        ['🇧🇱', 'flag: St. Barthélemy', 2],
+        ['🇧🇲', 'flag: Bermuda', 2],
+        ['🇧🇳', 'flag: Brunei', 2],
+        ['🇧🇴', 'flag: Bolivia', 2],
+        ['🇧🇶', 'flag: Caribbean Netherlands', 2],
+        ['🇧🇷', 'flag: Brazil', 2],
+        ['🇧🇸', 'flag: Bahamas', 2],
+        ['🇧🇹', 'flag: Bhutan', 2],
+        ['🇧🇻', 'flag: Bouvet Island', 2],
+        ['🇧🇼', 'flag: Botswana', 2],
+        ['🇧🇾', 'flag: Belarus', 2],
+        ['🇧🇿', 'flag: Belize', 2],
+        ['🇨🇦', 'flag: Canada', 2],
+        ['🇨🇨', 'flag: Cocos (Keeling) Islands', 2],
+        ['🇨🇩', 'flag: Congo - Kinshasa', 2],
+        ['🇨🇫', 'flag: Central African Republic', 2],
+        ['🇨🇬', 'flag: Congo - Brazzaville', 2],
+        ['🇨🇭', 'flag: Switzerland', 2],
+        ['🇨🇮', 'flag: Côte d’Ivoire', 2],
+        ['🇨🇰', 'flag: Cook Islands', 2],
+        ['🇨🇱', 'flag: Chile', 2],
+        ['🇨🇲', 'flag: Cameroon', 2],
+        ['🇨🇳', 'flag: China', 0.6],
+        ['🇨🇴', 'flag: Colombia', 2],
+        ['🇨🇵', 'flag: Clipperton Island', 2],
+        ['🇨🇷', 'flag: Costa Rica', 2],
+        ['🇨🇺', 'flag: Cuba', 2],
+        ['🇨🇻', 'flag: Cape Verde', 2],
+        ['🇨🇼', 'flag: Curaçao', 2],
+        ['🇨🇽', 'flag: Christmas Island', 2],
+        ['🇨🇾', 'flag: Cyprus', 2],
+        ['🇨🇿', 'flag: Czechia', 2],
+        ['🇩🇪', 'flag: Germany', 0.6],
+        ['🇩🇬', 'flag: Diego Garcia', 2],
+        ['🇩🇯', 'flag: Djibouti', 2],
+        ['🇩🇰', 'flag: Denmark', 2],
+        ['🇩🇲', 'flag: Dominica', 2],
+        ['🇩🇴', 'flag: Dominican Republic', 2],
+        ['🇩🇿', 'flag: Algeria', 2],
+        ['🇪🇦', 'flag: Ceuta & Melilla', 2],
+        ['🇪🇨', 'flag: Ecuador', 2],
+        ['🇪🇪', 'flag: Estonia', 2],
+        ['🇪🇬', 'flag: Egypt', 2],
+        ['🇪🇭', 'flag: Western Sahara', 2],
+        ['🇪🇷', 'flag: Eritrea', 2],
+        ['🇪🇸', 'flag: Spain', 0.6],
+        ['🇪🇹', 'flag: Ethiopia', 2],
+        ['🇪🇺', 'flag: European Union', 2],
+        ['🇫🇮', 'flag: Finland', 2],
+        ['🇫🇯', 'flag: Fiji', 2],
+        ['🇫🇰', 'flag: Falkland Islands', 2],
+        ['🇫🇲', 'flag: Micronesia', 2],
+        ['🇫🇴', 'flag: Faroe Islands', 2],
+        ['🇫🇷', 'flag: France', 0.6],
+        ['🇬🇦', 'flag: Gabon', 2],
+        ['🇬🇧', 'flag: United Kingdom', 0.6],
+        ['🇬🇩', 'flag: Grenada', 2],
+        ['🇬🇪', 'flag: Georgia', 2],
+        ['🇬🇫', 'flag: French Guiana', 2],
+        ['🇬🇬', 'flag: Guernsey', 2],
+        ['🇬🇭', 'flag: Ghana', 2],
+        ['🇬🇮', 'flag: Gibraltar', 2],
+        ['🇬🇱', 'flag: Greenland', 2],
+        ['🇬🇲', 'flag: Gambia', 2],
+        ['🇬🇳', 'flag: Guinea', 2],
+        ['🇬🇵', 'flag: Guadeloupe', 2],
+        ['🇬🇶', 'flag: Equatorial Guinea', 2],
+        ['🇬🇷', 'flag: Greece', 2],
+        ['🇬🇸', 'flag: South Georgia & South Sandwich Islands', 2],
+        ['🇬🇹', 'flag: Guatemala', 2],
+        ['🇬🇺', 'flag: Guam', 2],
+        ['🇬🇼', 'flag: Guinea-Bissau', 2],
+        ['🇬🇾', 'flag: Guyana', 2],
+        ['🇭🇰', 'flag: Hong Kong SAR China', 2],
+        ['🇭🇲', 'flag: Heard & McDonald Islands', 2],
+        ['🇭🇳', 'flag: Honduras', 2],
+        ['🇭🇷', 'flag: Croatia', 2],
+        ['🇭🇹', 'flag: Haiti', 2],
+        ['🇭🇺', 'flag: Hungary', 2],
+        ['🇮🇨', 'flag: Canary Islands', 2],
+        ['🇮🇩', 'flag: Indonesia', 2],
+        ['🇮🇪', 'flag: Ireland', 2],
+        ['🇮🇱', 'flag: Israel', 2],
+        ['🇮🇲', 'flag: Isle of Man', 2],
+        ['🇮🇳', 'flag: India', 2],
+        ['🇮🇴', 'flag: British Indian Ocean Territory', 2],
+        ['🇮🇶', 'flag: Iraq', 2],
+        ['🇮🇷', 'flag: Iran', 2],
+        ['🇮🇸', 'flag: Iceland', 2],
+        ['🇮🇹', 'flag: Italy', 0.6],
+        ['🇯🇪', 'flag: Jersey', 2],
+        ['🇯🇲', 'flag: Jamaica', 2],
+        ['🇯🇴', 'flag: Jordan', 2],
+        ['🇯🇵', 'flag: Japan', 0.6],
+        ['🇰🇪', 'flag: Kenya', 2],
+        ['🇰🇬', 'flag: Kyrgyzstan', 2],
+        ['🇰🇭', 'flag: Cambodia', 2],
+        ['🇰🇮', 'flag: Kiribati', 2],
+        ['🇰🇲', 'flag: Comoros', 2],
+        ['🇰🇳', 'flag: St. Kitts & Nevis', 2],
+        ['🇰🇵', 'flag: North Korea', 2],
+        ['🇰🇷', 'flag: South Korea', 0.6],
+        ['🇰🇼', 'flag: Kuwait', 2],
+        ['🇰🇾', 'flag: Cayman Islands', 2],
+        ['🇰🇿', 'flag: Kazakhstan', 2],
+        ['🇱🇦', 'flag: Laos', 2],
+        ['🇱🇧', 'flag: Lebanon', 2],
+        ['🇱🇨', 'flag: St. Lucia', 2],
+        ['🇱🇮', 'flag: Liechtenstein', 2],
+        ['🇱🇰', 'flag: Sri Lanka', 2],
+        ['🇱🇷', 'flag: Liberia', 2],
+        ['🇱🇸', 'flag: Lesotho', 2],
+        ['🇱🇹', 'flag: Lithuania', 2],
+        ['🇱🇺', 'flag: Luxembourg', 2],
+        ['🇱🇻', 'flag: Latvia', 2],
+        ['🇱🇾', 'flag: Libya', 2],
+        ['🇲🇦', 'flag: Morocco', 2],
+        ['🇲🇨', 'flag: Monaco', 2],
+        ['🇲🇩', 'flag: Moldova', 2],
+        ['🇲🇪', 'flag: Montenegro', 2],
+        ['🇲🇫', 'flag: St. Martin', 2],
+        ['🇲🇬', 'flag: Madagascar', 2],
+        ['🇲🇭', 'flag: Marshall Islands', 2],
+        ['🇲🇰', 'flag: North Macedonia', 2],
+        ['🇲🇱', 'flag: Mali', 2],
+        ['🇲🇲', 'flag: Myanmar (Burma)', 2],
+        ['🇲🇳', 'flag: Mongolia', 2],
+        ['🇲🇴', 'flag: Macao SAR China', 2],
+        ['🇲🇵', 'flag: Northern Mariana Islands', 2],
+        ['🇲🇶', 'flag: Martinique', 2],
+        ['🇲🇷', 'flag: Mauritania', 2],
+        ['🇲🇸', 'flag: Montserrat', 2],
+        ['🇲🇹', 'flag: Malta', 2],
+        ['🇲🇺', 'flag: Mauritius', 2],
+        ['🇲🇻', 'flag: Maldives', 2],
+        ['🇲🇼', 'flag: Malawi', 2],
+        ['🇲🇽', 'flag: Mexico', 2],
+        ['🇲🇾', 'flag: Malaysia', 2],
+        ['🇲🇿', 'flag: Mozambique', 2],
+        ['🇳🇦', 'flag: Namibia', 2],
+        ['🇳🇨', 'flag: New Caledonia', 2],
+        ['🇳🇪', 'flag: Niger', 2],
+        ['🇳🇫', 'flag: Norfolk Island', 2],
+        ['🇳🇬', 'flag: Nigeria', 2],
+        ['🇳🇮', 'flag: Nicaragua', 2],
+        ['🇳🇱', 'flag: Netherlands', 2],
+        ['🇳🇴', 'flag: Norway', 2],
+        ['🇳🇵', 'flag: Nepal', 2],
+        ['🇳🇷', 'flag: Nauru', 2],
+        ['🇳🇺', 'flag: Niue', 2],
+        ['🇳🇿', 'flag: New Zealand', 2],
+        ['🇴🇲', 'flag: Oman', 2],
+        ['🇵🇦', 'flag: Panama', 2],
+        ['🇵🇪', 'flag: Peru', 2],
+        ['🇵🇫', 'flag: French Polynesia', 2],
+        ['🇵🇬', 'flag: Papua New Guinea', 2],
+        ['🇵🇭', 'flag: Philippines', 2],
+        ['🇵🇰', 'flag: Pakistan', 2],
+        ['🇵🇱', 'flag: Poland', 2],
+        ['🇵🇲', 'flag: St. Pierre & Miquelon', 2],
+        ['🇵🇳', 'flag: Pitcairn Islands', 2],
+        ['🇵🇷', 'flag: Puerto Rico', 2],
+        ['🇵🇸', 'flag: Palestinian Territories', 2],
+        ['🇵🇹', 'flag: Portugal', 2],
+        ['🇵🇼', 'flag: Palau', 2],
+        ['🇵🇾', 'flag: Paraguay', 2],
+        ['🇶🇦', 'flag: Qatar', 2],
+        ['🇷🇪', 'flag: Réunion', 2],
+        ['🇷🇴', 'flag: Romania', 2],
+        ['🇷🇸', 'flag: Serbia', 2],
+        ['🇷🇺', 'flag: Russia', 0.6],
+        ['🇷🇼', 'flag: Rwanda', 2],
+        ['🇸🇦', 'flag: Saudi Arabia', 2],
+        ['🇸🇧', 'flag: Solomon Islands', 2],
+        ['🇸🇨', 'flag: Seychelles', 2],
+        ['🇸🇩', 'flag: Sudan', 2],
+        ['🇸🇪', 'flag: Sweden', 2],
+        ['🇸🇬', 'flag: Singapore', 2],
+        ['🇸🇭', 'flag: St. Helena', 2],
+        ['🇸🇮', 'flag: Slovenia', 2],
+        ['🇸🇯', 'flag: Svalbard & Jan Mayen', 2],
+        ['🇸🇰', 'flag: Slovakia', 2],
+        ['🇸🇱', 'flag: Sierra Leone', 2],
+        ['🇸🇲', 'flag: San Marino', 2],
+        ['🇸🇳', 'flag: Senegal', 2],
+        ['🇸🇴', 'flag: Somalia', 2],
+        ['🇸🇷', 'flag: Suriname', 2],
+        ['🇸🇸', 'flag: South Sudan', 2],
+        ['🇸🇹', 'flag: São Tomé & Príncipe', 2],
+        ['🇸🇻', 'flag: El Salvador', 2],
+        ['🇸🇽', 'flag: Sint Maarten', 2],
+        ['🇸🇾', 'flag: Syria', 2],
+        ['🇸🇿', 'flag: Eswatini', 2],
+        ['🇹🇦', 'flag: Tristan da Cunha', 2],
+        ['🇹🇨', 'flag: Turks & Caicos Islands', 2],
+        ['🇹🇩', 'flag: Chad', 2],
+        ['🇹🇫', 'flag: French Southern Territories', 2],
+        ['🇹🇬', 'flag: Togo', 2],
+        ['🇹🇭', 'flag: Thailand', 2],
+        ['🇹🇯', 'flag: Tajikistan', 2],
+        ['🇹🇰', 'flag: Tokelau', 2],
+        ['🇹🇱', 'flag: Timor-Leste', 2],
+        ['🇹🇲', 'flag: Turkmenistan', 2],
+        ['🇹🇳', 'flag: Tunisia', 2],
+        ['🇹🇴', 'flag: Tonga', 2],
+        ['🇹🇷', 'flag: Türkiye', 2],
+        ['🇹🇹', 'flag: Trinidad & Tobago', 2],
+        ['🇹🇻', 'flag: Tuvalu', 2],
+        ['🇹🇼', 'flag: Taiwan', 2],
+        ['🇹🇿', 'flag: Tanzania', 2],
+        ['🇺🇦', 'flag: Ukraine', 2],
+        ['🇺🇬', 'flag: Uganda', 2],
+        ['🇺🇲', 'flag: U.S. Outlying Islands', 2],
+        ['🇺🇳', 'flag: United Nations', 4],
+        ['🇺🇸', 'flag: United States', 0.6],
+        ['🇺🇾', 'flag: Uruguay', 2],
+        ['🇺🇿', 'flag: Uzbekistan', 2],
+        ['🇻🇦', 'flag: Vatican City', 2],
+        ['🇻🇨', 'flag: St. Vincent & Grenadines', 2],
+        ['🇻🇪', 'flag: Venezuela', 2],
+        ['🇻🇬', 'flag: British Virgin Islands', 2],
+        ['🇻🇮', 'flag: U.S. Virgin Islands', 2],
+        ['🇻🇳', 'flag: Vietnam', 2],
+        ['🇻🇺', 'flag: Vanuatu', 2],
+        ['🇼🇫', 'flag: Wallis & Futuna', 2],
+        ['🇼🇸', 'flag: Samoa', 2],
+        ['🇽🇰', 'flag: Kosovo', 2],
+        ['🇾🇪', 'flag: Yemen', 2],
+        ['🇾🇹', 'flag: Mayotte', 2],
+        ['🇿🇦', 'flag: South Africa', 2],
+        ['🇿🇲', 'flag: Zambia', 2],
+        ['🇿🇼', 'flag: Zimbabwe', 2],
+        ['🏴󠁧󠁢󠁥󠁮󠁧󠁿', 'flag: England', 5],
+        ['🏴󠁧󠁢󠁳󠁣󠁴󠁿', 'flag: Scotland', 5],
+        ['🏴󠁧󠁢󠁷󠁬󠁳󠁿', 'flag: Wales', 5]
+    ]
+}
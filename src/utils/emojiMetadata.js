@@ -0,0 +1,326 @@
+/**
+ * emojiMetadata.js - CamTech v1.7
+ * Search metadata for the emoji picker, bundled so search works offline
+ * Names for every emoji come from emojiData.js - these are the hand-picked extras
+ * keywords: extra search words (words already in the name are not repeated)
+ * shortcodes: chat-style :codes: - common aliases first, then the name-derived one
+ */
+
+export const EMOJI_METADATA = {
+    '😀': { keywords: ['happy', 'smile', 'grin'], shortcodes: ['grinning', 'grinning_face'] },
+    '😃': { keywords: ['happy', 'smile', 'joy'], shortcodes: ['smiley', 'grinning_face_with_big_eyes'] },
+    '😄': { keywords: ['happy', 'smile', 'laugh'], shortcodes: ['smile', 'grinning_face_with_smiling_eyes'] },
+    '😁': { keywords: ['happy', 'grin', 'teeth'], shortcodes: ['grin', 'beaming_face_with_smiling_eyes'] },
+    '😆': { keywords: ['laugh', 'happy', 'lol'], shortcodes: ['laughing', 'satisfied', 'grinning_squinting_face'] },
+    '😅': { keywords: ['laugh', 'nervous', 'relief', 'phew'], shortcodes: ['sweat_smile', 'grinning_face_with_sweat'] },
+    '🤣': { keywords: ['laugh', 'lol', 'rofl', 'funny'], shortcodes: ['rofl', 'rolling_on_the_floor_laughing'] },
+    '😂': { keywords: ['laugh', 'cry', 'lol', 'funny'], shortcodes: ['joy', 'face_with_tears_of_joy'] },
+    '🙂': { keywords: ['smile', 'happy'], shortcodes: ['slightly_smiling_face'] },
+    '🙃': { keywords: ['silly', 'sarcasm', 'upside', 'down'], shortcodes: ['upside_down_face'] },
+    '😉': { keywords: ['wink', 'flirt'], shortcodes: ['wink', 'winking_face'] },
+    '😊': { keywords: ['blush', 'smile', 'happy'], shortcodes: ['blush', 'smiling_face_with_smiling_eyes'] },
+    '😇': { keywords: ['angel', 'innocent'], shortcodes: ['innocent', 'smiling_face_with_halo'] },
+    '🥰': { keywords: ['love', 'heart', 'crush', 'adore'], shortcodes: ['smiling_face_with_three_hearts', 'smiling_face_with_hearts'] },
+    '😍': { keywords: ['love', 'heart', 'crush', 'eyes'], shortcodes: ['heart_eyes', 'smiling_face_with_heart_eyes'] },
+    '🤩': { keywords: ['star', 'wow', 'excited'], shortcodes: ['star_struck'] },
+    '😘': { keywords: ['love', 'heart'], shortcodes: ['kissing_heart', 'face_blowing_a_kiss'] },
+    '😗': { keywords: ['kiss'], shortcodes: ['kissing', 'kissing_face'] },
+    '☺️': { keywords: ['smile', 'happy', 'blush'], shortcodes: ['relaxed', 'smiling_face'] },
+    '😚': { keywords: ['kiss', 'blush'], shortcodes: ['kissing_closed_eyes', 'kissing_face_with_closed_eyes'] },
+    '😙': { keywords: ['kiss', 'smile'], shortcodes: ['kissing_smiling_eyes', 'kissing_face_with_smiling_eyes'] },
+    '🥲': { keywords: ['happy', 'sad', 'grateful'], shortcodes: ['smiling_face_with_tear'] },
+    '😋': { keywords: ['yum', 'delicious', 'tasty', 'tongue'], shortcodes: ['yum', 'face_savoring_food'] },
+    '😛': { keywords: ['silly', 'playful'], shortcodes: ['stuck_out_tongue', 'face_with_tongue'] },
+    '😜': { keywords: ['wink', 'crazy', 'joke'], shortcodes: ['stuck_out_tongue_winking_eye', 'winking_face_with_tongue'] },
+    '🤪': { keywords: ['crazy', 'goofy', 'wild'], shortcodes: ['zany_face'] },
+    '😝': { keywords: ['silly', 'gross'], shortcodes: ['stuck_out_tongue_closed_eyes', 'squinting_face_with_tongue'] },
+    '🤑': { keywords: ['money', 'rich', 'dollar'], shortcodes: ['money_mouth_face'] },
+    '🤗': { keywords: ['hug', 'hugs'], shortcodes: ['hugs', 'smiling_face_with_open_hands'] },
+    '🤭': { keywords: ['oops', 'giggle', 'secret'], shortcodes: ['hand_over_mouth', 'face_with_hand_over_mouth'] },
+    '🤫': { keywords: ['quiet', 'shh', 'secret'], shortcodes: ['shushing_face'] },
+    '🤔': { keywords: ['think', 'hmm', 'wonder'], shortcodes: ['thinking', 'thinking_face'] },
+    '🤐': { keywords: ['secret', 'quiet', 'sealed', 'zip'], shortcodes: ['zipper_mouth_face'] },
+    '🤨': { keywords: ['suspicious', 'skeptical', 'doubt'], shortcodes: ['raised_eyebrow', 'face_with_raised_eyebrow'] },
+    '😐': { keywords: ['meh', 'blank'], shortcodes: ['neutral_face'] },
+    '😑': { keywords: ['blank', 'meh', 'annoyed'], shortcodes: ['expressionless', 'expressionless_face'] },
+    '😶': { keywords: ['speechless', 'silent', 'quiet'], shortcodes: ['no_mouth', 'face_without_mouth'] },
+    '😏': { keywords: ['smirk', 'smug', 'flirt'], shortcodes: ['smirk', 'smirking_face'] },
+    '😒': { keywords: ['unimpressed', 'meh', 'annoyed'], shortcodes: ['unamused', 'unamused_face'] },
+    '🙄': { keywords: ['eye', 'roll', 'whatever', 'annoyed'], shortcodes: ['roll_eyes', 'face_with_rolling_eyes'] },
+    '😬': { keywords: ['awkward', 'nervous', 'oops'], shortcodes: ['grimacing', 'grimacing_face'] },
+    '😮‍💨': { keywords: ['sigh', 'relief', 'exhale'], shortcodes: ['face_exhaling'] },
+    '🤥': { keywords: ['lie', 'liar', 'pinocchio'], shortcodes: ['lying_face'] },
+    '😌': { keywords: ['relief', 'calm', 'content'], shortcodes: ['relieved', 'relieved_face'] },
+    '😔': { keywords: ['sad', 'thoughtful', 'dejected'], shortcodes: ['pensive', 'pensive_face'] },
+    '😪': { keywords: ['tired'], shortcodes: ['sleepy', 'sleepy_face'] },
+    '🤤': { keywords: ['drool', 'hungry', 'want'], shortcodes: ['drooling_face'] },
+    '😴': { keywords: ['sleep', 'tired', 'zzz'], shortcodes: ['sleeping', 'sleeping_face'] },
+    '😷': { keywords: ['sick', 'ill', 'doctor'], shortcodes: ['mask', 'face_with_medical_mask'] },
+    '🤒': { keywords: ['sick', 'ill', 'fever'], shortcodes: ['face_with_thermometer'] },
+    '🤕': { keywords: ['hurt', 'injured', 'bandage'], shortcodes: ['face_with_head_bandage'] },
+    '🤢': { keywords: ['sick', 'gross', 'nausea'], shortcodes: ['nauseated_face'] },
+    '🤮': { keywords: ['sick', 'vomit', 'puke', 'gross'], shortcodes: ['vomiting_face', 'face_vomiting'] },
+    '🤧': { keywords: ['sick', 'sneeze', 'cold', 'tissue'], shortcodes: ['sneezing_face'] },
+    '🥵': { keywords: ['heat', 'sweat', 'summer'], shortcodes: ['hot_face'] },
+    '🥶': { keywords: ['freezing', 'frozen', 'winter'], shortcodes: ['cold_face'] },
+    '🥴': { keywords: ['dizzy', 'drunk', 'tipsy'], shortcodes: ['woozy_face'] },
+    '😵': { keywords: ['dizzy', 'dead', 'knocked', 'out'], shortcodes: ['dizzy_face', 'face_with_crossed_out_eyes'] },
+    '🤯': { keywords: ['mind', 'blown', 'shocked'], shortcodes: ['exploding_head'] },
+    '🤠': { keywords: ['western', 'yeehaw'], shortcodes: ['cowboy_hat_face'] },
+    '🥳': { keywords: ['party', 'celebrate', 'birthday'], shortcodes: ['partying_face'] },
+    '🥸': { keywords: ['disguise', 'incognito', 'glasses'], shortcodes: ['disguised_face'] },
+    '😎': { keywords: ['cool', 'awesome'], shortcodes: ['sunglasses', 'smiling_face_with_sunglasses'] },
+    '🤓': { keywords: ['geek', 'glasses', 'smart'], shortcodes: ['nerd_face'] },
+    '🍎': { keywords: ['fruit'], shortcodes: ['apple', 'red_apple'] },
+    '🍊': { keywords: ['orange', 'fruit', 'citrus'], shortcodes: ['orange', 'mandarin', 'tangerine'] },
+    '🍋': { keywords: ['fruit', 'citrus', 'sour'], shortcodes: ['lemon'] },
+    '🍌': { keywords: ['fruit'], shortcodes: ['banana'] },
+    '🍉': { keywords: ['fruit', 'summer'], shortcodes: ['watermelon'] },
+    '🍇': { keywords: ['fruit', 'wine'], shortcodes: ['grapes'] },
+    '🍓': { keywords: ['fruit', 'berry'], shortcodes: ['strawberry'] },
+    '🫐': { keywords: ['blueberry', 'berry', 'fruit'], shortcodes: ['blueberries'] },
+    '🍈': { keywords: ['fruit'], shortcodes: ['melon'] },
+    '🍒': { keywords: ['cherry', 'fruit'], shortcodes: ['cherries'] },
+    '🍑': { keywords: ['fruit'], shortcodes: ['peach'] },
+    '🥭': { keywords: ['fruit', 'tropical'], shortcodes: ['mango'] },
+    '🍍': { keywords: ['fruit', 'tropical'], shortcodes: ['pineapple'] },
+    '🥥': { keywords: ['tropical', 'palm'], shortcodes: ['coconut'] },
+    '🥝': { keywords: [], shortcodes: ['kiwi_fruit'] },
+    '🍅': { keywords: ['vegetable'], shortcodes: ['tomato'] },
+    '🥑': { keywords: ['guacamole'], shortcodes: ['avocado'] },
+    '🍆': { keywords: ['aubergine', 'vegetable'], shortcodes: ['eggplant'] },
+    '🥒': { keywords: ['pickle', 'vegetable'], shortcodes: ['cucumber'] },
+    '🌽': { keywords: ['maize', 'vegetable'], shortcodes: ['corn', 'ear_of_corn'] },
+    '🥕': { keywords: ['vegetable'], shortcodes: ['carrot'] },
+    '🧄': { keywords: ['vegetable'], shortcodes: ['garlic'] },
+    '🧅': { keywords: ['vegetable'], shortcodes: ['onion'] },
+    '🥔': { keywords: ['vegetable'], shortcodes: ['potato'] },
+    '🍠': { keywords: ['yam'], shortcodes: ['sweet_potato', 'roasted_sweet_potato'] },
+    '🥐': { keywords: ['bread', 'pastry', 'breakfast', 'french'], shortcodes: ['croissant'] },
+    '🥖': { keywords: ['french'], shortcodes: ['baguette_bread'] },
+    '🥨': { keywords: ['snack'], shortcodes: ['pretzel'] },
+    '🧀': { keywords: [], shortcodes: ['cheese', 'cheese_wedge'] },
+    '🥚': { keywords: ['breakfast'], shortcodes: ['egg'] },
+    '🍳': { keywords: ['egg', 'breakfast', 'frying', 'pan'], shortcodes: ['fried_egg', 'cooking'] },
+    '🧈': { keywords: ['dairy'], shortcodes: ['butter'] },
+    '🥞': { keywords: ['breakfast'], shortcodes: ['pancakes'] },
+    '🧇': { keywords: ['breakfast'], shortcodes: ['waffle'] },
+    '🥓': { keywords: ['breakfast', 'meat'], shortcodes: ['bacon'] },
+    '🥩': { keywords: ['steak'], shortcodes: ['cut_of_meat'] },
+    '🍗': { keywords: ['chicken', 'drumstick', 'meat'], shortcodes: ['poultry_leg'] },
+    '🍖': { keywords: [], shortcodes: ['meat_on_bone'] },
+    '🌭': { keywords: ['sausage'], shortcodes: ['hotdog', 'hot_dog'] },
+    '🍔': { keywords: ['burger', 'fast', 'food'], shortcodes: ['hamburger'] },
+    '🍟': { keywords: ['chips', 'fast', 'food'], shortcodes: ['fries', 'french_fries'] },
+    '🍕': { keywords: ['slice', 'cheese', 'italian'], shortcodes: ['pizza'] },
+    '🫓': { keywords: ['naan', 'pita'], shortcodes: ['flatbread'] },
+    '🥪': { keywords: ['lunch'], shortcodes: ['sandwich'] },
+    '🥙': { keywords: ['kebab', 'gyro', 'pita', 'falafel'], shortcodes: ['stuffed_flatbread'] },
+    '🧆': { keywords: ['chickpea'], shortcodes: ['falafel'] },
+    '🌮': { keywords: ['mexican'], shortcodes: ['taco'] },
+    '🌯': { keywords: ['wrap', 'mexican'], shortcodes: ['burrito'] },
+    '🫔': { keywords: ['mexican'], shortcodes: ['tamale'] },
+    '🥗': { keywords: ['healthy'], shortcodes: ['green_salad'] },
+    '🥘': { keywords: ['paella', 'casserole'], shortcodes: ['shallow_pan_of_food'] },
+    '🫕': { keywords: ['cheese', 'pot'], shortcodes: ['fondue'] },
+    '🍝': { keywords: ['pasta', 'italian'], shortcodes: ['spaghetti'] },
+    '🍜': { keywords: ['ramen', 'noodles', 'soup'], shortcodes: ['ramen', 'steaming_bowl'] },
+    '🍲': { keywords: ['stew', 'soup'], shortcodes: ['stew', 'pot_of_food'] },
+    '🍛': { keywords: [], shortcodes: ['curry', 'curry_rice'] },
+    '🍣': { keywords: ['japanese', 'fish'], shortcodes: ['sushi'] },
+    '🍱': { keywords: ['lunch', 'japanese'], shortcodes: ['bento', 'bento_box'] },
+    '🥟': { keywords: ['gyoza'], shortcodes: ['dumpling'] },
+    '🍤': { keywords: ['tempura', 'prawn'], shortcodes: ['fried_shrimp'] },
+    '🍙': { keywords: ['onigiri', 'japanese'], shortcodes: ['rice_ball'] },
+    '🍚': { keywords: ['bowl'], shortcodes: ['rice', 'cooked_rice'] },
+    '🍘': { keywords: ['snack'], shortcodes: ['rice_cracker'] },
+    '🍥': { keywords: ['narutomaki'], shortcodes: ['fish_cake', 'fish_cake_with_swirl'] },
+    '⚽': { keywords: ['football', 'sport'], shortcodes: ['soccer', 'soccer_ball'] },
+    '🏀': { keywords: ['sport', 'hoop'], shortcodes: ['basketball'] },
+    '🏈': { keywords: ['sport'], shortcodes: ['football', 'american_football'] },
+    '⚾': { keywords: ['sport'], shortcodes: ['baseball'] },
+    '🥎': { keywords: ['sport'], shortcodes: ['softball'] },
+    '🎾': { keywords: ['sport', 'racket'], shortcodes: ['tennis'] },
+    '🏐': { keywords: ['sport'], shortcodes: ['volleyball'] },
+    '🏉': { keywords: ['sport'], shortcodes: ['rugby_football'] },
+    '🥏': { keywords: ['frisbee'], shortcodes: ['flying_disc'] },
+    '🎱': { keywords: ['billiards'], shortcodes: ['8ball', 'pool_8_ball'] },
+    '🪀': { keywords: ['yoyo', 'toy'], shortcodes: ['yo_yo'] },
+    '🏓': { keywords: ['table', 'tennis'], shortcodes: ['ping_pong'] },
+    '🏸': { keywords: ['sport'], shortcodes: ['badminton'] },
+    '🏒': { keywords: ['sport'], shortcodes: ['ice_hockey'] },
+    '🏑': { keywords: ['sport'], shortcodes: ['field_hockey'] },
+    '🥍': { keywords: ['sport'], shortcodes: ['lacrosse'] },
+    '🏏': { keywords: ['bat', 'sport'], shortcodes: ['cricket_game'] },
+    '🪃': { keywords: [], shortcodes: ['boomerang'] },
+    '🥅': { keywords: ['sport'], shortcodes: ['goal_net'] },
+    '⛳': { keywords: ['golf', 'sport'], shortcodes: ['golf', 'flag_in_hole'] },
+    '🪁': { keywords: ['fly', 'wind'], shortcodes: ['kite'] },
+    '🏹': { keywords: ['archery'], shortcodes: ['bow_and_arrow'] },
+    '🎣': { keywords: ['rod'], shortcodes: ['fishing_pole_and_fish', 'fishing_pole'] },
+    '🤿': { keywords: ['snorkel', 'scuba'], shortcodes: ['diving_mask'] },
+    '🥊': { keywords: ['fight'], shortcodes: ['boxing_glove'] },
+    '🥋': { keywords: ['karate', 'judo'], shortcodes: ['martial_arts_uniform'] },
+    '🎽': { keywords: ['sport'], shortcodes: ['running_shirt_with_sash', 'running_shirt'] },
+    '🛹': { keywords: ['skate'], shortcodes: ['skateboard'] },
+    '🛼': { keywords: [], shortcodes: ['roller_skate'] },
+    '🛷': { keywords: ['sledge', 'winter'], shortcodes: ['sled'] },
+    '⛸️': { keywords: ['skating', 'winter'], shortcodes: ['ice_skate'] },
+    '🥌': { keywords: ['sport'], shortcodes: ['curling_stone'] },
+    '🎿': { keywords: ['ski', 'skiing', 'winter'], shortcodes: ['ski', 'skis'] },
+    '⛷️': { keywords: ['skiing', 'winter', 'snow'], shortcodes: ['skier'] },
+    '🏂': { keywords: ['snowboard', 'winter', 'snow'], shortcodes: ['snowboarder'] },
+    '🪂': { keywords: ['skydive'], shortcodes: ['parachute'] },
+    '🏋️': { keywords: ['weightlifting', 'gym', 'workout'], shortcodes: ['weight_lifting', 'person_lifting_weights'] },
+    '🤼': { keywords: ['wrestlers', 'sport'], shortcodes: ['wrestling', 'people_wrestling'] },
+    '🤸': { keywords: ['cartwheel', 'gymnastics'], shortcodes: ['cartwheeling', 'person_cartwheeling'] },
+    '⛹️': { keywords: ['basketball', 'player'], shortcodes: ['bouncing_ball_person', 'person_bouncing_ball'] },
+    '🤺': { keywords: ['sword'], shortcodes: ['person_fencing'] },
+    '🏇': { keywords: ['jockey'], shortcodes: ['horse_racing'] },
+    '⛑️': { keywords: ['first', 'aid'], shortcodes: ['rescue_worker_helmet', 'rescue_workers_helmet'] },
+    '🏆': { keywords: ['win', 'winner', 'champion'], shortcodes: ['trophy'] },
+    '🥇': { keywords: ['gold', 'first', 'winner'], shortcodes: ['1st_place_medal'] },
+    '🥈': { keywords: ['silver', 'second'], shortcodes: ['2nd_place_medal'] },
+    '🥉': { keywords: ['bronze', 'third'], shortcodes: ['3rd_place_medal'] },
+    '🏅': { keywords: ['sport', 'award'], shortcodes: ['medal_sports', 'sports_medal'] },
+    '🎖️': { keywords: ['award'], shortcodes: ['medal_military', 'military_medal'] },
+    '🎗️': { keywords: ['awareness'], shortcodes: ['reminder_ribbon'] },
+    '🎪': { keywords: [], shortcodes: ['circus_tent'] },
+    '🎭': { keywords: ['theater', 'drama', 'masks'], shortcodes: ['performing_arts'] },
+    '🎨': { keywords: ['art', 'paint'], shortcodes: ['art', 'artist_palette'] },
+    '🎬': { keywords: ['movie', 'film'], shortcodes: ['clapper', 'clapper_board'] },
+    '🎤': { keywords: ['karaoke', 'sing', 'music'], shortcodes: ['microphone'] },
+    '🎧': { keywords: ['headphones', 'music', 'listen'], shortcodes: ['headphones', 'headphone'] },
+    '🚗': { keywords: ['car', 'drive'], shortcodes: ['car', 'red_car', 'automobile'] },
+    '🚕': { keywords: ['cab'], shortcodes: ['taxi'] },
+    '🚙': { keywords: ['suv', 'car'], shortcodes: ['blue_car', 'sport_utility_vehicle'] },
+    '🚌': { keywords: ['transit'], shortcodes: ['bus'] },
+    '🚎': { keywords: [], shortcodes: ['trolleybus'] },
+    '🏎️': { keywords: ['race', 'fast'], shortcodes: ['racing_car'] },
+    '🚓': { keywords: ['cop'], shortcodes: ['police_car'] },
+    '🚑': { keywords: ['emergency'], shortcodes: ['ambulance'] },
+    '🚒': { keywords: ['truck'], shortcodes: ['fire_engine'] },
+    '🚐': { keywords: ['van'], shortcodes: ['minibus'] },
+    '🛻': { keywords: [], shortcodes: ['pickup_truck'] },
+    '🚚': { keywords: [], shortcodes: ['truck', 'delivery_truck'] },
+    '🚛': { keywords: ['truck'], shortcodes: ['articulated_lorry'] },
+    '🚜': { keywords: ['farm'], shortcodes: ['tractor'] },
+    '🛵': { keywords: ['moped', 'vespa'], shortcodes: ['motor_scooter'] },
+    '🏍️': { keywords: ['motorbike'], shortcodes: ['motorcycle'] },
+    '🛺': { keywords: ['tuk', 'tuk'], shortcodes: ['auto_rickshaw'] },
+    '🚲': { keywords: ['bike', 'cycling'], shortcodes: ['bike', 'bicycle'] },
+    '🛴': { keywords: [], shortcodes: ['kick_scooter'] },
+    '🚏': { keywords: [], shortcodes: ['busstop', 'bus_stop'] },
+    '🛣️': { keywords: ['highway', 'road'], shortcodes: ['motorway'] },
+    '🛤️': { keywords: ['train'], shortcodes: ['railway_track'] },
+    '⛽': { keywords: ['gas', 'petrol', 'station'], shortcodes: ['fuelpump', 'fuel_pump'] },
+    '🚨': { keywords: ['siren', 'alarm', 'emergency'], shortcodes: ['rotating_light', 'police_car_light'] },
+    '🚥': { keywords: [], shortcodes: ['traffic_light', 'horizontal_traffic_light'] },
+    '🚦': { keywords: [], shortcodes: ['vertical_traffic_light'] },
+    '🚧': { keywords: ['roadwork', 'barrier'], shortcodes: ['construction'] },
+    '⚓': { keywords: ['ship', 'sea'], shortcodes: ['anchor'] },
+    '⛵': { keywords: ['sailing', 'boat'], shortcodes: ['sailboat', 'boat'] },
+    '🛶': { keywords: ['kayak', 'boat'], shortcodes: ['canoe'] },
+    '🚤': { keywords: ['boat'], shortcodes: ['speedboat'] },
+    '🛳️': { keywords: ['cruise'], shortcodes: ['passenger_ship'] },
+    '⛴️': { keywords: ['boat'], shortcodes: ['ferry'] },
+    '🛥️': { keywords: ['yacht'], shortcodes: ['motor_boat'] },
+    '🚢': { keywords: ['boat', 'cruise'], shortcodes: ['ship'] },
+    '✈️': { keywords: ['plane', 'flight', 'travel'], shortcodes: ['airplane'] },
+    '🛩️': { keywords: ['plane'], shortcodes: ['small_airplane'] },
+    '🛫': { keywords: ['takeoff', 'flight'], shortcodes: ['flight_departure', 'airplane_departure'] },
+    '🛬': { keywords: ['landing', 'flight'], shortcodes: ['flight_arrival', 'airplane_arrival'] },
+    '💺': { keywords: ['chair'], shortcodes: ['seat'] },
+    '🚁': { keywords: [], shortcodes: ['helicopter'] },
+    '🚟': { keywords: ['monorail'], shortcodes: ['suspension_railway'] },
+    '🚠': { keywords: ['cable', 'car', 'gondola'], shortcodes: ['mountain_cableway'] },
+    '🚡': { keywords: ['tram', 'gondola', 'cable'], shortcodes: ['aerial_tramway'] },
+    '🛰️': { keywords: ['space'], shortcodes: ['artificial_satellite', 'satellite'] },
+    '🚀': { keywords: ['launch', 'space'], shortcodes: ['rocket'] },
+    '🛸': { keywords: ['ufo', 'alien'], shortcodes: ['flying_saucer'] },
+    '🌍': { keywords: ['earth', 'world', 'europe', 'africa'], shortcodes: ['earth_africa', 'globe_showing_europe_africa'] },
+    '🌎': { keywords: ['earth', 'world'], shortcodes: ['earth_americas', 'globe_showing_americas'] },
+    '🌏': { keywords: ['earth', 'world', 'asia'], shortcodes: ['earth_asia', 'globe_showing_asia_australia'] },
+    '🗺️': { keywords: ['travel'], shortcodes: ['world_map'] },
+    '🧭': { keywords: ['navigation', 'direction'], shortcodes: ['compass'] },
+    '🏔️': { keywords: ['snow', 'peak'], shortcodes: ['mountain_snow', 'snow_capped_mountain'] },
+    '⛰️': { keywords: ['hike'], shortcodes: ['mountain'] },
+    '🌋': { keywords: ['eruption'], shortcodes: ['volcano'] },
+    '⌚': { keywords: ['time'], shortcodes: ['watch'] },
+    '📱': { keywords: ['iphone', 'smartphone'], shortcodes: ['iphone', 'mobile_phone'] },
+    '📲': { keywords: ['call'], shortcodes: ['calling', 'mobile_phone_with_arrow'] },
+    '💻': { keywords: ['computer'], shortcodes: ['computer', 'laptop'] },
+    '⌨️': { keywords: ['typing'], shortcodes: ['keyboard'] },
+    '🖥️': { keywords: ['monitor'], shortcodes: ['desktop_computer'] },
+    '🖨️': { keywords: [], shortcodes: ['printer'] },
+    '🖱️': { keywords: [], shortcodes: ['computer_mouse'] },
+    '💽': { keywords: ['minidisc'], shortcodes: ['minidisc', 'computer_disk'] },
+    '💾': { keywords: ['save'], shortcodes: ['floppy_disk'] },
+    '💿': { keywords: ['cd', 'disc'], shortcodes: ['cd', 'optical_disk'] },
+    '📀': { keywords: ['disc'], shortcodes: ['dvd'] },
+    '📷': { keywords: ['photo'], shortcodes: ['camera'] },
+    '📸': { keywords: ['photo', 'selfie'], shortcodes: ['camera_flash', 'camera_with_flash'] },
+    '📹': { keywords: [], shortcodes: ['video_camera'] },
+    '🎥': { keywords: ['film'], shortcodes: ['movie_camera'] },
+    '📽️': { keywords: ['movie'], shortcodes: ['film_projector'] },
+    '🎞️': { keywords: ['movie'], shortcodes: ['film_strip', 'film_frames'] },
+    '📞': { keywords: ['phone', 'call'], shortcodes: ['telephone_receiver'] },
+    '☎️': { keywords: ['phone'], shortcodes: ['phone', 'telephone'] },
+    '📟': { keywords: ['beeper'], shortcodes: ['pager'] },
+    '📠': { keywords: [], shortcodes: ['fax', 'fax_machine'] },
+    '📺': { keywords: ['tv'], shortcodes: ['tv', 'television'] },
+    '📻': { keywords: [], shortcodes: ['radio'] },
+    '🎚️': { keywords: [], shortcodes: ['level_slider'] },
+    '🎛️': { keywords: [], shortcodes: ['control_knobs'] },
+    '⏱️': { keywords: ['timer'], shortcodes: ['stopwatch'] },
+    '⏲️': { keywords: [], shortcodes: ['timer_clock'] },
+    '⏰': { keywords: ['wake'], shortcodes: ['alarm_clock'] },
+    '🕰️': { keywords: [], shortcodes: ['mantelpiece_clock'] },
+    '⌛': { keywords: ['time', 'sand'], shortcodes: ['hourglass', 'hourglass_done'] },
+    '⏳': { keywords: ['time', 'wait'], shortcodes: ['hourglass_flowing_sand', 'hourglass_not_done'] },
+    '📡': { keywords: ['dish'], shortcodes: ['satellite', 'satellite_antenna'] },
+    '🔋': { keywords: ['power'], shortcodes: ['battery'] },
+    '🔌': { keywords: ['power'], shortcodes: ['electric_plug'] },
+    '💡': { keywords: ['idea'], shortcodes: ['bulb', 'light_bulb'] },
+    '🔦': { keywords: ['torch'], shortcodes: ['flashlight'] },
+    '🕯️': { keywords: ['light'], shortcodes: ['candle'] },
+    '🧯': { keywords: [], shortcodes: ['fire_extinguisher'] },
+    '🛢️': { keywords: ['barrel'], shortcodes: ['oil_drum'] },
+    '💸': { keywords: ['spend', 'cash'], shortcodes: ['money_with_wings'] },
+    '💵': { keywords: ['money', 'cash'], shortcodes: ['dollar', 'dollar_banknote'] },
+    '💴': { keywords: ['money', 'cash'], shortcodes: ['yen', 'yen_banknote'] },
+    '💶': { keywords: ['money', 'cash'], shortcodes: ['euro', 'euro_banknote'] },
+    '💷': { keywords: ['money', 'cash'], shortcodes: ['pound', 'pound_banknote'] },
+    '💰': { keywords: ['rich'], shortcodes: ['moneybag', 'money_bag'] },
+    '💳': { keywords: ['payment'], shortcodes: ['credit_card'] },
+    '💎': { keywords: ['diamond', 'jewel'], shortcodes: ['gem', 'gem_stone'] },
+    '⚖️': { keywords: ['justice'], shortcodes: ['balance_scale'] },
+    '🪜': { keywords: ['climb'], shortcodes: ['ladder'] },
+    '🧰': { keywords: ['tools'], shortcodes: ['toolbox'] },
+    '🔧': { keywords: ['tool', 'spanner'], shortcodes: ['wrench'] },
+    '🔨': { keywords: ['tool'], shortcodes: ['hammer'] },
+    '⚒️': { keywords: ['tools'], shortcodes: ['hammer_and_pick'] },
+    '🛠️': { keywords: ['tools'], shortcodes: ['hammer_and_wrench'] },
+    '🇦🇷': { keywords: [], shortcodes: ['argentina', 'flag_argentina'] },
+    '🇧🇷': { keywords: [], shortcodes: ['brazil', 'flag_brazil'] },
+    '🇺🇸': { keywords: ['usa', 'america'], shortcodes: ['us', 'flag_united_states'] },
+    '🇬🇧': { keywords: ['uk', 'britain', 'england'], shortcodes: ['gb', 'uk', 'flag_united_kingdom'] },
+    '🇫🇷': { keywords: ['french'], shortcodes: ['fr', 'flag_france'] },
+    '🇩🇪': { keywords: ['german'], shortcodes: ['de', 'flag_germany'] },
+    '🇮🇹': { keywords: ['italian'], shortcodes: ['it', 'flag_italy'] },
+    '🇪🇸': { keywords: ['spanish'], shortcodes: ['es', 'flag_spain'] },
+    '🇵🇹': { keywords: ['portuguese'], shortcodes: ['portugal', 'flag_portugal'] },
+    '🇲🇽': { keywords: ['mexican'], shortcodes: ['mexico', 'flag_mexico'] },
+    '🇨🇦': { keywords: ['canadian'], shortcodes: ['canada', 'flag_canada'] },
+    '🇦🇺': { keywords: ['aussie'], shortcodes: ['australia', 'flag_australia'] },
+    '🇯🇵': { keywords: ['japanese'], shortcodes: ['jp', 'flag_japan'] },
+    '🇰🇷': { keywords: ['korean'], shortcodes: ['kr', 'flag_south_korea'] },
+    '🇨🇳': { keywords: ['chinese'], shortcodes: ['cn', 'flag_china'] },
+    '🇮🇳': { keywords: ['indian'], shortcodes: ['india', 'flag_india'] },
+    '🏳️': { keywords: ['surrender'], shortcodes: ['white_flag'] },
+    '🏴': { keywords: [], shortcodes: ['black_flag'] },
+    '🏁': { keywords: ['checkered', 'race', 'finish'], shortcodes: ['checkered_flag', 'chequered_flag'] },
+    '🚩': { keywords: ['red', 'warning'], shortcodes: ['triangular_flag_on_post', 'triangular_flag'] },
+    '🎌': { keywords: ['japan'], shortcodes: ['crossed_flags'] },
+    '🏳️‍🌈': { keywords: ['pride', 'lgbt'], shortcodes: ['rainbow_flag'] }
+}
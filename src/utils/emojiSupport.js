@@ -0,0 +1,146 @@
+/**
+ * emojiSupport.js - CamTech v1.7
+ * Can this device draw an emoji? Emojis newer than the OS font come out as
+ * tofu boxes, or as a ZWJ sequence split into its parts
+ *
+ * Test: draw the emoji twice in two different text colors. A color emoji
+ * glyph ignores fillStyle, so both renders match - tofu, missing glyphs and
+ * monochrome fallbacks follow the fill color and don't. A sequence that falls
+ * apart is caught first by being wider than one emoji
+ *
+ * Fonts gain whole Unicode emoji versions at once, so one probe per version
+ * is drawn (oldest first) and everything newer than the first failing probe
+ * is hidden. Without a color emoji font nothing can pass the test - then
+ * detection is off and every emoji is shown
+ */
+
+import { EMOJI_FONT, getAllEmojis, getEmojiVersion } from './emojis.js'
+
+const SIZE = 24
+// Reference glyph - in every color emoji font, so it also tells
+// whether there is one at all
+const REFERENCE_EMOJI = '\u{1F600}'
+const MAX_WIDTH_RATIO = 1.4
+
+// Flags, keycaps and tag sequences never probe a version - Windows draws
+// flags as letters even where every other emoji of that version works
+const UNPROBED = /[\u{1F1E6}-\u{1F1FF}\u20E3\u{E0020}-\u{E007F}]/u
+
+// emoji → boolean, for emojis outside the dataset (skin tone forms...)
+const results = new Map()
+let context = null
+// Newest Unicode emoji version drawn here - null until probed,
+// Infinity when detection is off (no canvas, no color emoji font)
+let supportedVersion = null
+
+function getContext() {
+    if (context === null) {
+        try {
+            const canvas = document.createElement('canvas')
+            canvas.width = SIZE
+            canvas.height = SIZE
+            context = canvas.getContext('2d', { willReadFrequently: true }) || false
+            if (context) {
+                context.font = `${SIZE - 4}px ${EMOJI_FONT}`
+                context.textAlign = 'center'
+                context.textBaseline = 'middle'
+            }
+        } catch (e) {
+            context = false
+        }
+    }
+    return context
+}
+
+function render(ctx, emoji, color) {
+    ctx.clearRect(0, 0, SIZE, SIZE)
+    ctx.fillStyle = color
+    ctx.fillText(emoji, SIZE / 2, SIZE / 2)
+    return ctx.getImageData(0, 0, SIZE, SIZE).data
+}
+
+function detect(ctx, emoji) {
+    const referenceWidth = ctx.measureText(REFERENCE_EMOJI).width
+    if (referenceWidth && ctx.measureText(emoji).width > referenceWidth * MAX_WIDTH_RATIO) return false
+
+    const red = render(ctx, emoji, '#f00')
+    const blue = render(ctx, emoji, '#00f')
+    let visible = false
+    for (let i = 0; i < red.length; i += 4) {
+        if (red[i + 3] === 0) continue
+        visible = true
+        if (red[i] !== blue[i] || red[i + 1] !== blue[i + 1] || red[i + 2] !== blue[i + 2]) return false
+    }
+    return visible
+}
+
+// Probe per version: a single code point if there is one, else a sequence
+function probeRank(emoji) {
+    if (UNPROBED.test(emoji)) return Infinity
+    const codePoints = [...emoji]
+    if (codePoints.length === 1) return 0
+    if (codePoints.length === 2 && codePoints[1] === '\uFE0F') return 1
+    return 2
+}
+
+function probeVersions(ctx) {
+    if (!detect(ctx, REFERENCE_EMOJI)) return Infinity
+
+    // version → [emoji, rank]
+    const probes = new Map()
+    getAllEmojis().forEach((emoji) => {
+        const version = getEmojiVersion(emoji)
+        const rank = probeRank(emoji)
+        if (rank < (probes.get(version)?.[1] ?? Infinity)) probes.set(version, [emoji, rank])
+    })
+
+    let supported = 0
+    const versions = [...probes.keys()].sort((a, b) => a - b)
+    for (const version of versions) {
+        if (!detect(ctx, probes.get(version)[0])) break
+        supported = version
+    }
+    return supported
+}
+
+function getSupportedVersion() {
+    if (supportedVersion === null) {
+        supportedVersion = Infinity
+        const ctx = getContext()
+        if (ctx) {
+            try {
+                supportedVersion = probeVersions(ctx)
+            } catch (e) {
+                console.warn('Emoji support check failed:', e)
+            }
+        }
+    }
+    return supportedVersion
+}
+
+/**
+ * Whether the emoji renders as a color glyph here
+ * Without a canvas, a color emoji font, or if the test throws, everything
+ * counts as supported
+ * @param {string} emoji
+ * @returns {boolean}
+ */
+export function isEmojiSupported(emoji) {
+    const maxVersion = getSupportedVersion()
+    if (maxVersion === Infinity) return true
+
+    const version = getEmojiVersion(emoji)
+    if (version !== null) return version <= maxVersion
+
+    // Not in the dataset - draw this one
+    if (!results.has(emoji)) {
+        let supported = true
+        try {
+            supported = detect(getContext(), emoji)
+        } catch (e) {
+            console.warn('Emoji support check failed:', e)
+        }
+        results.set(emoji, supported)
+    }
+    return results.get(emoji)
+}
@@ -0,0 +1,250 @@
+/**
+ * emojiVariants.js - CamTech v1.7
+ * Skin tone (Fitzpatrick modifier) and gender variants for people emojis
+ * Tables are taken from Unicode emoji-test.txt 15.1 - only RGI sequences are
+ * offered, so every variant renders as a single glyph on current platforms
+ */
+
+// localStorage key for the preferred skin tone
+const STORAGE_KEY = 'camtech-emoji-tone'
+
+export const SKIN_TONES = [
+    { id: 'none', label: 'Default', modifier: '', swatch: '#FFCC22' },
+    { id: 'light', label: 'Light skin tone', modifier: '\u{1F3FB}', swatch: '#F7D7C4' },
+    { id: 'medium-light', label: 'Medium-light skin tone', modifier: '\u{1F3FC}', swatch: '#E0BB95' },
+    { id: 'medium', label: 'Medium skin tone', modifier: '\u{1F3FD}', swatch: '#BF8F68' },
+    { id: 'medium-dark', label: 'Medium-dark skin tone', modifier: '\u{1F3FE}', swatch: '#9B643D' },
+    { id: 'dark', label: 'Dark skin tone', modifier: '\u{1F3FF}', swatch: '#594539' }
+]
+
+const TONE_PATTERN = /[\u{1F3FB}-\u{1F3FF}]/gu
+
+// Emoji_Modifier_Base code points - a tone modifier goes right after these
+const MODIFIER_BASES = new Set([
+    0x261D, 0x26F9, 0x270A, 0x270B, 0x270C, 0x270D, 0x1F385, 0x1F3C2, 0x1F3C3, 0x1F3C4,
+    0x1F3C7, 0x1F3CA, 0x1F3CB, 0x1F3CC, 0x1F442, 0x1F443, 0x1F446, 0x1F447, 0x1F448, 0x1F449,
+    0x1F44A, 0x1F44B, 0x1F44C, 0x1F44D, 0x1F44E, 0x1F44F, 0x1F450, 0x1F466, 0x1F467, 0x1F468,
+    0x1F469, 0x1F46B, 0x1F46C, 0x1F46D, 0x1F46E, 0x1F470, 0x1F471, 0x1F472, 0x1F473, 0x1F474,
+    0x1F475, 0x1F476, 0x1F477, 0x1F478, 0x1F47C, 0x1F481, 0x1F482, 0x1F483, 0x1F485, 0x1F486,
+    0x1F487, 0x1F48F, 0x1F491, 0x1F4AA, 0x1F574, 0x1F575, 0x1F57A, 0x1F590, 0x1F595, 0x1F596,
+    0x1F645, 0x1F646, 0x1F647, 0x1F64B, 0x1F64C, 0x1F64D, 0x1F64E, 0x1F64F, 0x1F6A3, 0x1F6B4,
+    0x1F6B5, 0x1F6B6, 0x1F6C0, 0x1F6CC, 0x1F90C, 0x1F90F, 0x1F918, 0x1F919, 0x1F91A, 0x1F91B,
+    0x1F91C, 0x1F91D, 0x1F91E, 0x1F91F, 0x1F926, 0x1F930, 0x1F931, 0x1F932, 0x1F933, 0x1F934,
+    0x1F935, 0x1F936, 0x1F937, 0x1F938, 0x1F939, 0x1F93D, 0x1F93E, 0x1F977, 0x1F9B5, 0x1F9B6,
+    0x1F9B8, 0x1F9B9, 0x1F9BB, 0x1F9CD, 0x1F9CE, 0x1F9CF, 0x1F9D1, 0x1F9D2, 0x1F9D3, 0x1F9D4,
+    0x1F9D5, 0x1F9D6, 0x1F9D7, 0x1F9D8, 0x1F9D9, 0x1F9DA, 0x1F9DB, 0x1F9DC, 0x1F9DD, 0x1FAC3,
+    0x1FAC4, 0x1FAC5, 0x1FAF0, 0x1FAF1, 0x1FAF2, 0x1FAF3, 0x1FAF4, 0x1FAF5, 0x1FAF6, 0x1FAF7,
+    0x1FAF8
+])
+
+// Emojis and ZWJ sequences that have RGI skin tone forms (families don't)
+const TONEABLE = new Set([
+    '👋', '🤚', '🖐️', '✋', '🖖', '🫱', '🫲', '🫳', '🫴', '🫷', '🫸', '👌',
+    '🤌', '🤏', '✌️', '🤞', '🫰', '🤟', '🤘', '🤙', '👈', '👉', '👆', '🖕',
+    '👇', '☝️', '🫵', '👍', '👎', '✊', '👊', '🤛', '🤜', '👏', '🙌', '🫶',
+    '👐', '🤲', '🤝', '🙏', '✍️', '💅', '🤳', '💪', '🦵', '🦶', '👂', '🦻',
+    '👃', '👶', '🧒', '👦', '👧', '🧑', '👱', '👨', '🧔', '🧔‍♂️', '🧔‍♀️', '👨‍🦰',
+    '👨‍🦱', '👨‍🦳', '👨‍🦲', '👩', '👩‍🦰', '🧑‍🦰', '👩‍🦱', '🧑‍🦱', '👩‍🦳', '🧑‍🦳', '👩‍🦲', '🧑‍🦲',
+    '👱‍♀️', '👱‍♂️', '🧓', '👴', '👵', '🙍', '🙍‍♂️', '🙍‍♀️', '🙎', '🙎‍♂️', '🙎‍♀️', '🙅',
+    '🙅‍♂️', '🙅‍♀️', '🙆', '🙆‍♂️', '🙆‍♀️', '💁', '💁‍♂️', '💁‍♀️', '🙋', '🙋‍♂️', '🙋‍♀️', '🧏',
+    '🧏‍♂️', '🧏‍♀️', '🙇', '🙇‍♂️', '🙇‍♀️', '🤦', '🤦‍♂️', '🤦‍♀️', '🤷', '🤷‍♂️', '🤷‍♀️', '🧑‍⚕️',
+    '👨‍⚕️', '👩‍⚕️', '🧑‍🎓', '👨‍🎓', '👩‍🎓', '🧑‍🏫', '👨‍🏫', '👩‍🏫', '🧑‍⚖️', '👨‍⚖️', '👩‍⚖️', '🧑‍🌾',
+    '👨‍🌾', '👩‍🌾', '🧑‍🍳', '👨‍🍳', '👩‍🍳', '🧑‍🔧', '👨‍🔧', '👩‍🔧', '🧑‍🏭', '👨‍🏭', '👩‍🏭', '🧑‍💼',
+    '👨‍💼', '👩‍💼', '🧑‍🔬', '👨‍🔬', '👩‍🔬', '🧑‍💻', '👨‍💻', '👩‍💻', '🧑‍🎤', '👨‍🎤', '👩‍🎤', '🧑‍🎨',
+    '👨‍🎨', '👩‍🎨', '🧑‍✈️', '👨‍✈️', '👩‍✈️', '🧑‍🚀', '👨‍🚀', '👩‍🚀', '🧑‍🚒', '👨‍🚒', '👩‍🚒', '👮',
+    '👮‍♂️', '👮‍♀️', '🕵️', '🕵️‍♂️', '🕵️‍♀️', '💂', '💂‍♂️', '💂‍♀️', '🥷', '👷', '👷‍♂️', '👷‍♀️',
+    '🫅', '🤴', '👸', '👳', '👳‍♂️', '👳‍♀️', '👲', '🧕', '🤵', '🤵‍♂️', '🤵‍♀️', '👰',
+    '👰‍♂️', '👰‍♀️', '🤰', '🫃', '🫄', '🤱', '👩‍🍼', '👨‍🍼', '🧑‍🍼', '👼', '🎅', '🤶',
+    '🧑‍🎄', '🦸', '🦸‍♂️', '🦸‍♀️', '🦹', '🦹‍♂️', '🦹‍♀️', '🧙', '🧙‍♂️', '🧙‍♀️', '🧚', '🧚‍♂️',
+    '🧚‍♀️', '🧛', '🧛‍♂️', '🧛‍♀️', '🧜', '🧜‍♂️', '🧜‍♀️', '🧝', '🧝‍♂️', '🧝‍♀️', '💆', '💆‍♂️',
+    '💆‍♀️', '💇', '💇‍♂️', '💇‍♀️', '🚶', '🚶‍♂️', '🚶‍♀️', '🚶‍➡️', '🚶‍♀️‍➡️', '🚶‍♂️‍➡️', '🧍', '🧍‍♂️',
+    '🧍‍♀️', '🧎', '🧎‍♂️', '🧎‍♀️', '🧎‍➡️', '🧎‍♀️‍➡️', '🧎‍♂️‍➡️', '🧑‍🦯', '🧑‍🦯‍➡️', '👨‍🦯', '👨‍🦯‍➡️', '👩‍🦯',
+    '👩‍🦯‍➡️', '🧑‍🦼', '🧑‍🦼‍➡️', '👨‍🦼', '👨‍🦼‍➡️', '👩‍🦼', '👩‍🦼‍➡️', '🧑‍🦽', '🧑‍🦽‍➡️', '👨‍🦽', '👨‍🦽‍➡️', '👩‍🦽',
+    '👩‍🦽‍➡️', '🏃', '🏃‍♂️', '🏃‍♀️', '🏃‍➡️', '🏃‍♀️‍➡️', '🏃‍♂️‍➡️', '💃', '🕺', '🕴️', '🧖', '🧖‍♂️',
+    '🧖‍♀️', '🧗', '🧗‍♂️', '🧗‍♀️', '🏇', '🏂', '🏌️', '🏌️‍♂️', '🏌️‍♀️', '🏄', '🏄‍♂️', '🏄‍♀️',
+    '🚣', '🚣‍♂️', '🚣‍♀️', '🏊', '🏊‍♂️', '🏊‍♀️', '⛹️', '⛹️‍♂️', '⛹️‍♀️', '🏋️', '🏋️‍♂️', '🏋️‍♀️',
+    '🚴', '🚴‍♂️', '🚴‍♀️', '🚵', '🚵‍♂️', '🚵‍♀️', '🤸', '🤸‍♂️', '🤸‍♀️', '🤽', '🤽‍♂️', '🤽‍♀️',
+    '🤾', '🤾‍♂️', '🤾‍♀️', '🤹', '🤹‍♂️', '🤹‍♀️', '🧘', '🧘‍♂️', '🧘‍♀️', '🛀', '🛌', '🧑‍🤝‍🧑',
+    '👭', '👫', '👬', '💏', '👩‍❤️‍💋‍👨', '👨‍❤️‍💋‍👨', '👩‍❤️‍💋‍👩', '💑', '👩‍❤️‍👨', '👨‍❤️‍👨', '👩‍❤️‍👩'
+])
+
+// Gender-neutral emoji → [man, woman]
+const GENDER_VARIANTS = {
+    '🧔': ['🧔‍♂️', '🧔‍♀️'],
+    '👱': ['👱‍♂️', '👱‍♀️'],
+    '🙍': ['🙍‍♂️', '🙍‍♀️'],
+    '🙎': ['🙎‍♂️', '🙎‍♀️'],
+    '🙅': ['🙅‍♂️', '🙅‍♀️'],
+    '🙆': ['🙆‍♂️', '🙆‍♀️'],
+    '💁': ['💁‍♂️', '💁‍♀️'],
+    '🙋': ['🙋‍♂️', '🙋‍♀️'],
+    '🧏': ['🧏‍♂️', '🧏‍♀️'],
+    '🙇': ['🙇‍♂️', '🙇‍♀️'],
+    '🤦': ['🤦‍♂️', '🤦‍♀️'],
+    '🤷': ['🤷‍♂️', '🤷‍♀️'],
+    '👮': ['👮‍♂️', '👮‍♀️'],
+    '🕵️': ['🕵️‍♂️', '🕵️‍♀️'],
+    '💂': ['💂‍♂️', '💂‍♀️'],
+    '👷': ['👷‍♂️', '👷‍♀️'],
+    '👳': ['👳‍♂️', '👳‍♀️'],
+    '🤵': ['🤵‍♂️', '🤵‍♀️'],
+    '👰': ['👰‍♂️', '👰‍♀️'],
+    '🦸': ['🦸‍♂️', '🦸‍♀️'],
+    '🦹': ['🦹‍♂️', '🦹‍♀️'],
+    '🧙': ['🧙‍♂️', '🧙‍♀️'],
+    '🧚': ['🧚‍♂️', '🧚‍♀️'],
+    '🧛': ['🧛‍♂️', '🧛‍♀️'],
+    '🧜': ['🧜‍♂️', '🧜‍♀️'],
+    '🧝': ['🧝‍♂️', '🧝‍♀️'],
+    '🧞': ['🧞‍♂️', '🧞‍♀️'],
+    '🧟': ['🧟‍♂️', '🧟‍♀️'],
+    '💆': ['💆‍♂️', '💆‍♀️'],
+    '💇': ['💇‍♂️', '💇‍♀️'],
+    '🚶': ['🚶‍♂️', '🚶‍♀️'],
+    '🧍': ['🧍‍♂️', '🧍‍♀️'],
+    '🧎': ['🧎‍♂️', '🧎‍♀️'],
+    '🏃': ['🏃‍♂️', '🏃‍♀️'],
+    '👯': ['👯‍♂️', '👯‍♀️'],
+    '🧖': ['🧖‍♂️', '🧖‍♀️'],
+    '🧗': ['🧗‍♂️', '🧗‍♀️'],
+    '🏌️': ['🏌️‍♂️', '🏌️‍♀️'],
+    '🏄': ['🏄‍♂️', '🏄‍♀️'],
+    '🚣': ['🚣‍♂️', '🚣‍♀️'],
+    '🏊': ['🏊‍♂️', '🏊‍♀️'],
+    '⛹️': ['⛹️‍♂️', '⛹️‍♀️'],
+    '🏋️': ['🏋️‍♂️', '🏋️‍♀️'],
+    '🚴': ['🚴‍♂️', '🚴‍♀️'],
+    '🚵': ['🚵‍♂️', '🚵‍♀️'],
+    '🤸': ['🤸‍♂️', '🤸‍♀️'],
+    '🤼': ['🤼‍♂️', '🤼‍♀️'],
+    '🤽': ['🤽‍♂️', '🤽‍♀️'],
+    '🤾': ['🤾‍♂️', '🤾‍♀️'],
+    '🤹': ['🤹‍♂️', '🤹‍♀️'],
+    '🧘': ['🧘‍♂️', '🧘‍♀️'],
+    '🧑‍🦰': ['👨‍🦰', '👩‍🦰'],
+    '🧑‍🦱': ['👨‍🦱', '👩‍🦱'],
+    '🧑‍🦳': ['👨‍🦳', '👩‍🦳'],
+    '🧑‍🦲': ['👨‍🦲', '👩‍🦲'],
+    '🧑‍⚕️': ['👨‍⚕️', '👩‍⚕️'],
+    '🧑‍🎓': ['👨‍🎓', '👩‍🎓'],
+    '🧑‍🏫': ['👨‍🏫', '👩‍🏫'],
+    '🧑‍⚖️': ['👨‍⚖️', '👩‍⚖️'],
+    '🧑‍🌾': ['👨‍🌾', '👩‍🌾'],
+    '🧑‍🍳': ['👨‍🍳', '👩‍🍳'],
+    '🧑‍🔧': ['👨‍🔧', '👩‍🔧'],
+    '🧑‍🏭': ['👨‍🏭', '👩‍🏭'],
+    '🧑‍💼': ['👨‍💼', '👩‍💼'],
+    '🧑‍🔬': ['👨‍🔬', '👩‍🔬'],
+    '🧑‍💻': ['👨‍💻', '👩‍💻'],
+    '🧑‍🎤': ['👨‍🎤', '👩‍🎤'],
+    '🧑‍🎨': ['👨‍🎨', '👩‍🎨'],
+    '🧑‍✈️': ['👨‍✈️', '👩‍✈️'],
+    '🧑‍🚀': ['👨‍🚀', '👩‍🚀'],
+    '🧑‍🚒': ['👨‍🚒', '👩‍🚒'],
+    '🧑‍🍼': ['👨‍🍼', '👩‍🍼'],
+    '🧑‍🦯': ['👨‍🦯', '👩‍🦯'],
+    '🧑‍🦯‍➡️': ['👨‍🦯‍➡️', '👩‍🦯‍➡️'],
+    '🧑‍🦼': ['👨‍🦼', '👩‍🦼'],
+    '🧑‍🦼‍➡️': ['👨‍🦼‍➡️', '👩‍🦼‍➡️'],
+    '🧑‍🦽': ['👨‍🦽', '👩‍🦽'],
+    '🧑‍🦽‍➡️': ['👨‍🦽‍➡️', '👩‍🦽‍➡️'],
+    '🧑': ['👨', '👩'],
+    '🧒': ['👦', '👧'],
+    '🧓': ['👴', '👵']
+}
+
+// Gendered form → gender-neutral emoji
+const GENDER_BASES = new Map(Object.entries(GENDER_VARIANTS)
+    .flatMap(([base, variants]) => variants.map(variant => [variant, base])))
+
+/**
+ * Emoji with any skin tone removed
+ */
+export function stripSkinTone(emoji) {
+    return emoji.replace(TONE_PATTERN, '')
+}
+
+/**
+ * Untoned, fully qualified form (tone removal drops the FE0F some bases need back)
+ */
+function toneBase(emoji) {
+    const stripped = stripSkinTone(emoji)
+    if (TONEABLE.has(stripped) || GENDER_BASES.has(stripped)) return stripped
+    const [first, ...rest] = [...stripped]
+    const qualified = [first, '\uFE0F', ...rest].join('')
+    return TONEABLE.has(qualified) || GENDER_BASES.has(qualified) ? qualified : stripped
+}
+
+export function supportsSkinTone(emoji) {
+    const base = toneBase(emoji)
+    return TONEABLE.has(base) || TONEABLE.has(GENDER_BASES.get(base))
+}
+
+/**
+ * Apply a skin tone - the modifier follows every person in the sequence
+ * (FE0F presentation selectors on those code points are dropped, per RGI)
+ * Emojis without tone support are returned unchanged
+ * @param {string} emoji
+ * @param {string} toneId - SKIN_TONES id
+ */
+export function applySkinTone(emoji, toneId) {
+    if (!supportsSkinTone(emoji)) return emoji
+    const base = toneBase(emoji)
+    const tone = SKIN_TONES.find(t => t.id === toneId)
+    if (!tone || !tone.modifier) return base
+
+    const parts = base.split('\u200D')
+    return parts.map((part) => {
+        const [first, ...rest] = [...part]
+        // A handshake between two people takes no tone of its own
+        if (!MODIFIER_BASES.has(first.codePointAt(0)) || (parts.length > 1 && first === '\u{1F91D}')) return part
+        return first + tone.modifier + rest.filter(c => c !== '\uFE0F').join('')
+    }).join('\u200D')
+}
+
+/**
+ * Variant grid for the long-press popover
+ * @returns {string[][]|null} Rows per gender (neutral, man, woman), columns per
+ *   SKIN_TONES entry - or null if the emoji has no variants
+ */
+export function getEmojiVariants(emoji) {
+    const base = toneBase(emoji)
+    const neutral = GENDER_BASES.get(base) || base
+    const genders = GENDER_VARIANTS[neutral] ? [neutral, ...GENDER_VARIANTS[neutral]] : [neutral]
+    const toned = supportsSkinTone(neutral)
+    if (genders.length === 1 && !toned) return null
+
+    return genders.map(gender => toned
+        ? SKIN_TONES.map(tone => applySkinTone(gender, tone.id))
+        : [gender])
+}
+
+/**
+ * Skin tone the picker applies by default
+ * @returns {string} SKIN_TONES id
+ */
+export function getPreferredSkinTone() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY)
+        if (SKIN_TONES.some(tone => tone.id === stored)) return stored
+    } catch (e) {
+        // Storage unavailable - default tone
+    }
+    return 'none'
+}
+
+export function setPreferredSkinTone(toneId) {
+    try {
+        localStorage.setItem(STORAGE_KEY, toneId)
+    } catch (e) {
+        console.warn('Skin tone not saved:', e)
+    }
+}
+
+/**
+ * SKIN_TONES id of the tone in an emoji ('none' if untoned)
+ */
+export function getSkinTone(emoji) {
+    const match = emoji.match(TONE_PATTERN)
+    return match ? SKIN_TONES.find(tone => tone.modifier === match[0]).id : 'none'
+}
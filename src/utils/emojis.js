@@ -1,107 +1,184 @@
 /**
- * Curated Emoji List - Hikari CamTech Engine v3.1
- * Safe emojis organized by category
- * NO forbidden content per PRD
+ * Emoji List - Hikari CamTech Engine v3.1
+ * Every Unicode emoji (emojiData.js, generated), organized by Unicode group
+ * NO forbidden content per PRD - see EMOJI_DENYLIST
+ * Keywords and shortcodes for search live in emojiMetadata.js
  */
 
+import { EMOJI_GROUPS } from './emojiData.js'
+import { EMOJI_METADATA } from './emojiMetadata.js'
+
+// Color emoji fonts first, so ZWJ / skin tone sequences draw as one glyph
+// (must match .draggable-emoji in DraggableElement.css)
+export const EMOJI_FONT = "'Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji', -apple-system, sans-serif"
+
+// 'recent' is filled from recents.js by the picker, not listed in EMOJIS
+// group: the Unicode emoji group the category shows
 export const EMOJI_CATEGORIES = [
     { id: 'recent', label: 'Recent', icon: 'clock' },
-    { id: 'smileys', label: 'Smileys', icon: 'smile' },
-    { id: 'food', label: 'Food', icon: 'food' },
-    { id: 'activities', label: 'Activities', icon: 'activity' },
-    { id: 'travel', label: 'Travel', icon: 'travel' },
-    { id: 'objects', label: 'Objects', icon: 'object' },
-    { id: 'flags', label: 'Flags', icon: 'flag' }
+    { id: 'smileys', label: 'Smileys & Emotion', icon: 'smile', group: 'Smileys & Emotion' },
+    { id: 'people', label: 'People & Body', icon: 'people', group: 'People & Body' },
+    { id: 'nature', label: 'Animals & Nature', icon: 'nature', group: 'Animals & Nature' },
+    { id: 'food', label: 'Food & Drink', icon: 'food', group: 'Food & Drink' },
+    { id: 'travel', label: 'Travel & Places', icon: 'travel', group: 'Travel & Places' },
+    { id: 'activities', label: 'Activities', icon: 'activity', group: 'Activities' },
+    { id: 'objects', label: 'Objects', icon: 'object', group: 'Objects' },
+    { id: 'symbols', label: 'Symbols', icon: 'symbol', group: 'Symbols' },
+    { id: 'flags', label: 'Flags', icon: 'flag', group: 'Flags' }
 ]
 
-export const EMOJIS = {
-    recent: [], // Will be populated dynamically
-
-    smileys: [
-        '😀', '😃', '😄', '😁', '😆', '😅', '🤣', '😂',
-        '🙂', '🙃', '😉', '😊', '😇', '🥰', '😍', '🤩',
-        '😘', '😗', '☺️', '😚', '😙', '🥲', '😋', '😛',
-        '😜', '🤪', '😝', '🤑', '🤗', '🤭', '🤫', '🤔',
-        '🤐', '🤨', '😐', '😑', '😶', '😏', '😒', '🙄',
-        '😬', '😮‍💨', '🤥', '😌', '😔', '😪', '🤤', '😴',
-        '😷', '🤒', '🤕', '🤢', '🤮', '🤧', '🥵', '🥶',
-        '🥴', '😵', '🤯', '🤠', '🥳', '🥸', '😎', '🤓'
-    ],
-
-    food: [
-        '🍎', '🍊', '🍋', '🍌', '🍉', '🍇', '🍓', '🫐',
-        '🍈', '🍒', '🍑', '🥭', '🍍', '🥥', '🥝', '🍅',
-        '🥑', '🍆', '🥒', '🌽', '🥕', '🧄', '🧅', '🥔',
-        '🍠', '🥐', '🥖', '🥨', '🧀', '🥚', '🍳', '🧈',
-        '🥞', '🧇', '🥓', '🥩', '🍗', '🍖', '🌭', '🍔',
-        '🍟', '🍕', '🫓', '🥪', '🥙', '🧆', '🌮', '🌯',
-        '🫔', '🥗', '🥘', '🫕', '🍝', '🍜', '🍲', '🍛',
-        '🍣', '🍱', '🥟', '🍤', '🍙', '🍚', '🍘', '🍥'
-    ],
-
-    activities: [
-        '⚽', '🏀', '🏈', '⚾', '🥎', '🎾', '🏐', '🏉',
-        '🥏', '🎱', '🪀', '🏓', '🏸', '🏒', '🏑', '🥍',
-        '🏏', '🪃', '🥅', '⛳', '🪁', '🏹', '🎣', '🤿',
-        '🥊', '🥋', '🎽', '🛹', '🛼', '🛷', '⛸️', '🥌',
-        '🎿', '⛷️', '🏂', '🪂', '🏋️', '🤼', '🤸', '⛹️',
-        '🤺', '🏇', '⛑️', '🏆', '🥇', '🥈', '🥉', '🏅',
-        '🎖️', '🎗️', '🎪', '🎭', '🎨', '🎬', '🎤', '🎧'
-    ],
-
-    travel: [
-        '🚗', '🚕', '🚙', '🚌', '🚎', '🏎️', '🚓', '🚑',
-        '🚒', '🚐', '🛻', '🚚', '🚛', '🚜', '🛵', '🏍️',
-        '🛺', '🚲', '🛴', '🚏', '🛣️', '🛤️', '⛽', '🚨',
-        '🚥', '🚦', '🚧', '⚓', '⛵', '🛶', '🚤', '🛳️',
-        '⛴️', '🛥️', '🚢', '✈️', '🛩️', '🛫', '🛬', '🪂',
-        '💺', '🚁', '🚟', '🚠', '🚡', '🛰️', '🚀', '🛸',
-        '🌍', '🌎', '🌏', '🗺️', '🧭', '🏔️', '⛰️', '🌋'
-    ],
-
-    objects: [
-        '⌚', '📱', '📲', '💻', '⌨️', '🖥️', '🖨️', '🖱️',
-        '💽', '💾', '💿', '📀', '📷', '📸', '📹', '🎥',
-        '📽️', '🎞️', '📞', '☎️', '📟', '📠', '📺', '📻',
-        '🎚️', '🎛️', '🧭', '⏱️', '⏲️', '⏰', '🕰️', '⌛',
-        '⏳', '📡', '🔋', '🔌', '💡', '🔦', '🕯️', '🧯',
-        '🛢️', '💸', '💵', '💴', '💶', '💷', '💰', '💳',
-        '💎', '⚖️', '🪜', '🧰', '🔧', '🔨', '⚒️', '🛠️'
-    ],
-
-    flags: [
-        '🇦🇷', '🇧🇷', '🇺🇸', '🇬🇧', '🇫🇷', '🇩🇪', '🇮🇹', '🇪🇸',
-        '🇵🇹', '🇲🇽', '🇨🇦', '🇦🇺', '🇯🇵', '🇰🇷', '🇨🇳', '🇮🇳',
-        '🏳️', '🏴', '🏁', '🚩', '🎌', '🏳️‍🌈'
-    ]
+// Forbidden content per PRD - never offered, whatever the dataset contains
+// Skin tone forms come from emojiVariants.js and only exist for offered emojis
+export const EMOJI_DENYLIST = new Set([
+    // Gestures and age-restricted
+    '🖕', // middle finger
+    '🔞', // no one under eighteen
+    // Weapons, explosives and violence
+    '🔫', // pistol
+    '🔪', // kitchen knife
+    '🗡️', // dagger
+    '⚔️', // crossed swords
+    '🪓', // axe
+    '💣', // bomb
+    '🧨', // firecracker
+    '☠️', // skull and crossbones
+    '🩸', // drop of blood
+    // Drugs and tobacco
+    '🚬', // cigarette
+    '💉', // syringe
+    '💊', // pill
+    // Alcohol
+    '🍶', // sake
+    '🍷', // wine glass
+    '🍸', // cocktail glass
+    '🍹', // tropical drink
+    '🍺', // beer mug
+    '🍻', // clinking beer mugs
+    '🥂', // clinking glasses
+    '🥃', // tumbler glass
+    '🍾' // bottle with popping cork
+])
+
+// emoji → { name, version, category }
+const EMOJI_INFO = new Map()
+
+// Category id → emojis, in Unicode order
+export const EMOJIS = Object.fromEntries(EMOJI_CATEGORIES
+    .filter(category => category.group)
+    .map((category) => {
+        const emojis = (EMOJI_GROUPS[category.group] || [])
+            .filter(([emoji]) => !EMOJI_DENYLIST.has(emoji))
+        emojis.forEach(([emoji, name, version]) => {
+            EMOJI_INFO.set(emoji, { name, version, category: category.id })
+        })
+        return [category.id, emojis.map(([emoji]) => emoji)]
+    }))
+
+/**
+ * CLDR name ("grinning face"), or '' for emojis not in the dataset
+ */
+export function getEmojiName(emoji) {
+    return EMOJI_INFO.get(emoji)?.name || ''
+}
+
+/**
+ * Unicode emoji version the emoji first appeared in (e.g. 13.1), or null
+ */
+export function getEmojiVersion(emoji) {
+    return EMOJI_INFO.get(emoji)?.version ?? null
 }
 
-// Search emojis by character (basic matching)
-export function searchEmojis(query) {
-    if (!query.trim()) return []
+// Word-level match scores - the best match per query word counts
+const SCORE = {
+    shortcode: 80,
+    nameWord: 70,
+    nameWordPrefix: 50,
+    keyword: 45,
+    keywordPrefix: 30,
+    nameSubstring: 10
+}
 
-    const results = []
-    const lowerQuery = query.toLowerCase()
+// Whole-query bonuses
+const EXACT_NAME_BONUS = 100
+const CHARACTER_MATCH_SCORE = 1000
 
-    Object.values(EMOJIS).forEach(categoryEmojis => {
-        categoryEmojis.forEach(emoji => {
-            // Basic character matching
-            if (emoji.includes(query) || results.length < 50) {
-                results.push(emoji)
+let searchIndex = null
+
+// Built on first search: one entry per unique emoji, in category order
+function getSearchIndex() {
+    if (!searchIndex) {
+        searchIndex = [...new Set(getAllEmojis())].map((emoji) => {
+            const metadata = EMOJI_METADATA[emoji] || {}
+            const name = getEmojiName(emoji).toLowerCase()
+            return {
+                emoji,
+                name,
+                nameWords: name.split(/[^a-z0-9]+/).filter(Boolean),
+                keywords: metadata.keywords || [],
+                // Without curated ones, the name itself: "red apple" → red_apple
+                shortcodes: metadata.shortcodes || [name.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')]
             }
         })
+    }
+    return searchIndex
+}
+
+function scoreWord(entry, word) {
+    if (entry.shortcodes.includes(word)) return SCORE.shortcode
+    if (entry.nameWords.includes(word)) return SCORE.nameWord
+    if (entry.nameWords.some(w => w.startsWith(word))) return SCORE.nameWordPrefix
+    if (entry.keywords.includes(word)) return SCORE.keyword
+    if (entry.keywords.some(k => k.startsWith(word))) return SCORE.keywordPrefix
+    if (entry.name.includes(word)) return SCORE.nameSubstring
+    return 0
+}
+
+/**
+ * Ranked emoji search - by name, keyword, shortcode (":fire:") or the emoji itself
+ * Every word of the query has to match; best matches first, ties keep category order
+ * @param {string} query
+ * @param {number} [limit=50]
+ * @returns {string[]}
+ */
+export function searchEmojis(query, limit = 50) {
+    const trimmed = query.trim().toLowerCase()
+    if (!trimmed) return []
+
+    // ":fire:" or ":fi" - shortcodes only
+    const shortcode = trimmed.startsWith(':') ? trimmed.replace(/^:|:$/g, '') : null
+    const words = trimmed.split(/[\s_-]+/).filter(Boolean)
+
+    const results = []
+    getSearchIndex().forEach((entry, order) => {
+        let score = 0
+        if (trimmed.includes(entry.emoji)) {
+            score = CHARACTER_MATCH_SCORE
+        } else if (shortcode !== null) {
+            if (!shortcode) return
+            if (entry.shortcodes.includes(shortcode)) score = SCORE.shortcode * 2
+            else if (entry.shortcodes.some(code => code.startsWith(shortcode))) score = SCORE.shortcode
+        } else {
+            for (const word of words) {
+                const wordScore = scoreWord(entry, word)
+                if (!wordScore) return
+                score += wordScore
+            }
+            if (entry.name === trimmed) score += EXACT_NAME_BONUS
+        }
+        if (score > 0) results.push({ emoji: entry.emoji, score, order })
     })
 
-    return results.slice(0, 50)
+    return results
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, limit)
+        .map(result => result.emoji)
 }
 
 // Get all emojis flat
 export function getAllEmojis() {
     const all = []
-    Object.entries(EMOJIS).forEach(([category, emojis]) => {
-        if (category !== 'recent') {
-            all.push(...emojis)
-        }
+    Object.values(EMOJIS).forEach((emojis) => {
+        all.push(...emojis)
     })
     return all
 }
@@ -0,0 +1,38 @@
+/**
+ * exportOptions.js - CamTech v1.7
+ * Still-image export formats and default options - kept apart from
+ * ExportEngine so settings.js can validate them without loading the engine
+ */
+
+// Output formats - WebP falls back to JPEG where the browser can't encode it
+export const EXPORT_FORMATS = {
+    jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+    webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true },
+    png: { label: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false }
+}
+
+// Default export options (SettingsSheet can override)
+// maxDimension: longest edge in px, null = full capture resolution
+export const DEFAULT_EXPORT_OPTIONS = {
+    format: 'jpeg',
+    quality: 0.92,
+    maxDimension: null
+}
+
+// Cache of encoder support per format
+const formatSupport = {}
+
+/**
+ * Feature-detect canvas encoding support (Safari silently returns PNG for WebP)
+ */
+export function isExportFormatSupported(format) {
+    const definition = EXPORT_FORMATS[format]
+    if (!definition) return false
+    if (!(format in formatSupport)) {
+        const canvas = document.createElement('canvas')
+        canvas.width = 1
+        canvas.height = 1
+        formatSupport[format] = canvas.toDataURL(definition.mimeType).startsWith(`data:${definition.mimeType}`)
+    }
+    return formatSupport[format]
+}
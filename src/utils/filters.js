@@ -0,0 +1,419 @@
+/**
+ * filters.js - CamTech v1.7
+ * Camera filter definitions and MANUAL pixel math for capture
+ * Every id in FILTER_STYLES must have a matching applyPixelFilter case
+ * that follows its CSS chain step for step (checked by npm test)
+ * Imported .cube LUTs register here as custom filters (see useLUTFilters)
+ */
+
+import { applyLUT, fitLUTMatrix, lutSwatchColor } from './lut.js'
+import { applyAdjustments, hasAdjustments } from './adjustments.js'
+
+// CSS Filter definitions for preview (pixel math used for capture)
+export const FILTER_STYLES = {
+    original: 'none',
+    warm: 'sepia(0.3) saturate(1.4) brightness(1.1)',
+    cool: 'saturate(0.9) hue-rotate(10deg) brightness(1.05)',
+    vibrant: 'saturate(1.6) contrast(1.1) brightness(1.05)',
+    vintage: 'sepia(0.4) contrast(0.9) brightness(0.95) saturate(0.8)',
+    pastel: 'saturate(0.7) brightness(1.15) contrast(0.9)',
+    mono: 'grayscale(1) contrast(1.1)',
+    soft: 'brightness(1.08) contrast(0.92) saturate(0.95)',
+    crisp: 'contrast(1.15) saturate(1.1) brightness(1.02)',
+    fade: 'contrast(0.85) saturate(0.75) brightness(1.1)'
+}
+
+// 10 filter definitions - labels and swatch colors for filter pickers
+export const FILTERS = [
+    { id: 'original', label: 'Original', color: '#888' },
+    { id: 'warm', label: 'Warm', color: '#e8a87c' },
+    { id: 'cool', label: 'Cool', color: '#7ec8e8' },
+    { id: 'vibrant', label: 'Vibrant', color: '#c77dff' },
+    { id: 'vintage', label: 'Vintage', color: '#d4a574' },
+    { id: 'pastel', label: 'Pastel', color: '#f8c8dc' },
+    { id: 'mono', label: 'Mono', color: '#666' },
+    { id: 'soft', label: 'Soft', color: '#d4c8b8' },
+    { id: 'crisp', label: 'Crisp', color: '#94b8d4' },
+    { id: 'fade', label: 'Fade', color: '#a8a0b4' }
+]
+
+// Imported LUT filters: id → { id, label, color, css, matrix, lut }
+const customFilters = new Map()
+
+/**
+ * Register an imported LUT as a filter
+ * Preview uses an SVG color-matrix approximation (#lut-filter-<id>)
+ */
+export function registerLUTFilter({ id, label, lut }) {
+    customFilters.set(id, {
+        id,
+        label,
+        color: lutSwatchColor(lut),
+        css: `url(#lut-filter-${id})`,
+        matrix: fitLUTMatrix(lut),
+        lut
+    })
+}
+
+// Built-in filters followed by imported LUTs
+export function getFilters() {
+    return [...FILTERS, ...customFilters.values()]
+}
+
+// Imported LUT filters only (for SVG preview defs)
+export function getLUTFilters() {
+    return [...customFilters.values()]
+}
+
+// Parsed LUT for an imported filter (workers need it to register the filter)
+export function getLUT(filterId) {
+    return customFilters.get(filterId)?.lut || null
+}
+
+export function isFilter(filterId) {
+    return filterId in FILTER_STYLES || customFilters.has(filterId)
+}
+
+// CSS preview filter for any filter id
+export function getFilterCSS(filterId) {
+    return FILTER_STYLES[filterId] || customFilters.get(filterId)?.css || 'none'
+}
+
+// Default filter strength (slider 0-100%, stored as 0-1)
+export const DEFAULT_FILTER_STRENGTH = 1
+
+/**
+ * Color matrices per the CSS Filter Effects spec (row-major 3x3)
+ * Every built-in filter mirrors its FILTER_STYLES chain with these, one
+ * clamped step per CSS function, in the same order
+ */
+function saturateMatrix(s) {
+    return [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+    ]
+}
+
+function sepiaMatrix(amount) {
+    const k = 1 - amount
+    return [
+        0.393 + 0.607 * k, 0.769 - 0.769 * k, 0.189 - 0.189 * k,
+        0.349 - 0.349 * k, 0.686 + 0.314 * k, 0.168 - 0.168 * k,
+        0.272 - 0.272 * k, 0.534 - 0.534 * k, 0.131 + 0.869 * k
+    ]
+}
+
+function grayscaleMatrix(amount) {
+    const k = 1 - amount
+    return [
+        0.2126 + 0.7874 * k, 0.7152 - 0.7152 * k, 0.0722 - 0.0722 * k,
+        0.2126 - 0.2126 * k, 0.7152 + 0.2848 * k, 0.0722 - 0.0722 * k,
+        0.2126 - 0.2126 * k, 0.7152 - 0.7152 * k, 0.0722 + 0.9278 * k
+    ]
+}
+
+function hueRotateMatrix(degrees) {
+    const cos = Math.cos(degrees * Math.PI / 180)
+    const sin = Math.sin(degrees * Math.PI / 180)
+    return [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ]
+}
+
+/**
+ * Apply filter using MANUAL pixel manipulation
+ * 100% deterministic, works on ALL browsers including iOS Safari
+ * No ctx.filter, no CSS filters, no GPU dependencies
+ * @param {ImageData} imageData - Modified in place
+ * @param {string} filterName - Key of FILTER_STYLES
+ * @param {number} [strength=1] - 0 = original, 1 = full filter
+ */
+export function applyPixelFilter(imageData, filterName, strength = 1) {
+    if (strength <= 0) return imageData
+    if (strength >= 1) return bakeFilter(imageData, filterName)
+
+    // Partial strength: linear blend between original and full filter
+    // Same math as the preview's filtered layer at opacity = strength
+    const original = new Uint8ClampedArray(imageData.data)
+    bakeFilter(imageData, filterName)
+
+    const data = imageData.data
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = original[i] + (data[i] - original[i]) * strength
+        data[i + 1] = original[i + 1] + (data[i + 1] - original[i + 1]) * strength
+        data[i + 2] = original[i + 2] + (data[i + 2] - original[i + 2]) * strength
+    }
+
+    return imageData
+}
+
+/**
+ * Full edit pipeline: filter at strength, then manual adjustments
+ * Shared by the editor preview, ExportEngine and the pixel worker
+ * @param {ImageData} imageData - Modified in place
+ * @param {Object} options - { filterId, filterStrength, adjustments }
+ */
+export function applyEditPipeline(imageData, { filterId, filterStrength = 1, adjustments } = {}) {
+    if (filterId && filterId !== 'original' && filterStrength > 0) {
+        applyPixelFilter(imageData, filterId, filterStrength)
+    }
+    applyAdjustments(imageData, adjustments)
+    return imageData
+}
+
+// True if applyEditPipeline would change any pixel
+export function needsEditPipeline({ filterId, filterStrength = 1, adjustments } = {}) {
+    return (!!filterId && filterId !== 'original' && filterStrength > 0) || hasAdjustments(adjustments)
+}
+
+/**
+ * Full-strength pixel math for each filter
+ */
+function bakeFilter(imageData, filterName) {
+    const data = imageData.data
+    const len = data.length
+
+    // Helper: clamp value to 0-255
+    const clamp = (v) => v < 0 ? 0 : v > 255 ? 255 : v
+
+    switch (filterName) {
+        case 'mono': {
+            // Mono: grayscale(1) contrast(1.1)
+            const m = grayscaleMatrix(1)
+            for (let i = 0; i < len; i += 4) {
+                const r = data[i]
+                const g = data[i + 1]
+                const b = data[i + 2]
+
+                // Luminance gray (all three matrix rows are equal at 1)
+                const gray = clamp(m[0] * r + m[1] * g + m[2] * b)
+
+                // Slight contrast boost
+                const final = clamp((gray - 127.5) * 1.1 + 127.5)
+                data[i] = final
+                data[i + 1] = final
+                data[i + 2] = final
+            }
+            break
+        }
+
+        case 'warm': {
+            // Warm: sepia(0.3) saturate(1.4) brightness(1.1)
+            const sepia = sepiaMatrix(0.3)
+            const m = saturateMatrix(1.4)
+            for (let i = 0; i < len; i += 4) {
+                const r = data[i]
+                const g = data[i + 1]
+                const b = data[i + 2]
+
+                // Sepia tint
+                const tr = clamp(sepia[0] * r + sepia[1] * g + sepia[2] * b)
+                const tg = clamp(sepia[3] * r + sepia[4] * g + sepia[5] * b)
+                const tb = clamp(sepia[6] * r + sepia[7] * g + sepia[8] * b)
+
+                // Saturation boost
+                const sr = clamp(m[0] * tr + m[1] * tg + m[2] * tb)
+                const sg = clamp(m[3] * tr + m[4] * tg + m[5] * tb)
+                const sb = clamp(m[6] * tr + m[7] * tg + m[8] * tb)
+
+                // Brighten
+                data[i] = clamp(sr * 1.1)
+                data[i + 1] = clamp(sg * 1.1)
+                data[i + 2] = clamp(sb * 1.1)
+            }
+            break
+        }
+
+        case 'cool': {
+            // Cool: saturate(0.9) hue-rotate(10deg) brightness(1.05)
+            const m = saturateMatrix(0.9)
+            const hue = hueRotateMatrix(10)
+            for (let i = 0; i < len; i += 4) {
+                const r = data[i]
+                const g = data[i + 1]
+                const b = data[i + 2]
+
+                // Slight desaturation
+                const sr = clamp(m[0] * r + m[1] * g + m[2] * b)
+                const sg = clamp(m[3] * r + m[4] * g + m[5] * b)
+                const sb = clamp(m[6] * r + m[7] * g + m[8] * b)
+
+                // Shift hue toward blue
+                const hr = clamp(hue[0] * sr + hue[1] * sg + hue[2] * sb)
+                const hg = clamp(hue[3] * sr + hue[4] * sg + hue[5] * sb)
+                const hb = clamp(hue[6] * sr + hue[7] * sg + hue[8] * sb)
+
+                // Slight brightness boost
+                data[i] = clamp(hr * 1.05)
+                data[i + 1] = clamp(hg * 1.05)
+                data[i + 2] = clamp(hb * 1.05)
+            }
+            break
+        }
+
+        case 'vibrant': {
+            // Vibrant: saturate(1.6) contrast(1.1) brightness(1.05)
+            const m = saturateMatrix(1.6)
+            for (let i = 0; i < len; i += 4) {
+                const r = data[i]
+                const g = data[i + 1]
+                const b = data[i + 2]
+
+                // High saturation boost
+                const sr = clamp(m[0] * r + m[1] * g + m[2] * b)
+                const sg = clamp(m[3] * r + m[4] * g + m[5] * b)
+                const sb = clamp(m[6] * r + m[7] * g + m[8] * b)
+
+                // Slight contrast
+                const cr = clamp((sr - 127.5) * 1.1 + 127.5)
+                const cg = clamp((sg - 127.5) * 1.1 + 127.5)
+                const cb = clamp((sb - 127.5) * 1.1 + 127.5)
+
+                // Brightness
+                data[i] = clamp(cr * 1.05)
+                data[i + 1] = clamp(cg * 1.05)
+                data[i + 2] = clamp(cb * 1.05)
+            }
+            break
+        }
+
+        case 'vintage': {
+            // Vintage: sepia(0.4) contrast(0.9) brightness(0.95) saturate(0.8)
+            const sepia = sepiaMatrix(0.4)
+            const m = saturateMatrix(0.8)
+            for (let i = 0; i < len; i += 4) {
+                let r = data[i]
+                let g = data[i + 1]
+                let b = data[i + 2]
+
+                // Sepia tint
+                const tr = clamp(sepia[0] * r + sepia[1] * g + sepia[2] * b)
+                const tg = clamp(sepia[3] * r + sepia[4] * g + sepia[5] * b)
+                const tb = clamp(sepia[6] * r + sepia[7] * g + sepia[8] * b)
+
+                // Lower contrast (compress toward middle)
+                r = clamp((tr - 127.5) * 0.9 + 127.5)
+                g = clamp((tg - 127.5) * 0.9 + 127.5)
+                b = clamp((tb - 127.5) * 0.9 + 127.5)
+
+                // Darken slightly
+                r = clamp(r * 0.95)
+                g = clamp(g * 0.95)
+                b = clamp(b * 0.95)
+
+                // Desaturate
+                data[i] = clamp(m[0] * r + m[1] * g + m[2] * b)
+                data[i + 1] = clamp(m[3] * r + m[4] * g + m[5] * b)
+                data[i + 2] = clamp(m[6] * r + m[7] * g + m[8] * b)
+            }
+            break
+        }
+
+        case 'pastel': {
+            // Pastel: saturate(0.7) brightness(1.15) contrast(0.9)
+            const m = saturateMatrix(0.7)
+            for (let i = 0; i < len; i += 4) {
+                let r = data[i]
+                let g = data[i + 1]
+                let b = data[i + 2]
+
+                // Desaturate toward luminance
+                const sr = clamp(m[0] * r + m[1] * g + m[2] * b)
+                const sg = clamp(m[3] * r + m[4] * g + m[5] * b)
+                const sb = clamp(m[6] * r + m[7] * g + m[8] * b)
+
+                // Brighten
+                r = clamp(sr * 1.15)
+                g = clamp(sg * 1.15)
+                b = clamp(sb * 1.15)
+
+                // Lower contrast
+                data[i] = clamp((r - 127.5) * 0.9 + 127.5)
+                data[i + 1] = clamp((g - 127.5) * 0.9 + 127.5)
+                data[i + 2] = clamp((b - 127.5) * 0.9 + 127.5)
+            }
+            break
+        }
+
+        case 'soft': {
+            // Soft: brightness(1.08) contrast(0.92) saturate(0.95)
+            const m = saturateMatrix(0.95)
+            for (let i = 0; i < len; i += 4) {
+                // Brighten
+                let r = clamp(data[i] * 1.08)
+                let g = clamp(data[i + 1] * 1.08)
+                let b = clamp(data[i + 2] * 1.08)
+
+                // Lower contrast
+                r = clamp((r - 127.5) * 0.92 + 127.5)
+                g = clamp((g - 127.5) * 0.92 + 127.5)
+                b = clamp((b - 127.5) * 0.92 + 127.5)
+
+                // Slight desaturation
+                data[i] = clamp(m[0] * r + m[1] * g + m[2] * b)
+                data[i + 1] = clamp(m[3] * r + m[4] * g + m[5] * b)
+                data[i + 2] = clamp(m[6] * r + m[7] * g + m[8] * b)
+            }
+            break
+        }
+
+        case 'crisp': {
+            // Crisp: contrast(1.15) saturate(1.1) brightness(1.02)
+            const m = saturateMatrix(1.1)
+            for (let i = 0; i < len; i += 4) {
+                // Raise contrast
+                const r = clamp((data[i] - 127.5) * 1.15 + 127.5)
+                const g = clamp((data[i + 1] - 127.5) * 1.15 + 127.5)
+                const b = clamp((data[i + 2] - 127.5) * 1.15 + 127.5)
+
+                // Slight saturation boost
+                const sr = clamp(m[0] * r + m[1] * g + m[2] * b)
+                const sg = clamp(m[3] * r + m[4] * g + m[5] * b)
+                const sb = clamp(m[6] * r + m[7] * g + m[8] * b)
+
+                // Brighten
+                data[i] = clamp(sr * 1.02)
+                data[i + 1] = clamp(sg * 1.02)
+                data[i + 2] = clamp(sb * 1.02)
+            }
+            break
+        }
+
+        case 'fade': {
+            // Fade: contrast(0.85) saturate(0.75) brightness(1.1)
+            const m = saturateMatrix(0.75)
+            for (let i = 0; i < len; i += 4) {
+                // Lower contrast (lifts blacks, dims whites)
+                const r = clamp((data[i] - 127.5) * 0.85 + 127.5)
+                const g = clamp((data[i + 1] - 127.5) * 0.85 + 127.5)
+                const b = clamp((data[i + 2] - 127.5) * 0.85 + 127.5)
+
+                // Desaturate
+                const sr = clamp(m[0] * r + m[1] * g + m[2] * b)
+                const sg = clamp(m[3] * r + m[4] * g + m[5] * b)
+                const sb = clamp(m[6] * r + m[7] * g + m[8] * b)
+
+                // Brighten
+                data[i] = clamp(sr * 1.1)
+                data[i + 1] = clamp(sg * 1.1)
+                data[i + 2] = clamp(sb * 1.1)
+            }
+            break
+        }
+
+        default: {
+            // Imported .cube LUT (trilinear sampling)
+            const custom = customFilters.get(filterName)
+            if (custom) {
+                applyLUT(imageData, custom.lut)
+            }
+            // No filter or unknown - leave pixels unchanged
+            break
+        }
+    }
+
+    return imageData
+}
@@ -0,0 +1,348 @@
+/**
+ * gifEncoder.js - CamTech v1.7
+ * Client-side animated GIF encoder - pure functions shared by gifWorker.js
+ * and the main-thread fallback (animationEncoder.js)
+ * Frames after the first are cropped to what changed since the previous one,
+ * and each is median-cut to its own 256-color palette, so a still photo with
+ * a few moving stickers stays small
+ */
+
+// 5 bits per channel - histogram bins and nearest-color cache keys
+const BIN_COUNT = 1 << 15
+
+const binOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3)
+
+/**
+ * Bounding box of the pixels that differ between two RGBA frames
+ * @returns {{x, y, width, height}|null} null if the frames are identical
+ */
+export function changedRect(previous, next, width, height) {
+    const a = new Uint32Array(previous.buffer, previous.byteOffset, width * height)
+    const b = new Uint32Array(next.buffer, next.byteOffset, width * height)
+
+    let top = -1
+    let bottom = -1
+    for (let y = 0; y < height && top < 0; y++) {
+        for (let i = y * width, end = i + width; i < end; i++) {
+            if (a[i] !== b[i]) { top = y; break }
+        }
+    }
+    if (top < 0) return null
+    for (let y = height - 1; y >= top && bottom < 0; y--) {
+        for (let i = y * width, end = i + width; i < end; i++) {
+            if (a[i] !== b[i]) { bottom = y; break }
+        }
+    }
+
+    let left = width
+    let right = -1
+    for (let y = top; y <= bottom; y++) {
+        const row = y * width
+        for (let x = 0; x < left; x++) {
+            if (a[row + x] !== b[row + x]) { left = x; break }
+        }
+        for (let x = width - 1; x > right; x--) {
+            if (a[row + x] !== b[row + x]) { right = x; break }
+        }
+    }
+
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 }
+}
+
+/**
+ * Median-cut palette for opaque RGBA pixels
+ * @returns {Uint8Array} Packed RGB, up to maxColors entries
+ */
+export function quantize(pixels, maxColors = 256) {
+    // Histogram with exact color sums per bin - the palette keeps full precision
+    const counts = new Uint32Array(BIN_COUNT)
+    const sums = new Float64Array(BIN_COUNT * 3)
+    for (let i = 0; i < pixels.length; i += 4) {
+        const bin = binOf(pixels[i], pixels[i + 1], pixels[i + 2])
+        counts[bin]++
+        sums[bin * 3] += pixels[i]
+        sums[bin * 3 + 1] += pixels[i + 1]
+        sums[bin * 3 + 2] += pixels[i + 2]
+    }
+
+    const bins = []
+    for (let bin = 0; bin < BIN_COUNT; bin++) {
+        if (counts[bin]) bins.push(bin)
+    }
+
+    const channel = (bin, c) => (bin >> (10 - c * 5)) & 31
+    const makeBox = (entries) => {
+        const min = [31, 31, 31]
+        const max = [0, 0, 0]
+        let population = 0
+        entries.forEach((bin) => {
+            for (let c = 0; c < 3; c++) {
+                const v = channel(bin, c)
+                if (v < min[c]) min[c] = v
+                if (v > max[c]) max[c] = v
+            }
+            population += counts[bin]
+        })
+        const ranges = max.map((v, c) => v - min[c])
+        const axis = ranges.indexOf(Math.max(...ranges))
+        return { entries, population, axis, range: ranges[axis] }
+    }
+
+    // Split the box with the widest spread (weighted by population) until full
+    const boxes = [makeBox(bins)]
+    while (boxes.length < maxColors) {
+        let target = -1
+        let best = 0
+        boxes.forEach((box, i) => {
+            const score = box.range * box.population
+            if (box.entries.length > 1 && score > best) { best = score; target = i }
+        })
+        if (target < 0) break
+
+        const { entries, axis, population } = boxes[target]
+        entries.sort((p, q) => channel(p, axis) - channel(q, axis))
+        let seen = 0
+        let cut = 1
+        for (; cut < entries.length - 1; cut++) {
+            seen += counts[entries[cut - 1]]
+            if (seen >= population / 2) break
+        }
+        boxes.splice(target, 1, makeBox(entries.slice(0, cut)), makeBox(entries.slice(cut)))
+    }
+
+    const palette = new Uint8Array(boxes.length * 3)
+    boxes.forEach((box, i) => {
+        let r = 0
+        let g = 0
+        let b = 0
+        box.entries.forEach((bin) => {
+            r += sums[bin * 3]
+            g += sums[bin * 3 + 1]
+            b += sums[bin * 3 + 2]
+        })
+        palette[i * 3] = Math.round(r / box.population)
+        palette[i * 3 + 1] = Math.round(g / box.population)
+        palette[i * 3 + 2] = Math.round(b / box.population)
+    })
+    return palette
+}
+
+/**
+ * Nearest palette index for every pixel (cached per 15-bit color)
+ */
+function mapPixels(pixels, palette) {
+    const cache = new Int16Array(BIN_COUNT).fill(-1)
+    const colors = palette.length / 3
+    const indices = new Uint8Array(pixels.length / 4)
+
+    for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+        const r = pixels[i]
+        const g = pixels[i + 1]
+        const b = pixels[i + 2]
+        const bin = binOf(r, g, b)
+        let index = cache[bin]
+        if (index < 0) {
+            let best = Infinity
+            for (let c = 0; c < colors; c++) {
+                const dr = palette[c * 3] - r
+                const dg = palette[c * 3 + 1] - g
+                const db = palette[c * 3 + 2] - b
+                const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3
+                if (distance < best) { best = distance; index = c }
+            }
+            cache[bin] = index
+        }
+        indices[p] = index
+    }
+    return indices
+}
+
+// Growable byte buffer
+class ByteWriter {
+    constructor(size = 1 << 16) {
+        this.data = new Uint8Array(size)
+        this.length = 0
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.data.length) return
+        let size = this.data.length * 2
+        while (size < this.length + count) size *= 2
+        const data = new Uint8Array(size)
+        data.set(this.data.subarray(0, this.length))
+        this.data = data
+    }
+
+    byte(value) {
+        this.reserve(1)
+        this.data[this.length++] = value
+    }
+
+    u16(value) {
+        this.byte(value & 0xFF)
+        this.byte((value >> 8) & 0xFF)
+    }
+
+    bytes(values) {
+        this.reserve(values.length)
+        this.data.set(values, this.length)
+        this.length += values.length
+    }
+
+    result() {
+        return this.data.slice(0, this.length)
+    }
+}
+
+/**
+ * GIF LZW compression, written as 255-byte sub-blocks
+ */
+function writeLZW(out, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize
+    const endCode = clearCode + 1
+    const table = new Map()
+
+    let codeSize = minCodeSize + 1
+    let nextCode = endCode + 1
+    let datum = 0
+    let bits = 0
+    const block = new Uint8Array(255)
+    let blockLength = 0
+
+    const flushBlock = () => {
+        if (blockLength === 0) return
+        out.byte(blockLength)
+        out.bytes(block.subarray(0, blockLength))
+        blockLength = 0
+    }
+    const emit = (code) => {
+        datum |= code << bits
+        bits += codeSize
+        while (bits >= 8) {
+            block[blockLength++] = datum & 0xFF
+            if (blockLength === 255) flushBlock()
+            datum >>= 8
+            bits -= 8
+        }
+    }
+
+    out.byte(minCodeSize)
+    emit(clearCode)
+
+    let prefix = indices[0]
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i]
+        const key = (prefix << 8) | k
+        const code = table.get(key)
+        if (code !== undefined) {
+            prefix = code
+            continue
+        }
+
+        emit(prefix)
+        if (nextCode < 4096) {
+            table.set(key, nextCode++)
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++
+        } else {
+            // Table full - start over
+            emit(clearCode)
+            table.clear()
+            codeSize = minCodeSize + 1
+            nextCode = endCode + 1
+        }
+        prefix = k
+    }
+    emit(prefix)
+    // The decoder adds an entry for the last code - match its code size
+    if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++
+    emit(endCode)
+    if (bits > 0) block[blockLength++] = datum & 0xFF
+    flushBlock()
+    out.byte(0)
+}
+
+/**
+ * Streaming GIF encoder - frames are opaque RGBA, delays in ms
+ * Identical consecutive frames are merged into one longer frame
+ * @returns {{addFrame: Function, finish: Function}}
+ */
+export function createGIFEncoder(width, height) {
+    const out = new ByteWriter()
+    let previous = null
+    // Where the last frame's delay was written, so merged frames can extend it
+    let delayOffset = -1
+    let delayMs = 0
+
+    const writeDelay = () => {
+        const centiseconds = Math.min(0xFFFF, Math.max(2, Math.round(delayMs / 10)))
+        out.data[delayOffset] = centiseconds & 0xFF
+        out.data[delayOffset + 1] = centiseconds >> 8
+    }
+
+    // Header, logical screen (no global palette), loop forever
+    out.bytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61])
+    out.u16(width)
+    out.u16(height)
+    out.bytes([0x00, 0x00, 0x00])
+    out.bytes([0x21, 0xFF, 0x0B, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)), 0x03, 0x01, 0x00, 0x00, 0x00])
+
+    return {
+        /**
+         * @param {Uint8ClampedArray} pixels - Full-frame RGBA, kept for diffing
+         * @param {number} delay - ms this frame shows for
+         */
+        addFrame(pixels, delay) {
+            const rect = previous
+                ? changedRect(previous, pixels, width, height)
+                : { x: 0, y: 0, width, height }
+            if (!rect) {
+                delayMs += delay
+                writeDelay()
+                return
+            }
+            previous = pixels
+
+            // Crop to the changed region
+            const region = new Uint8ClampedArray(rect.width * rect.height * 4)
+            for (let y = 0; y < rect.height; y++) {
+                const start = ((rect.y + y) * width + rect.x) * 4
+                region.set(pixels.subarray(start, start + rect.width * 4), y * rect.width * 4)
+            }
+            const palette = quantize(region)
+            const indices = mapPixels(region, palette)
+
+            // Local color table size is a power of two (min 2 entries)
+            let tableBits = 1
+            while ((1 << tableBits) < palette.length / 3) tableBits++
+
+            // Graphic control: keep previous frame underneath, no transparency
+            out.bytes([0x21, 0xF9, 0x04, 0x04])
+            delayOffset = out.length
+            delayMs = delay
+            out.u16(0)
+            writeDelay()
+            out.bytes([0x00, 0x00])
+
+            // Image descriptor + local color table
+            out.byte(0x2C)
+            out.u16(rect.x)
+            out.u16(rect.y)
+            out.u16(rect.width)
+            out.u16(rect.height)
+            out.byte(0x80 | (tableBits - 1))
+            const table = new Uint8Array((1 << tableBits) * 3)
+            table.set(palette)
+            out.bytes(table)
+
+            writeLZW(out, indices, Math.max(2, tableBits))
+        },
+
+        /**
+         * @returns {Uint8Array} The finished GIF file
+         */
+        finish() {
+            out.byte(0x3B)
+            return out.result()
+        }
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * gifWorker.js - CamTech v1.7
+ * Web Worker entry: runs createGIFEncoder off the main thread
+ * One worker per export - frames arrive as transferables and every message
+ * is acknowledged, so at most one frame is queued at a time
+ */
+
+import { createGIFEncoder } from './gifEncoder.js'
+
+let encoder = null
+
+self.onmessage = (e) => {
+    const { type, width, height, buffer, delay } = e.data
+
+    try {
+        if (type === 'start') {
+            encoder = createGIFEncoder(width, height)
+            self.postMessage({ type })
+        } else if (type === 'frame') {
+            encoder.addFrame(new Uint8ClampedArray(buffer), delay)
+            self.postMessage({ type })
+        } else if (type === 'finish') {
+            const bytes = encoder.finish()
+            encoder = null
+            self.postMessage({ type, bytes }, [bytes.buffer])
+        }
+    } catch (err) {
+        self.postMessage({ type, error: err.message })
+    }
+}
+
+// Signal the module loaded (module workers fail silently on old Safari)
+self.postMessage({ type: 'ready' })
@@ -0,0 +1,43 @@
+/**
+ * idb.js - CamTech v1.7
+ * Minimal single-store IndexedDB access shared by drafts and cutout stickers
+ */
+
+export function isIndexedDBSupported() {
+    return typeof indexedDB !== 'undefined'
+}
+
+/**
+ * Open (lazily) a database holding one object store keyed by `id`
+ * @returns {Function} run(mode, fn) - run one request in a transaction and resolve with its result
+ */
+export function createStore(dbName, storeName, version = 1) {
+    let dbPromise = null
+
+    function openDB() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, version)
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(storeName, { keyPath: 'id' })
+                }
+                request.onsuccess = () => resolve(request.result)
+                request.onerror = () => reject(request.error)
+            })
+            // Allow a retry after a failed open (private mode, blocked upgrade)
+            dbPromise.catch(() => { dbPromise = null })
+        }
+        return dbPromise
+    }
+
+    return async function run(mode, fn) {
+        const db = await openDB()
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode)
+            const request = fn(tx.objectStore(storeName))
+            tx.oncomplete = () => resolve(request.result)
+            tx.onerror = () => reject(tx.error)
+            tx.onabort = () => reject(tx.error)
+        })
+    }
+}
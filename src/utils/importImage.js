@@ -0,0 +1,69 @@
+/**
+ * importImage.js - CamTech v1.7
+ * Turns a photo picked from the gallery (or dropped on desktop) into the same
+ * JPEG data URL a camera capture produces
+ */
+
+// Longest edge kept for imports - 4096² is also iOS Safari's canvas pixel cap
+const MAX_IMPORT_DIMENSION = 4096
+
+/**
+ * Decode an image file upright
+ * createImageBitmap applies the EXIF orientation with 'from-image'; the <img>
+ * fallback relies on the browser's default image-orientation: from-image
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' })
+        } catch (e) {
+            // Older Safari rejects the options bag or the codec - try <img>
+        }
+    }
+
+    const url = URL.createObjectURL(file)
+    try {
+        const img = new Image()
+        img.src = url
+        await img.decode()
+        return img
+    } finally {
+        URL.revokeObjectURL(url)
+    }
+}
+
+export function isImageFile(file) {
+    return !!file && file.type.startsWith('image/')
+}
+
+/**
+ * Decode, orient and downscale an image file to a capture data URL
+ * @param {File} file - Image from a file input or drop
+ * @returns {Promise<string>} JPEG data URL (0.92, like captureFrame)
+ * @throws {Error} If the file is not a decodable image
+ */
+export async function importImageFile(file) {
+    if (!isImageFile(file)) throw new Error('Not an image file')
+
+    const image = await decodeImage(file)
+    const sourceWidth = image.naturalWidth || image.width
+    const sourceHeight = image.naturalHeight || image.height
+    if (!sourceWidth || !sourceHeight) throw new Error('Empty image')
+
+    const scale = Math.min(1, MAX_IMPORT_DIMENSION / Math.max(sourceWidth, sourceHeight))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(sourceWidth * scale)
+    canvas.height = Math.round(sourceHeight * scale)
+
+    const ctx = canvas.getContext('2d')
+    ctx.imageSmoothingEnabled = true
+    ctx.imageSmoothingQuality = 'high'
+    // JPEG has no alpha - flatten transparent PNGs onto white instead of black
+    ctx.fillStyle = '#fff'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+    if (image.close) image.close()
+
+    return canvas.toDataURL('image/jpeg', 0.92)
+}
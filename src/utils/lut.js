@@ -0,0 +1,268 @@
+/**
+ * lut.js - CamTech v1.7
+ * .cube 3D LUT parsing, trilinear sampling and local storage
+ * Sampling uses MANUAL pixel math like applyPixelFilter (no GPU, no ctx.filter)
+ */
+
+// localStorage key for imported LUTs
+const STORAGE_KEY = 'camtech-luts'
+
+// Largest grid we accept (64³ × 3 floats ≈ 3 MB in memory, ≈ 4.2M characters
+// stored - most of the usual ~5 MB localStorage quota, so only one fits)
+const MAX_LUT_SIZE = 64
+
+/**
+ * Parse a .cube file (Adobe/Resolve 3D LUT format)
+ * Red varies fastest in the data table, then green, then blue
+ * @param {string} text - File contents
+ * @returns {{title: string, size: number, domainMin: number[], domainMax: number[], table: Float32Array}}
+ * @throws {Error} If the file is not a valid 3D LUT
+ */
+export function parseCubeLUT(text) {
+    let title = ''
+    let size = 0
+    let domainMin = [0, 0, 0]
+    let domainMax = [1, 1, 1]
+    let table = null
+    let count = 0
+
+    const lines = text.split(/\r?\n/)
+    for (const rawLine of lines) {
+        const line = rawLine.trim()
+        if (!line || line.startsWith('#')) continue
+
+        const parts = line.split(/\s+/)
+        const keyword = parts[0].toUpperCase()
+
+        if (keyword === 'TITLE') {
+            title = line.slice(5).trim().replace(/^"|"$/g, '')
+        } else if (keyword === 'LUT_3D_SIZE') {
+            size = parseInt(parts[1], 10)
+            if (!(size >= 2 && size <= MAX_LUT_SIZE)) {
+                throw new Error(`Unsupported LUT size: ${parts[1]}`)
+            }
+            table = new Float32Array(size * size * size * 3)
+        } else if (keyword === 'LUT_1D_SIZE') {
+            throw new Error('1D LUTs are not supported')
+        } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX') {
+            // Exactly one value per channel
+            const values = parts.slice(1).map(Number)
+            if (values.length !== 3 || values.some(Number.isNaN)) {
+                throw new Error(`Invalid ${keyword}: ${line}`)
+            }
+            if (keyword === 'DOMAIN_MIN') domainMin = values
+            else domainMax = values
+        } else if (/^[-+.\d]/.test(keyword)) {
+            // Data row: "r g b"
+            if (!table) throw new Error('LUT data before LUT_3D_SIZE')
+            if (count >= table.length) throw new Error('Too many LUT entries')
+            const values = parts.slice(0, 3).map(Number)
+            if (values.length < 3 || values.some(Number.isNaN)) {
+                throw new Error(`Invalid LUT entry: ${line}`)
+            }
+            table[count++] = values[0]
+            table[count++] = values[1]
+            table[count++] = values[2]
+        }
+        // Unknown keywords (LUT_IN_VIDEO_RANGE, etc.) are ignored
+    }
+
+    if (!table) throw new Error('Missing LUT_3D_SIZE')
+    if (count !== table.length) {
+        throw new Error(`Expected ${table.length / 3} LUT entries, found ${count / 3}`)
+    }
+    if ([...domainMin, ...domainMax].some(Number.isNaN) || domainMax.some((v, i) => v <= domainMin[i])) {
+        throw new Error('Invalid LUT domain')
+    }
+
+    return { title, size, domainMin, domainMax, table }
+}
+
+/**
+ * Sample the LUT at one RGB input (0-1) with trilinear interpolation
+ * Writes the result into out[0..2]
+ */
+function sampleLUT(lut, r, g, b, out) {
+    const { size, table, domainMin, domainMax } = lut
+    const max = size - 1
+
+    // Map input into grid coordinates
+    const toGrid = (v, c) => {
+        const t = ((v - domainMin[c]) / (domainMax[c] - domainMin[c])) * max
+        return t < 0 ? 0 : t > max ? max : t
+    }
+    const rf = toGrid(r, 0)
+    const gf = toGrid(g, 1)
+    const bf = toGrid(b, 2)
+
+    const r0 = Math.floor(rf)
+    const g0 = Math.floor(gf)
+    const b0 = Math.floor(bf)
+    const r1 = r0 < max ? r0 + 1 : max
+    const g1 = g0 < max ? g0 + 1 : max
+    const b1 = b0 < max ? b0 + 1 : max
+    const dr = rf - r0
+    const dg = gf - g0
+    const db = bf - b0
+
+    const idx = (ri, gi, bi) => (ri + gi * size + bi * size * size) * 3
+
+    const i000 = idx(r0, g0, b0)
+    const i100 = idx(r1, g0, b0)
+    const i010 = idx(r0, g1, b0)
+    const i110 = idx(r1, g1, b0)
+    const i001 = idx(r0, g0, b1)
+    const i101 = idx(r1, g0, b1)
+    const i011 = idx(r0, g1, b1)
+    const i111 = idx(r1, g1, b1)
+
+    for (let c = 0; c < 3; c++) {
+        const c00 = table[i000 + c] + (table[i100 + c] - table[i000 + c]) * dr
+        const c10 = table[i010 + c] + (table[i110 + c] - table[i010 + c]) * dr
+        const c01 = table[i001 + c] + (table[i101 + c] - table[i001 + c]) * dr
+        const c11 = table[i011 + c] + (table[i111 + c] - table[i011 + c]) * dr
+        const c0 = c00 + (c10 - c00) * dg
+        const c1 = c01 + (c11 - c01) * dg
+        out[c] = c0 + (c1 - c0) * db
+    }
+}
+
+/**
+ * Apply a parsed LUT using MANUAL pixel manipulation
+ * @param {ImageData} imageData - Modified in place
+ * @param {Object} lut - Result of parseCubeLUT
+ */
+export function applyLUT(imageData, lut) {
+    const data = imageData.data
+    const len = data.length
+    const out = [0, 0, 0]
+
+    for (let i = 0; i < len; i += 4) {
+        sampleLUT(lut, data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, out)
+        // Uint8ClampedArray clamps and rounds
+        data[i] = out[0] * 255
+        data[i + 1] = out[1] * 255
+        data[i + 2] = out[2] * 255
+    }
+
+    return imageData
+}
+
+/**
+ * Fit an affine color matrix to the LUT (least squares) for live preview
+ * Returns feColorMatrix "values" - an approximation, capture uses the full LUT
+ */
+export function fitLUTMatrix(lut) {
+    const steps = 9
+    const out = [0, 0, 0]
+
+    // Normal equations: (XᵀX) w = Xᵀy with X rows = [r, g, b, 1]
+    const xtx = Array.from({ length: 4 }, () => [0, 0, 0, 0])
+    const xty = Array.from({ length: 3 }, () => [0, 0, 0, 0])
+
+    for (let bi = 0; bi < steps; bi++) {
+        for (let gi = 0; gi < steps; gi++) {
+            for (let ri = 0; ri < steps; ri++) {
+                const x = [ri / (steps - 1), gi / (steps - 1), bi / (steps - 1), 1]
+                sampleLUT(lut, x[0], x[1], x[2], out)
+                for (let j = 0; j < 4; j++) {
+                    for (let k = 0; k < 4; k++) xtx[j][k] += x[j] * x[k]
+                    for (let c = 0; c < 3; c++) xty[c][j] += x[j] * out[c]
+                }
+            }
+        }
+    }
+
+    const rows = xty.map(rhs => solve4(xtx, rhs))
+    return [
+        ...rows[0].slice(0, 3), 0, rows[0][3],
+        ...rows[1].slice(0, 3), 0, rows[1][3],
+        ...rows[2].slice(0, 3), 0, rows[2][3],
+        0, 0, 0, 1, 0
+    ].map(v => +v.toFixed(5)).join(' ')
+}
+
+/**
+ * Solve a 4x4 linear system with Gaussian elimination (partial pivoting)
+ */
+function solve4(matrix, rhs) {
+    const m = matrix.map((row, i) => [...row, rhs[i]])
+
+    for (let col = 0; col < 4; col++) {
+        let pivot = col
+        for (let row = col + 1; row < 4; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]]
+
+        for (let row = 0; row < 4; row++) {
+            if (row === col) continue
+            const factor = m[row][col] / m[col][col]
+            for (let k = col; k < 5; k++) m[row][k] -= factor * m[col][k]
+        }
+    }
+
+    return m.map((row, i) => row[4] / row[i])
+}
+
+/**
+ * Representative swatch color for filter pickers (LUT applied to a skin-ish tone)
+ */
+export function lutSwatchColor(lut) {
+    const out = [0, 0, 0]
+    sampleLUT(lut, 0.75, 0.6, 0.5, out)
+    const hex = out.map(v => Math.round(Math.max(0, Math.min(1, v)) * 255).toString(16).padStart(2, '0'))
+    return `#${hex.join('')}`
+}
+
+// Encode the table as base64 Float32 - keeps values outside 0-1 (HDR / log LUTs)
+// exactly; native byte order, read back on the same device
+function encodeTable(table) {
+    const bytes = new Uint8Array(Float32Array.from(table).buffer)
+    let binary = ''
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+    }
+    return btoa(binary)
+}
+
+function decodeTable(encoded) {
+    const binary = atob(encoded)
+    const bytes = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+    return new Float32Array(bytes.buffer)
+}
+
+/**
+ * Load imported LUTs from localStorage
+ * @returns {Array<{id: string, label: string, lut: Object}>}
+ */
+export function loadStoredLUTs() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+        return stored.map(({ id, label, size, domainMin, domainMax, table }) => ({
+            id,
+            label,
+            lut: { title: label, size, domainMin, domainMax, table: decodeTable(table) }
+        }))
+    } catch (e) {
+        console.warn('Stored LUTs unreadable:', e)
+        return []
+    }
+}
+
+/**
+ * Persist imported LUTs to localStorage
+ * @throws {Error} QuotaExceededError when storage is full
+ */
+export function storeLUTs(entries) {
+    const serialized = entries.map(({ id, label, lut }) => ({
+        id,
+        label,
+        size: lut.size,
+        domainMin: lut.domainMin,
+        domainMax: lut.domainMax,
+        table: encodeTable(lut.table)
+    }))
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(serialized))
+}
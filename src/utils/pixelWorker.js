@@ -0,0 +1,28 @@
+/**
+ * pixelWorker.js - CamTech v1.7
+ * Web Worker entry: runs applyEditPipeline off the main thread
+ * Pixel buffers arrive and leave as transferables (no copies)
+ */
+
+import { applyEditPipeline, isFilter, registerLUTFilter } from './filters.js'
+
+self.onmessage = (e) => {
+    const { id, buffer, width, height, filterId, filterStrength, adjustments, lut } = e.data
+
+    try {
+        // Imported LUTs live in the main thread registry - mirror them here
+        if (lut && !isFilter(filterId)) {
+            registerLUTFilter({ id: filterId, label: filterId, lut })
+        }
+
+        const imageData = new ImageData(new Uint8ClampedArray(buffer), width, height)
+        applyEditPipeline(imageData, { filterId, filterStrength, adjustments })
+
+        self.postMessage({ id, buffer: imageData.data.buffer }, [imageData.data.buffer])
+    } catch (err) {
+        self.postMessage({ id, error: err.message })
+    }
+}
+
+// Signal the module loaded (module workers fail silently on old Safari)
+self.postMessage({ type: 'ready' })
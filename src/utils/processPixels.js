@@ -0,0 +1,118 @@
+/**
+ * processPixels.js - CamTech v1.7
+ * Runs the filter + adjustments pipeline in a Web Worker when available
+ * Falls back to the same functions on the main thread (identical output),
+ * also for jobs still pending when the worker crashes
+ */
+
+import { applyEditPipeline, needsEditPipeline, getLUT } from './filters.js'
+
+// Give up on the worker if it hasn't loaded by then
+const WORKER_READY_TIMEOUT_MS = 2000
+
+let workerPromise = null
+let nextJobId = 0
+const pendingJobs = new Map()
+
+/**
+ * Lazily start the worker - resolves to null where workers are unavailable
+ */
+function getWorker() {
+    if (workerPromise) return workerPromise
+
+    workerPromise = new Promise((resolve) => {
+        if (typeof Worker === 'undefined' || typeof ImageData === 'undefined') {
+            resolve(null)
+            return
+        }
+
+        let worker
+        try {
+            worker = new Worker(new URL('./pixelWorker.js', import.meta.url), { type: 'module' })
+        } catch (e) {
+            resolve(null)
+            return
+        }
+
+        const fail = (reason) => {
+            console.warn('Pixel worker unavailable, filtering on main thread:', reason)
+            worker.terminate()
+            // Re-run in-flight jobs here - each kept its own pixels
+            pendingJobs.forEach((job) => {
+                try {
+                    job.resolve(applyEditPipeline(job.imageData, job.options))
+                } catch (err) {
+                    job.reject(err)
+                }
+            })
+            pendingJobs.clear()
+            workerPromise = Promise.resolve(null)
+            resolve(null)
+        }
+
+        const timeout = setTimeout(() => fail('timeout'), WORKER_READY_TIMEOUT_MS)
+
+        worker.onerror = (e) => {
+            clearTimeout(timeout)
+            fail(e.message || 'error')
+        }
+
+        worker.onmessage = (e) => {
+            if (e.data.type === 'ready') {
+                clearTimeout(timeout)
+                resolve(worker)
+                return
+            }
+
+            const job = pendingJobs.get(e.data.id)
+            if (!job) return
+            pendingJobs.delete(e.data.id)
+
+            if (e.data.error) {
+                job.reject(new Error(e.data.error))
+            } else {
+                const { width, height } = job.imageData
+                job.resolve(new ImageData(new Uint8ClampedArray(e.data.buffer), width, height))
+            }
+        }
+    })
+
+    return workerPromise
+}
+
+/**
+ * Apply filter + adjustments to pixels
+ * The worker gets a copy; the input stays intact until the job settles so a
+ * crashed worker's job can re-run on it - use the returned ImageData
+ * @param {ImageData} imageData
+ * @param {Object} options - { filterId, filterStrength, adjustments }
+ * @returns {Promise<ImageData>}
+ */
+export async function processPixels(imageData, options) {
+    if (!needsEditPipeline(options)) return imageData
+
+    const worker = await getWorker()
+    if (!worker) {
+        // Synchronous fallback - same pixel math, main thread
+        return applyEditPipeline(imageData, options)
+    }
+
+    const { width, height } = imageData
+    const { filterId, filterStrength, adjustments } = options
+    const id = ++nextJobId
+    const buffer = imageData.data.slice().buffer
+
+    return new Promise((resolve, reject) => {
+        pendingJobs.set(id, { resolve, reject, imageData, options })
+        worker.postMessage({
+            id,
+            buffer,
+            width,
+            height,
+            filterId,
+            filterStrength,
+            adjustments,
+            lut: getLUT(filterId)
+        }, [buffer])
+    })
+}
@@ -0,0 +1,92 @@
+/**
+ * recents.js - CamTech v1.7
+ * Recently used emojis and stickers, kept in localStorage
+ * Ranked by frecency: every use adds 1 to a score that halves each HALF_LIFE_MS,
+ * so something used often last month still trails something used twice today
+ *
+ * Stored: { version: 1, emoji: [{ id, count, score, lastUsed }], sticker: [...] }
+ * ids: the emoji string itself, or the sticker id
+ */
+
+// localStorage key for recents
+const STORAGE_KEY = 'camtech-recents'
+
+const STORAGE_VERSION = 1
+
+// Entries kept per kind (the least recent beyond this are dropped)
+const MAX_RECENTS = 32
+
+const HALF_LIFE_MS = 3 * 24 * 60 * 60 * 1000
+
+function decay(score, since, now) {
+    return score * Math.pow(0.5, Math.max(0, now - since) / HALF_LIFE_MS)
+}
+
+function readStore() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+        if (stored && stored.version === STORAGE_VERSION) return stored
+    } catch (e) {
+        console.warn('Stored recents unreadable:', e)
+    }
+    return { version: STORAGE_VERSION }
+}
+
+function writeStore(store) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store))
+    } catch (e) {
+        // Private browsing / full storage - recents just don't persist
+        console.warn('Recents not saved:', e)
+    }
+}
+
+/**
+ * Recently used ids, best first
+ * @param {'emoji'|'sticker'} kind
+ * @returns {string[]}
+ */
+export function getRecents(kind, limit = MAX_RECENTS) {
+    const entries = readStore()[kind]
+    if (!Array.isArray(entries)) return []
+
+    const now = Date.now()
+    return entries
+        .filter(entry => entry && typeof entry.id === 'string')
+        .map(entry => ({ id: entry.id, rank: decay(entry.score || 0, entry.lastUsed || 0, now) }))
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, limit)
+        .map(entry => entry.id)
+}
+
+/**
+ * Count one use of an emoji or sticker
+ * @param {'emoji'|'sticker'} kind
+ * @param {string} id
+ */
+export function recordRecent(kind, id) {
+    const store = readStore()
+    const now = Date.now()
+    const entries = Array.isArray(store[kind]) ? store[kind] : []
+
+    const existing = entries.find(entry => entry.id === id)
+    const updated = existing
+        ? { id, count: existing.count + 1, score: decay(existing.score, existing.lastUsed, now) + 1, lastUsed: now }
+        : { id, count: 1, score: 1, lastUsed: now }
+
+    // Over the cap, the lowest-ranked entry goes
+    store[kind] = [updated, ...entries.filter(entry => entry.id !== id)]
+        .sort((a, b) => decay(b.score, b.lastUsed, now) - decay(a.score, a.lastUsed, now))
+        .slice(0, MAX_RECENTS)
+    writeStore(store)
+}
+
+/**
+ * Forget an id (e.g. a deleted cutout sticker)
+ */
+export function removeRecent(kind, id) {
+    const store = readStore()
+    if (!Array.isArray(store[kind])) return
+    store[kind] = store[kind].filter(entry => entry.id !== id)
+    writeStore(store)
+}
@@ -0,0 +1,136 @@
+/**
+ * scene.js - CamTech v1.7
+ * Versioned, resolution-independent scene document for an edit
+ * Used by EditorLayer (drafts) and ExportEngine (rendering), storable by a backend
+ *
+ * Scene document (version 1):
+ * {
+ *   version: 1,
+ *   aspectRatio: number,                      // image width / height
+ *   filter: { id: string, strength: number },
+ *   adjustments: { exposure, contrast, ... }, // -100..100, see adjustments.js
+ *   strokes: [{ id, color, size, width, points: [[x, y], ...] }],
+ *   elements: [{ id, type, x, y, scale, rotation, data }]
+ * }
+ *
+ * Element data by type:
+ *   text:    { text, style }
+ *   sticker: { stickerId }
+ *   emoji:   { emojiChar }  // full sequence, skin tone / ZWJ included
+ *
+ * Positions (stroke points, element x/y) are normalized 0-1 to the image size
+ * Lengths (stroke width, element scale) are in units of a SCENE_REFERENCE_WIDTH-wide image
+ */
+
+import { DEFAULT_ADJUSTMENTS } from './adjustments.js'
+
+export const SCENE_VERSION = 1
+
+// Width lengths are expressed against - an element with scale 1 on a
+// 1000px-wide image renders at its base size
+export const SCENE_REFERENCE_WIDTH = 1000
+
+// Brush sizes in display pixels - DrawTool draws with them, ExportEngine
+// falls back to them for strokes without a width
+export const BRUSH_SIZES = {
+    small: 4,
+    medium: 16
+}
+
+/**
+ * Migrations from version N to N + 1, each (doc) => doc
+ * (none yet - version 1 is the first)
+ */
+const MIGRATIONS = {}
+
+/**
+ * Upgrade a scene document to SCENE_VERSION
+ * @throws {Error} If the document is from a newer app version, has no known
+ *   version, or is not a scene
+ */
+export function migrateScene(doc) {
+    if (!doc || typeof doc !== 'object') throw new Error('Invalid scene document')
+
+    let scene = doc
+    let version = doc.version
+    if (version > SCENE_VERSION) {
+        throw new Error(`Scene version ${version} is newer than supported (${SCENE_VERSION})`)
+    }
+
+    while (version !== SCENE_VERSION) {
+        if (!MIGRATIONS[version]) throw new Error(`Unsupported scene version: ${version}`)
+        scene = MIGRATIONS[version](scene)
+        version = scene.version
+    }
+    return scene
+}
+
+/**
+ * Build a scene document from editor state
+ * @param {Object} params
+ * @param {Array} params.strokes - Strokes in pixels of width × height
+ * @param {Array} params.elements - Placed elements in pixels of width × height
+ * @param {string} params.filterId
+ * @param {number} params.filterStrength
+ * @param {Object} params.adjustments
+ * @param {number} params.width - Pixel width strokes/elements were authored at
+ * @param {number} params.height - Pixel height strokes/elements were authored at
+ * @returns {Object} Scene document (JSON-serializable)
+ */
+export function serializeScene({ strokes = [], elements = [], filterId, filterStrength = 1, adjustments, width, height }) {
+    const lengthScale = SCENE_REFERENCE_WIDTH / width
+
+    return {
+        version: SCENE_VERSION,
+        aspectRatio: width / height,
+        filter: { id: filterId || 'original', strength: filterStrength },
+        adjustments: { ...DEFAULT_ADJUSTMENTS, ...adjustments },
+        strokes: strokes.map(stroke => ({
+            id: stroke.id,
+            color: stroke.color,
+            size: stroke.size,
+            width: stroke.width * lengthScale,
+            points: stroke.points.map(p => [p.x / width, p.y / height])
+        })),
+        elements: elements.map(el => ({
+            id: el.id,
+            type: el.type,
+            x: el.x / width,
+            y: el.y / height,
+            scale: el.scale * lengthScale,
+            rotation: el.rotation || 0,
+            data: el.data
+        }))
+    }
+}
+
+/**
+ * Load a scene document (any version) into pixels of a target size
+ * @param {Object} doc - Scene document
+ * @param {{width: number, height: number}} size - Target pixel size
+ * @returns {{strokes: Array, elements: Array, filterId: string, filterStrength: number, adjustments: Object}}
+ * @throws {Error} From migrateScene
+ */
+export function loadScene(doc, { width, height }) {
+    const scene = migrateScene(doc)
+    const lengthScale = width / SCENE_REFERENCE_WIDTH
+
+    return {
+        filterId: scene.filter.id,
+        filterStrength: scene.filter.strength,
+        adjustments: { ...DEFAULT_ADJUSTMENTS, ...scene.adjustments },
+        strokes: scene.strokes.map(stroke => ({
+            id: stroke.id,
+            color: stroke.color,
+            size: stroke.size,
+            width: stroke.width * lengthScale,
+            points: stroke.points.map(([x, y]) => ({ x: x * width, y: y * height }))
+        })),
+        elements: scene.elements.map(el => ({
+            ...el,
+            x: el.x * width,
+            y: el.y * height,
+            scale: el.scale * lengthScale
+        }))
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * settings.js - CamTech v1.7
+ * User preferences, kept in localStorage - read and written through
+ * SettingsProvider / useSettings (hooks/useSettings.jsx)
+ *
+ * Stored (version 1): {
+ *   version: 1,
+ *   toolbarLayout: { position, camera, editor },    // see toolbarLayout.js
+ *   defaultFilter: string,                          // filter id the camera opens with
+ *   exportOptions: { format, quality, maxDimension },
+ *   shutterSound: boolean,
+ *   grid: boolean,                                  // rule-of-thirds viewfinder grid
+ *   mirrorFrontCamera: boolean                      // selfie preview + capture mirrored
+ * }
+ */
+
+import { DEFAULT_EXPORT_OPTIONS, EXPORT_FORMATS } from './exportOptions.js'
+import { DEFAULT_TOOLBAR_LAYOUT, normalizeToolbarLayout } from './toolbarLayout.js'
+
+// localStorage key for settings
+const STORAGE_KEY = 'camtech-settings'
+
+export const SETTINGS_VERSION = 1
+
+export const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    toolbarLayout: DEFAULT_TOOLBAR_LAYOUT,
+    defaultFilter: 'original',
+    exportOptions: DEFAULT_EXPORT_OPTIONS,
+    shutterSound: true,
+    grid: false,
+    mirrorFrontCamera: true
+}
+
+/**
+ * Migrations from version N to N + 1 (none yet - version 1 is the first)
+ */
+const MIGRATIONS = {}
+
+const BOOLEAN_SETTINGS = ['shutterSound', 'grid', 'mirrorFrontCamera']
+
+/**
+ * Complete settings from a stored or partial object - invalid values fall
+ * back to their defaults one by one, so one bad field doesn't reset the rest
+ */
+export function normalizeSettings(stored) {
+    const source = stored && typeof stored === 'object' ? stored : {}
+    const settings = {
+        version: SETTINGS_VERSION,
+        toolbarLayout: normalizeToolbarLayout(source.toolbarLayout),
+        defaultFilter: typeof source.defaultFilter === 'string' ? source.defaultFilter : DEFAULT_SETTINGS.defaultFilter
+    }
+
+    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...source.exportOptions }
+    if (!EXPORT_FORMATS[exportOptions.format]) exportOptions.format = DEFAULT_EXPORT_OPTIONS.format
+    if (typeof exportOptions.quality !== 'number') exportOptions.quality = DEFAULT_EXPORT_OPTIONS.quality
+    if (exportOptions.maxDimension !== null && typeof exportOptions.maxDimension !== 'number') {
+        exportOptions.maxDimension = DEFAULT_EXPORT_OPTIONS.maxDimension
+    }
+    settings.exportOptions = exportOptions
+
+    BOOLEAN_SETTINGS.forEach((key) => {
+        settings[key] = typeof source[key] === 'boolean' ? source[key] : DEFAULT_SETTINGS[key]
+    })
+    return settings
+}
+
+/**
+ * Stored settings, upgraded to SETTINGS_VERSION - defaults if none or unreadable
+ */
+export function loadSettings() {
+    try {
+        let stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+        if (!stored) return DEFAULT_SETTINGS
+
+        let version = stored.version || 0
+        if (version > SETTINGS_VERSION) {
+            console.warn(`Settings version ${version} is newer than supported (${SETTINGS_VERSION})`)
+            return DEFAULT_SETTINGS
+        }
+        while (version < SETTINGS_VERSION && MIGRATIONS[version]) {
+            stored = MIGRATIONS[version](stored)
+            version = stored.version
+        }
+        return normalizeSettings(stored)
+    } catch (e) {
+        console.warn('Stored settings unreadable:', e)
+        return DEFAULT_SETTINGS
+    }
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeSettings(settings)))
+    } catch (e) {
+        // Private browsing / full storage - settings last until reload
+        console.warn('Settings not saved:', e)
+    }
+}
+
+/**
+ * Call listener(settings) when another tab changes them
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeSettings(listener) {
+    const handleStorage = (e) => {
+        if (e.key === STORAGE_KEY) listener(loadSettings())
+    }
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+}
@@ -0,0 +1,196 @@
+/**
+ * stickerPacks.js - CamTech v1.7
+ * Sticker pack manifests and offline asset caching
+ * The bundled manifest ships with the app; packs listed by remote manifests
+ * are added at runtime and cached in Cache Storage so they work offline
+ *
+ * Manifest (version 1):
+ * {
+ *   version: 1,
+ *   packs: [{ id, name, thumbnail, stickers: [{ id, label, src, animated? }] }],
+ *   remoteManifests: [url, ...]   // bundled manifest only
+ * }
+ *
+ * thumbnail/src may be relative to the manifest URL (bundled: src/assets/stickers/)
+ * animated: true marks an animated GIF/APNG, played frame by frame (animatedImage.js)
+ * Sticker ids are stored in scenes - unique across every pack and never reused
+ */
+
+import bundledManifest from '../assets/stickers/manifest.json'
+
+export const MANIFEST_VERSION = 1
+
+const CACHE_NAME = 'camtech-sticker-packs-v1'
+
+// Bundled artwork keyed by file name
+const ARTWORK = import.meta.glob('../assets/stickers/*.{svg,png,gif}', { eager: true, query: '?url', import: 'default' })
+
+const resolveBundled = (src) => ARTWORK[`../assets/stickers/${src}`]
+
+/**
+ * Validate a manifest and resolve its asset URLs
+ * Malformed packs and stickers are skipped; a malformed manifest throws
+ * @param {Object} json - Parsed manifest
+ * @param {Function} resolveUrl - Maps a manifest src to a loadable URL
+ * @returns {{packs: Array, remoteManifests: string[]}}
+ * @throws {Error} If the document is not a supported manifest
+ */
+export function parseStickerManifest(json, resolveUrl) {
+    if (!json || typeof json !== 'object' || !Array.isArray(json.packs)) {
+        throw new Error('Invalid sticker manifest')
+    }
+    if (json.version > MANIFEST_VERSION) {
+        throw new Error(`Sticker manifest version ${json.version} is newer than supported (${MANIFEST_VERSION})`)
+    }
+
+    const packs = json.packs
+        .filter(pack => pack && pack.id && pack.name && Array.isArray(pack.stickers))
+        .map(pack => {
+            const stickers = pack.stickers
+                .filter(sticker => sticker && sticker.id && sticker.src)
+                .map(sticker => ({
+                    id: String(sticker.id),
+                    label: sticker.label || String(sticker.id),
+                    src: resolveUrl(sticker.src),
+                    packId: String(pack.id),
+                    animated: sticker.animated === true
+                }))
+                .filter(sticker => sticker.src)
+            return {
+                id: String(pack.id),
+                name: String(pack.name),
+                thumbnail: (pack.thumbnail && resolveUrl(pack.thumbnail)) || stickers[0]?.src,
+                stickers
+            }
+        })
+        .filter(pack => pack.stickers.length > 0)
+
+    const remoteManifests = Array.isArray(json.remoteManifests)
+        ? json.remoteManifests.filter(url => typeof url === 'string')
+        : []
+
+    return { packs, remoteManifests }
+}
+
+const bundled = parseStickerManifest(bundledManifest, resolveBundled)
+
+// Always available, even before remote manifests load
+export const BUNDLED_PACKS = bundled.packs
+
+// Cache Storage needs a secure context - without it everything is network-only
+function openCache() {
+    if (typeof caches === 'undefined') return Promise.resolve(null)
+    return caches.open(CACHE_NAME).catch(() => null)
+}
+
+/**
+ * Network-first manifest fetch - the cached copy keeps packs working offline
+ */
+async function fetchManifest(url, cache) {
+    try {
+        const response = await fetch(url, { cache: 'no-cache' })
+        if (!response.ok) throw new Error(`Manifest request failed: ${response.status}`)
+        if (cache) await cache.put(url, response.clone())
+        return await response.json()
+    } catch (e) {
+        const cached = cache && await cache.match(url)
+        if (!cached) throw e
+        return cached.json()
+    }
+}
+
+// Object URLs for cached assets, one per asset URL for the session
+const assetURLs = new Map()
+
+/**
+ * Cache-first asset fetch, returned as an object URL
+ * Blob URLs are same-origin, so export canvases stay untainted
+ */
+function cachedAssetURL(url, cache) {
+    if (!assetURLs.has(url)) {
+        const promise = (async () => {
+            let response = cache && await cache.match(url)
+            if (!response) {
+                response = await fetch(url, { mode: 'cors' })
+                if (!response.ok) throw new Error(`Sticker request failed: ${response.status}`)
+                if (cache) await cache.put(url, response.clone())
+            }
+            return URL.createObjectURL(await response.blob())
+        })()
+        // Allow a retry after a failed fetch
+        promise.catch(() => assetURLs.delete(url))
+        assetURLs.set(url, promise)
+    }
+    return assetURLs.get(url)
+}
+
+/**
+ * Fetch a remote manifest and swap its asset URLs for cached object URLs
+ * Stickers whose artwork can't be fetched are dropped
+ */
+async function loadRemoteManifest(url, cache) {
+    const { packs } = parseStickerManifest(await fetchManifest(url, cache), src => new URL(src, url).href)
+    const sources = new Set([url])
+
+    const loaded = await Promise.all(packs.map(async (pack) => {
+        const stickers = await Promise.all(pack.stickers.map(async (sticker) => {
+            sources.add(sticker.src)
+            try {
+                return { ...sticker, src: await cachedAssetURL(sticker.src, cache) }
+            } catch (e) {
+                console.warn('Sticker unavailable:', sticker.id, e)
+                return null
+            }
+        }))
+        const available = stickers.filter(Boolean)
+
+        let thumbnail = available[0]?.src
+        if (pack.thumbnail) {
+            sources.add(pack.thumbnail)
+            thumbnail = await cachedAssetURL(pack.thumbnail, cache).catch(() => thumbnail)
+        }
+        return { ...pack, thumbnail, stickers: available }
+    }))
+
+    return { packs: loaded.filter(pack => pack.stickers.length > 0), sources }
+}
+
+/**
+ * Drop cached responses no manifest references anymore (retired packs)
+ */
+async function pruneCache(cache, sources) {
+    const requests = await cache.keys()
+    await Promise.all(requests
+        .filter(request => !sources.has(request.url))
+        .map(request => cache.delete(request)))
+}
+
+/**
+ * Bundled packs followed by every pack from the remote manifests
+ * A remote manifest that fails (offline and never cached) is skipped
+ * @returns {Promise<Array<{id, name, thumbnail, stickers: Array<{id, label, src, packId, animated}>}>>}
+ */
+export async function loadStickerPacks() {
+    if (bundled.remoteManifests.length === 0) return BUNDLED_PACKS
+
+    const cache = await openCache()
+    // Absolute URLs so they match Cache Storage keys
+    const urls = bundled.remoteManifests.map(url => new URL(url, window.location.href).href)
+    const results = await Promise.all(urls.map(url =>
+        loadRemoteManifest(url, cache).catch((e) => {
+            console.warn('Sticker manifest unavailable:', url, e)
+            return null
+        })
+    ))
+
+    // Only prune when every manifest answered, or an offline start would wipe a pack
+    if (cache && results.every(Boolean)) {
+        const sources = new Set(results.flatMap(result => [...result.sources]))
+        pruneCache(cache, sources).catch(e => console.warn('Sticker cache prune failed:', e))
+    }
+
+    // Pack ids key the drawer tabs - first manifest to claim one wins
+    const seen = new Set()
+    return [...BUNDLED_PACKS, ...results.filter(Boolean).flatMap(result => result.packs)]
+        .filter(pack => !seen.has(pack.id) && seen.add(pack.id))
+}
@@ -0,0 +1,116 @@
+/**
+ * stickers.js - CamTech v1.7
+ * Sticker registry - the same artwork URL is shown by DraggableElement
+ * and composited by ExportEngine, so on-screen and exported stickers match
+ *
+ * Sticker: { id, label, src, packId, animated } (packs from stickerPacks.js, cutouts from cutouts.js)
+ * Placed sticker element data: { stickerId }
+ */
+
+import { BUNDLED_PACKS, loadStickerPacks } from './stickerPacks.js'
+import { isCutoutId, getCutoutSticker, loadCutoutSticker } from './cutouts.js'
+import { loadAnimation } from './animatedImage.js'
+
+// Base box in px at element scale 1 (must match .draggable-sticker in DraggableElement.css)
+export const STICKER_SIZE = 80
+
+const stickersById = new Map()
+
+// First pack to claim an id wins - a remote pack can't replace bundled artwork
+function registerPacks(packs) {
+    packs.forEach(pack => pack.stickers.forEach(sticker => {
+        if (!stickersById.has(sticker.id)) stickersById.set(sticker.id, sticker)
+    }))
+}
+
+registerPacks(BUNDLED_PACKS)
+
+let packsPromise = null
+
+/**
+ * All installed packs (bundled + remote), loaded once per session
+ * @returns {Promise<Array>}
+ */
+export function getStickerPacks() {
+    if (!packsPromise) {
+        packsPromise = loadStickerPacks()
+            .catch((e) => {
+                console.warn('Sticker packs unavailable:', e)
+                return BUNDLED_PACKS
+            })
+            .then((packs) => {
+                registerPacks(packs)
+                return packs
+            })
+    }
+    return packsPromise
+}
+
+/**
+ * Look up a sticker that is already available (bundled, a loaded pack, or a cutout read this session)
+ */
+export function getSticker(id) {
+    if (isCutoutId(id)) return getCutoutSticker(id)
+    return stickersById.get(id) || null
+}
+
+/**
+ * True if the sticker is known and animated (placed stickers whose pack hasn't loaded count as still)
+ */
+export function isAnimatedSticker(id) {
+    return getSticker(id)?.animated === true
+}
+
+/**
+ * Look up a sticker, waiting for remote packs or local cutout storage if needed
+ * @returns {Promise<Object|null>}
+ */
+export async function findSticker(id) {
+    if (isCutoutId(id)) return loadCutoutSticker(id)
+    if (!stickersById.has(id)) await getStickerPacks()
+    return getSticker(id)
+}
+
+// Decoded artwork, shared across exports
+const imageCache = new Map()
+
+/**
+ * Load a sticker's artwork for canvas drawing
+ * @returns {Promise<HTMLImageElement>}
+ * @throws {Error} If the sticker id is unknown or the artwork fails to load
+ */
+export function loadStickerImage(id) {
+    if (!imageCache.has(id)) {
+        const promise = findSticker(id).then(sticker => new Promise((resolve, reject) => {
+            if (!sticker) {
+                reject(new Error(`Unknown sticker: ${id}`))
+                return
+            }
+            const img = new Image()
+            img.onload = () => resolve(img)
+            img.onerror = () => reject(new Error(`Failed to load sticker: ${id}`))
+            img.src = sticker.src
+        }))
+        // Allow a retry after a failed load
+        promise.catch(() => imageCache.delete(id))
+        imageCache.set(id, promise)
+    }
+    return imageCache.get(id)
+}
+
+/**
+ * Decoded frames of an animated sticker
+ * Static stickers (and animations that fail to decode) resolve to null -
+ * callers fall back to loadStickerImage, which shows the first frame
+ * @returns {Promise<Object|null>} Animation (animatedImage.js)
+ */
+export async function loadStickerAnimation(id) {
+    const sticker = await findSticker(id)
+    if (!sticker || !sticker.animated) return null
+    try {
+        return await loadAnimation(sticker.src)
+    } catch (e) {
+        console.warn('Sticker animation unavailable:', id, e)
+        return null
+    }
+}
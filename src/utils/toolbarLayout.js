@@ -0,0 +1,103 @@
+/**
+ * toolbarLayout.js - CamTech v1.7
+ * Toolbar placement, button order and hidden tools - shared by CameraLayer
+ * and EditorLayer, edited in SettingsSheet
+ *
+ * Layout: {
+ *   position: 'left' | 'right' | 'bottom',
+ *   camera: { order: [toolId, ...], hidden: [toolId, ...] },
+ *   editor: { order: [...], hidden: [...] }
+ * }
+ */
+
+export const TOOL_POSITIONS = [
+    { id: 'left', label: 'Left' },
+    { id: 'right', label: 'Right' },
+    { id: 'bottom', label: 'Bottom' }
+]
+
+// Configurable tools per surface, in default order
+// (Editor Retake / Done always stay at the end of the bar)
+export const TOOLBAR_TOOLS = {
+    camera: [
+        { id: 'flip', label: 'Flip Camera' },
+        { id: 'flash', label: 'Flash' },
+        { id: 'lut', label: 'Import LUT' },
+        { id: 'drafts', label: 'Drafts' }
+    ],
+    editor: [
+        { id: 'text', label: 'Text' },
+        { id: 'stickers', label: 'Stickers' },
+        { id: 'emoji', label: 'Emoji' },
+        { id: 'draw', label: 'Draw' },
+        { id: 'filters', label: 'Filters' },
+        { id: 'adjust', label: 'Adjust' }
+    ]
+}
+
+export const DEFAULT_TOOLBAR_LAYOUT = {
+    position: 'right',
+    camera: { order: TOOLBAR_TOOLS.camera.map(tool => tool.id), hidden: [] },
+    editor: { order: TOOLBAR_TOOLS.editor.map(tool => tool.id), hidden: [] }
+}
+
+/**
+ * Valid layout from anything (stored or partial) - unknown tools are
+ * dropped, tools missing from the order (added in a later version) go last
+ */
+export function normalizeToolbarLayout(layout) {
+    const source = layout && typeof layout === 'object' ? layout : {}
+    const normalized = {
+        position: TOOL_POSITIONS.some(p => p.id === source.position)
+            ? source.position
+            : DEFAULT_TOOLBAR_LAYOUT.position
+    }
+
+    Object.entries(TOOLBAR_TOOLS).forEach(([surface, tools]) => {
+        const ids = tools.map(tool => tool.id)
+        const stored = source[surface] || {}
+        const order = Array.isArray(stored.order) ? stored.order.filter(id => ids.includes(id)) : []
+        normalized[surface] = {
+            order: [...new Set([...order, ...ids])],
+            hidden: Array.isArray(stored.hidden) ? ids.filter(id => stored.hidden.includes(id)) : []
+        }
+    })
+    return normalized
+}
+
+/**
+ * Visible tool ids of a surface, in the user's order
+ * @param {Object} layout
+ * @param {'camera'|'editor'} surface
+ * @returns {string[]}
+ */
+export function getToolbarTools(layout, surface) {
+    const { order, hidden } = normalizeToolbarLayout(layout)[surface]
+    return order.filter(id => !hidden.includes(id))
+}
+
+/**
+ * Layout with a tool moved offset places (-1 = earlier) in its surface's order
+ */
+export function moveToolbarTool(layout, surface, id, offset) {
+    const normalized = normalizeToolbarLayout(layout)
+    const order = [...normalized[surface].order]
+    const from = order.indexOf(id)
+    const to = Math.max(0, Math.min(order.length - 1, from + offset))
+    if (from < 0 || from === to) return normalized
+
+    order.splice(to, 0, ...order.splice(from, 1))
+    return { ...normalized, [surface]: { ...normalized[surface], order } }
+}
+
+/**
+ * Layout with a tool shown or hidden
+ */
+export function setToolbarToolHidden(layout, surface, id, hidden) {
+    const normalized = normalizeToolbarLayout(layout)
+    const others = normalized[surface].hidden.filter(other => other !== id)
+    return {
+        ...normalized,
+        [surface]: { ...normalized[surface], hidden: hidden ? [...others, id] : others }
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * webglPreview.js - CamTech v1.7
+ * WebGL viewfinder renderer - fragment shader ports of applyPixelFilter
+ * Same per-pixel math as capture (0-255 space, same clamps and order)
+ * CSS filters remain the fallback when WebGL is unavailable
+ */
+
+import { getLUT } from './filters.js'
+
+// Shader filter ids - must cover every case in applyPixelFilter
+const SHADER_FILTERS = {
+    original: 0,
+    mono: 1,
+    warm: 2,
+    cool: 3,
+    vibrant: 4,
+    vintage: 5,
+    pastel: 6,
+    soft: 7,
+    crisp: 8,
+    fade: 9
+}
+
+// Imported .cube LUTs (sampled from an atlas texture)
+const SHADER_LUT = 100
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+void main() {
+    v_uv = vec2((a_position.x + 1.0) / 2.0, (1.0 - a_position.y) / 2.0);
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`
+
+const FRAGMENT_SHADER = `
+precision highp float;
+varying vec2 v_uv;
+uniform sampler2D u_frame;
+uniform sampler2D u_lut;
+uniform float u_lutSize;
+uniform vec3 u_lutDomainMin;
+uniform vec3 u_lutDomainMax;
+uniform int u_filter;
+uniform float u_strength;
+
+vec3 clamp255(vec3 c) { return clamp(c, 0.0, 255.0); }
+
+// CSS saturate(): luminance + (c - luminance) * s
+vec3 saturateSpec(vec3 c, float s) {
+    float lum = dot(c, vec3(0.213, 0.715, 0.072));
+    return lum + (c - lum) * s;
+}
+
+// CSS sepia(): spec matrix blended with identity by (1 - amount)
+vec3 sepiaSpec(vec3 c, float a) {
+    vec3 full = vec3(
+        dot(c, vec3(0.393, 0.769, 0.189)),
+        dot(c, vec3(0.349, 0.686, 0.168)),
+        dot(c, vec3(0.272, 0.534, 0.131))
+    );
+    return mix(c, full, a);
+}
+
+// CSS grayscale(1)
+vec3 grayscaleSpec(vec3 c) { return vec3(dot(c, vec3(0.2126, 0.7152, 0.0722))); }
+
+// CSS hue-rotate()
+vec3 hueRotateSpec(vec3 c, float degrees) {
+    float cs = cos(radians(degrees));
+    float sn = sin(radians(degrees));
+    return vec3(
+        dot(c, vec3(0.213 + cs * 0.787 - sn * 0.213, 0.715 - cs * 0.715 - sn * 0.715, 0.072 - cs * 0.072 + sn * 0.928)),
+        dot(c, vec3(0.213 - cs * 0.213 + sn * 0.143, 0.715 + cs * 0.285 + sn * 0.140, 0.072 - cs * 0.072 - sn * 0.283)),
+        dot(c, vec3(0.213 - cs * 0.213 - sn * 0.787, 0.715 - cs * 0.715 + sn * 0.715, 0.072 + cs * 0.928 + sn * 0.072))
+    );
+}
+
+vec3 contrastAt(vec3 c, float k, float mid) { return (c - mid) * k + mid; }
+
+vec3 lutFetch(float r, float g, float b) {
+    float size = u_lutSize;
+    vec2 uv = vec2((r + b * size + 0.5) / (size * size), (g + 0.5) / size);
+    return texture2D(u_lut, uv).rgb;
+}
+
+vec3 sampleLUT(vec3 c) {
+    float mx = u_lutSize - 1.0;
+    vec3 f = clamp((c / 255.0 - u_lutDomainMin) / (u_lutDomainMax - u_lutDomainMin) * mx, 0.0, mx);
+    vec3 i0 = floor(f);
+    vec3 i1 = min(i0 + 1.0, mx);
+    vec3 d = f - i0;
+    vec3 c00 = mix(lutFetch(i0.r, i0.g, i0.b), lutFetch(i1.r, i0.g, i0.b), d.r);
+    vec3 c10 = mix(lutFetch(i0.r, i1.g, i0.b), lutFetch(i1.r, i1.g, i0.b), d.r);
+    vec3 c01 = mix(lutFetch(i0.r, i0.g, i1.b), lutFetch(i1.r, i0.g, i1.b), d.r);
+    vec3 c11 = mix(lutFetch(i0.r, i1.g, i1.b), lutFetch(i1.r, i1.g, i1.b), d.r);
+    return mix(mix(c00, c10, d.g), mix(c01, c11, d.g), d.b) * 255.0;
+}
+
+vec3 applyFilter(vec3 c) {
+    if (u_filter == 1) {
+        c = clamp255(grayscaleSpec(c));
+        return clamp255(contrastAt(c, 1.1, 127.5));
+    }
+    if (u_filter == 2) {
+        c = clamp255(sepiaSpec(c, 0.3));
+        c = clamp255(saturateSpec(c, 1.4));
+        return clamp255(c * 1.1);
+    }
+    if (u_filter == 3) {
+        c = clamp255(saturateSpec(c, 0.9));
+        c = clamp255(hueRotateSpec(c, 10.0));
+        return clamp255(c * 1.05);
+    }
+    if (u_filter == 4) {
+        c = clamp255(saturateSpec(c, 1.6));
+        c = clamp255(contrastAt(c, 1.1, 127.5));
+        return clamp255(c * 1.05);
+    }
+    if (u_filter == 5) {
+        c = clamp255(sepiaSpec(c, 0.4));
+        c = clamp255(contrastAt(c, 0.9, 127.5));
+        c = clamp255(c * 0.95);
+        return clamp255(saturateSpec(c, 0.8));
+    }
+    if (u_filter == 6) {
+        c = clamp255(saturateSpec(c, 0.7));
+        c = clamp255(c * 1.15);
+        return clamp255(contrastAt(c, 0.9, 127.5));
+    }
+    if (u_filter == 7) {
+        c = clamp255(c * 1.08);
+        c = clamp255(contrastAt(c, 0.92, 127.5));
+        return clamp255(saturateSpec(c, 0.95));
+    }
+    if (u_filter == 8) {
+        c = clamp255(contrastAt(c, 1.15, 127.5));
+        c = clamp255(saturateSpec(c, 1.1));
+        return clamp255(c * 1.02);
+    }
+    if (u_filter == 9) {
+        c = clamp255(contrastAt(c, 0.85, 127.5));
+        c = clamp255(saturateSpec(c, 0.75));
+        return clamp255(c * 1.1);
+    }
+    if (u_filter == ${SHADER_LUT}) {
+        return clamp255(sampleLUT(c));
+    }
+    return c;
+}
+
+void main() {
+    vec3 original = floor(texture2D(u_frame, v_uv).rgb * 255.0 + 0.5);
+    // Capture writes the full filter to a Uint8ClampedArray before blending
+    vec3 filtered = floor(applyFilter(original) + 0.5);
+    vec3 blended = original + (filtered - original) * u_strength;
+    gl_FragColor = vec4(blended / 255.0, 1.0);
+}
+`
+
+/**
+ * Capability check - WebGL context with video texture upload
+ */
+export function isWebGLPreviewSupported() {
+    try {
+        const canvas = document.createElement('canvas')
+        const gl = canvas.getContext('webgl', { failIfMajorPerformanceCaveat: true })
+        if (!gl) return false
+        const lose = gl.getExtension('WEBGL_lose_context')
+        if (lose) lose.loseContext()
+        return true
+    } catch (e) {
+        return false
+    }
+}
+
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type)
+    gl.shaderSource(shader, source)
+    gl.compileShader(shader)
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader)
+        gl.deleteShader(shader)
+        throw new Error(`Shader compile failed: ${log}`)
+    }
+    return shader
+}
+
+function createTexture(gl) {
+    const texture = gl.createTexture()
+    gl.bindTexture(gl.TEXTURE_2D, texture)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST)
+    return texture
+}
+
+/**
+ * Create a renderer bound to a canvas
+ * @param {HTMLCanvasElement} canvas
+ * @returns {{ render: Function, destroy: Function }}
+ * @throws {Error} If WebGL or shader compilation fails
+ */
+export function createWebGLPreview(canvas) {
+    const gl = canvas.getContext('webgl', { preserveDrawingBuffer: false })
+    if (!gl) throw new Error('WebGL unavailable')
+
+    const program = gl.createProgram()
+    gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER))
+    gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER))
+    gl.linkProgram(program)
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`)
+    }
+    gl.useProgram(program)
+
+    // Fullscreen quad
+    const buffer = gl.createBuffer()
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer)
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW)
+    const positionLocation = gl.getAttribLocation(program, 'a_position')
+    gl.enableVertexAttribArray(positionLocation)
+    gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0)
+
+    const frameTexture = createTexture(gl)
+    const lutTexture = createTexture(gl)
+
+    const uniforms = {
+        frame: gl.getUniformLocation(program, 'u_frame'),
+        lut: gl.getUniformLocation(program, 'u_lut'),
+        lutSize: gl.getUniformLocation(program, 'u_lutSize'),
+        lutDomainMin: gl.getUniformLocation(program, 'u_lutDomainMin'),
+        lutDomainMax: gl.getUniformLocation(program, 'u_lutDomainMax'),
+        filter: gl.getUniformLocation(program, 'u_filter'),
+        strength: gl.getUniformLocation(program, 'u_strength')
+    }
+    gl.uniform1i(uniforms.frame, 0)
+    gl.uniform1i(uniforms.lut, 1)
+
+    let uploadedLUT = null
+
+    // Upload an imported LUT as a (size² × size) atlas: x = r + b·size, y = g
+    const uploadLUT = (lut) => {
+        if (lut === uploadedLUT) return
+        const { size, table } = lut
+        const pixels = new Uint8Array(size * size * size * 4)
+        for (let i = 0, j = 0; i < table.length; i += 3, j += 4) {
+            pixels[j] = Math.round(Math.max(0, Math.min(1, table[i])) * 255)
+            pixels[j + 1] = Math.round(Math.max(0, Math.min(1, table[i + 1])) * 255)
+            pixels[j + 2] = Math.round(Math.max(0, Math.min(1, table[i + 2])) * 255)
+            pixels[j + 3] = 255
+        }
+
+        // Table order is r fastest, then g, then b - regroup rows by g
+        const atlas = new Uint8Array(pixels.length)
+        const rowBytes = size * size * 4
+        for (let b = 0; b < size; b++) {
+            for (let g = 0; g < size; g++) {
+                const src = (g * size + b * size * size) * 4
+                const dst = g * rowBytes + b * size * 4
+                atlas.set(pixels.subarray(src, src + size * 4), dst)
+            }
+        }
+
+        gl.activeTexture(gl.TEXTURE1)
+        gl.bindTexture(gl.TEXTURE_2D, lutTexture)
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size * size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, atlas)
+        gl.uniform1f(uniforms.lutSize, size)
+        gl.uniform3fv(uniforms.lutDomainMin, lut.domainMin)
+        gl.uniform3fv(uniforms.lutDomainMax, lut.domainMax)
+        uploadedLUT = lut
+    }
+
+    /**
+     * Draw one video frame with the filter applied
+     * @param {HTMLVideoElement} video
+     * @param {string} filterId
+     * @param {number} strength - 0-1
+     */
+    const render = (video, filterId, strength) => {
+        if (!video.videoWidth) return
+
+        if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+            canvas.width = video.videoWidth
+            canvas.height = video.videoHeight
+        }
+        gl.viewport(0, 0, canvas.width, canvas.height)
+
+        let shaderFilter = SHADER_FILTERS[filterId] ?? 0
+        const lut = getLUT(filterId)
+        if (lut) {
+            uploadLUT(lut)
+            shaderFilter = SHADER_LUT
+        }
+
+        gl.activeTexture(gl.TEXTURE0)
+        gl.bindTexture(gl.TEXTURE_2D, frameTexture)
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video)
+
+        gl.uniform1i(uniforms.filter, shaderFilter)
+        gl.uniform1f(uniforms.strength, shaderFilter === 0 ? 0 : strength)
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4)
+    }
+
+    const destroy = () => {
+        gl.deleteTexture(frameTexture)
+        gl.deleteTexture(lutTexture)
+        gl.deleteBuffer(buffer)
+        gl.deleteProgram(program)
+    }
+
+    return { render, destroy }
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { INITIAL_STATE, historyReducer } from '../src/hooks/useEditHistory.js'
+import { BRUSH_SIZES } from '../src/utils/scene.js'
+
+const run = (actions, state = INITIAL_STATE) => actions.reduce(historyReducer, state)
+
+const emoji = { id: 'e1', type: 'emoji', x: 10, y: 10, scale: 1, rotation: 0, data: { emojiChar: '😀' } }
+
+// Same shape DrawTool records (pixel points)
+const stroke = {
+    id: 'stroke-1',
+    color: '#FFFFFF',
+    size: 'small',
+    width: BRUSH_SIZES.small,
+    points: [{ x: 0, y: 0 }, { x: 12, y: 30 }]
+}
+
+test('undo and redo walk strokes and elements in one history', () => {
+    let state = run([
+        { type: 'execute', command: { type: 'strokes', before: [], after: [stroke] } },
+        { type: 'execute', command: { type: 'add', element: emoji } }
+    ])
+    assert.equal(state.strokes.length, 1)
+    assert.equal(state.elements.length, 1)
+
+    state = run([{ type: 'undo' }], state)
+    assert.deepEqual(state.elements, [])
+    assert.equal(state.strokes.length, 1)
+    assert.equal(state.past.at(-1).type, 'strokes')
+
+    state = run([{ type: 'undo' }, { type: 'undo' }], state)
+    assert.deepEqual(state.strokes, [])
+    assert.equal(state.future.length, 2)
+
+    state = run([{ type: 'redo' }, { type: 'redo' }], state)
+    assert.deepEqual(state.strokes, [stroke])
+    assert.deepEqual(state.elements, [emoji])
+})
+
+test('a gesture is recorded as one update, and only if something changed', () => {
+    let state = run([
+        { type: 'execute', command: { type: 'add', element: emoji } },
+        { type: 'preview', id: 'e1', updates: { x: 20 } },
+        { type: 'preview', id: 'e1', updates: { x: 30 } },
+        { type: 'commit', id: 'e1', before: { x: 10 } }
+    ])
+    assert.equal(state.past.length, 2)
+    assert.deepEqual(state.past[1], { type: 'update', id: 'e1', before: { x: 10 }, after: { x: 30 } })
+
+    state = run([{ type: 'commit', id: 'e1', before: { x: 30 } }], state)
+    assert.equal(state.past.length, 2)
+
+    state = run([{ type: 'undo' }], state)
+    assert.equal(state.elements[0].x, 10)
+})
+
+test('a removed element comes back at its stacking position and start transform', () => {
+    const other = { ...emoji, id: 'e2' }
+    let state = run([
+        { type: 'execute', command: { type: 'add', element: emoji } },
+        { type: 'execute', command: { type: 'add', element: other } },
+        { type: 'preview', id: 'e1', updates: { x: 500 } },
+        { type: 'remove', id: 'e1', restore: { x: 10 } }
+    ])
+    assert.deepEqual(state.elements.map(el => el.id), ['e2'])
+
+    state = run([{ type: 'undo' }], state)
+    assert.deepEqual(state.elements.map(el => el.id), ['e1', 'e2'])
+    assert.equal(state.elements[0].x, 10)
+})
+
+test('a new command clears redo and load starts a fresh history', () => {
+    let state = run([
+        { type: 'execute', command: { type: 'add', element: emoji } },
+        { type: 'undo' },
+        { type: 'execute', command: { type: 'strokes', before: [], after: [stroke] } }
+    ])
+    assert.deepEqual(state.future, [])
+
+    state = run([{ type: 'load', strokes: [], elements: [emoji] }], state)
+    assert.deepEqual(state.past, [])
+    assert.deepEqual(state.elements, [emoji])
+})
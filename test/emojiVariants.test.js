@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { EMOJI_GROUPS } from '../src/utils/emojiData.js'
+import { EMOJI_DENYLIST, getAllEmojis } from '../src/utils/emojis.js'
+import {
+    SKIN_TONES,
+    applySkinTone,
+    getEmojiVariants,
+    getSkinTone,
+    stripSkinTone,
+    supportsSkinTone
+} from '../src/utils/emojiVariants.js'
+
+// RGI = emojiData.js (untoned) + the toned sequences it leaves out
+const TONED = readFileSync(new URL('./fixtures/emoji-skin-tones-15.1.txt', import.meta.url), 'utf8')
+    .split('\n')
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => String.fromCodePoint(...line.split(' ').map(hex => parseInt(hex, 16))))
+const RGI = new Set([...Object.values(EMOJI_GROUPS).flat().map(([emoji]) => emoji), ...TONED])
+
+test('every variant offered is an RGI emoji', () => {
+    const invalid = []
+    let cells = 0
+    getAllEmojis().forEach((emoji) => {
+        (getEmojiVariants(emoji) || []).flat().forEach((variant) => {
+            cells++
+            if (!RGI.has(variant)) invalid.push(`${emoji} → ${variant}`)
+        })
+    })
+    assert.ok(cells > 0)
+    assert.deepEqual(invalid, [])
+})
+
+test('every RGI toned sequence is reachable from the picker', () => {
+    const offered = new Set()
+    getAllEmojis().forEach((emoji) => {
+        (getEmojiVariants(emoji) || []).flat().forEach(variant => offered.add(variant))
+    })
+    // Multi-person sequences with mixed tones aren't offered - one tone per grid cell
+    const singleTone = TONED.filter(emoji => new Set(emoji.match(/[\u{1F3FB}-\u{1F3FF}]/gu)).size === 1)
+    const missing = singleTone.filter(emoji => !offered.has(emoji) && !EMOJI_DENYLIST.has(stripSkinTone(emoji)))
+    assert.deepEqual(missing, [])
+})
+
+test('variant grid: gender rows × tone columns', () => {
+    const grid = getEmojiVariants('🧑‍💻')
+    assert.equal(grid.length, 3)
+    assert.ok(grid.every(row => row.length === SKIN_TONES.length))
+    assert.deepEqual(grid.map(row => row[0]), ['🧑‍💻', '👨‍💻', '👩‍💻'])
+    assert.equal(grid[2][3], '👩🏽‍💻')
+
+    // Any form of the emoji opens the same grid
+    assert.deepEqual(getEmojiVariants('👩🏽‍💻'), grid)
+    assert.equal(getEmojiVariants('🍎'), null)
+})
+
+test('skin tones apply, strip and read back', () => {
+    assert.equal(applySkinTone('👍', 'dark'), '👍🏿')
+    assert.equal(applySkinTone('👍🏿', 'none'), '👍')
+    assert.equal(applySkinTone('🍎', 'dark'), '🍎')
+    // FE0F dropped after the modifier base, restored when stripped back
+    assert.equal(applySkinTone('🕵️‍♀️', 'light'), '🕵🏻‍♀️')
+    assert.equal(applySkinTone('🕵🏻‍♀️', 'none'), '🕵️‍♀️')
+    assert.equal(stripSkinTone('👍🏽'), '👍')
+    assert.equal(getSkinTone('👍🏼'), 'medium-light')
+    assert.equal(getSkinTone('👍'), 'none')
+    assert.ok(supportsSkinTone('👋'))
+    assert.ok(!supportsSkinTone('😀'))
+})
@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EMOJI_DENYLIST, getAllEmojis, searchEmojis } from '../src/utils/emojis.js'
+import { EMOJI_GROUPS } from '../src/utils/emojiData.js'
+
+test('denylisted emojis exist in the dataset and are never offered', () => {
+    const dataset = new Set(Object.values(EMOJI_GROUPS).flat().map(([emoji]) => emoji))
+    const offered = new Set(getAllEmojis())
+    EMOJI_DENYLIST.forEach((emoji) => {
+        assert.ok(dataset.has(emoji), `${emoji} is not a fully-qualified dataset emoji`)
+        assert.ok(!offered.has(emoji), `${emoji} is offered`)
+    })
+    assert.deepEqual(searchEmojis('beer'), [])
+    assert.deepEqual(searchEmojis('🍷'), [])
+})
+
+test('search ranks names, keywords and shortcodes', () => {
+    assert.equal(searchEmojis('fire')[0], '🔥')
+    assert.deepEqual(searchEmojis('red apple'), ['🍎'])
+    assert.equal(searchEmojis('thumbs up')[0], '👍')
+    assert.equal(searchEmojis('  GRINNING face ')[0], '😀')
+    assert.equal(searchEmojis('grinning face', 3).length, 3)
+    assert.deepEqual(searchEmojis('xyzzy'), [])
+    assert.deepEqual(searchEmojis('   '), [])
+})
+
+test('shortcode queries only match shortcodes, exact ones first', () => {
+    const results = searchEmojis(':fire:')
+    assert.equal(results[0], '🔥')
+    assert.ok(results.includes('🧑‍🚒'))
+    assert.ok(searchEmojis(':fi').includes('🔥'))
+    assert.deepEqual(searchEmojis(':'), [])
+})
+
+test('searching for the emoji itself finds it', () => {
+    assert.deepEqual(searchEmojis('😀'), ['😀'])
+})
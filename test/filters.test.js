@@ -0,0 +1,20 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { FILTER_STYLES } from '../src/utils/filters.js'
+import { checkFilterParity, parseCSSFilter } from './helpers/filterParity.js'
+
+const drifted = results => results
+    .filter(r => !r.ok)
+    .map(r => `${r.id} (mean ${r.meanDelta.toFixed(1)}, max ${r.maxDelta})`)
+
+test('every filter has a parsable CSS chain', () => {
+    Object.values(FILTER_STYLES).forEach(css => assert.doesNotThrow(() => parseCSSFilter(css), css))
+})
+
+test('baked filters follow their CSS chains at full strength', () => {
+    assert.deepEqual(drifted(checkFilterParity()), [])
+})
+
+test('baked filters follow their CSS chains at partial strength', () => {
+    assert.deepEqual(drifted(checkFilterParity({ strength: 0.5 })), [])
+})
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createGIFEncoder } from '../src/utils/gifEncoder.js'
+import { decodeGIF } from '../src/utils/animatedImage.js'
+
+// decodeGIF composites into canvases - a canvas that just keeps its pixels
+before(() => {
+    globalThis.ImageData = class {
+        constructor(data, width, height) {
+            Object.assign(this, { data, width, height })
+        }
+    }
+    globalThis.document = {
+        createElement: () => {
+            const canvas = { pixels: null }
+            canvas.getContext = () => ({ putImageData: (imageData) => { canvas.pixels = imageData.data } })
+            return canvas
+        }
+    }
+})
+
+after(() => {
+    delete globalThis.ImageData
+    delete globalThis.document
+})
+
+const WIDTH = 96
+const HEIGHT = 64
+
+// 256 colors on 5-bit bin boundaries, so the palette reproduces them exactly
+const color = i => [(i & 7) * 32, ((i >> 3) & 7) * 32, (i >> 6) * 64]
+
+function frame(indexAt) {
+    const pixels = new Uint8ClampedArray(WIDTH * HEIGHT * 4)
+    for (let p = 0; p < WIDTH * HEIGHT; p++) {
+        pixels.set([...color(indexAt(p)), 255], p * 4)
+    }
+    return pixels
+}
+
+test('frames survive LZW encoding and decoding unchanged', () => {
+    // Pseudo-random indices fill the 4096-entry code table and force clears
+    let seed = 7
+    const noise = frame(() => (seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF) >> 23)
+    const flat = frame(() => 3)
+    const patched = flat.slice()
+    patched.set(noise.subarray(0, WIDTH * 4 * 10), WIDTH * 4 * 20)
+
+    const encoder = createGIFEncoder(WIDTH, HEIGHT)
+    encoder.addFrame(noise, 100)
+    encoder.addFrame(flat, 50)
+    encoder.addFrame(flat, 70)
+    encoder.addFrame(patched, 200)
+    const animation = decodeGIF(encoder.finish())
+
+    assert.equal(animation.width, WIDTH)
+    assert.equal(animation.height, HEIGHT)
+    // The repeated frame is merged into the one before it
+    assert.deepEqual(animation.frames.map(f => f.delay), [100, 120, 200])
+    assert.equal(animation.duration, 420)
+    assert.deepEqual(animation.frames[0].image.pixels, noise)
+    assert.deepEqual(animation.frames[1].image.pixels, flat)
+    assert.deepEqual(animation.frames[2].image.pixels, patched)
+})
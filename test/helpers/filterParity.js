@@ -0,0 +1,141 @@
+/**
+ * filterParity.js - CamTech v1.7 (test helper)
+ * Renders every FILTER_STYLES string through a small interpreter of the CSS
+ * Filter Effects functions and compares it to the baked pixel filter
+ * (applyPixelFilter). The interpreter uses the same spec matrices as
+ * bakeFilter, so this catches a bake that no longer follows its CSS string
+ * (edited string, reordered or missing step) - NOT differences between the
+ * spec math and what a given browser's CSS filters actually draw
+ */
+
+import { FILTER_STYLES, applyPixelFilter } from '../../src/utils/filters.js'
+
+const SWATCH_SIZE = 64
+
+// Mean per-channel difference (0-255) allowed before a filter is flagged
+// The interpreter and the baked math only differ by rounding
+const DEFAULT_TOLERANCE = 1
+
+// CSS filter function → per-pixel step on [r, g, b] in 0-255
+// Matrices and formulas from the Filter Effects spec
+const matrixStep = m => ([r, g, b]) => [
+    m[0] * r + m[1] * g + m[2] * b,
+    m[3] * r + m[4] * g + m[5] * b,
+    m[6] * r + m[7] * g + m[8] * b
+]
+
+const CSS_FUNCTIONS = {
+    brightness: a => rgb => rgb.map(v => v * a),
+    contrast: a => rgb => rgb.map(v => (v - 127.5) * a + 127.5),
+    saturate: s => matrixStep([
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+    ]),
+    sepia: a => matrixStep([
+        0.393 + 0.607 * (1 - a), 0.769 - 0.769 * (1 - a), 0.189 - 0.189 * (1 - a),
+        0.349 - 0.349 * (1 - a), 0.686 + 0.314 * (1 - a), 0.168 - 0.168 * (1 - a),
+        0.272 - 0.272 * (1 - a), 0.534 - 0.534 * (1 - a), 0.131 + 0.869 * (1 - a)
+    ]),
+    grayscale: a => matrixStep([
+        0.2126 + 0.7874 * (1 - a), 0.7152 - 0.7152 * (1 - a), 0.0722 - 0.0722 * (1 - a),
+        0.2126 - 0.2126 * (1 - a), 0.7152 + 0.2848 * (1 - a), 0.0722 - 0.0722 * (1 - a),
+        0.2126 - 0.2126 * (1 - a), 0.7152 - 0.7152 * (1 - a), 0.0722 + 0.9278 * (1 - a)
+    ]),
+    'hue-rotate': (degrees) => {
+        const cos = Math.cos(degrees * Math.PI / 180)
+        const sin = Math.sin(degrees * Math.PI / 180)
+        return matrixStep([
+            0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+            0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+            0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+        ])
+    }
+}
+
+const clampRGB = rgb => rgb.map(v => v < 0 ? 0 : v > 255 ? 255 : v)
+
+/**
+ * Parse a CSS filter chain ('sepia(0.3) saturate(1.4)') into steps
+ * Throws on anything the interpreter doesn't implement, so a new CSS
+ * function can't slip into FILTER_STYLES unchecked
+ */
+export function parseCSSFilter(css) {
+    if (css === 'none') return []
+    return css.trim().split(/\s+/).map((part) => {
+        const match = part.match(/^([a-z-]+)\((-?[\d.]+)(deg)?\)$/)
+        const fn = match && CSS_FUNCTIONS[match[1]]
+        if (!fn) throw new Error(`Unsupported CSS filter step: ${part}`)
+        return fn(Number(match[2]))
+    })
+}
+
+/**
+ * Swatch covering hue (x) and lightness (y) plus a gray ramp row, as RGBA
+ */
+function createSwatch() {
+    const data = new Uint8ClampedArray(SWATCH_SIZE * SWATCH_SIZE * 4)
+
+    for (let y = 0; y < SWATCH_SIZE; y++) {
+        for (let x = 0; x < SWATCH_SIZE; x++) {
+            // hsl(hue, 70%, lightness) → rgb
+            const hue = (x / SWATCH_SIZE) * 360
+            const l = (5 + (y / SWATCH_SIZE) * 90) / 100
+            const a = 0.7 * Math.min(l, 1 - l)
+            const channel = (n) => {
+                const k = (n + hue / 30) % 12
+                return (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255
+            }
+            const i = (y * SWATCH_SIZE + x) * 4
+            data[i] = channel(0)
+            data[i + 1] = channel(8)
+            data[i + 2] = channel(4)
+            data[i + 3] = 255
+        }
+    }
+
+    // Neutral ramp on the last row to catch tone-curve drift
+    for (let x = 0; x < SWATCH_SIZE; x++) {
+        const i = ((SWATCH_SIZE - 1) * SWATCH_SIZE + x) * 4
+        data[i] = data[i + 1] = data[i + 2] = Math.round((x / (SWATCH_SIZE - 1)) * 255)
+    }
+
+    return data
+}
+
+/**
+ * Compare every FILTER_STYLES entry: interpreted CSS chain vs applyPixelFilter
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Max allowed mean channel drift
+ * @param {number} [options.strength] - Filter strength 0-1 (preview blends by opacity)
+ * @returns {Array<{id: string, meanDelta: number, maxDelta: number, ok: boolean}>}
+ */
+export function checkFilterParity({ tolerance = DEFAULT_TOLERANCE, strength = 1 } = {}) {
+    const source = createSwatch()
+
+    return Object.entries(FILTER_STYLES).map(([id, css]) => {
+        const steps = parseCSSFilter(css)
+
+        // Capture path: manual pixel math
+        const baked = { data: new Uint8ClampedArray(source), width: SWATCH_SIZE, height: SWATCH_SIZE }
+        applyPixelFilter(baked, id, strength)
+
+        let total = 0
+        let maxDelta = 0
+        for (let i = 0; i < source.length; i += 4) {
+            // Preview path: each CSS function clamps, filtered layer at opacity = strength
+            const original = [source[i], source[i + 1], source[i + 2]]
+            const filtered = steps.reduce((rgb, step) => clampRGB(step(rgb)), original)
+
+            for (let c = 0; c < 3; c++) {
+                const preview = Math.round(original[c] + (Math.round(filtered[c]) - original[c]) * strength)
+                const delta = Math.abs(preview - baked.data[i + c])
+                total += delta
+                if (delta > maxDelta) maxDelta = delta
+            }
+        }
+
+        const meanDelta = total / (SWATCH_SIZE * SWATCH_SIZE * 3)
+        return { id, meanDelta, maxDelta, ok: meanDelta <= tolerance }
+    })
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { loadStoredLUTs, parseCubeLUT, storeLUTs } from '../src/utils/lut.js'
+
+// 2³ identity, with red scaled past 1 in the last entry
+const CUBE = `TITLE "Test"
+# comment
+LUT_3D_SIZE 2
+DOMAIN_MIN 0 0 0
+DOMAIN_MAX 1 1 1
+0 0 0
+1 0 0
+0 1 0
+1 1 0
+0 0 1
+1 0 1
+0 1 1
+2.5 1 -0.25
+`
+
+test('parses a .cube file with red varying fastest', () => {
+    const lut = parseCubeLUT(CUBE)
+    assert.equal(lut.title, 'Test')
+    assert.equal(lut.size, 2)
+    assert.deepEqual(lut.domainMin, [0, 0, 0])
+    assert.deepEqual(lut.domainMax, [1, 1, 1])
+    assert.deepEqual([...lut.table.slice(3, 6)], [1, 0, 0])
+    assert.deepEqual([...lut.table.slice(21)], [2.5, 1, -0.25])
+})
+
+test('rejects malformed .cube files', () => {
+    const broken = [
+        CUBE.replace('LUT_3D_SIZE 2', 'LUT_3D_SIZE 1'),
+        CUBE.replace('LUT_3D_SIZE 2', 'LUT_1D_SIZE 2'),
+        CUBE.replace('DOMAIN_MIN 0 0 0', 'DOMAIN_MIN 0'),
+        CUBE.replace('DOMAIN_MAX 1 1 1', 'DOMAIN_MAX 1 1 1 1'),
+        CUBE.replace('DOMAIN_MAX 1 1 1', 'DOMAIN_MAX 1 x 1'),
+        CUBE.replace('DOMAIN_MAX 1 1 1', 'DOMAIN_MAX 1 0 1'),
+        CUBE.replace('0 1 1\n', ''),
+        CUBE + '0 0 0\n',
+        CUBE.replace('1 0 1', '1 0')
+    ]
+    broken.forEach(text => assert.throws(() => parseCubeLUT(text)))
+})
+
+test('stored LUTs keep values outside 0-1', () => {
+    const items = new Map()
+    globalThis.localStorage = {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value)
+    }
+    try {
+        const lut = parseCubeLUT(CUBE)
+        storeLUTs([{ id: 'lut-a', label: 'Test', lut }])
+        const [loaded] = loadStoredLUTs()
+        assert.equal(loaded.id, 'lut-a')
+        assert.deepEqual([...loaded.lut.table], [...lut.table])
+    } finally {
+        delete globalThis.localStorage
+    }
+})
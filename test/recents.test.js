@@ -0,0 +1,64 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { getRecents, recordRecent, removeRecent } from '../src/utils/recents.js'
+
+const DAY = 24 * 60 * 60 * 1000
+const realNow = Date.now
+let now
+let items
+
+beforeEach(() => {
+    now = Date.UTC(2026, 0, 1)
+    Date.now = () => now
+    items = new Map()
+    globalThis.localStorage = {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value)
+    }
+})
+
+afterEach(() => {
+    Date.now = realNow
+    delete globalThis.localStorage
+})
+
+test('recent uses rank by frecency, per kind', () => {
+    recordRecent('emoji', '🔥')
+    recordRecent('emoji', '🔥')
+    recordRecent('emoji', '🔥')
+    now += 12 * DAY
+    recordRecent('emoji', '😀')
+    recordRecent('sticker', 'star')
+    // Three uses 12 days ago have decayed below one use today
+    assert.deepEqual(getRecents('emoji'), ['😀', '🔥'])
+    assert.deepEqual(getRecents('sticker'), ['star'])
+
+    recordRecent('emoji', '🔥')
+    assert.deepEqual(getRecents('emoji'), ['🔥', '😀'])
+    assert.deepEqual(getRecents('emoji', 1), ['🔥'])
+})
+
+test('keeps at most 32 entries and forgets removed ids', () => {
+    for (let i = 0; i < 40; i++) {
+        recordRecent('sticker', `s${i}`)
+        now += 1000
+    }
+    const recents = getRecents('sticker', 100)
+    assert.equal(recents.length, 32)
+    assert.equal(recents[0], 's39')
+    assert.ok(!recents.includes('s0'))
+
+    removeRecent('sticker', 's39')
+    assert.equal(getRecents('sticker')[0], 's38')
+})
+
+test('unreadable storage means no recents', (t) => {
+    t.mock.method(console, 'warn', () => {})
+    items.set('camtech-recents', '{oops')
+    assert.deepEqual(getRecents('emoji'), [])
+    items.set('camtech-recents', JSON.stringify({ version: 99, emoji: [{ id: '😀', score: 1 }] }))
+    assert.deepEqual(getRecents('emoji'), [])
+
+    recordRecent('emoji', '😀')
+    assert.deepEqual(getRecents('emoji'), ['😀'])
+})
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BRUSH_SIZES, SCENE_VERSION, loadScene, migrateScene, serializeScene } from '../src/utils/scene.js'
+import { DEFAULT_ADJUSTMENTS } from '../src/utils/adjustments.js'
+
+const editorState = {
+    strokes: [{ id: 's1', color: '#fff', size: 'medium', width: BRUSH_SIZES.medium, points: [{ x: 0, y: 0 }, { x: 250, y: 400 }] }],
+    elements: [{ id: 'e1', type: 'emoji', x: 250, y: 200, scale: 1.5, rotation: 30, data: { emojiChar: '👍🏽' } }],
+    filterId: 'warm',
+    filterStrength: 0.5,
+    adjustments: { exposure: 20 },
+    width: 500,
+    height: 800
+}
+
+test('serialized scenes are normalized and load back at any size', () => {
+    const scene = serializeScene(editorState)
+    assert.equal(scene.version, SCENE_VERSION)
+    assert.equal(scene.aspectRatio, 500 / 800)
+    assert.deepEqual(scene.strokes[0].points, [[0, 0], [0.5, 0.5]])
+    assert.equal(scene.strokes[0].width, 32)
+    assert.deepEqual(scene.elements[0], {
+        id: 'e1', type: 'emoji', x: 0.5, y: 0.25, scale: 3, rotation: 30, data: { emojiChar: '👍🏽' }
+    })
+    assert.deepEqual(JSON.parse(JSON.stringify(scene)), scene)
+
+    const loaded = loadScene(scene, { width: 1000, height: 1600 })
+    assert.equal(loaded.filterId, 'warm')
+    assert.equal(loaded.filterStrength, 0.5)
+    assert.deepEqual(loaded.adjustments, { ...DEFAULT_ADJUSTMENTS, exposure: 20 })
+    assert.deepEqual(loaded.strokes[0].points, [{ x: 0, y: 0 }, { x: 500, y: 800 }])
+    assert.equal(loaded.strokes[0].width, 32)
+    assert.equal(loaded.elements[0].x, 500)
+    assert.equal(loaded.elements[0].scale, 3)
+})
+
+test('rejects scenes that are not scenes, unversioned or too new', () => {
+    assert.throws(() => migrateScene(null))
+    assert.throws(() => migrateScene({ version: SCENE_VERSION + 1 }))
+    assert.throws(() => migrateScene({ strokes: [{ size: 'small' }] }))
+})
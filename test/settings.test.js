@@ -0,0 +1,57 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_SETTINGS, SETTINGS_VERSION, loadSettings, normalizeSettings, saveSettings } from '../src/utils/settings.js'
+import { DEFAULT_EXPORT_OPTIONS } from '../src/utils/exportOptions.js'
+import { DEFAULT_TOOLBAR_LAYOUT } from '../src/utils/toolbarLayout.js'
+
+function useStorage(initial) {
+    const items = new Map(initial ? [['camtech-settings', initial]] : [])
+    globalThis.localStorage = {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value)
+    }
+    return items
+}
+
+afterEach(() => {
+    delete globalThis.localStorage
+})
+
+test('normalizing fills defaults and drops invalid fields one by one', () => {
+    assert.deepEqual(normalizeSettings(null), DEFAULT_SETTINGS)
+    assert.deepEqual(normalizeSettings('garbage'), DEFAULT_SETTINGS)
+
+    const settings = normalizeSettings({
+        defaultFilter: 'warm',
+        grid: true,
+        shutterSound: 'yes',
+        exportOptions: { format: 'bmp', quality: 0.5, maxDimension: '2048' },
+        toolbarLayout: { position: 'left' },
+        extra: 1
+    })
+    assert.equal(settings.version, SETTINGS_VERSION)
+    assert.equal(settings.defaultFilter, 'warm')
+    assert.equal(settings.grid, true)
+    assert.equal(settings.shutterSound, DEFAULT_SETTINGS.shutterSound)
+    assert.deepEqual(settings.exportOptions, { ...DEFAULT_EXPORT_OPTIONS, quality: 0.5 })
+    assert.deepEqual(settings.toolbarLayout, { ...DEFAULT_TOOLBAR_LAYOUT, position: 'left' })
+    assert.ok(!('extra' in settings))
+})
+
+test('settings round-trip through storage', () => {
+    const items = useStorage()
+    assert.deepEqual(loadSettings(), DEFAULT_SETTINGS)
+
+    const changed = { ...DEFAULT_SETTINGS, mirrorFrontCamera: false, exportOptions: { format: 'png', quality: 1, maxDimension: 1080 } }
+    saveSettings(changed)
+    assert.equal(JSON.parse(items.get('camtech-settings')).version, SETTINGS_VERSION)
+    assert.deepEqual(loadSettings(), changed)
+})
+
+test('unreadable or newer stored settings fall back to defaults', (t) => {
+    t.mock.method(console, 'warn', () => {})
+    useStorage('{oops')
+    assert.deepEqual(loadSettings(), DEFAULT_SETTINGS)
+    useStorage(JSON.stringify({ ...DEFAULT_SETTINGS, version: SETTINGS_VERSION + 1, grid: true }))
+    assert.deepEqual(loadSettings(), DEFAULT_SETTINGS)
+})
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    DEFAULT_TOOLBAR_LAYOUT,
+    getToolbarTools,
+    moveToolbarTool,
+    normalizeToolbarLayout,
+    setToolbarToolHidden
+} from '../src/utils/toolbarLayout.js'
+
+test('normalizing drops unknown tools and appends missing ones', () => {
+    assert.deepEqual(normalizeToolbarLayout(null), DEFAULT_TOOLBAR_LAYOUT)
+    assert.deepEqual(normalizeToolbarLayout('garbage'), DEFAULT_TOOLBAR_LAYOUT)
+
+    const layout = normalizeToolbarLayout({
+        position: 'top',
+        camera: { order: ['drafts', 'timer', 'flip'], hidden: ['flash', 'timer'] },
+        editor: { order: 'text' }
+    })
+    assert.equal(layout.position, DEFAULT_TOOLBAR_LAYOUT.position)
+    assert.deepEqual(layout.camera, { order: ['drafts', 'flip', 'flash', 'lut'], hidden: ['flash'] })
+    assert.deepEqual(layout.editor, DEFAULT_TOOLBAR_LAYOUT.editor)
+})
+
+test('visible tools follow the order and skip hidden ones', () => {
+    let layout = moveToolbarTool(DEFAULT_TOOLBAR_LAYOUT, 'editor', 'draw', -3)
+    layout = setToolbarToolHidden(layout, 'editor', 'stickers', true)
+    assert.deepEqual(getToolbarTools(layout, 'editor'), ['draw', 'text', 'emoji', 'filters', 'adjust'])
+
+    layout = setToolbarToolHidden(layout, 'editor', 'stickers', false)
+    assert.deepEqual(getToolbarTools(layout, 'editor'), ['draw', 'text', 'stickers', 'emoji', 'filters', 'adjust'])
+})
+
+test('moves clamp at the ends and unknown tools change nothing', () => {
+    const first = DEFAULT_TOOLBAR_LAYOUT.camera.order[0]
+    assert.deepEqual(moveToolbarTool(DEFAULT_TOOLBAR_LAYOUT, 'camera', first, -1), DEFAULT_TOOLBAR_LAYOUT)
+    assert.deepEqual(moveToolbarTool(DEFAULT_TOOLBAR_LAYOUT, 'camera', 'timer', 1), DEFAULT_TOOLBAR_LAYOUT)
+    assert.deepEqual(
+        moveToolbarTool(DEFAULT_TOOLBAR_LAYOUT, 'camera', first, 10).camera.order,
+        ['flash', 'lut', 'drafts', 'flip']
+    )
+})
+
+test('every tool can be hidden', () => {
+    const layout = DEFAULT_TOOLBAR_LAYOUT.camera.order
+        .reduce((current, id) => setToolbarToolHidden(current, 'camera', id, true), DEFAULT_TOOLBAR_LAYOUT)
+    assert.deepEqual(getToolbarTools(layout, 'camera'), [])
+})